@@ -0,0 +1,11 @@
+// Currency inventory is valued in. Prices in other currencies are kept as
+// quoted; there are no exchange rates, so they are reported separately.
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'INR').toUpperCase();
+
+// ISO 4217 style three-letter code
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCY_PATTERN
+};
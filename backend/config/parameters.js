@@ -0,0 +1,43 @@
+// Parametric attributes components can be described and searched by.
+// Numeric parameters are stored in the SI unit given here (ohms, farads,
+// volts, ...) so they compare across "10k", "10 kΩ" and "10000"; text
+// parameters are compared as entered, without case.
+const PARAMETERS = {
+    resistance: { label: 'Resistance', type: 'number', unit: 'Ω' },
+    capacitance: { label: 'Capacitance', type: 'number', unit: 'F' },
+    inductance: { label: 'Inductance', type: 'number', unit: 'H' },
+    tolerance: { label: 'Tolerance', type: 'number', unit: '%' },
+    voltageRating: { label: 'Voltage Rating', type: 'number', unit: 'V' },
+    currentRating: { label: 'Current Rating', type: 'number', unit: 'A' },
+    powerRating: { label: 'Power Rating', type: 'number', unit: 'W' },
+    frequency: { label: 'Frequency', type: 'number', unit: 'Hz' },
+    pinCount: { label: 'Pin Count', type: 'number', unit: '' },
+    package: { label: 'Package', type: 'text' },
+    temperatureMin: { label: 'Min Operating Temp', type: 'number', unit: '°C' },
+    temperatureMax: { label: 'Max Operating Temp', type: 'number', unit: '°C' }
+};
+
+const OPERATING_RANGE = ['temperatureMin', 'temperatureMax'];
+
+// The default categories and the parameters they start out offering, in
+// display order. Admins change both in the category registry.
+const CATEGORY_PARAMETERS = {
+    'Passive Components': ['resistance', 'capacitance', 'inductance', 'tolerance', 'voltageRating', 'currentRating', 'powerRating', 'package', ...OPERATING_RANGE],
+    'Semiconductors': ['voltageRating', 'currentRating', 'powerRating', 'package', ...OPERATING_RANGE],
+    'Microcontrollers': ['frequency', 'voltageRating', 'pinCount', 'package', ...OPERATING_RANGE],
+    'Sensors': ['voltageRating', 'tolerance', 'package', ...OPERATING_RANGE],
+    'Memory': ['voltageRating', 'frequency', 'package', ...OPERATING_RANGE],
+    'Timing Components': ['frequency', 'tolerance', 'voltageRating', 'package', ...OPERATING_RANGE],
+    'Power Management': ['voltageRating', 'currentRating', 'powerRating', 'frequency', 'package', ...OPERATING_RANGE],
+    'Connectors': ['pinCount', 'voltageRating', 'currentRating', 'package', ...OPERATING_RANGE],
+    'Displays': ['voltageRating', 'package', ...OPERATING_RANGE],
+    'Other': Object.keys(PARAMETERS)
+};
+
+const PARAMETER_NAMES = Object.keys(PARAMETERS);
+
+module.exports = {
+    PARAMETERS,
+    PARAMETER_NAMES,
+    CATEGORY_PARAMETERS
+};
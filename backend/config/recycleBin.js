@@ -0,0 +1,7 @@
+// Days a deleted component stays in the recycle bin, restorable, before a
+// purge removes it for good
+const RECYCLE_BIN_RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS, 10) || 30;
+
+module.exports = {
+    RECYCLE_BIN_RETENTION_DAYS
+};
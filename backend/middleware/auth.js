@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
@@ -60,6 +61,41 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+// Middleware to authenticate calendar feeds. Calendar apps cannot send an
+// Authorization header, so feeds take a long-lived `token` query parameter
+// that only works for feeds and can be revoked (see generateCalendarToken).
+const authenticateCalendarToken = async (req, res, next) => {
+    try {
+        const token = req.query.token;
+
+        if (!token || typeof token !== 'string') {
+            return res.status(401).json({
+                success: false,
+                message: 'No calendar token provided'
+            });
+        }
+
+        const user = await User.findOne({ calendarTokenHash: hashCalendarToken(token), isActive: true })
+            .select('-password');
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid calendar token'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Calendar authentication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error in authentication'
+        });
+    }
+};
+
 // Middleware to check permissions
 const authorize = (...permissions) => {
     return (req, res, next) => {
@@ -150,6 +186,17 @@ const generateToken = (userId) => {
     );
 };
 
+// Only a hash of calendar tokens is stored
+const hashCalendarToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Utility function to give a user a new calendar token, replacing (and so
+// revoking) any earlier one. The token is only ever shown this once.
+const generateCalendarToken = async (user) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: user._id }, { calendarTokenHash: hashCalendarToken(token) });
+    return token;
+};
+
 // Utility function to set token in cookie (if using cookies)
 const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
     const token = generateToken(user._id);
@@ -171,10 +218,12 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
 
 module.exports = {
     authenticate,
+    authenticateCalendarToken,
     authorize,
     restrictTo,
     adminOnly,
     ownDataOrAdmin,
     generateToken,
+    generateCalendarToken,
     sendTokenResponse
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A cross-reference: `alternate` is a drop-in replacement for `component`.
+// Bidirectional links also let `component` replace `alternate`.
+const alternateSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: [true, 'Component is required']
+    },
+    alternate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: [true, 'Alternate component is required'],
+        validate: {
+            validator: function(alternate) {
+                return !alternate.equals(this.component);
+            },
+            message: 'A component cannot be its own alternate'
+        }
+    },
+    bidirectional: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+alternateSchema.index(
+    { component: 1, alternate: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+alternateSchema.index({ alternate: 1, isActive: 1 });
+
+// Static method to find the active link between two components, in either
+// direction
+alternateSchema.statics.findBetween = function(a, b, session = null) {
+    return this.findOne({
+        isActive: true,
+        $or: [
+            { component: a, alternate: b },
+            { component: b, alternate: a }
+        ]
+    }).session(session);
+};
+
+// Static method to list, per component, the ids of the components that can
+// stand in for it
+alternateSchema.statics.usableFor = async function(componentIds, session = null) {
+    const links = await this.find({
+        isActive: true,
+        $or: [
+            { component: { $in: componentIds } },
+            { alternate: { $in: componentIds }, bidirectional: true }
+        ]
+    }).session(session);
+
+    const usable = new Map(componentIds.map(id => [id.toString(), []]));
+    links.forEach(link => {
+        usable.get(link.component.toString())?.push(link.alternate);
+        if (link.bidirectional) {
+            usable.get(link.alternate.toString())?.push(link.component);
+        }
+    });
+
+    return usable;
+};
+
+module.exports = mongoose.model('Alternate', alternateSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCY_PATTERN } = require('../config/currency');
+
+const APPROVER_PERMISSIONS = ['all', 'edit', 'inward', 'outward', 'reports'];
+
+// An outward movement that matches an active rule is held as a pending
+// request until someone with `approverPermission` approves it. A rule
+// matches when any of its conditions does.
+const approvalRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    // Stock value taken out (quantity × unit price). Prices in another
+    // currency are not converted, so they never match.
+    minValue: {
+        type: Number,
+        min: [0, 'Minimum value cannot be negative']
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: BASE_CURRENCY,
+        match: [CURRENCY_PATTERN, 'Currency must be a three-letter code']
+    },
+    minQuantity: {
+        type: Number,
+        min: [1, 'Minimum quantity must be at least 1']
+    },
+    categories: [{
+        type: String,
+        trim: true
+    }],
+    approverPermission: {
+        type: String,
+        enum: {
+            values: APPROVER_PERMISSIONS,
+            message: 'Invalid approver permission'
+        },
+        default: 'all'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// A rule without any condition would hold every outward movement
+approvalRuleSchema.pre('validate', function(next) {
+    if (this.minValue == null && this.minQuantity == null && this.categories.length === 0) {
+        this.invalidate('minValue', 'A rule needs a minimum value, a minimum quantity or categories');
+    }
+    next();
+});
+
+// Indexes for better query performance
+approvalRuleSchema.index({ isActive: 1 });
+
+// Method to check whether taking `quantity` of a component needs approval.
+// `lineage` is the component's category and the categories above it, so a
+// rule on a category also holds everything below it.
+approvalRuleSchema.methods.matches = function(component, quantity, lineage = [component.category]) {
+    if (this.minQuantity != null && quantity >= this.minQuantity) return true;
+    if (lineage.some(category => this.categories.includes(category))) return true;
+
+    return this.minValue != null &&
+        component.currency === this.currency &&
+        quantity * component.unitPrice >= this.minValue;
+};
+
+approvalRuleSchema.statics.APPROVER_PERMISSIONS = APPROVER_PERMISSIONS;
+
+module.exports = mongoose.model('ApprovalRule', approvalRuleSchema);
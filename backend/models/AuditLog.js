@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+// Records that can be audited, by model name
+const AUDITED_MODELS = ['Component', 'User', 'Notification'];
+
+// One field's value before and after a change. Values are stored as they
+// were (numbers, arrays, ids); secrets are replaced before they get here.
+const fieldChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    to: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    _id: false
+});
+
+// Who changed which fields of a record, when and from where
+const auditLogSchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        required: [true, 'Entity type is required'],
+        enum: {
+            values: AUDITED_MODELS,
+            message: 'Entity type must be one of: ' + AUDITED_MODELS.join(', ')
+        }
+    },
+    entity: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'entityType',
+        required: [true, 'Entity is required']
+    },
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+        enum: {
+            values: ['create', 'update', 'delete', 'restore', 'purge', 'merge'],
+            message: 'Action must be create, update, delete, restore, purge or merge'
+        }
+    },
+    changes: [fieldChangeSchema],
+    // Null for changes the system made on its own
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'changes.field': 1 });
+
+// Audit records are never edited or deleted
+auditLogSchema.plugin(appendOnly);
+
+auditLogSchema.statics.AUDITED_MODELS = AUDITED_MODELS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
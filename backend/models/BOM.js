@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const bomLineSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: [true, 'Component is required']
+    },
+    // Units of the component needed for one assembly
+    quantityPer: {
+        type: Number,
+        required: [true, 'Quantity per assembly is required'],
+        min: [1, 'Quantity per assembly must be at least 1']
+    },
+    referenceDesignators: {
+        type: [{
+            type: String,
+            trim: true,
+            uppercase: true,
+            maxlength: [20, 'Reference designator cannot exceed 20 characters']
+        }],
+        validate: {
+            validator: function(designators) {
+                return designators.length === 0 || designators.length === this.quantityPer;
+            },
+            message: 'Number of reference designators must match the quantity per assembly'
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Line notes cannot exceed 200 characters']
+    }
+});
+
+const bomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'BOM name is required'],
+        trim: true,
+        maxlength: [200, 'BOM name cannot exceed 200 characters']
+    },
+    // Part number of the assembly the BOM builds
+    assemblyNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Assembly number cannot exceed 100 characters']
+    },
+    revision: {
+        type: String,
+        trim: true,
+        maxlength: [20, 'Revision cannot exceed 20 characters'],
+        default: 'A'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    lines: {
+        type: [bomLineSchema],
+        validate: [
+            {
+                validator: lines => lines.length > 0,
+                message: 'A BOM needs at least one line'
+            },
+            {
+                validator: function(lines) {
+                    const components = lines.map(line => line.component.toString());
+                    return new Set(components).size === components.length;
+                },
+                message: 'Each component can only appear once in a BOM'
+            }
+        ]
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+bomSchema.index({ name: 1 });
+bomSchema.index({ assemblyNumber: 1, revision: 1 });
+bomSchema.index({ 'lines.component': 1 });
+
+// Virtual for the number of distinct parts
+bomSchema.virtual('lineCount').get(function() {
+    return this.lines ? this.lines.length : 0;
+});
+
+// Virtual for the number of parts placed on one assembly
+bomSchema.virtual('partsPerAssembly').get(function() {
+    return (this.lines || []).reduce((sum, line) => sum + line.quantityPer, 0);
+});
+
+// Ensure virtual fields are serialized
+bomSchema.set('toJSON', { virtuals: true });
+bomSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('BOM', bomSchema);
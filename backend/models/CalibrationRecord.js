@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+// pass: in tolerance as received. adjusted: brought into tolerance.
+// limited: usable with restrictions. fail: out of tolerance.
+const CALIBRATION_RESULTS = ['pass', 'adjusted', 'limited', 'fail'];
+
+// Certificate files are kept with the record
+const CERTIFICATE_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const MAX_CERTIFICATE_BYTES = 5 * 1024 * 1024;
+
+const certificateSchema = new mongoose.Schema({
+    filename: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [200, 'Filename cannot exceed 200 characters']
+    },
+    contentType: {
+        type: String,
+        required: true,
+        enum: {
+            values: CERTIFICATE_TYPES,
+            message: 'Certificate must be a PDF, PNG or JPEG file'
+        }
+    },
+    size: {
+        type: Number,
+        required: true,
+        max: [MAX_CERTIFICATE_BYTES, 'Certificate cannot exceed 5 MB']
+    },
+    // Left out of queries unless asked for; see GET /:id/certificate
+    data: {
+        type: Buffer,
+        required: true,
+        select: false
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// One calibration of one serialized unit (a scope, DMM, power supply)
+const calibrationRecordSchema = new mongoose.Schema({
+    serialItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SerialItem',
+        required: true
+    },
+    // Denormalized so the record stays readable without a lookup
+    serialNumber: {
+        type: String,
+        required: true
+    },
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    componentName: {
+        type: String,
+        required: true
+    },
+    componentPartNumber: {
+        type: String,
+        required: true
+    },
+    calibratedAt: {
+        type: Date,
+        required: [true, 'Calibration date is required']
+    },
+    provider: {
+        type: String,
+        required: [true, 'Calibration provider is required'],
+        trim: true,
+        maxlength: [100, 'Provider cannot exceed 100 characters']
+    },
+    result: {
+        type: String,
+        required: [true, 'Calibration result is required'],
+        enum: {
+            values: CALIBRATION_RESULTS,
+            message: 'Result must be pass, adjusted, limited or fail'
+        }
+    },
+    nextDueAt: {
+        type: Date,
+        required: [true, 'Next due date is required']
+    },
+    certificateNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Certificate number cannot exceed 100 characters']
+    },
+    certificate: certificateSchema,
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recordedByName: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+calibrationRecordSchema.index({ serialItem: 1, calibratedAt: -1 });
+calibrationRecordSchema.index({ component: 1, calibratedAt: -1 });
+calibrationRecordSchema.index({ result: 1, calibratedAt: -1 });
+
+// Calibration records are evidence: a wrong record is corrected by
+// recording the calibration again. The certificate can be attached later,
+// once.
+calibrationRecordSchema.plugin(appendOnly, { mutableFields: ['certificate'] });
+
+calibrationRecordSchema.statics.CALIBRATION_RESULTS = CALIBRATION_RESULTS;
+calibrationRecordSchema.statics.CERTIFICATE_TYPES = CERTIFICATE_TYPES;
+calibrationRecordSchema.statics.MAX_CERTIFICATE_BYTES = MAX_CERTIFICATE_BYTES;
+
+module.exports = mongoose.model('CalibrationRecord', calibrationRecordSchema);
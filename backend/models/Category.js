@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const { PARAMETER_NAMES, CATEGORY_PARAMETERS } = require('../config/parameters');
+const { ApiError } = require('../utils/errors');
+
+// Categories every installation starts with, top level
+const DEFAULT_CATEGORIES = Object.entries(CATEGORY_PARAMETERS)
+    .map(([name, parameters]) => ({ name, parameters }));
+
+// Separator between names in a category path, e.g. "Semiconductors > Diodes"
+const PATH_SEPARATOR = ' > ';
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Category name cannot exceed 100 characters'],
+        validate: {
+            validator: name => !name.includes(PATH_SEPARATOR.trim()),
+            message: `Category name cannot contain "${PATH_SEPARATOR.trim()}"`
+        }
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Materialized path: every ancestor id, outermost first
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    // Human-readable path, e.g. "Semiconductors > Diodes"
+    path: {
+        type: String
+    },
+    // Parametric attributes offered for components in the category. Empty
+    // means the parent's; a top-level category without any offers them all.
+    parameters: [{
+        type: String,
+        enum: {
+            values: PARAMETER_NAMES,
+            message: 'Unknown parameter'
+        }
+    }],
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1 });
+categorySchema.index({ path: 1 });
+
+// Virtual for depth in the hierarchy (0 = top level)
+categorySchema.virtual('depth').get(function() {
+    return this.ancestors ? this.ancestors.length : 0;
+});
+
+// Pre-save middleware: keep ancestors/path in sync with the parent and name
+categorySchema.pre('save', async function(next) {
+    if (!this.isNew && !this.isModified('parent') && !this.isModified('name')) return next();
+
+    try {
+        if (!this.parent) {
+            this.ancestors = [];
+            this.path = this.name;
+            return next();
+        }
+
+        const parent = await this.constructor.findById(this.parent);
+
+        if (!parent) {
+            return next(new ApiError(400, 'Parent category not found'));
+        }
+
+        if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+            return next(new ApiError(400, 'A category cannot be moved inside itself'));
+        }
+
+        this.ancestors = [...parent.ancestors, parent._id];
+        this.path = `${parent.path}${PATH_SEPARATOR}${this.name}`;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to recompute ancestors/path of every descendant after a move or rename
+categorySchema.methods.rebuildDescendants = async function(session = null) {
+    const descendants = await this.constructor.find({ ancestors: this._id }).session(session);
+    const byId = new Map([[this._id.toString(), this]]);
+
+    // Parents before children
+    descendants.sort((a, b) => a.ancestors.length - b.ancestors.length);
+
+    for (const descendant of descendants) {
+        const parent = byId.get(descendant.parent.toString());
+        descendant.ancestors = [...parent.ancestors, parent._id];
+        descendant.path = `${parent.path}${PATH_SEPARATOR}${descendant.name}`;
+        await descendant.save({ session });
+        byId.set(descendant._id.toString(), descendant);
+    }
+};
+
+// Static method to fill an empty registry with the default categories.
+// Once there are categories they are the admins' to change.
+categorySchema.statics.seedDefaults = async function(user = null) {
+    if (await this.exists({})) return 0;
+
+    for (const defaults of DEFAULT_CATEGORIES) {
+        await new this({ ...defaults, createdBy: user && user._id }).save();
+    }
+    return DEFAULT_CATEGORIES.length;
+};
+
+// Static method to list the names of a category and every active category
+// below it. An unregistered name stands for itself.
+categorySchema.statics.subtreeNames = async function(name, session = null) {
+    const category = await this.findOne({ name }).select('_id').session(session);
+    if (!category) return [name];
+
+    const descendants = await this.find({ ancestors: category._id, isActive: true })
+        .select('name')
+        .session(session);
+    return [name, ...descendants.map(d => d.name)];
+};
+
+// Static method to list a category's name and the names of its ancestors,
+// innermost first
+categorySchema.statics.lineage = async function(name, session = null) {
+    const category = await this.findOne({ name }).select('ancestors').session(session);
+    if (!category) return [name];
+
+    const ancestors = await this.find({ _id: { $in: category.ancestors } })
+        .select('name')
+        .session(session);
+    const names = new Map(ancestors.map(a => [a._id.toString(), a.name]));
+
+    return [name, ...[...category.ancestors].reverse().map(id => names.get(id.toString())).filter(Boolean)];
+};
+
+// Static method to find which of the given names are not active categories
+categorySchema.statics.findUnknownNames = async function(names, session = null) {
+    const unique = [...new Set(names.filter(Boolean))];
+    const found = await this.find({ name: { $in: unique }, isActive: true })
+        .select('name')
+        .session(session);
+    const known = new Set(found.map(c => c.name));
+
+    return unique.filter(name => !known.has(name));
+};
+
+// Static method for request validators: passes for an active category name
+categorySchema.statics.assertRegistered = async function(name) {
+    const [unknown] = await this.findUnknownNames([name]);
+    if (unknown) {
+        throw new Error(`Unknown category: ${unknown}`);
+    }
+    return true;
+};
+
+// Static method to resolve the parameters offered for a category: its own,
+// else the nearest ancestor's, else all of them
+categorySchema.statics.parameterNames = async function(name, session = null) {
+    const category = await this.findOne({ name }).select('parameters ancestors').session(session);
+    if (!category) return PARAMETER_NAMES;
+    if (category.parameters.length > 0) return [...category.parameters];
+
+    const ancestors = await this.find({ _id: { $in: category.ancestors } })
+        .select('parameters')
+        .session(session);
+    const byId = new Map(ancestors.map(a => [a._id.toString(), a]));
+    const nearest = [...category.ancestors].reverse()
+        .map(id => byId.get(id.toString()))
+        .find(ancestor => ancestor && ancestor.parameters.length > 0);
+
+    return nearest ? [...nearest.parameters] : PARAMETER_NAMES;
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+categorySchema.statics.PATH_SEPARATOR = PATH_SEPARATOR;
+
+// Ensure virtual fields are serialized
+categorySchema.set('toJSON', { virtuals: true });
+categorySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,46 +1,67 @@
 const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCY_PATTERN } = require('../config/currency');
+const { PARAMETER_NAMES } = require('../config/parameters');
+const { formatQuantity } = require('../utils/units');
 
-const movementSchema = new mongoose.Schema({
-    type: {
+// Where unitPrice comes from: entered by hand, the preferred supplier's
+// price at its MOQ, or the price paid on the last receipt
+const PRICE_BASES = ['manual', 'preferred_supplier', 'last_paid'];
+
+// Quantity held in one storage bin
+const stockLocationSchema = new mongoose.Schema({
+    location: {
         type: String,
-        required: true,
-        enum: ['inward', 'outward']
+        required: [true, 'Stock location is required'],
+        trim: true,
+        maxlength: [50, 'Location cannot exceed 50 characters']
     },
     quantity: {
         type: Number,
         required: true,
-        min: [1, 'Quantity must be at least 1']
-    },
-    user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    userName: {
-        type: String,
-        required: true
-    },
-    reason: {
+        min: [0, 'Bin quantity cannot be negative'],
+        default: 0
+    }
+}, {
+    _id: false
+});
+
+// One parametric attribute (config/parameters.js). Numeric ones hold the
+// value in the SI unit, text ones (package) the text.
+const parameterSchema = new mongoose.Schema({
+    name: {
         type: String,
         required: true,
-        trim: true,
-        maxlength: [200, 'Reason cannot exceed 200 characters']
+        enum: {
+            values: PARAMETER_NAMES,
+            message: 'Unknown parameter'
+        }
     },
-    project: {
-        type: String,
-        required: true,
-        trim: true,
-        maxlength: [100, 'Project name cannot exceed 100 characters']
+    value: {
+        type: Number
     },
-    notes: {
+    unit: {
+        type: String
+    },
+    text: {
         type: String,
         trim: true,
-        maxlength: [500, 'Notes cannot exceed 500 characters']
+        maxlength: [50, 'Parameter text cannot exceed 50 characters']
     }
 }, {
-    timestamps: true
+    _id: false,
+    id: false
+});
+
+// Virtual for the value as people write it (10 kΩ, 100 nF)
+parameterSchema.virtual('display').get(function() {
+    return this.value !== undefined && this.value !== null
+        ? formatQuantity(this.value, this.unit || '')
+        : this.text;
 });
 
+parameterSchema.set('toJSON', { virtuals: true });
+parameterSchema.set('toObject', { virtuals: true });
+
 const componentSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -52,9 +73,9 @@ const componentSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Part number is required'],
         trim: true,
-        maxlength: [100, 'Part number cannot exceed 100 characters'],
-        index: true
+        maxlength: [100, 'Part number cannot exceed 100 characters']
     },
+    // Registered name of a manufacturer (models/Manufacturer.js)
     manufacturer: {
         type: String,
         required: [true, 'Manufacturer is required'],
@@ -66,32 +87,53 @@ const componentSchema = new mongoose.Schema({
         trim: true,
         maxlength: [1000, 'Description cannot exceed 1000 characters']
     },
+    // Name of a category in the registry (models/Category.js)
     category: {
         type: String,
         required: [true, 'Category is required'],
-        enum: {
-            values: [
-                'Passive Components',
-                'Semiconductors', 
-                'Microcontrollers',
-                'Sensors',
-                'Memory',
-                'Timing Components',
-                'Power Management',
-                'Connectors',
-                'Displays',
-                'Other'
-            ],
-            message: 'Invalid category selected'
-        },
+        trim: true,
+        maxlength: [100, 'Category cannot exceed 100 characters'],
         index: true
     },
+    // Total on hand, always the sum of `stock` bin quantities
     quantity: {
         type: Number,
         required: [true, 'Quantity is required'],
         min: [0, 'Quantity cannot be negative'],
         default: 0
     },
+    // Outstanding quantity of active reservations, kept in step with the
+    // reservations collection by services/reservations.js
+    reserved: {
+        type: Number,
+        min: [0, 'Reserved quantity cannot be negative'],
+        default: 0
+    },
+    // 'serialized' components are tracked one unit at a time: every unit in
+    // stock is a SerialItem and movements must name the serial numbers
+    trackingMode: {
+        type: String,
+        enum: {
+            values: ['bulk', 'serialized'],
+            message: 'Tracking mode must be bulk or serialized'
+        },
+        default: 'bulk'
+    },
+    // Lendable equipment (scopes, soldering stations) is checked out to
+    // people and checked back in rather than issued
+    lendable: {
+        type: Boolean,
+        default: false
+    },
+    // Instruments that need periodic calibration: days from one calibration
+    // to the next for each unit (see models/CalibrationRecord.js)
+    calibrationIntervalDays: {
+        type: Number,
+        min: [1, 'Calibration interval must be at least 1 day'],
+        max: [3650, 'Calibration interval cannot exceed 10 years'],
+        default: null
+    },
+    // Default bin: where stock goes when a movement names no location
     location: {
         type: String,
         required: [true, 'Location is required'],
@@ -99,11 +141,50 @@ const componentSchema = new mongoose.Schema({
         maxlength: [50, 'Location cannot exceed 50 characters'],
         index: true
     },
+    stock: {
+        type: [stockLocationSchema],
+        validate: {
+            validator: function(bins) {
+                const locations = bins.map(bin => bin.location);
+                return new Set(locations).size === locations.length;
+            },
+            message: 'Each location can only appear once in stock'
+        }
+    },
+    // Price stock is valued at, see priceBasis
     unitPrice: {
         type: Number,
         required: [true, 'Unit price is required'],
         min: [0, 'Unit price cannot be negative']
     },
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [CURRENCY_PATTERN, 'Currency must be a three-letter code'],
+        default: BASE_CURRENCY
+    },
+    priceBasis: {
+        type: String,
+        enum: {
+            values: PRICE_BASES,
+            message: 'Price basis must be manual, preferred_supplier or last_paid'
+        },
+        default: 'manual'
+    },
+    priceUpdatedAt: {
+        type: Date
+    },
+    parameters: {
+        type: [parameterSchema],
+        validate: {
+            validator: function(parameters) {
+                const names = parameters.map(parameter => parameter.name);
+                return new Set(names).size === names.length;
+            },
+            message: 'Each parameter can only appear once'
+        }
+    },
     criticalLowThreshold: {
         type: Number,
         required: [true, 'Critical low threshold is required'],
@@ -120,7 +201,13 @@ const componentSchema = new mongoose.Schema({
             message: 'Datasheet link must be a valid URL'
         }
     },
-    movements: [movementSchema],
+    // Denormalized from the movement ledger for stock-age queries
+    lastMovementAt: {
+        type: Date
+    },
+    lastOutwardAt: {
+        type: Date
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -133,6 +220,38 @@ const componentSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Set while the component is in the recycle bin
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Set once the component is purged from the recycle bin but kept, as
+    // a name and part number only, because the stock ledger refers to it
+    purgedAt: {
+        type: Date,
+        default: null
+    },
+    // Set on a duplicate merged into another component. Its ID keeps
+    // leading there, and its movements count as the survivor's history.
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        default: null
+    },
+    mergedAt: {
+        type: Date,
+        default: null
+    },
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, {
     timestamps: true
@@ -141,14 +260,27 @@ const componentSchema = new mongoose.Schema({
 // Indexes for better query performance
 componentSchema.index({ name: 'text', partNumber: 'text', manufacturer: 'text', description: 'text' });
 componentSchema.index({ category: 1, location: 1 });
+// Part numbers are unique among active components only; deleted ones can be reused
+componentSchema.index({ partNumber: 1 }, { name: 'partNumber_active_unique', unique: true, partialFilterExpression: { isActive: true } });
+componentSchema.index({ isActive: 1, deletedAt: -1 });
+componentSchema.index({ mergedInto: 1 });
+componentSchema.index({ manufacturer: 1 });
+componentSchema.index({ 'stock.location': 1 });
 componentSchema.index({ quantity: 1 });
-componentSchema.index({ 'movements.createdAt': -1 });
+componentSchema.index({ lastOutwardAt: 1 });
+componentSchema.index({ 'parameters.name': 1, 'parameters.value': 1 });
+componentSchema.index({ 'parameters.name': 1, 'parameters.text': 1 });
+
+// Virtual for the quantity not held back by reservations
+componentSchema.virtual('available').get(function() {
+    return Math.max(0, this.quantity - (this.reserved || 0));
+});
 
-// Virtual for stock status
+// Virtual for stock status, based on available rather than on-hand quantity
 componentSchema.virtual('stockStatus').get(function() {
-    if (this.quantity <= 0) {
+    if (this.available <= 0) {
         return 'out_of_stock';
-    } else if (this.quantity <= this.criticalLowThreshold) {
+    } else if (this.available <= this.criticalLowThreshold) {
         return 'low_stock';
     } else {
         return 'in_stock';
@@ -168,55 +300,76 @@ componentSchema.virtual('ageInDays').get(function() {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for the list of bins holding this component
+componentSchema.virtual('locations').get(function() {
+    return (this.stock || []).map(bin => bin.location);
+});
+
 // Virtual for last movement date
 componentSchema.virtual('lastMovementDate').get(function() {
-    if (!this.movements || this.movements.length === 0) return null;
-    
-    const sortedMovements = this.movements.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    return sortedMovements[0].createdAt;
+    return this.lastMovementAt || null;
 });
 
 // Method to check if component is old stock (no outward movement in X days)
 componentSchema.methods.isOldStock = function(thresholdDays = 90) {
-    if (!this.movements || this.movements.length === 0) {
+    if (!this.lastOutwardAt) {
         return this.ageInDays > thresholdDays;
     }
-    
-    const outwardMovements = this.movements.filter(m => m.type === 'outward');
-    if (outwardMovements.length === 0) {
-        return this.ageInDays > thresholdDays;
-    }
-    
-    const lastOutwardMovement = outwardMovements.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
-    const daysSinceLastOutward = Math.ceil((new Date() - new Date(lastOutwardMovement.createdAt)) / (1000 * 60 * 60 * 24));
-    
+
+    const daysSinceLastOutward = Math.ceil((new Date() - new Date(this.lastOutwardAt)) / (1000 * 60 * 60 * 24));
+
     return daysSinceLastOutward > thresholdDays;
 };
 
-// Method to add movement
-componentSchema.methods.addMovement = function(movementData) {
-    this.movements.push(movementData);
-    
-    // Update quantity based on movement type
-    if (movementData.type === 'inward') {
-        this.quantity += movementData.quantity;
-    } else if (movementData.type === 'outward') {
-        this.quantity = Math.max(0, this.quantity - movementData.quantity);
-    }
-    
-    return this;
+// Aggregation expression for the available quantity, for $expr queries
+componentSchema.statics.AVAILABLE_QUANTITY = {
+    $subtract: ['$quantity', { $ifNull: ['$reserved', 0] }]
 };
 
-// Pre-save middleware
-componentSchema.pre('save', function(next) {
-    // Update lastUpdatedBy if movements array was modified
-    if (this.isModified('movements') && this.movements.length > 0) {
-        const lastMovement = this.movements[this.movements.length - 1];
-        this.lastUpdatedBy = lastMovement.user;
+componentSchema.statics.PRICE_BASES = PRICE_BASES;
+
+// Static method to follow a merged component's ID to the component it was
+// merged into; any other ID is returned as it is
+componentSchema.statics.resolveId = async function(id, session = null) {
+    const merged = await this.findOne({ _id: id, mergedInto: { $ne: null } })
+        .select('mergedInto')
+        .session(session);
+
+    return merged ? merged.mergedInto : id;
+};
+
+// Static method to list the components merged into `survivorIds` (into any
+// component if null), as { _id, mergedInto }. Merges re-point older
+// redirects, so one level is all there is.
+componentSchema.statics.findMergedSources = function(survivorIds = null, session = null) {
+    return this.find({ mergedInto: survivorIds ? { $in: survivorIds } : { $ne: null } })
+        .select('mergedInto')
+        .session(session);
+};
+
+// Quantity held in a given bin
+componentSchema.methods.quantityAt = function(location) {
+    const bin = (this.stock || []).find(b => b.location === location);
+    return bin ? bin.quantity : 0;
+};
+
+// Pre-validate middleware: a new component starts with all of its stock in
+// the default bin, and the total is always derived from the bins
+componentSchema.pre('validate', function(next) {
+    if (this.isNew && (!this.stock || this.stock.length === 0) && this.location) {
+        this.stock = [{ location: this.location, quantity: this.quantity || 0 }];
+    }
+
+    if (this.isModified('stock')) {
+        this.quantity = this.stock.reduce((sum, bin) => sum + bin.quantity, 0);
     }
+
     next();
 });
 
+// Stock quantities are changed atomically in services/stock.js, which also
+// writes the movement ledger entry
+
 // Ensure virtual fields are serialized
 componentSchema.set('toJSON', { virtuals: true });
 componentSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// open -> approved (variances posted as adjustments) or cancelled. The bins
+// in scope are locked while a session is open.
+const COUNT_STATUSES = ['open', 'approved', 'cancelled'];
+
+// One bin of one component: what the books said when the session opened and
+// what was found on the shelf
+const countLineSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    // Denormalized so count sheets stay readable without a lookup
+    componentName: {
+        type: String,
+        required: true
+    },
+    componentPartNumber: {
+        type: String,
+        required: true
+    },
+    location: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Location path, used to order count sheets in walking order
+    locationPath: {
+        type: String
+    },
+    expectedQuantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    countedQuantity: {
+        type: Number,
+        min: [0, 'Counted quantity cannot be negative']
+    },
+    countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    countedAt: {
+        type: Date
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Line notes cannot exceed 200 characters']
+    },
+    // Adjustment posted for the line on approval
+    movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }
+});
+
+// Virtual for counted minus expected (null until counted)
+countLineSchema.virtual('variance').get(function() {
+    return this.countedQuantity === undefined || this.countedQuantity === null
+        ? null
+        : this.countedQuantity - this.expectedQuantity;
+});
+
+countLineSchema.set('toJSON', { virtuals: true });
+countLineSchema.set('toObject', { virtuals: true });
+
+const countSessionSchema = new mongoose.Schema({
+    countNumber: {
+        type: String,
+        required: [true, 'Count number is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        immutable: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: COUNT_STATUSES,
+            message: 'Invalid count session status'
+        },
+        default: 'open'
+    },
+    // Scope: a location subtree, a category, or both. Without a location
+    // every bin is in scope; without a category every component is.
+    scopeLocation: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    locations: [{
+        type: String,
+        trim: true
+    }],
+    category: {
+        type: String,
+        trim: true
+    },
+    // The category and every category below it when the session was opened
+    categories: [{
+        type: String,
+        trim: true
+    }],
+    lines: [countLineSchema],
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Set when the session is approved or cancelled
+    closedAt: {
+        type: Date
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closeReason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Close reason cannot exceed 200 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+countSessionSchema.index({ status: 1, createdAt: -1 });
+countSessionSchema.index({ status: 1, locations: 1 });
+
+// Virtual for counting progress
+countSessionSchema.virtual('progress').get(function() {
+    const lines = this.lines || [];
+    const counted = lines.filter(line => line.variance !== null).length;
+
+    return {
+        lines: lines.length,
+        counted,
+        remaining: lines.length - counted,
+        withVariance: lines.filter(line => line.variance !== null && line.variance !== 0).length
+    };
+});
+
+// Method to check whether a component's bin falls inside the session's scope
+countSessionSchema.methods.covers = function(category, location) {
+    return (this.categories.length === 0 || this.categories.includes(category)) &&
+        (this.locations.length === 0 || this.locations.includes(location));
+};
+
+// Next number in the yearly sequence, e.g. CNT-2026-0003
+countSessionSchema.statics.nextCountNumber = function() {
+    return Counter.nextNumber('CNT', this, 'countNumber');
+};
+
+// Static method to find the open session, if any, that locks a bin
+countSessionSchema.statics.findLocking = function(category, locations, session = null) {
+    return this.findOne({
+        status: 'open',
+        $and: [
+            { $or: [{ categories: { $size: 0 } }, { categories: category }] },
+            { $or: [{ locations: { $size: 0 } }, { locations: { $in: locations } }] }
+        ]
+    })
+    .select('countNumber scopeLocation category')
+    .session(session);
+};
+
+countSessionSchema.statics.COUNT_STATUSES = COUNT_STATUSES;
+
+// Ensure virtual fields are serialized
+countSessionSchema.set('toJSON', { virtuals: true });
+countSessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('CountSession', countSessionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Yearly document number sequences (PO-2026-0042, REQ-2026-0007...), one
+// document per prefix and year. Numbers are taken with an atomic $inc, so
+// two documents created at the same time never get the same number.
+const counterSchema = new mongoose.Schema({
+    // Prefix and year, e.g. "PO-2026"
+    _id: {
+        type: String
+    },
+    // Last number given out
+    seq: {
+        type: Number,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+// Static method to take the next number of a yearly sequence for `model`,
+// whose `field` holds numbers like `${prefix}-2026-0042`. The first number of
+// a year carries on from the highest one already stored, so numbers given
+// out before the counter existed are not reused. Numbers are taken outside
+// any transaction: an aborted one leaves a gap rather than a duplicate.
+counterSchema.statics.nextNumber = async function(prefix, model, field) {
+    const yearPrefix = `${prefix}-${new Date().getFullYear()}`;
+
+    let counter = await this.findOneAndUpdate({ _id: yearPrefix }, { $inc: { seq: 1 } }, { new: true });
+
+    if (!counter) {
+        const existing = await model.find({ [field]: { $regex: `^${yearPrefix}-\\d+$` } }).select(field).lean();
+        const highest = existing.reduce((max, doc) => Math.max(max, parseInt(doc[field].slice(yearPrefix.length + 1))), 0);
+
+        try {
+            await this.updateOne({ _id: yearPrefix }, { $max: { seq: highest } }, { upsert: true });
+        } catch (error) {
+            // Another request started the sequence first
+            if (error.code !== 11000) throw error;
+        }
+
+        counter = await this.findOneAndUpdate({ _id: yearPrefix }, { $inc: { seq: 1 } }, { new: true });
+    }
+
+    return `${yearPrefix}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const LOAN_STATUSES = ['out', 'returned'];
+
+// Condition equipment is in when it comes back
+const LOAN_CONDITIONS = ['good', 'worn', 'damaged', 'incomplete'];
+
+// Equipment lent out of stock (scopes, soldering stations, programmers).
+// The checkout and check-in are movements on the component, so the item
+// stays in the component list and its movement history.
+const loanSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    componentName: {
+        type: String,
+        required: true
+    },
+    componentPartNumber: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Units lent, for serialized equipment
+    serialNumbers: [{
+        type: String,
+        trim: true
+    }],
+    borrower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    borrowerName: {
+        type: String,
+        required: true
+    },
+    project: {
+        type: String,
+        required: [true, 'Project is required'],
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    dueAt: {
+        type: Date,
+        required: [true, 'Return date is required']
+    },
+    status: {
+        type: String,
+        enum: LOAN_STATUSES,
+        default: 'out'
+    },
+    checkedOutBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    checkedOutByName: {
+        type: String,
+        required: true
+    },
+    checkoutMovement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement',
+        required: true
+    },
+    returnedAt: {
+        type: Date
+    },
+    condition: {
+        type: String,
+        enum: {
+            values: LOAN_CONDITIONS,
+            message: 'Condition must be good, worn, damaged or incomplete'
+        }
+    },
+    returnNotes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Return notes cannot exceed 500 characters']
+    },
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    checkedInByName: {
+        type: String
+    },
+    checkinMovement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+loanSchema.index({ status: 1, dueAt: 1 });
+loanSchema.index({ borrower: 1, status: 1 });
+loanSchema.index({ component: 1, status: 1 });
+loanSchema.index({ serialNumbers: 1 });
+
+// Virtual for whether the item is out past its return date
+loanSchema.virtual('isOverdue').get(function() {
+    return this.status === 'out' && this.dueAt < new Date();
+});
+
+// Virtual for how many days past its return date the item is
+loanSchema.virtual('daysOverdue').get(function() {
+    if (!this.isOverdue) return 0;
+    return Math.ceil((Date.now() - this.dueAt.getTime()) / (1000 * 60 * 60 * 24));
+});
+
+loanSchema.statics.LOAN_STATUSES = LOAN_STATUSES;
+loanSchema.statics.LOAN_CONDITIONS = LOAN_CONDITIONS;
+
+// Ensure virtual fields are serialized
+loanSchema.set('toJSON', { virtuals: true });
+loanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Loan', loanSchema);
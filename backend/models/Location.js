@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+
+// Storage hierarchy, outermost first. A child must sit at a deeper level
+// than its parent (a shelf can hold bins, a bin cannot hold a shelf).
+const LOCATION_TYPES = ['room', 'cabinet', 'shelf', 'bin'];
+
+const locationSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Location code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        immutable: true,
+        maxlength: [50, 'Location code cannot exceed 50 characters'],
+        match: [/^[A-Z0-9][A-Z0-9._-]*$/, 'Location code can only contain letters, numbers, dots, underscores and hyphens']
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Location name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        required: [true, 'Location type is required'],
+        enum: {
+            values: LOCATION_TYPES,
+            message: 'Location type must be room, cabinet, shelf or bin'
+        }
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    // Materialized path: every ancestor id, outermost first
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    }],
+    // Human-readable path, e.g. "LAB-1/CAB-A/SHELF-2/A1-B2"
+    path: {
+        type: String
+    },
+    capacity: {
+        type: Number,
+        min: [0, 'Capacity cannot be negative']
+    },
+    esdSafe: {
+        type: Boolean,
+        default: false
+    },
+    dryCabinet: {
+        type: Boolean,
+        default: false
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+locationSchema.index({ ancestors: 1 });
+locationSchema.index({ parent: 1 });
+locationSchema.index({ path: 1 });
+
+// Virtual for depth in the hierarchy (0 = top level)
+locationSchema.virtual('depth').get(function() {
+    return this.ancestors ? this.ancestors.length : 0;
+});
+
+// Pre-save middleware: keep ancestors/path in sync with the parent
+locationSchema.pre('save', async function(next) {
+    if (!this.isNew && !this.isModified('parent') && !this.isModified('type')) return next();
+
+    try {
+        if (!this.parent) {
+            this.ancestors = [];
+            this.path = this.code;
+            return next();
+        }
+
+        const parent = await this.constructor.findById(this.parent);
+
+        if (!parent) {
+            return next(new ApiError(400, 'Parent location not found'));
+        }
+
+        if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+            return next(new ApiError(400, 'A location cannot be moved inside itself'));
+        }
+
+        if (LOCATION_TYPES.indexOf(this.type) <= LOCATION_TYPES.indexOf(parent.type)) {
+            return next(new ApiError(400, `A ${this.type} cannot be placed inside a ${parent.type}`));
+        }
+
+        this.ancestors = [...parent.ancestors, parent._id];
+        this.path = `${parent.path}/${this.code}`;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to recompute ancestors/path of every descendant after a move
+locationSchema.methods.rebuildDescendants = async function() {
+    const descendants = await this.constructor.find({ ancestors: this._id });
+    const byId = new Map([[this._id.toString(), this]]);
+
+    // Parents before children
+    descendants.sort((a, b) => a.ancestors.length - b.ancestors.length);
+
+    for (const descendant of descendants) {
+        const parent = byId.get(descendant.parent.toString());
+        descendant.ancestors = [...parent.ancestors, parent._id];
+        descendant.path = `${parent.path}/${descendant.code}`;
+        await descendant.save();
+        byId.set(descendant._id.toString(), descendant);
+    }
+};
+
+// Static method to list the codes of a location and everything below it
+locationSchema.statics.subtreeCodes = async function(location) {
+    const descendants = await this.find({ ancestors: location._id, isActive: true }).select('code');
+    return [location.code, ...descendants.map(d => d.code)];
+};
+
+// Static method to find which of the given codes are not active locations
+locationSchema.statics.findUnknownCodes = async function(codes, session = null) {
+    const unique = [...new Set(codes.filter(Boolean))];
+    const found = await this.find({ code: { $in: unique }, isActive: true })
+        .select('code')
+        .session(session);
+    const known = new Set(found.map(l => l.code));
+
+    return unique.filter(code => !known.has(code));
+};
+
+// Static method to map codes to their full paths, the order a store is
+// walked in. Unregistered codes map to themselves.
+locationSchema.statics.pathsByCode = async function(codes, session = null) {
+    const locations = await this.find({ code: { $in: [...new Set(codes)] } })
+        .select('code path')
+        .session(session);
+    const paths = new Map(locations.map(location => [location.code, location.path || location.code]));
+
+    return new Map(codes.map(code => [code, paths.get(code) || code]));
+};
+
+locationSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+
+// Ensure virtual fields are serialized
+locationSchema.set('toJSON', { virtuals: true });
+locationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A manufacturer lot (batch) of one component. Receiving the same lot again
+// tops it up; outward movements consume it (FIFO by receipt date unless a
+// specific lot is requested). The movements that touched a lot are found in
+// the ledger through `movements.lots.lot`.
+const lotSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    lotNumber: {
+        type: String,
+        required: [true, 'Lot number is required'],
+        trim: true,
+        maxlength: [100, 'Lot number cannot exceed 100 characters']
+    },
+    dateCode: {
+        type: String,
+        trim: true,
+        maxlength: [20, 'Date code cannot exceed 20 characters']
+    },
+    supplier: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Supplier cannot exceed 100 characters']
+    },
+    quantityReceived: {
+        type: Number,
+        required: true,
+        min: [0, 'Received quantity cannot be negative'],
+        default: 0
+    },
+    quantityRemaining: {
+        type: Number,
+        required: true,
+        min: [0, 'Remaining quantity cannot be negative'],
+        default: 0
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastReceivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+lotSchema.index({ component: 1, lotNumber: 1 }, { unique: true });
+lotSchema.index({ component: 1, receivedAt: 1 });
+lotSchema.index({ lotNumber: 1 });
+
+// Virtual for lot status
+lotSchema.virtual('status').get(function() {
+    return this.quantityRemaining > 0 ? 'in_stock' : 'depleted';
+});
+
+// Ensure virtual fields are serialized
+lotSchema.set('toJSON', { virtuals: true });
+lotSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Lot', lotSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Company-form words left off when names are compared, so "Texas
+// Instruments Inc." is the same manufacturer as "Texas Instruments"
+const LEGAL_SUFFIXES = ['inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'llc', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'kg'];
+
+// A starting list of manufacturers with the names they go by on BOMs and
+// distributor listings
+const DEFAULT_MANUFACTURERS = [
+    { name: 'Texas Instruments', aliases: ['TI'], website: 'https://www.ti.com' },
+    { name: 'STMicroelectronics', aliases: ['ST', 'STM', 'ST Micro'], website: 'https://www.st.com' },
+    { name: 'Analog Devices', aliases: ['ADI', 'Linear Technology', 'Maxim Integrated', 'Maxim'], website: 'https://www.analog.com' },
+    { name: 'Microchip', aliases: ['Microchip Technology', 'Atmel'], website: 'https://www.microchip.com' },
+    { name: 'NXP', aliases: ['NXP Semiconductors', 'Freescale'], website: 'https://www.nxp.com' },
+    { name: 'onsemi', aliases: ['ON Semiconductor', 'ON Semi', 'Fairchild'], website: 'https://www.onsemi.com' },
+    { name: 'Infineon', aliases: ['Infineon Technologies', 'International Rectifier', 'IR', 'Cypress'], website: 'https://www.infineon.com' },
+    { name: 'Vishay', aliases: ['Vishay Intertechnology', 'Vishay Dale', 'Vishay Siliconix'], website: 'https://www.vishay.com' },
+    { name: 'Murata', aliases: ['Murata Manufacturing'], website: 'https://www.murata.com' },
+    { name: 'Yageo', aliases: [], website: 'https://www.yageo.com' },
+    { name: 'Samsung Electro-Mechanics', aliases: ['Samsung', 'SEMCO'], website: 'https://www.samsungsem.com' },
+    { name: 'TDK', aliases: ['EPCOS'], website: 'https://www.tdk.com' },
+    { name: 'KEMET', aliases: [], website: 'https://www.kemet.com' },
+    { name: 'Würth Elektronik', aliases: ['Wurth', 'Würth', 'WE'], website: 'https://www.we-online.com' },
+    { name: 'Coilcraft', aliases: [], website: 'https://www.coilcraft.com' },
+    { name: 'Abracon', aliases: [], website: 'https://www.abracon.com' },
+    { name: 'Nexperia', aliases: [], website: 'https://www.nexperia.com' },
+    { name: 'Diodes Incorporated', aliases: ['Diodes'], website: 'https://www.diodes.com' },
+    { name: 'Renesas', aliases: ['Renesas Electronics', 'Intersil', 'IDT'], website: 'https://www.renesas.com' },
+    { name: 'Espressif', aliases: ['Espressif Systems'], website: 'https://www.espressif.com' },
+    { name: 'Molex', aliases: [], website: 'https://www.molex.com' },
+    { name: 'TE Connectivity', aliases: ['TE', 'Tyco Electronics'], website: 'https://www.te.com' },
+    { name: 'Amphenol', aliases: [], website: 'https://www.amphenol.com' },
+    { name: 'Bourns', aliases: [], website: 'https://www.bourns.com' }
+];
+
+// Lower case without accents, punctuation, spaces or a trailing company
+// form: "Würth Elektronik GmbH" -> "wurthelektronik"
+const normalizeKey = (name) => {
+    const words = String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+
+    while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+
+    return words.join('');
+};
+
+const manufacturerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Manufacturer name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Manufacturer name cannot exceed 100 characters']
+    },
+    // Other names the manufacturer goes by ("TI"), a brand it bought, etc.
+    aliases: [{
+        type: String,
+        trim: true,
+        maxlength: [100, 'Alias cannot exceed 100 characters']
+    }],
+    // Normalized name and aliases, each belonging to one manufacturer only
+    keys: {
+        type: [String],
+        select: false
+    },
+    website: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+manufacturerSchema.index({ keys: 1 }, { unique: true });
+
+// Pre-validate middleware: derive the lookup keys from the name and aliases
+manufacturerSchema.pre('validate', function(next) {
+    const names = [this.name, ...this.aliases.filter(Boolean)];
+
+    if (names.some(name => !normalizeKey(name))) {
+        this.invalidate('aliases', 'Names and aliases need at least one letter or number');
+        return next();
+    }
+
+    // Aliases that only differ from the name or each other in case or
+    // punctuation add nothing
+    const byKey = new Map();
+    names.forEach(name => {
+        if (!byKey.has(normalizeKey(name))) byKey.set(normalizeKey(name), name);
+    });
+
+    this.aliases = [...byKey.values()].slice(1);
+    this.keys = [...byKey.keys()];
+    next();
+});
+
+// Static method to find the active manufacturer a name or alias belongs to
+manufacturerSchema.statics.resolve = function(name, session = null) {
+    const key = normalizeKey(name || '');
+    if (!key) return Promise.resolve(null);
+
+    return this.findOne({ keys: key, isActive: true }).session(session);
+};
+
+// Static method to find which manufacturer, if any, already owns any of
+// the given names or aliases
+manufacturerSchema.statics.findConflict = function(names, excludeId = null) {
+    const filter = { keys: { $in: names.map(normalizeKey).filter(Boolean) } };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    return this.findOne(filter).select('name isActive');
+};
+
+// Static method to fill an empty registry with the default manufacturers.
+// Once there are manufacturers they are the admins' to change.
+manufacturerSchema.statics.seedDefaults = async function(user = null) {
+    if (await this.exists({})) return 0;
+
+    for (const defaults of DEFAULT_MANUFACTURERS) {
+        await new this({ ...defaults, createdBy: user && user._id }).save();
+    }
+    return DEFAULT_MANUFACTURERS.length;
+};
+
+manufacturerSchema.statics.normalizeKey = normalizeKey;
+manufacturerSchema.statics.DEFAULT_MANUFACTURERS = DEFAULT_MANUFACTURERS;
+
+module.exports = mongoose.model('Manufacturer', manufacturerSchema);
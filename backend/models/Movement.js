@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+// inward/outward: receipts and consumption. return: unused stock back from
+// a project. scrap: stock destroyed or written off. adjustment: the books
+// corrected without anything moving. checkout/checkin: equipment lent out
+// and brought back, which is not consumption.
+const MOVEMENT_TYPES = ['inward', 'outward', 'return', 'scrap', 'transfer', 'adjustment', 'checkout', 'checkin'];
+
+// Types that must say why with a code from the reason code registry
+const CODED_TYPES = ['return', 'scrap', 'adjustment'];
+
+// How much of a movement came from / went to each bin
+const allocationSchema = new mongoose.Schema({
+    location: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Allocated quantity must be at least 1']
+    }
+}, {
+    _id: false
+});
+
+// Which manufacturer lots a movement received into / consumed from
+const movementLotSchema = new mongoose.Schema({
+    lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lot',
+        required: true
+    },
+    lotNumber: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    dateCode: {
+        type: String,
+        trim: true
+    },
+    supplier: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Lot quantity must be at least 1']
+    }
+}, {
+    _id: false
+});
+
+const movementSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    // Denormalized so the ledger stays readable without a lookup
+    componentName: {
+        type: String,
+        required: true
+    },
+    componentPartNumber: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: MOVEMENT_TYPES
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Adjustments correct the books up ('in') or down ('out'). Reversals
+    // also carry it, as they move stock the opposite way to their type.
+    direction: {
+        type: String,
+        enum: ['in', 'out'],
+        required: [
+            function() { return this.type === 'adjustment'; },
+            'Adjustments need a direction'
+        ]
+    },
+    // Code from the reason code registry; `reason` holds its label or
+    // the text the user entered
+    reasonCode: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        required: [
+            function() { return CODED_TYPES.includes(this.type); },
+            'A reason code is required for this movement type'
+        ]
+    },
+    // Count session an adjustment was approved in
+    countSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CountSession'
+    },
+    allocations: [allocationSchema],
+    // Outward movements may also draw on untracked stock, so the lot
+    // quantities can add up to less than `quantity`
+    lots: [movementLotSchema],
+    // Reservation an outward movement fulfilled
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation'
+    },
+    // Purchase order line an inward movement received
+    purchaseOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
+    purchaseOrderLine: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Units moved, for serialized components
+    serialNumbers: [{
+        type: String,
+        trim: true
+    }],
+    // Transfers are written as two legs (out of `fromLocation`, into
+    // `toLocation`) that point at each other
+    fromLocation: {
+        type: String,
+        trim: true
+    },
+    toLocation: {
+        type: String,
+        trim: true
+    },
+    pairedMovement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    },
+    // A reversal is a compensating entry of the same type that undoes the
+    // original; the original is then marked with `reversedBy`
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    },
+    reversedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    },
+    reversedAt: {
+        type: Date
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userName: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    project: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for ledger queries
+movementSchema.index({ component: 1, createdAt: -1 });
+movementSchema.index({ user: 1, createdAt: -1 });
+movementSchema.index({ project: 1, createdAt: -1 });
+movementSchema.index({ createdAt: -1 });
+movementSchema.index({ type: 1, createdAt: -1 });
+movementSchema.index({ 'allocations.location': 1, createdAt: -1 });
+movementSchema.index({ 'lots.lot': 1, createdAt: -1 });
+movementSchema.index({ 'lots.lotNumber': 1, createdAt: -1 });
+movementSchema.index({ purchaseOrder: 1, createdAt: -1 }, { sparse: true });
+movementSchema.index({ serialNumbers: 1, createdAt: -1 });
+movementSchema.index({ countSession: 1 }, { sparse: true });
+movementSchema.index({ reasonCode: 1, createdAt: -1 });
+movementSchema.index({ reversalOf: 1 }, { sparse: true });
+
+// Movements are history: never edit or delete them. The only change allowed
+// is marking a movement as reversed, once.
+movementSchema.plugin(appendOnly, { mutableFields: ['reversedBy', 'reversedAt'] });
+
+movementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+movementSchema.statics.CODED_TYPES = CODED_TYPES;
+
+// Filter for movements that still count: not reversed and not a reversal
+movementSchema.statics.EFFECTIVE = { reversedBy: null, reversalOf: null };
+
+module.exports = mongoose.model('Movement', movementSchema);
@@ -26,7 +26,7 @@ const notificationSchema = new mongoose.Schema({
     },
     category: {
         type: String,
-        enum: ['low_stock', 'old_stock', 'stock_movement', 'user_activity', 'system'],
+        enum: ['low_stock', 'old_stock', 'stock_movement', 'approval', 'part_request', 'loan', 'calibration', 'user_activity', 'system'],
         required: true
     },
     relatedComponent: {
@@ -72,9 +72,16 @@ const notificationSchema = new mongoose.Schema({
         componentPartNumber: String,
         oldQuantity: Number,
         newQuantity: Number,
+        available: Number,
+        reserved: Number,
         threshold: Number,
         movementType: String,
-        project: String
+        project: String,
+        requestId: String,
+        requestNumber: String,
+        loanId: String,
+        serialNumber: String,
+        dueAt: Date
     }
 }, {
     timestamps: true
@@ -123,8 +130,8 @@ notificationSchema.statics.createLowStockNotification = function(component) {
     return new this({
         type: 'warning',
         title: 'Low Stock Alert',
-        message: `${component.name} (${component.partNumber}) is running low (${component.quantity} remaining, threshold: ${component.criticalLowThreshold})`,
-        priority: component.quantity === 0 ? 'high' : 'medium',
+        message: `${component.name} (${component.partNumber}) is running low (${component.available} available${component.reserved ? `, ${component.reserved} reserved` : ''}, threshold: ${component.criticalLowThreshold})`,
+        priority: component.available === 0 ? 'high' : 'medium',
         category: 'low_stock',
         relatedComponent: component._id,
         targetRoles: ['admin', 'user'],
@@ -133,6 +140,8 @@ notificationSchema.statics.createLowStockNotification = function(component) {
             componentName: component.name,
             componentPartNumber: component.partNumber,
             newQuantity: component.quantity,
+            available: component.available,
+            reserved: component.reserved,
             threshold: component.criticalLowThreshold
         }
     });
@@ -159,11 +168,21 @@ notificationSchema.statics.createOldStockNotification = function(component, days
 
 // Static method to create stock movement notification
 notificationSchema.statics.createStockMovementNotification = function(component, movement, user) {
-    const movementText = movement.type === 'inward' ? 'added to' : 'removed from';
+    const added = movement.direction
+        ? movement.direction === 'in'
+        : movement.type === 'inward' || movement.type === 'return' || movement.type === 'checkin';
+    const movementText = added ? 'added to' : 'removed from';
+    const titles = {
+        return: 'Stock Returned',
+        scrap: 'Stock Scrapped',
+        adjustment: 'Stock Adjustment',
+        checkout: 'Equipment Checked Out',
+        checkin: 'Equipment Checked In'
+    };
     
     return new this({
-        type: movement.type === 'inward' ? 'success' : 'info',
-        title: 'Stock Movement',
+        type: movement.type === 'inward' ? 'success' : movement.type === 'scrap' ? 'warning' : 'info',
+        title: movement.reversalOf ? 'Movement Reversed' : titles[movement.type] || 'Stock Movement',
         message: `${movement.quantity} units of ${component.name} ${movementText} inventory by ${user.name} for ${movement.project}`,
         priority: 'low',
         category: 'stock_movement',
@@ -182,6 +201,126 @@ notificationSchema.statics.createStockMovementNotification = function(component,
     });
 };
 
+// Static method to ask approvers to review a held outward request
+notificationSchema.statics.createApprovalRequestNotification = function(request, approverIds) {
+    return new this({
+        type: 'warning',
+        title: 'Approval Required',
+        message: `${request.requestedByName} requests ${request.summary} for ${request.project}: ${request.rules.map(rule => rule.name).join(', ')}`,
+        priority: 'medium',
+        category: 'approval',
+        relatedComponent: request.component,
+        relatedUser: request.requestedBy,
+        targetUsers: approverIds,
+        metadata: {
+            componentId: request.component ? request.component.toString() : undefined,
+            componentName: request.componentName,
+            componentPartNumber: request.componentPartNumber,
+            movementType: 'outward',
+            project: request.project,
+            requestId: request._id.toString(),
+            requestNumber: request.requestNumber
+        }
+    });
+};
+
+// Static method to tell the requester their outward request was decided
+notificationSchema.statics.createApprovalDecisionNotification = function(request) {
+    const approved = request.status === 'approved';
+
+    return new this({
+        type: approved ? 'success' : 'error',
+        title: approved ? 'Request Approved' : 'Request Rejected',
+        message: `Your request ${request.requestNumber} for ${request.summary} was ${request.status} by ${request.decidedByName}${request.decisionNotes ? `: ${request.decisionNotes}` : ''}`,
+        priority: approved ? 'low' : 'medium',
+        category: 'approval',
+        relatedComponent: request.component,
+        relatedUser: request.decidedBy,
+        targetUsers: [request.requestedBy],
+        metadata: {
+            componentId: request.component ? request.component.toString() : undefined,
+            componentName: request.componentName,
+            componentPartNumber: request.componentPartNumber,
+            movementType: 'outward',
+            project: request.project,
+            requestId: request._id.toString(),
+            requestNumber: request.requestNumber
+        }
+    });
+};
+
+// Static method to tell a requester their parts have been picked
+notificationSchema.statics.createPartRequestPickedNotification = function(request, picker) {
+    const complete = request.status === 'picked';
+    const outstanding = request.lines.filter(line => line.outstanding > 0).length;
+
+    return new this({
+        type: complete ? 'success' : 'info',
+        title: complete ? 'Parts Ready' : 'Parts Partly Ready',
+        message: complete
+            ? `Your request ${request.requestNumber} for ${request.project} has been picked by ${picker.name}`
+            : `Part of your request ${request.requestNumber} for ${request.project} has been picked by ${picker.name}; ${outstanding} line(s) still outstanding`,
+        priority: 'low',
+        category: 'part_request',
+        relatedUser: picker._id,
+        targetUsers: [request.requestedBy],
+        metadata: {
+            project: request.project,
+            requestId: request._id.toString(),
+            requestNumber: request.requestNumber
+        }
+    });
+};
+
+// Static method to remind a borrower (and admins) of equipment past its
+// return date
+notificationSchema.statics.createLoanOverdueNotification = function(loan) {
+    return new this({
+        type: 'warning',
+        title: 'Equipment Overdue',
+        message: `${loan.quantity > 1 ? `${loan.quantity} × ` : ''}${loan.componentName}${loan.serialNumbers.length > 0 ? ` (${loan.serialNumbers.join(', ')})` : ''} lent to ${loan.borrowerName} for ${loan.project} was due back ${loan.daysOverdue} day(s) ago`,
+        priority: loan.daysOverdue > 7 ? 'high' : 'medium',
+        category: 'loan',
+        relatedComponent: loan.component,
+        relatedUser: loan.borrower,
+        targetUsers: [loan.borrower],
+        targetRoles: ['admin'],
+        metadata: {
+            componentId: loan.component.toString(),
+            componentName: loan.componentName,
+            componentPartNumber: loan.componentPartNumber,
+            project: loan.project,
+            loanId: loan._id.toString(),
+            dueAt: loan.dueAt
+        }
+    });
+};
+
+// Static method to warn that an instrument is due (or overdue) for
+// calibration; `unit` is an entry of findDueCalibrations()
+notificationSchema.statics.createCalibrationDueNotification = function(unit) {
+    const overdue = unit.daysUntilDue < 0;
+
+    return new this({
+        type: 'warning',
+        title: overdue ? 'Calibration Overdue' : 'Calibration Due',
+        message: overdue
+            ? `${unit.component.name} ${unit.serialNumber} was due for calibration ${-unit.daysUntilDue} day(s) ago`
+            : `${unit.component.name} ${unit.serialNumber} is due for calibration in ${unit.daysUntilDue} day(s)`,
+        priority: overdue ? 'high' : 'medium',
+        category: 'calibration',
+        relatedComponent: unit.component._id,
+        targetRoles: ['admin', 'user'],
+        metadata: {
+            componentId: unit.component._id.toString(),
+            componentName: unit.component.name,
+            componentPartNumber: unit.component.partNumber,
+            serialNumber: unit.serialNumber,
+            dueAt: unit.calibrationDueAt
+        }
+    });
+};
+
 // Static method to get notifications for user
 notificationSchema.statics.getNotificationsForUser = function(userId, userRole) {
     return this.find({
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Rules that held the request, as they were when it was made
+const matchedRuleSchema = new mongoose.Schema({
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApprovalRule'
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    approverPermission: {
+        type: String,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+// One line of a held kit: what the BOM needs of a component
+const kitLineSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    componentName: {
+        type: String,
+        required: true
+    },
+    componentPartNumber: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Value when requested, in the component's currency
+    value: {
+        type: Number,
+        min: 0
+    },
+    currency: {
+        type: String
+    }
+}, {
+    _id: false
+});
+
+// A BOM kit held as a whole: every line is issued on approval, or none
+const kitSchema = new mongoose.Schema({
+    bom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BOM',
+        required: true
+    },
+    bomName: {
+        type: String,
+        required: true
+    },
+    revision: {
+        type: String
+    },
+    boards: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    lines: [kitLineSchema],
+    // The outward movements recorded on approval
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }]
+}, {
+    _id: false
+});
+
+// Kit requests name their components per line instead
+const isSingleComponent = function() {
+    return !this.kit;
+};
+
+// An outward movement, BOM kit or part request pick waiting for approval.
+// Nothing is reserved or removed until it is approved; the movement (or
+// every kit line) is then recorded for the requester, and a pick is issued
+// to whoever asked for the parts.
+const outwardRequestSchema = new mongoose.Schema({
+    requestNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        immutable: true
+    },
+    status: {
+        type: String,
+        enum: REQUEST_STATUSES,
+        default: 'pending'
+    },
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: isSingleComponent
+    },
+    componentName: {
+        type: String,
+        required: isSingleComponent
+    },
+    componentPartNumber: {
+        type: String,
+        required: isSingleComponent
+    },
+    quantity: {
+        type: Number,
+        required: [isSingleComponent, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+    },
+    kit: {
+        type: kitSchema
+    },
+    // Value when requested, in the component's currency
+    value: {
+        type: Number,
+        min: 0
+    },
+    currency: {
+        type: String
+    },
+    // The outward movement as it was asked for
+    location: {
+        type: String,
+        trim: true
+    },
+    lotNumber: {
+        type: String,
+        trim: true
+    },
+    serialNumbers: [{
+        type: String,
+        trim: true
+    }],
+    issuedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation'
+    },
+    // The part request line a held pick belongs to
+    partRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PartRequest'
+    },
+    partRequestLine: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    reasonCode: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    project: {
+        type: String,
+        required: [true, 'Project is required'],
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    rules: [matchedRuleSchema],
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedByName: {
+        type: String,
+        required: true
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    decidedByName: {
+        type: String
+    },
+    decidedAt: {
+        type: Date
+    },
+    decisionNotes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Decision notes cannot exceed 500 characters']
+    },
+    // The outward movement recorded on approval
+    movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+outwardRequestSchema.index({ status: 1, createdAt: -1 });
+outwardRequestSchema.index({ requestedBy: 1, status: 1 });
+outwardRequestSchema.index({ component: 1, status: 1 });
+outwardRequestSchema.index({ 'kit.bom': 1, status: 1 });
+
+// Virtual for what the request asks for, for messages
+outwardRequestSchema.virtual('summary').get(function() {
+    return this.kit
+        ? `a kit of ${this.kit.bomName} rev ${this.kit.revision} for ${this.kit.boards} assemblies`
+        : `${this.quantity} units of ${this.componentName} (${this.componentPartNumber})`;
+});
+
+// Virtual for the permissions an approver needs: those of every rule
+outwardRequestSchema.virtual('approverPermissions').get(function() {
+    return [...new Set((this.rules || []).map(rule => rule.approverPermission))];
+});
+
+// Method to check whether a user may approve or reject the request
+outwardRequestSchema.methods.canBeDecidedBy = function(user) {
+    return this.approverPermissions.every(permission => user.hasPermission(permission));
+};
+
+// Static method to get the next request number for the current year
+outwardRequestSchema.statics.nextRequestNumber = function() {
+    return Counter.nextNumber('REQ', this, 'requestNumber');
+};
+
+outwardRequestSchema.statics.REQUEST_STATUSES = REQUEST_STATUSES;
+
+// Ensure virtual fields are serialized
+outwardRequestSchema.set('toJSON', { virtuals: true });
+outwardRequestSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('OutwardRequest', outwardRequestSchema);
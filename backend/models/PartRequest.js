@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const PART_REQUEST_STATUSES = ['open', 'partially_picked', 'picked', 'closed', 'cancelled'];
+
+const partRequestLineSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    componentName: {
+        type: String,
+        required: true
+    },
+    componentPartNumber: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+    },
+    quantityPicked: {
+        type: Number,
+        min: [0, 'Picked quantity cannot be negative'],
+        default: 0
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Line notes cannot exceed 200 characters']
+    },
+    // Picks held by an approval rule, issued only once approved
+    quantityAwaitingApproval: {
+        type: Number,
+        min: [0, 'Quantity awaiting approval cannot be negative'],
+        default: 0
+    },
+    // Outward movements posted when picks were confirmed
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }],
+    // Approval requests for the picks that were held
+    outwardRequests: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OutwardRequest'
+    }]
+});
+
+// Quantity still to be picked; held picks are not picked again
+partRequestLineSchema.virtual('outstanding').get(function() {
+    return Math.max(0, this.quantity - this.quantityPicked - this.quantityAwaitingApproval);
+});
+
+partRequestLineSchema.set('toJSON', { virtuals: true });
+partRequestLineSchema.set('toObject', { virtuals: true });
+
+// A cart of parts someone asks the store for. Nothing is reserved or
+// removed until a technician confirms what they picked.
+const partRequestSchema = new mongoose.Schema({
+    requestNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        immutable: true
+    },
+    status: {
+        type: String,
+        enum: PART_REQUEST_STATUSES,
+        default: 'open'
+    },
+    project: {
+        type: String,
+        required: [true, 'Project is required'],
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    neededBy: {
+        type: Date
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    lines: {
+        type: [partRequestLineSchema],
+        validate: {
+            validator: lines => lines.length > 0,
+            message: 'A request needs at least one part'
+        }
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedByName: {
+        type: String,
+        required: true
+    },
+    pickedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    pickedAt: {
+        type: Date
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: {
+        type: Date
+    },
+    closeReason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+partRequestSchema.index({ status: 1, neededBy: 1, createdAt: 1 });
+partRequestSchema.index({ requestedBy: 1, status: 1 });
+partRequestSchema.index({ 'lines.component': 1 });
+
+// Virtual for whether the request can still be picked
+partRequestSchema.virtual('isPickable').get(function() {
+    return this.status === 'open' || this.status === 'partially_picked';
+});
+
+// Virtual for whether any pick is still waiting for approval
+partRequestSchema.virtual('isAwaitingApproval').get(function() {
+    return this.lines.some(line => line.quantityAwaitingApproval > 0);
+});
+
+// Method to update the status once picks were issued: picked when every
+// line has been issued in full
+partRequestSchema.methods.markPicked = function(pickerId) {
+    this.status = this.lines.every(line => line.quantityPicked >= line.quantity) ? 'picked' : 'partially_picked';
+    this.pickedBy = pickerId;
+    this.pickedAt = new Date();
+};
+
+// Static method to get the next request number for the current year
+partRequestSchema.statics.nextRequestNumber = function() {
+    return Counter.nextNumber('PRQ', this, 'requestNumber');
+};
+
+partRequestSchema.statics.PART_REQUEST_STATUSES = PART_REQUEST_STATUSES;
+partRequestSchema.statics.PICKABLE_STATUSES = ['open', 'partially_picked'];
+
+// Ensure virtual fields are serialized
+partRequestSchema.set('toJSON', { virtuals: true });
+partRequestSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PartRequest', partRequestSchema);
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { BASE_CURRENCY, CURRENCY_PATTERN } = require('../config/currency');
+
+// draft -> submitted -> partially_received -> closed. A PO with nothing
+// received yet can be cancelled; a partially received one can be closed short.
+const PO_STATUSES = ['draft', 'submitted', 'partially_received', 'closed', 'cancelled'];
+
+// Statuses in which goods are still expected
+const OPEN_STATUSES = ['submitted', 'partially_received'];
+
+const poLineSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: [true, 'Component is required']
+    },
+    // The supplier's listing the line is ordered from, if there is one
+    supplierPart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SupplierPart'
+    },
+    sku: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Supplier SKU cannot exceed 100 characters']
+    },
+    quantityOrdered: {
+        type: Number,
+        required: [true, 'Ordered quantity is required'],
+        min: [1, 'Ordered quantity must be at least 1']
+    },
+    quantityReceived: {
+        type: Number,
+        min: [0, 'Received quantity cannot be negative'],
+        default: 0
+    },
+    quantityInvoiced: {
+        type: Number,
+        min: [0, 'Invoiced quantity cannot be negative'],
+        default: 0
+    },
+    unitPrice: {
+        type: Number,
+        required: [true, 'Unit price is required'],
+        min: [0, 'Unit price cannot be negative']
+    },
+    // Overrides the PO's expected date for this line
+    expectedDate: {
+        type: Date
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Line notes cannot exceed 200 characters']
+    }
+});
+
+// Quantity still to be delivered
+poLineSchema.virtual('outstanding').get(function() {
+    return Math.max(0, this.quantityOrdered - this.quantityReceived);
+});
+
+// Quantity delivered but not yet invoiced
+poLineSchema.virtual('uninvoiced').get(function() {
+    return Math.max(0, this.quantityReceived - this.quantityInvoiced);
+});
+
+poLineSchema.set('toJSON', { virtuals: true });
+poLineSchema.set('toObject', { virtuals: true });
+
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: [true, 'Invoice number is required'],
+        trim: true,
+        maxlength: [100, 'Invoice number cannot exceed 100 characters']
+    },
+    invoiceDate: {
+        type: Date
+    },
+    lines: [{
+        _id: false,
+        line: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, 'Invoiced quantity must be at least 1']
+        }
+    }],
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String,
+        required: [true, 'PO number is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        immutable: true,
+        maxlength: [50, 'PO number cannot exceed 50 characters']
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Supplier is required']
+    },
+    // Denormalized so reports stay readable without a lookup
+    supplierName: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: PO_STATUSES,
+            message: 'Invalid purchase order status'
+        },
+        default: 'draft'
+    },
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [CURRENCY_PATTERN, 'Currency must be a three-letter code'],
+        default: BASE_CURRENCY
+    },
+    expectedDate: {
+        type: Date
+    },
+    // Project receipts are booked to; defaults to the PO number
+    project: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    lines: {
+        type: [poLineSchema],
+        validate: [
+            {
+                validator: lines => lines.length > 0,
+                message: 'A purchase order needs at least one line'
+            },
+            {
+                validator: function(lines) {
+                    const components = lines.map(line => line.component.toString());
+                    return new Set(components).size === components.length;
+                },
+                message: 'Each component can only appear once in a purchase order'
+            }
+        ]
+    },
+    invoices: [invoiceSchema],
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    submittedAt: {
+        type: Date
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set when the PO is closed or cancelled
+    closedAt: {
+        type: Date
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closeReason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Close reason cannot exceed 200 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.component': 1, status: 1 });
+
+// Virtual for the order value
+purchaseOrderSchema.virtual('totalValue').get(function() {
+    return (this.lines || []).reduce((sum, line) => sum + line.quantityOrdered * line.unitPrice, 0);
+});
+
+// Virtual for the value delivered so far
+purchaseOrderSchema.virtual('receivedValue').get(function() {
+    return (this.lines || []).reduce((sum, line) => sum + line.quantityReceived * line.unitPrice, 0);
+});
+
+// Next number in the yearly sequence, e.g. PO-2026-0042
+purchaseOrderSchema.statics.nextPoNumber = function() {
+    return Counter.nextNumber('PO', this, 'poNumber');
+};
+
+purchaseOrderSchema.statics.PO_STATUSES = PO_STATUSES;
+purchaseOrderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// Ensure virtual fields are serialized
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+purchaseOrderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
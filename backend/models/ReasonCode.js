@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { MOVEMENT_TYPES } = require('./Movement');
+
+// Codes every installation starts with. `isSystem` codes are posted by the
+// application itself (stocktakes, quantity corrections) and cannot be retired.
+const DEFAULT_REASON_CODES = [
+    { code: 'purchase_receipt', label: 'Purchase receipt', movementTypes: ['inward'] },
+    { code: 'sample', label: 'Free sample', movementTypes: ['inward'] },
+    { code: 'project_use', label: 'Used in a project', movementTypes: ['outward'] },
+    { code: 'production', label: 'Production build', movementTypes: ['outward'] },
+    { code: 'unused_return', label: 'Returned unused from a project', movementTypes: ['return'] },
+    { code: 'wrong_part', label: 'Wrong part issued', movementTypes: ['return'] },
+    { code: 'esd_damage', label: 'ESD damage', movementTypes: ['scrap'] },
+    { code: 'physical_damage', label: 'Physically damaged', movementTypes: ['scrap'] },
+    { code: 'expired', label: 'Past shelf life or floor life', movementTypes: ['scrap'] },
+    { code: 'relocation', label: 'Storage reorganised', movementTypes: ['transfer'] },
+    { code: 'count_variance', label: 'Stocktake count variance', movementTypes: ['adjustment'], isSystem: true },
+    { code: 'data_correction', label: 'Record corrected', movementTypes: ['adjustment'], isSystem: true }
+];
+
+const reasonCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Reason code is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        immutable: true,
+        maxlength: [50, 'Reason code cannot exceed 50 characters'],
+        match: [/^[a-z0-9_]+$/, 'Reason code can only contain letters, numbers and underscores']
+    },
+    label: {
+        type: String,
+        required: [true, 'Label is required'],
+        trim: true,
+        maxlength: [100, 'Label cannot exceed 100 characters']
+    },
+    // Movement types the code can be given for
+    movementTypes: {
+        type: [{
+            type: String,
+            enum: {
+                values: MOVEMENT_TYPES,
+                message: 'Invalid movement type'
+            }
+        }],
+        validate: {
+            validator: types => types.length > 0,
+            message: 'A reason code needs at least one movement type'
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+reasonCodeSchema.index({ movementTypes: 1, isActive: 1 });
+
+// Static method to add any default code that is missing. Existing codes,
+// including ones an admin has edited, are left alone.
+reasonCodeSchema.statics.ensureDefaults = async function() {
+    for (const defaults of DEFAULT_REASON_CODES) {
+        await this.updateOne(
+            { code: defaults.code },
+            { $setOnInsert: { isSystem: false, ...defaults } },
+            { upsert: true }
+        );
+    }
+};
+
+// Static method to find the active code for a movement type
+reasonCodeSchema.statics.findForType = function(code, type, session = null) {
+    return this.findOne({ code, movementTypes: type, isActive: true }).session(session);
+};
+
+reasonCodeSchema.statics.DEFAULT_REASON_CODES = DEFAULT_REASON_CODES;
+
+module.exports = mongoose.model('ReasonCode', reasonCodeSchema);
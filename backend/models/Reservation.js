@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Stock set aside for a project without removing it. While a reservation is
+// active its outstanding quantity is counted in `Component.reserved`, and
+// outward movements that do not fulfil it can only use the rest.
+const reservationSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+    },
+    quantityFulfilled: {
+        type: Number,
+        min: [0, 'Fulfilled quantity cannot be negative'],
+        default: 0
+    },
+    project: {
+        type: String,
+        required: [true, 'Project is required'],
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    neededBy: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ['active', 'fulfilled', 'released'],
+        default: 'active'
+    },
+    reservedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reservedByName: {
+        type: String,
+        required: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // Outward movements that fulfilled (part of) the reservation
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }],
+    fulfilledAt: {
+        type: Date
+    },
+    releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    releasedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+reservationSchema.index({ component: 1, status: 1 });
+reservationSchema.index({ project: 1, status: 1 });
+reservationSchema.index({ reservedBy: 1, status: 1 });
+reservationSchema.index({ neededBy: 1 });
+
+// Virtual for the quantity still held back
+reservationSchema.virtual('outstanding').get(function() {
+    return this.status === 'active' ? this.quantity - this.quantityFulfilled : 0;
+});
+
+// Ensure virtual fields are serialized
+reservationSchema.set('toJSON', { virtuals: true });
+reservationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Statuses a serialized unit can be in. Only stock movements move a unit in
+// or out of 'in_stock'; the other statuses can be set by hand while it is out.
+const SERIAL_STATUSES = ['in_stock', 'issued', 'in_repair', 'retired'];
+
+const serialEventSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true,
+        enum: ['received', 'issued', 'returned', 'scrapped', 'transferred', 'status_change', 'calibrated']
+    },
+    status: {
+        type: String,
+        enum: SERIAL_STATUSES
+    },
+    location: String,
+    holder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    holderName: String,
+    project: String,
+    movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userName: String,
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const serialItemSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+    },
+    serialNumber: {
+        type: String,
+        required: [true, 'Serial number is required'],
+        trim: true,
+        maxlength: [100, 'Serial number cannot exceed 100 characters']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: SERIAL_STATUSES,
+            message: 'Invalid serial status'
+        },
+        default: 'in_stock'
+    },
+    // Bin while in stock
+    location: {
+        type: String,
+        trim: true
+    },
+    // Who has the unit and what it is used for while it is out of stock
+    holder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    holderName: String,
+    project: {
+        type: String,
+        trim: true
+    },
+    // From the latest calibration record (models/CalibrationRecord.js)
+    lastCalibratedAt: {
+        type: Date
+    },
+    calibrationDueAt: {
+        type: Date
+    },
+    history: [serialEventSchema]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+serialItemSchema.index({ component: 1, serialNumber: 1 }, { unique: true });
+serialItemSchema.index({ component: 1, status: 1 });
+serialItemSchema.index({ serialNumber: 1 });
+serialItemSchema.index({ holder: 1, status: 1 });
+serialItemSchema.index({ project: 1 });
+serialItemSchema.index({ calibrationDueAt: 1 }, { sparse: true });
+
+serialItemSchema.statics.SERIAL_STATUSES = SERIAL_STATUSES;
+
+module.exports = mongoose.model('SerialItem', serialItemSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCY_PATTERN } = require('../config/currency');
+
+const supplierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Supplier name is required'],
+        trim: true,
+        maxlength: [100, 'Supplier name cannot exceed 100 characters']
+    },
+    website: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                if (!v) return true; // Optional field
+                return /^https?:\/\/.+/.test(v);
+            },
+            message: 'Website must be a valid URL'
+        }
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Contact name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [30, 'Phone number cannot exceed 30 characters']
+    },
+    // Currency the supplier quotes in, the default for its parts
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [CURRENCY_PATTERN, 'Currency must be a three-letter code'],
+        default: BASE_CURRENCY
+    },
+    // Typical lead time, used for parts that do not state their own
+    leadTimeDays: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+supplierSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN } = require('../config/currency');
+
+// Unit price from `minQuantity` units upwards
+const priceBreakSchema = new mongoose.Schema({
+    minQuantity: {
+        type: Number,
+        required: [true, 'Price break quantity is required'],
+        min: [1, 'Price break quantity must be at least 1']
+    },
+    unitPrice: {
+        type: Number,
+        required: [true, 'Price break unit price is required'],
+        min: [0, 'Unit price cannot be negative']
+    }
+}, {
+    _id: false
+});
+
+// A component as sold by one supplier
+const supplierPartSchema = new mongoose.Schema({
+    component: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: [true, 'Component is required']
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Supplier is required']
+    },
+    // The supplier's own order code
+    sku: {
+        type: String,
+        required: [true, 'Supplier SKU is required'],
+        trim: true,
+        maxlength: [100, 'Supplier SKU cannot exceed 100 characters']
+    },
+    url: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                if (!v) return true; // Optional field
+                return /^https?:\/\/.+/.test(v);
+            },
+            message: 'Product link must be a valid URL'
+        }
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        trim: true,
+        uppercase: true,
+        match: [CURRENCY_PATTERN, 'Currency must be a three-letter code']
+    },
+    // Minimum order quantity
+    moq: {
+        type: Number,
+        min: [1, 'Minimum order quantity must be at least 1'],
+        default: 1
+    },
+    leadTimeDays: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative']
+    },
+    priceBreaks: {
+        type: [priceBreakSchema],
+        validate: {
+            validator: function(breaks) {
+                const quantities = breaks.map(b => b.minQuantity);
+                return new Set(quantities).size === quantities.length;
+            },
+            message: 'Each price break quantity can only appear once'
+        }
+    },
+    // The supplier the component is normally bought from; at most one per
+    // component, its price feeds Component.unitPrice
+    isPreferred: {
+        type: Boolean,
+        default: false
+    },
+    // Price actually paid on the most recent receipt from this supplier
+    lastPaidPrice: {
+        type: Number,
+        min: [0, 'Unit price cannot be negative']
+    },
+    lastPaidAt: {
+        type: Date
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+supplierPartSchema.index({ component: 1, isActive: 1 });
+supplierPartSchema.index(
+    { supplier: 1, sku: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Keep price breaks in ascending quantity order
+supplierPartSchema.pre('validate', function(next) {
+    if (this.isModified('priceBreaks')) {
+        this.priceBreaks.sort((a, b) => a.minQuantity - b.minQuantity);
+    }
+    next();
+});
+
+// Price of ordering `quantity` units: the order is raised to the MOQ (and
+// to the first price break, if that is higher) and priced at the highest
+// break it reaches. Null when the part has no prices.
+supplierPartSchema.methods.priceFor = function(quantity) {
+    if (!this.priceBreaks || this.priceBreaks.length === 0) {
+        return null;
+    }
+
+    const orderQuantity = Math.max(quantity, this.moq || 1, this.priceBreaks[0].minQuantity);
+    const priceBreak = this.priceBreaks.filter(b => b.minQuantity <= orderQuantity).pop();
+
+    return {
+        orderQuantity,
+        unitPrice: priceBreak.unitPrice,
+        extendedPrice: Math.round(orderQuantity * priceBreak.unitPrice * 100) / 100,
+        currency: this.currency
+    };
+};
+
+// Virtual for the unit price at the minimum order quantity
+supplierPartSchema.virtual('moqPrice').get(function() {
+    const price = this.priceFor(this.moq || 1);
+    return price ? price.unitPrice : null;
+});
+
+// Ensure virtual fields are serialized
+supplierPartSchema.set('toJSON', { virtuals: true });
+supplierPartSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('SupplierPart', supplierPartSchema);
@@ -48,6 +48,11 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    // SHA-256 of the token calendar feeds are subscribed with
+    calendarTokenHash: {
+        type: String,
+        select: false
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -60,6 +65,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ calendarTokenHash: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -103,6 +109,7 @@ userSchema.methods.hasPermission = function(permission) {
 userSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    delete user.calendarTokenHash;
     return user;
 };
 
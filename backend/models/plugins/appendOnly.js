@@ -0,0 +1,76 @@
+// Plugin that makes a collection append-only: documents can be inserted but
+// never updated, replaced or deleted through Mongoose.
+//
+// `mutableFields` lists fields that may still be set on an existing document
+// with updateOne / findOneAndUpdate (e.g. a link to a later record that
+// supersedes it). Only `$set` on those fields is allowed, and only while the
+// field is unset, so such links are written once.
+const blockedQueries = [
+    'updateMany',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove'
+];
+
+const appendOnlyError = (modelName) => {
+    const error = new Error(`${modelName} records are append-only and cannot be modified`);
+    error.statusCode = 405;
+    return error;
+};
+
+// Fields an update sets, or null if it does anything but `$set`. The
+// `$setOnInsert` the timestamps plugin adds is ignored: upserts are refused.
+const setFields = (update) => {
+    const fields = [];
+
+    for (const [key, value] of Object.entries(update || {})) {
+        if (key === '$setOnInsert') {
+            continue;
+        } else if (key === '$set') {
+            fields.push(...Object.keys(value));
+        } else if (key.startsWith('$')) {
+            return null;
+        } else {
+            fields.push(key);
+        }
+    }
+
+    return fields;
+};
+
+module.exports = function appendOnly(schema, { mutableFields = [] } = {}) {
+    schema.pre(blockedQueries, function(next) {
+        next(appendOnlyError(this.model.modelName));
+    });
+
+    schema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
+        const fields = setFields(this.getUpdate());
+
+        if (this.getOptions().upsert || !fields || fields.length === 0 || !fields.every(field => mutableFields.includes(field))) {
+            return next(appendOnlyError(this.model.modelName));
+        }
+
+        // Write once: only documents where the fields are still unset match
+        const filter = this.getFilter();
+        fields.forEach(field => {
+            filter[field] = null;
+        });
+        this.setQuery(filter);
+
+        next();
+    });
+
+    schema.pre('deleteOne', { document: true, query: false }, function(next) {
+        next(appendOnlyError(this.constructor.modelName));
+    });
+
+    schema.pre('save', function(next) {
+        if (!this.isNew) {
+            return next(appendOnlyError(this.constructor.modelName));
+        }
+        next();
+    });
+};
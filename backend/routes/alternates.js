@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Alternate = require('../models/Alternate');
+const Component = require('../models/Component');
+const { authenticate, authorize } = require('../middleware/auth');
+const { findAlternates } = require('../services/alternates');
+
+const router = express.Router();
+
+const LINKED_FIELDS = 'name partNumber manufacturer category';
+
+const linkValidators = [
+    body('bidirectional')
+        .optional()
+        .isBoolean()
+        .withMessage('bidirectional must be a boolean')
+        .toBoolean(),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+];
+
+// @route   GET /api/alternates
+// @desc    List cross-references, optionally those of one component (on
+//          either side)
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, componentId } = req.query;
+
+        // Build filter
+        const filter = { isActive: true };
+        if (componentId) {
+            filter.$or = [{ component: componentId }, { alternate: componentId }];
+        }
+
+        const links = await Alternate.find(filter)
+            .populate('component', LINKED_FIELDS)
+            .populate('alternate', LINKED_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Alternate.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: links,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get alternates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching alternates'
+        });
+    }
+});
+
+// @route   GET /api/alternates/for/:componentId
+// @desc    Components that can be used in place of a component, most
+//          available stock first
+// @access  Private
+router.get('/for/:componentId', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const component = await Component.findOne({ _id: req.params.componentId, isActive: true })
+            .select('name partNumber quantity reserved');
+
+        if (!component) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found'
+            });
+        }
+
+        const alternates = (await findAlternates([component._id])).get(component._id.toString());
+
+        res.json({
+            success: true,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    available: component.available
+                },
+                alternates: alternates.map(alternate => ({
+                    id: alternate._id,
+                    name: alternate.name,
+                    partNumber: alternate.partNumber,
+                    manufacturer: alternate.manufacturer,
+                    location: alternate.location,
+                    available: alternate.available
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get component alternates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching alternates'
+        });
+    }
+});
+
+// @route   POST /api/alternates
+// @desc    Mark `alternateId` as a drop-in replacement for `componentId`
+//          (both ways unless `bidirectional` is false)
+// @access  Private
+router.post('/', authenticate, authorize('edit'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('alternateId')
+        .isMongoId()
+        .withMessage('Valid alternate component ID is required'),
+    ...linkValidators
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { componentId, alternateId, bidirectional = true, notes } = req.body;
+
+        if (componentId === alternateId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A component cannot be its own alternate'
+            });
+        }
+
+        const [component, alternate] = await Promise.all([
+            Component.findOne({ _id: componentId, isActive: true }).select(LINKED_FIELDS),
+            Component.findOne({ _id: alternateId, isActive: true }).select(LINKED_FIELDS)
+        ]);
+
+        if (!component || !alternate) {
+            return res.status(404).json({
+                success: false,
+                message: component ? 'Alternate component not found' : 'Component not found'
+            });
+        }
+
+        // One link per pair; a one-way link the other way round is made
+        // bidirectional rather than doubled
+        const existing = await Alternate.findBetween(component._id, alternate._id);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: existing.component.equals(component._id) || existing.bidirectional
+                    ? `${alternate.partNumber} is already an alternate for ${component.partNumber}`
+                    : `${component.partNumber} is already a one-way alternate for ${alternate.partNumber}, make that link bidirectional instead`
+            });
+        }
+
+        const link = new Alternate({
+            component: component._id,
+            alternate: alternate._id,
+            bidirectional,
+            notes,
+            createdBy: req.user._id
+        });
+
+        await link.save();
+        await link.populate('component', LINKED_FIELDS);
+        await link.populate('alternate', LINKED_FIELDS);
+
+        res.status(201).json({
+            success: true,
+            message: `${alternate.partNumber} can now be used in place of ${component.partNumber}${bidirectional ? ' and the other way round' : ''}`,
+            data: link
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create alternate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating alternate'
+        });
+    }
+});
+
+// @route   PUT /api/alternates/:id
+// @desc    Change the direction or notes of a cross-reference
+// @access  Private
+router.put('/:id', authenticate, authorize('edit'), linkValidators, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const link = await Alternate.findOne({ _id: req.params.id, isActive: true });
+
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alternate not found'
+            });
+        }
+
+        const { bidirectional, notes } = req.body;
+        if (bidirectional !== undefined) link.bidirectional = bidirectional;
+        if (notes !== undefined) link.notes = notes;
+        link.lastUpdatedBy = req.user._id;
+
+        await link.save();
+        await link.populate('component', LINKED_FIELDS);
+        await link.populate('alternate', LINKED_FIELDS);
+
+        res.json({
+            success: true,
+            message: 'Alternate updated successfully',
+            data: link
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update alternate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating alternate'
+        });
+    }
+});
+
+// @route   DELETE /api/alternates/:id
+// @desc    Remove a cross-reference (soft delete)
+// @access  Private
+router.delete('/:id', authenticate, authorize('edit'), async (req, res) => {
+    try {
+        const link = await Alternate.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { isActive: false, lastUpdatedBy: req.user._id }
+        );
+
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alternate not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Alternate removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete alternate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing alternate'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ApprovalRule = require('../models/ApprovalRule');
+const OutwardRequest = require('../models/OutwardRequest');
+const Category = require('../models/Category');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+    approveOutwardRequest,
+    rejectOutwardRequest,
+    cancelOutwardRequest
+} = require('../services/approvals');
+
+const router = express.Router();
+
+const ruleValidators = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Rule name is required and cannot exceed 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Description cannot exceed 300 characters'),
+    body('minValue')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Minimum value must be a non-negative number'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(/^[A-Z]{3}$/)
+        .withMessage('Currency must be a three-letter code'),
+    body('minQuantity')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Minimum quantity must be a positive integer'),
+    body('categories')
+        .optional()
+        .isArray()
+        .withMessage('Categories must be an array'),
+    body('categories.*')
+        .custom(name => Category.assertRegistered(name)),
+    body('approverPermission')
+        .optional()
+        .isIn(ApprovalRule.APPROVER_PERMISSIONS)
+        .withMessage('Invalid approver permission'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+];
+
+const ruleFields = ['name', 'description', 'minValue', 'currency', 'minQuantity', 'categories', 'approverPermission'];
+
+// @route   GET /api/approvals/rules
+// @desc    List approval rules for outward movements
+// @access  Private
+router.get('/rules', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const rules = await ApprovalRule.find()
+            .populate('createdBy lastUpdatedBy', 'name username')
+            .sort({ isActive: -1, name: 1 });
+
+        res.json({
+            success: true,
+            data: rules
+        });
+
+    } catch (error) {
+        console.error('Get approval rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching approval rules'
+        });
+    }
+});
+
+// @route   POST /api/approvals/rules
+// @desc    Add an approval rule: outward movements worth at least `minValue`,
+//          of at least `minQuantity` units, or in one of `categories` wait
+//          for someone with `approverPermission`
+// @access  Private/Admin
+router.post('/rules', authenticate, authorize('all'), ruleValidators(false), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const rule = new ApprovalRule({ createdBy: req.user._id });
+        ruleFields.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        if (req.body.isActive !== undefined) rule.isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+        await rule.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Approval rule created successfully',
+            data: rule
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create approval rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating approval rule'
+        });
+    }
+});
+
+// @route   PUT /api/approvals/rules/:id
+// @desc    Update an approval rule. Pending requests keep the rules they
+//          were held by.
+// @access  Private/Admin
+router.put('/rules/:id', authenticate, authorize('all'), ruleValidators(true), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const rule = await ApprovalRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Approval rule not found'
+            });
+        }
+
+        ruleFields.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        if (req.body.isActive !== undefined) rule.isActive = req.body.isActive === true || req.body.isActive === 'true';
+        rule.lastUpdatedBy = req.user._id;
+
+        await rule.save();
+
+        res.json({
+            success: true,
+            message: 'Approval rule updated successfully',
+            data: rule
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update approval rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating approval rule'
+        });
+    }
+});
+
+// @route   DELETE /api/approvals/rules/:id
+// @desc    Delete an approval rule; requests already held stay pending
+// @access  Private/Admin
+router.delete('/rules/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const rule = await ApprovalRule.findByIdAndDelete(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Approval rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Approval rule ${rule.name} deleted`
+        });
+
+    } catch (error) {
+        console.error('Delete approval rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting approval rule'
+        });
+    }
+});
+
+// @route   GET /api/approvals/requests
+// @desc    List outward requests: your own, and those you could decide
+// @access  Private
+router.get('/requests', authenticate, [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn([...OutwardRequest.REQUEST_STATUSES, 'all']).withMessage('Invalid status'),
+    query('mine').optional().isBoolean().withMessage('mine must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, status = 'pending', mine } = req.query;
+
+        const filter = {};
+        if (status !== 'all') filter.status = status;
+
+        if (mine === 'true') {
+            filter.requestedBy = req.user._id;
+        } else if (!req.user.hasPermission('all')) {
+            filter.$or = [
+                { requestedBy: req.user._id },
+                { 'rules.approverPermission': { $in: req.user.getPermissions() } }
+            ];
+        }
+
+        const requests = await OutwardRequest.find(filter)
+            .populate('component', 'name partNumber quantity reserved location')
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await OutwardRequest.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: requests.map(request => ({
+                ...request.toJSON(),
+                canDecide: request.status === 'pending' &&
+                    !request.requestedBy.equals(req.user._id) &&
+                    request.canBeDecidedBy(req.user)
+            })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get outward requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching outward requests'
+        });
+    }
+});
+
+// @route   GET /api/approvals/requests/:id
+// @desc    Get an outward request with the movement recorded on approval
+// @access  Private
+router.get('/requests/:id', authenticate, async (req, res) => {
+    try {
+        const request = await OutwardRequest.findById(req.params.id)
+            .populate('component', 'name partNumber quantity reserved location unitPrice currency')
+            .populate('movement', 'quantity allocations lots userName project createdAt')
+            .populate('kit.movements', 'componentName componentPartNumber quantity allocations lots userName project createdAt')
+            .populate('requestedBy decidedBy issuedTo', 'name username');
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Outward request not found'
+            });
+        }
+
+        if (!request.requestedBy._id.equals(req.user._id) && !request.canBeDecidedBy(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view your own requests or ones you can decide'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: request
+        });
+
+    } catch (error) {
+        console.error('Get outward request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching outward request'
+        });
+    }
+});
+
+// @route   POST /api/approvals/requests/:id/approve
+// @desc    Approve a request: the stock (a kit: every line) is removed now,
+//          for the requester
+// @access  Private (approver permission of the rules that held it)
+router.post('/requests/:id/approve', authenticate, [
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const approval = await approveOutwardRequest(req.params.id, {
+            notes: req.body.notes
+        }, req.user);
+
+        if (approval.request.kit) {
+            const { request, results } = approval;
+
+            return res.json({
+                success: true,
+                message: `Approved ${request.requestNumber}: issued ${request.summary}`,
+                data: {
+                    request,
+                    lines: results.map(({ component, movement }) => ({
+                        component: {
+                            id: component._id,
+                            name: component.name,
+                            partNumber: component.partNumber,
+                            quantity: component.quantity,
+                            reserved: component.reserved,
+                            available: component.available
+                        },
+                        movement
+                    }))
+                }
+            });
+        }
+
+        const { request, component, movement, reservation, partRequest } = approval;
+
+        res.json({
+            success: true,
+            message: `Approved ${request.requestNumber}: removed ${request.quantity} units of ${component.name}`,
+            data: {
+                request,
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    quantity: component.quantity,
+                    reserved: component.reserved,
+                    available: component.available
+                },
+                movement,
+                reservation,
+                partRequest
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Approve outward request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while approving outward request'
+        });
+    }
+});
+
+// @route   POST /api/approvals/requests/:id/reject
+// @desc    Reject a request; stock is untouched
+// @access  Private (approver permission of the rules that held it)
+router.post('/requests/:id/reject', authenticate, [
+    body('notes')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 500 })
+        .withMessage('Give a reason for the rejection (at most 500 characters)')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const request = await rejectOutwardRequest(req.params.id, { notes: req.body.notes }, req.user);
+
+        res.json({
+            success: true,
+            message: `Rejected ${request.requestNumber}`,
+            data: request
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Reject outward request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while rejecting outward request'
+        });
+    }
+});
+
+// @route   POST /api/approvals/requests/:id/cancel
+// @desc    Withdraw your own pending request
+// @access  Private
+router.post('/requests/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const request = await cancelOutwardRequest(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            message: `Cancelled ${request.requestNumber}`,
+            data: request
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Cancel outward request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling outward request'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Audit records are written by the routes that change records; there is
+// deliberately no way to create, edit or delete them here.
+
+// @route   GET /api/audit
+// @desc    Query the audit log, newest first
+// @access  Private/Admin
+router.get('/', authenticate, authorize('all'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    query('entityType').optional().isIn(AuditLog.AUDITED_MODELS).withMessage(`Entity type must be one of: ${AuditLog.AUDITED_MODELS.join(', ')}`),
+    query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    query('action').optional().isIn(['create', 'update', 'delete', 'restore', 'purge', 'merge']).withMessage('Action must be create, update, delete, restore, purge or merge'),
+    query('field').optional().trim().isLength({ max: 50 }).withMessage('Field name too long'),
+    query('ip').optional().trim().isLength({ max: 64 }).withMessage('IP address too long'),
+    query('from').optional().isISO8601().withMessage('from must be a date'),
+    query('to').optional().isISO8601().withMessage('to must be a date')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, entityType, entityId, userId, action, field, ip, from, to } = req.query;
+
+        // Build filter
+        const filter = {};
+        if (entityType) filter.entityType = entityType;
+        if (entityId) filter.entity = entityId;
+        if (userId) filter.user = userId;
+        if (action) filter.action = action;
+        if (field) filter['changes.field'] = field;
+        if (ip) filter.ip = ip;
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const entries = await AuditLog.find(filter)
+            .populate('user', 'name username')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await AuditLog.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching audit log'
+        });
+    }
+});
+
+// @route   GET /api/audit/:id
+// @desc    Get an audit record with the record it is about
+// @access  Private/Admin
+router.get('/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const entry = await AuditLog.findById(req.params.id)
+            .populate('user', 'name username')
+            // Never hand out credentials with an audited user
+            .populate({ path: 'entity', select: '-password -calendarTokenHash' });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audit record not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Get audit record error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching audit record'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { sendTokenResponse, authenticate } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
 
 const router = express.Router();
 
@@ -152,6 +153,7 @@ router.post('/register', authenticate, [
         });
 
         await user.save();
+        await recordAudit(req, { entityType: 'User', entity: user, action: 'create', after: user });
 
         res.status(201).json({
             success: true,
@@ -255,6 +257,15 @@ router.put('/profile', authenticate, [
             { new: true, runValidators: true }
         );
 
+        await recordAudit(req, {
+            entityType: 'User',
+            entity: user,
+            action: 'update',
+            before: req.user,
+            after: user,
+            fields: Object.keys(updateData)
+        });
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -314,8 +325,10 @@ router.put('/change-password', authenticate, [
         }
 
         // Update password
+        const before = snapshot(user);
         user.password = newPassword;
         await user.save();
+        await recordAudit(req, { entityType: 'User', entity: user, action: 'update', before, after: user, fields: ['password'] });
 
         res.json({
             success: true,
@@ -0,0 +1,781 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const BOM = require('../models/BOM');
+const Component = require('../models/Component');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buildCapacity, kitBom, matchImportLines, summarizeImport } = require('../services/boms');
+const { holdKitForApproval } = require('../services/approvals');
+const { findAlternates } = require('../services/alternates');
+const { FORMATS, parseBomExport } = require('../utils/bomImport');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Reference designators may be sent as an array or as "R1, R2 R3"
+const toDesignatorList = value => (typeof value === 'string' ? value.split(/[\s,;]+/).filter(Boolean) : value);
+
+const lineValidators = (optional) => [
+    (optional ? body('lines').optional() : body('lines'))
+        .isArray({ min: 1, max: 1000 })
+        .withMessage('Lines must be a non-empty array of at most 1000 entries'),
+    body('lines.*.componentId')
+        .isMongoId()
+        .withMessage('Each line needs a valid component ID'),
+    body('lines.*.quantityPer')
+        .isInt({ min: 1 })
+        .withMessage('Quantity per assembly must be a positive integer'),
+    body('lines.*.referenceDesignators')
+        .optional()
+        .customSanitizer(toDesignatorList)
+        .isArray()
+        .withMessage('Reference designators must be a list'),
+    body('lines.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Line notes cannot exceed 200 characters')
+];
+
+// Turn request lines into BOM lines, checking every component exists
+const buildLines = async (lines) => {
+    const componentIds = lines.map(line => line.componentId);
+    const components = await Component.find({ _id: { $in: componentIds }, isActive: true }).select('_id');
+    const known = new Set(components.map(c => c._id.toString()));
+    const unknown = componentIds.filter(id => !known.has(id));
+
+    return {
+        unknown,
+        lines: lines.map(line => ({
+            component: line.componentId,
+            quantityPer: parseInt(line.quantityPer),
+            referenceDesignators: line.referenceDesignators || [],
+            notes: line.notes
+        }))
+    };
+};
+
+const COMPONENT_FIELDS = 'name partNumber manufacturer location quantity reserved unitPrice trackingMode isActive';
+
+const importValidators = [
+    body('content')
+        .isString()
+        .notEmpty()
+        .isLength({ max: 5 * 1024 * 1024 })
+        .withMessage('File content is required and cannot exceed 5 MB'),
+    body('format')
+        .optional()
+        .isIn(FORMATS)
+        .withMessage(`Format must be one of: ${FORMATS.join(', ')}`),
+    body('columnMap')
+        .optional()
+        .isObject()
+        .withMessage('Column map must be an object of field: column header')
+];
+
+// Parse an uploaded export and match its lines to components
+const readExport = async ({ content, format, columnMap }) => {
+    let parsed;
+
+    try {
+        parsed = parseBomExport(content, { format, columnMap });
+    } catch (error) {
+        throw new ApiError(400, `Could not read BOM file: ${error.message}`);
+    }
+
+    if (parsed.lines.length === 0) {
+        throw new ApiError(400, 'No fitted parts found in BOM file');
+    }
+
+    const lines = await matchImportLines(parsed.lines);
+
+    return {
+        format: parsed.format,
+        columns: parsed.columns,
+        summary: summarizeImport(lines, parsed.skipped),
+        lines
+    };
+};
+
+// @route   GET /api/boms
+// @desc    List BOMs
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, search, componentId } = req.query;
+
+        // Build filter
+        const filter = { isActive: true };
+
+        if (search) {
+            filter.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { assemblyNumber: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        // "Where used": BOMs containing a component
+        if (componentId) {
+            filter['lines.component'] = componentId;
+        }
+
+        const boms = await BOM.find(filter)
+            .populate('createdBy', 'name username')
+            .sort({ name: 1, revision: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await BOM.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: boms,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get BOMs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching BOMs'
+        });
+    }
+});
+
+// @route   POST /api/boms/import/preview
+// @desc    Parse a KiCad (CSV or XML) or Altium CSV BOM export and report how
+//          its lines match existing components, without saving anything
+// @access  Private
+router.post('/import/preview', authenticate, authorize('edit'), importValidators, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const report = await readExport(req.body);
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Preview BOM import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while reading BOM file'
+        });
+    }
+});
+
+// @route   POST /api/boms/import
+// @desc    Create a BOM from an EDA export. Ambiguous and unmatched lines must
+//          be settled in `resolutions` ({ lineKey: componentId, or null to
+//          leave the line out }); `skipUnmatched` leaves out unmatched lines
+// @access  Private
+router.post('/import', authenticate, authorize('edit'), [
+    ...importValidators,
+    body('name')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 200 })
+        .withMessage('BOM name is required and cannot exceed 200 characters'),
+    body('assemblyNumber')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Assembly number cannot exceed 100 characters'),
+    body('revision')
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Revision cannot exceed 20 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description cannot exceed 1000 characters'),
+    body('resolutions')
+        .optional()
+        .isObject()
+        .custom(resolutions => Object.values(resolutions).every(id => id === null || /^[a-f\d]{24}$/i.test(id)))
+        .withMessage('Resolutions must map line keys to a component ID or null'),
+    body('skipUnmatched')
+        .optional()
+        .isBoolean()
+        .withMessage('skipUnmatched must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const report = await readExport(req.body);
+        const resolutions = req.body.resolutions || {};
+        const skipUnmatched = req.body.skipUnmatched === true || req.body.skipUnmatched === 'true';
+
+        const unresolved = [];
+        const merged = new Map();
+
+        report.lines.forEach(line => {
+            let componentId;
+
+            if (Object.prototype.hasOwnProperty.call(resolutions, line.key)) {
+                componentId = resolutions[line.key];
+            } else if (line.status === 'matched') {
+                componentId = line.component.id.toString();
+            } else if (line.status === 'unmatched' && skipUnmatched) {
+                componentId = null;
+            } else {
+                unresolved.push(line);
+                return;
+            }
+
+            if (!componentId) return;
+
+            // Two export lines resolved to the same component become one BOM line
+            const existing = merged.get(componentId);
+            if (existing) {
+                existing.quantityPer += line.quantity;
+                existing.referenceDesignators.push(...line.references);
+            } else {
+                merged.set(componentId, {
+                    componentId,
+                    quantityPer: line.quantity,
+                    referenceDesignators: [...line.references]
+                });
+            }
+        });
+
+        if (unresolved.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${unresolved.length} BOM lines need review before the BOM can be created`,
+                unresolved: unresolved.map(({ key, partNumber, manufacturer, value, footprint, references, status, candidates }) => ({
+                    key, partNumber, manufacturer, value, footprint, references, status, candidates
+                })),
+                summary: report.summary
+            });
+        }
+
+        if (merged.size === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No BOM lines left to import after resolutions'
+            });
+        }
+
+        const { unknown, lines } = await buildLines([...merged.values()]);
+
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown components: ${unknown.join(', ')}`
+            });
+        }
+
+        // Lines without designators (e.g. quantity-only rows) carry none
+        lines.forEach(line => {
+            if (line.referenceDesignators.length !== line.quantityPer) line.referenceDesignators = [];
+        });
+
+        const { name, assemblyNumber, revision, description } = req.body;
+
+        const bom = new BOM({
+            name,
+            assemblyNumber,
+            revision,
+            description,
+            lines,
+            createdBy: req.user._id
+        });
+
+        await bom.save();
+        await bom.populate('lines.component', COMPONENT_FIELDS);
+
+        res.status(201).json({
+            success: true,
+            message: `BOM imported with ${bom.lines.length} lines`,
+            data: bom,
+            summary: report.summary
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        // Mongoose validation error (e.g. designator too long)
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Import BOM error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while importing BOM'
+        });
+    }
+});
+
+// @route   GET /api/boms/:id
+// @desc    Get a BOM with its components
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const bom = await BOM.findOne({ _id: req.params.id, isActive: true })
+            .populate('lines.component', COMPONENT_FIELDS)
+            .populate('createdBy', 'name username')
+            .populate('lastUpdatedBy', 'name username');
+
+        if (!bom) {
+            return res.status(404).json({
+                success: false,
+                message: 'BOM not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: bom
+        });
+
+    } catch (error) {
+        console.error('Get BOM error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching BOM'
+        });
+    }
+});
+
+// @route   GET /api/boms/:id/capacity
+// @desc    How many assemblies current available stock can build, and
+//          which parts are the bottleneck (`quantity` adds shortages for a
+//          build of that size; `includeAlternates=true` counts the stock of
+//          equivalent parts)
+// @access  Private
+router.get('/:id/capacity', authenticate, authorize('view'), [
+    query('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    query('includeAlternates').optional().isBoolean().withMessage('includeAlternates must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const bom = await BOM.findOne({ _id: req.params.id, isActive: true })
+            .populate('lines.component', COMPONENT_FIELDS);
+
+        if (!bom) {
+            return res.status(404).json({
+                success: false,
+                message: 'BOM not found'
+            });
+        }
+
+        const boards = req.query.quantity ? parseInt(req.query.quantity) : undefined;
+        const alternates = req.query.includeAlternates === 'true'
+            ? await findAlternates(bom.lines.filter(line => line.component).map(line => line.component._id))
+            : null;
+
+        res.json({
+            success: true,
+            data: {
+                bom: {
+                    id: bom._id,
+                    name: bom.name,
+                    assemblyNumber: bom.assemblyNumber,
+                    revision: bom.revision
+                },
+                ...buildCapacity(bom, boards, alternates)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get BOM capacity error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while calculating build capacity'
+        });
+    }
+});
+
+// @route   POST /api/boms
+// @desc    Create a BOM
+// @access  Private
+router.post('/', authenticate, authorize('edit'), [
+    body('name')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 200 })
+        .withMessage('BOM name is required and cannot exceed 200 characters'),
+    body('assemblyNumber')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Assembly number cannot exceed 100 characters'),
+    body('revision')
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Revision cannot exceed 20 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description cannot exceed 1000 characters'),
+    ...lineValidators(false)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { unknown, lines } = await buildLines(req.body.lines);
+
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown components: ${unknown.join(', ')}`
+            });
+        }
+
+        const { name, assemblyNumber, revision, description } = req.body;
+
+        const bom = new BOM({
+            name,
+            assemblyNumber,
+            revision,
+            description,
+            lines,
+            createdBy: req.user._id
+        });
+
+        await bom.save();
+        await bom.populate('lines.component', COMPONENT_FIELDS);
+
+        res.status(201).json({
+            success: true,
+            message: 'BOM created successfully',
+            data: bom
+        });
+
+    } catch (error) {
+        // Mongoose validation error (e.g. duplicate lines, designator counts)
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create BOM error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating BOM'
+        });
+    }
+});
+
+// @route   PUT /api/boms/:id
+// @desc    Update a BOM (`lines`, when given, replaces all lines)
+// @access  Private
+router.put('/:id', authenticate, authorize('edit'), [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 200 })
+        .withMessage('BOM name cannot exceed 200 characters'),
+    body('assemblyNumber')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Assembly number cannot exceed 100 characters'),
+    body('revision')
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Revision cannot exceed 20 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description cannot exceed 1000 characters'),
+    ...lineValidators(true)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const bom = await BOM.findOne({ _id: req.params.id, isActive: true });
+
+        if (!bom) {
+            return res.status(404).json({
+                success: false,
+                message: 'BOM not found'
+            });
+        }
+
+        ['name', 'assemblyNumber', 'revision', 'description'].forEach(field => {
+            if (req.body[field] !== undefined) bom[field] = req.body[field];
+        });
+
+        if (req.body.lines) {
+            const { unknown, lines } = await buildLines(req.body.lines);
+
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown components: ${unknown.join(', ')}`
+                });
+            }
+
+            bom.lines = lines;
+        }
+
+        bom.lastUpdatedBy = req.user._id;
+        await bom.save();
+        await bom.populate('lines.component', COMPONENT_FIELDS);
+
+        res.json({
+            success: true,
+            message: 'BOM updated successfully',
+            data: bom
+        });
+
+    } catch (error) {
+        // Mongoose validation error (e.g. duplicate lines, designator counts)
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update BOM error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating BOM'
+        });
+    }
+});
+
+// @route   DELETE /api/boms/:id
+// @desc    Delete a BOM (soft delete)
+// @access  Private
+router.delete('/:id', authenticate, authorize('edit'), async (req, res) => {
+    try {
+        const bom = await BOM.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { isActive: false, lastUpdatedBy: req.user._id },
+            { new: true }
+        );
+
+        if (!bom) {
+            return res.status(404).json({
+                success: false,
+                message: 'BOM not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'BOM deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete BOM error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting BOM'
+        });
+    }
+});
+
+// @route   POST /api/boms/:id/kit
+// @desc    Kit the BOM for `quantity` assemblies: issue every line in one
+//          transaction under one project. A kit with a line that matches
+//          an approval rule is held whole until it is approved.
+// @access  Private
+router.post('/:id/kit', authenticate, authorize('outward'), [
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    body('project')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project is required and cannot exceed 100 characters'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const bom = await BOM.findOne({ _id: req.params.id, isActive: true })
+            .populate('lines.component', 'name partNumber');
+
+        if (!bom) {
+            return res.status(404).json({
+                success: false,
+                message: 'BOM not found'
+            });
+        }
+
+        const boards = parseInt(req.body.quantity);
+        const { project, notes } = req.body;
+        const reason = req.body.reason || `Kit ${bom.name} rev ${bom.revision} x${boards}`;
+
+        // Large or valuable lines wait for an approver; nothing is issued
+        // until one approves the whole kit
+        const request = await holdKitForApproval(bom, boards, { project, reason, notes }, req.user);
+
+        if (request) {
+            return res.status(202).json({
+                success: true,
+                message: `Request ${request.requestNumber} needs approval (${request.rules.map(rule => rule.name).join(', ')}); the kit will be issued once it is approved`,
+                data: {
+                    request
+                }
+            });
+        }
+
+        const results = await kitBom(bom, boards, { project, reason, notes }, req.user);
+
+        res.json({
+            success: true,
+            message: `Kitted ${bom.name} for ${boards} assemblies (${results.length} parts issued to ${project})`,
+            data: {
+                bom: {
+                    id: bom._id,
+                    name: bom.name,
+                    revision: bom.revision
+                },
+                quantity: boards,
+                project,
+                lines: results.map(({ component, movement, oldQuantity }) => ({
+                    component: {
+                        id: component._id,
+                        name: component.name,
+                        partNumber: component.partNumber,
+                        oldQuantity,
+                        newQuantity: component.quantity,
+                        available: component.available,
+                        stockStatus: component.stockStatus
+                    },
+                    movement
+                }))
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another request took this request number, please retry'
+            });
+        }
+
+        console.error('Kit BOM error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while kitting BOM'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,445 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const CalibrationRecord = require('../models/CalibrationRecord');
+const Component = require('../models/Component');
+const SerialItem = require('../models/SerialItem');
+const User = require('../models/User');
+const { authenticate, authenticateCalendarToken, authorize, generateCalendarToken } = require('../middleware/auth');
+const { recordCalibration, attachCertificate, findDueCalibrations } = require('../services/calibrations');
+const { buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+const { CALIBRATION_RESULTS, CERTIFICATE_TYPES } = CalibrationRecord;
+
+// Certificates are uploaded as base64 in the JSON body
+const certificateValidators = (optional) => {
+    const field = name => (optional ? body(name).if(body('certificate').exists()) : body(name));
+
+    return [
+        optional
+            ? body('certificate').optional().isObject().withMessage('Certificate must be an object')
+            : body('certificate').isObject().withMessage('Certificate is required'),
+        field('certificate.filename')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('Certificate filename is required and cannot exceed 200 characters'),
+        field('certificate.contentType')
+            .isIn(CERTIFICATE_TYPES)
+            .withMessage('Certificate must be a PDF, PNG or JPEG file'),
+        field('certificate.data')
+            .isBase64()
+            .withMessage('Certificate data must be base64 encoded')
+            .customSanitizer(value => Buffer.from(value, 'base64'))
+    ];
+};
+
+// @route   GET /api/calibrations
+// @desc    List calibration records (without certificate files)
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('serialId').optional().isMongoId().withMessage('Invalid serial ID'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('result').optional().isIn(CALIBRATION_RESULTS).withMessage('Invalid calibration result'),
+    query('provider').optional().isLength({ max: 100 }).withMessage('Provider query too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, serialId, componentId, result, provider } = req.query;
+
+        const filter = {};
+        if (serialId) filter.serialItem = serialId;
+        if (componentId) {
+            // Records are append-only and keep naming a merged duplicate;
+            // its units, and so their history, are now the survivor's
+            const merged = await Component.findMergedSources([componentId]);
+            filter.component = { $in: [componentId, ...merged.map(component => component._id)] };
+        }
+        if (result) filter.result = result;
+        if (provider) filter.provider = { $regex: provider, $options: 'i' };
+
+        const records = await CalibrationRecord.find(filter)
+            .sort({ calibratedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await CalibrationRecord.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: records,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get calibrations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching calibration records'
+        });
+    }
+});
+
+// @route   GET /api/calibrations/due
+// @desc    Instruments due for calibration in the next `days` days (default
+//          30), overdue ones first, and units never calibrated
+// @access  Private
+router.get('/due', authenticate, authorize('view'), [
+    query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const days = parseInt(req.query.days || 30);
+        const { due, neverCalibrated } = await findDueCalibrations(days);
+
+        res.json({
+            success: true,
+            data: {
+                due,
+                neverCalibrated
+            },
+            summary: {
+                days,
+                overdue: due.filter(unit => unit.daysUntilDue < 0).length,
+                dueSoon: due.filter(unit => unit.daysUntilDue >= 0).length,
+                neverCalibrated: neverCalibrated.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get due calibrations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching due calibrations'
+        });
+    }
+});
+
+// @route   GET /api/calibrations/calendar.ics
+// @desc    iCalendar feed of calibration due dates to subscribe to
+// @access  Private (calendar token)
+router.get('/calendar.ics', authenticateCalendarToken, authorize('view'), async (req, res) => {
+    try {
+        const units = await SerialItem.find({
+            status: { $ne: 'retired' },
+            calibrationDueAt: { $ne: null }
+        })
+            .select('-history')
+            .populate('component', 'name partNumber manufacturer isActive')
+            .sort({ calibrationDueAt: 1 });
+
+        const calendar = buildCalendar({
+            name: 'Calibration due dates',
+            events: units
+                .filter(unit => unit.component && unit.component.isActive)
+                .map(unit => ({
+                    uid: `calibration-${unit._id}-${unit.calibrationDueAt.toISOString().slice(0, 10)}@electronics-inventory`,
+                    date: unit.calibrationDueAt,
+                    summary: `Calibration due: ${unit.component.name} ${unit.serialNumber}`,
+                    description: [
+                        `${unit.component.manufacturer} ${unit.component.partNumber}, serial ${unit.serialNumber}`,
+                        unit.lastCalibratedAt ? `Last calibrated ${unit.lastCalibratedAt.toISOString().slice(0, 10)}` : 'No calibration on record',
+                        unit.status === 'in_stock' ? `In stock at ${unit.location}` : `${unit.status.replace('_', ' ')}${unit.holderName ? `, held by ${unit.holderName}` : ''}`
+                    ].join('\n')
+                }))
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="calibrations.ics"');
+        res.send(calendar);
+
+    } catch (error) {
+        console.error('Get calibration calendar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while building calibration calendar'
+        });
+    }
+});
+
+// @route   POST /api/calibrations/calendar-token
+// @desc    Get a calendar feed URL; replaces (and so revokes) any earlier one
+// @access  Private
+router.post('/calendar-token', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const token = await generateCalendarToken(req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Subscribe to this URL in your calendar app. It is only shown once.',
+            data: {
+                token,
+                url: `${req.protocol}://${req.get('host')}/api/calibrations/calendar.ics?token=${token}`
+            }
+        });
+
+    } catch (error) {
+        console.error('Create calendar token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating calendar token'
+        });
+    }
+});
+
+// @route   DELETE /api/calibrations/calendar-token
+// @desc    Revoke your calendar feed URL
+// @access  Private
+router.delete('/calendar-token', authenticate, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $unset: { calendarTokenHash: '' } });
+
+        res.json({
+            success: true,
+            message: 'Calendar feed URL revoked'
+        });
+
+    } catch (error) {
+        console.error('Revoke calendar token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking calendar token'
+        });
+    }
+});
+
+// @route   GET /api/calibrations/:id
+// @desc    Get a calibration record (certificate details without the file)
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const record = await CalibrationRecord.findById(req.params.id)
+            .populate('serialItem', 'serialNumber status location holderName lastCalibratedAt calibrationDueAt')
+            .populate('recordedBy certificate.uploadedBy', 'name username');
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calibration record not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+
+    } catch (error) {
+        console.error('Get calibration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching calibration record'
+        });
+    }
+});
+
+// @route   GET /api/calibrations/:id/certificate
+// @desc    Download the certificate file of a calibration record
+// @access  Private
+router.get('/:id/certificate', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const record = await CalibrationRecord.findById(req.params.id).select('+certificate.data');
+
+        if (!record || !record.certificate) {
+            return res.status(404).json({
+                success: false,
+                message: record ? 'No certificate attached to this record' : 'Calibration record not found'
+            });
+        }
+
+        const { filename, contentType, data } = record.certificate;
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename.replace(/["\\\r\n]/g, '_')}"`);
+        res.send(data);
+
+    } catch (error) {
+        console.error('Get calibration certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching certificate'
+        });
+    }
+});
+
+// @route   POST /api/calibrations
+// @desc    Record a calibration of a serialized unit, optionally with its
+//          certificate (`certificate: { filename, contentType, data }`,
+//          data base64 encoded)
+// @access  Private
+router.post('/', authenticate, authorize('edit'), [
+    body('serialId')
+        .isMongoId()
+        .withMessage('Valid serial ID is required'),
+    body('calibratedAt')
+        .isISO8601()
+        .withMessage('A valid calibration date is required')
+        .bail()
+        .custom(value => {
+            if (new Date(value) > new Date()) {
+                throw new Error('Calibration date cannot be in the future');
+            }
+            return true;
+        })
+        .toDate(),
+    body('provider')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Provider is required and cannot exceed 100 characters'),
+    body('result')
+        .isIn(CALIBRATION_RESULTS)
+        .withMessage(`Result must be one of: ${CALIBRATION_RESULTS.join(', ')}`),
+    body('nextDueAt')
+        .optional()
+        .isISO8601()
+        .withMessage('nextDueAt must be a valid date')
+        .bail()
+        .custom((value, { req }) => {
+            if (new Date(value) < new Date(req.body.calibratedAt)) {
+                throw new Error('Next due date cannot be before the calibration date');
+            }
+            return true;
+        })
+        .toDate(),
+    body('certificateNumber')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Certificate number cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+    ...certificateValidators(true)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { serialId, calibratedAt, provider, result, nextDueAt, certificateNumber, certificate, notes } = req.body;
+        const { record, serial } = await recordCalibration({
+            serialId,
+            calibratedAt,
+            provider,
+            result,
+            nextDueAt,
+            certificateNumber,
+            certificate,
+            notes
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Calibration of ${record.componentName} ${record.serialNumber} recorded; next due ${record.nextDueAt.toISOString().slice(0, 10)}`,
+            data: {
+                record,
+                serial: {
+                    id: serial._id,
+                    serialNumber: serial.serialNumber,
+                    lastCalibratedAt: serial.lastCalibratedAt,
+                    calibrationDueAt: serial.calibrationDueAt
+                }
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Record calibration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording calibration'
+        });
+    }
+});
+
+// @route   PUT /api/calibrations/:id/certificate
+// @desc    Attach the certificate to a record made without one
+// @access  Private
+router.put('/:id/certificate', authenticate, authorize('edit'), certificateValidators(false), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const record = await attachCertificate(req.params.id, req.body.certificate, req.user);
+
+        res.json({
+            success: true,
+            message: `Certificate ${record.certificate.filename} attached`,
+            data: record
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Attach certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while attaching certificate'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,405 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Component = require('../models/Component');
+const ApprovalRule = require('../models/ApprovalRule');
+const CountSession = require('../models/CountSession');
+const { authenticate, authorize } = require('../middleware/auth');
+const { withTransaction } = require('../services/stock');
+const { recordBulkAudit } = require('../services/audit');
+const { PARAMETER_NAMES } = require('../config/parameters');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+const categoryValidators = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Category name is required and cannot exceed 100 characters'),
+    body('parent')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('Parent must be a valid category ID'),
+    body('parameters')
+        .optional()
+        .isArray()
+        .withMessage('Parameters must be an array'),
+    body('parameters.*')
+        .isIn(PARAMETER_NAMES)
+        .withMessage('Unknown parameter'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Description cannot exceed 300 characters')
+];
+
+// Same name, ignoring case
+const findByName = name => Category.findOne({ name })
+    .collation({ locale: 'en', strength: 2 });
+
+// A category can be retired once nothing active is filed under it
+const findRetireBlocker = async (category) => {
+    const activeChildren = await Category.countDocuments({ parent: category._id, isActive: true });
+    if (activeChildren > 0) {
+        return `${category.name} contains ${activeChildren} active categories. Move or retire them first`;
+    }
+
+    const components = await Component.countDocuments({ category: category.name, isActive: true });
+    if (components > 0) {
+        return `${components} components are in ${category.name}. Move them to another category first`;
+    }
+
+    return null;
+};
+
+// @route   GET /api/categories
+// @desc    List categories with the number of components in each
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('parent').optional().custom(value => value === 'root' || mongoose.Types.ObjectId.isValid(value)).withMessage('Parent must be a category ID or "root"'),
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long'),
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { parent, search, includeInactive } = req.query;
+
+        const filter = {};
+        if (includeInactive !== 'true') filter.isActive = true;
+        if (parent) filter.parent = parent === 'root' ? null : parent;
+        if (search) filter.name = { $regex: search, $options: 'i' };
+
+        const categories = await Category.find(filter).sort({ path: 1 });
+
+        const counts = await Component.aggregate([
+            { $match: { isActive: true, category: { $in: categories.map(c => c.name) } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+        ]);
+        const countByName = new Map(counts.map(c => [c._id, c.count]));
+
+        res.json({
+            success: true,
+            data: categories.map(category => ({
+                ...category.toJSON(),
+                componentCount: countByName.get(category.name) || 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching categories'
+        });
+    }
+});
+
+// @route   GET /api/categories/tree
+// @desc    Get all active categories as a nested tree
+// @access  Private
+router.get('/tree', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const categories = await Category.find({ isActive: true })
+            .sort({ path: 1 })
+            .lean();
+
+        const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+        const roots = [];
+
+        nodes.forEach(node => {
+            const parent = node.parent && nodes.get(node.parent.toString());
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        res.json({
+            success: true,
+            data: roots
+        });
+
+    } catch (error) {
+        console.error('Get category tree error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching category tree'
+        });
+    }
+});
+
+// @route   GET /api/categories/:id
+// @desc    Get a category with its subcategories and the parameters its
+//          components are offered
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id)
+            .populate('parent', 'name path')
+            .populate('ancestors', 'name');
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const children = await Category.find({ parent: category._id, isActive: true })
+            .select('name path parameters')
+            .sort({ name: 1 });
+
+        const componentCount = await Component.countDocuments({ category: category.name, isActive: true });
+
+        res.json({
+            success: true,
+            data: {
+                ...category.toJSON(),
+                effectiveParameters: await Category.parameterNames(category.name),
+                componentCount,
+                children
+            }
+        });
+
+    } catch (error) {
+        console.error('Get category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching category'
+        });
+    }
+});
+
+// @route   POST /api/categories
+// @desc    Add a category, optionally inside another
+// @access  Private/Admin
+router.post('/', authenticate, authorize('all'), categoryValidators(false), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, parent, parameters = [], description } = req.body;
+
+        const existing = await findByName(name);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: existing.isActive
+                    ? `Category ${existing.name} already exists`
+                    : `A retired category ${existing.name} exists, reactivate it instead`
+            });
+        }
+
+        const category = new Category({
+            name,
+            parent: parent || null,
+            parameters: [...new Set(parameters)],
+            description,
+            createdBy: req.user._id
+        });
+
+        await category.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: category
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating category'
+        });
+    }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category. A new name is carried over to its components,
+//          approval rules and stocktakes.
+// @access  Private/Admin
+router.put('/:id', authenticate, authorize('all'), [
+    ...categoryValidators(true),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const updated = await withTransaction(async (session) => {
+            const category = await Category.findById(req.params.id).session(session);
+
+            if (!category) {
+                throw new ApiError(404, 'Category not found');
+            }
+
+            const { name, parent, parameters, description, isActive } = req.body;
+            const oldName = category.name;
+
+            if (name !== undefined && name !== oldName) {
+                const existing = await findByName(name).session(session);
+                if (existing && !existing._id.equals(category._id)) {
+                    throw new ApiError(400, `Category ${existing.name} already exists`);
+                }
+                category.name = name;
+            }
+
+            if (parent !== undefined) category.parent = parent || null;
+            if (parameters !== undefined) category.parameters = [...new Set(parameters)];
+            if (description !== undefined) category.description = description;
+
+            if (isActive === false && category.isActive) {
+                const blocker = await findRetireBlocker(category);
+                if (blocker) {
+                    throw new ApiError(400, blocker);
+                }
+            }
+            if (isActive !== undefined) category.isActive = isActive;
+
+            category.lastUpdatedBy = req.user._id;
+
+            const pathChanged = category.isModified('parent') || category.isModified('name');
+            await category.save({ session });
+
+            if (pathChanged) {
+                await category.rebuildDescendants(session);
+            }
+
+            // Everything that refers to the category by name follows the rename
+            if (category.name !== oldName) {
+                const components = await Component.find({ category: oldName }).distinct('_id').session(session);
+                await recordBulkAudit(req, {
+                    entityType: 'Component',
+                    entities: components,
+                    changes: [{ field: 'category', from: oldName, to: category.name }],
+                    session
+                });
+
+                await Component.updateMany({ category: oldName }, { $set: { category: category.name } }, { session });
+                await ApprovalRule.updateMany({ categories: oldName }, { $set: { 'categories.$': category.name } }, { session });
+                await CountSession.updateMany({ category: oldName }, { $set: { category: category.name } }, { session });
+                await CountSession.updateMany({ categories: oldName }, { $set: { 'categories.$': category.name } }, { session });
+            }
+
+            return category;
+        });
+
+        res.json({
+            success: true,
+            message: 'Category updated successfully',
+            data: updated
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating category'
+        });
+    }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Retire an empty category
+// @access  Private/Admin
+router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+
+        if (!category || !category.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const blocker = await findRetireBlocker(category);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        category.isActive = false;
+        category.lastUpdatedBy = req.user._id;
+        await category.save();
+
+        res.json({
+            success: true,
+            message: `Category ${category.name} retired`
+        });
+
+    } catch (error) {
+        console.error('Delete category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retiring category'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,73 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Component = require('../models/Component');
+const Movement = require('../models/Movement');
 const Notification = require('../models/Notification');
+const Location = require('../models/Location');
+const Category = require('../models/Category');
+const Manufacturer = require('../models/Manufacturer');
+const Lot = require('../models/Lot');
+const Reservation = require('../models/Reservation');
+const Loan = require('../models/Loan');
+const SupplierPart = require('../models/SupplierPart');
+const AuditLog = require('../models/AuditLog');
 const { authenticate, authorize } = require('../middleware/auth');
+const { withTransaction, applyAdjustment } = require('../services/stock');
+const { recordAudit, snapshot } = require('../services/audit');
+const { inRecycleBin, purgeDueAt, purgeComponents } = require('../services/recycleBin');
+const { findDuplicates, mergeComponents } = require('../services/duplicates');
+const { parametersFor, normalizeParameters, parametersToInput, buildParameterFilter } = require('../services/parameters');
+const { ApiError } = require('../utils/errors');
+const { formatQuantity } = require('../utils/units');
+const { BASE_CURRENCY, CURRENCY_PATTERN } = require('../config/currency');
+const { PARAMETERS } = require('../config/parameters');
+const { RECYCLE_BIN_RETENTION_DAYS } = require('../config/recycleBin');
 
 const router = express.Router();
 
+// Fields a create or update request may set directly. Stock, reserved
+// stock, prices set by suppliers or receipts, deletion and merges are only
+// changed by their own endpoints; quantity, location and parameters are
+// handled separately.
+const COMPONENT_FIELDS = [
+    'name', 'partNumber', 'manufacturer', 'category', 'description', 'trackingMode', 'lendable',
+    'calibrationIntervalDays', 'unitPrice', 'currency', 'criticalLowThreshold', 'datasheetLink'
+];
+
+const pickComponentFields = (body) => {
+    const fields = {};
+    COMPONENT_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Components can only be given a location from the registry
+const isRegisteredLocation = async (code) => {
+    const [unknown] = await Location.findUnknownCodes([code]);
+    if (unknown) {
+        throw new Error(`Unknown location: ${unknown}`);
+    }
+    return true;
+};
+
+// Components can only be given a category from the registry
+const isRegisteredCategory = name => Category.assertRegistered(name);
+
+// Components can only be given a registered manufacturer, by its name or
+// one of its aliases; an alias ("TI") is stored as the name
+const isRegisteredManufacturer = async (name) => {
+    if (!await Manufacturer.resolve(name)) {
+        throw new Error(`Unknown manufacturer: ${name}. Ask an admin to register it`);
+    }
+    return true;
+};
+
+const toManufacturerName = async (name) => {
+    const manufacturer = await Manufacturer.resolve(name);
+    return manufacturer ? manufacturer.name : name;
+};
+
 // @route   GET /api/components
 // @desc    Get all components with filtering, searching, and pagination
 // @access  Private
@@ -13,13 +75,12 @@ router.get('/', authenticate, authorize('view'), [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('search').optional().isLength({ max: 200 }).withMessage('Search query too long'),
-    query('category').optional().isIn([
-        'Passive Components', 'Semiconductors', 'Microcontrollers', 
-        'Sensors', 'Memory', 'Timing Components', 'Power Management', 
-        'Connectors', 'Displays', 'Other'
-    ]).withMessage('Invalid category'),
+    query('category').optional().custom(isRegisteredCategory),
+    query('manufacturer').optional().isLength({ max: 100 }).withMessage('Manufacturer query too long'),
     query('location').optional().isLength({ max: 50 }).withMessage('Location query too long'),
     query('stockStatus').optional().isIn(['in_stock', 'low_stock', 'out_of_stock']).withMessage('Invalid stock status'),
+    query('lendable').optional().isBoolean().withMessage('lendable must be a boolean'),
+    query('params').optional().isObject().withMessage('Parameter filters must be given as params[name]=value or params[name][min]=value'),
     query('sortBy').optional().isIn(['name', 'partNumber', 'quantity', 'unitPrice', 'createdAt', 'updatedAt']).withMessage('Invalid sort field'),
     query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
 ], async (req, res) => {
@@ -39,8 +100,11 @@ router.get('/', authenticate, authorize('view'), [
             limit = 50,
             search,
             category,
+            manufacturer,
             location,
             stockStatus,
+            lendable,
+            params,
             minQuantity,
             maxQuantity,
             minPrice,
@@ -57,14 +121,37 @@ router.get('/', authenticate, authorize('view'), [
             filter.$text = { $search: search };
         }
 
-        // Category filter
+        // Category filter: a category matches everything below it
         if (category) {
-            filter.category = category;
+            filter.category = { $in: await Category.subtreeNames(category) };
+        }
+
+        // Manufacturer filter, by name or alias
+        if (manufacturer) {
+            filter.manufacturer = await toManufacturerName(manufacturer);
+        }
+
+        // Lendable equipment only, or consumables only
+        if (lendable !== undefined) {
+            filter.lendable = lendable === 'true' ? true : { $ne: true };
         }
 
-        // Location filter
+        // Parametric filters, e.g. capacitance 8nF-12nF in package 0603;
+        // every parameter given has to match
+        if (params) {
+            const conditions = buildParameterFilter(params);
+            if (conditions.length > 0) {
+                filter.$and = conditions;
+            }
+        }
+
+        // Location filter: a registered location matches every bin below it
+        // (e.g. a whole cabinet), anything else is a partial code match
         if (location) {
-            filter.location = { $regex: location, $options: 'i' };
+            const registered = await Location.findOne({ code: location.toUpperCase(), isActive: true });
+            filter['stock.location'] = registered
+                ? { $in: await Location.subtreeCodes(registered) }
+                : { $regex: location, $options: 'i' };
         }
 
         // Quantity filters
@@ -99,11 +186,14 @@ router.get('/', authenticate, authorize('view'), [
 
         // Add computed fields
         const componentsWithStatus = components.map(component => {
-            // Calculate stock status
+            // Calculate stock status from the quantity not held by reservations
+            const reserved = component.reserved || 0;
+            const available = Math.max(0, component.quantity - reserved);
+
             let stockStatus;
-            if (component.quantity <= 0) {
+            if (available <= 0) {
                 stockStatus = 'out_of_stock';
-            } else if (component.quantity <= component.criticalLowThreshold) {
+            } else if (available <= component.criticalLowThreshold) {
                 stockStatus = 'low_stock';
             } else {
                 stockStatus = 'in_stock';
@@ -117,8 +207,18 @@ router.get('/', authenticate, authorize('view'), [
 
             return {
                 ...component,
+                parameters: (component.parameters || []).map(parameter => ({
+                    ...parameter,
+                    display: parameter.value !== undefined && parameter.value !== null
+                        ? formatQuantity(parameter.value, parameter.unit || '')
+                        : parameter.text
+                })),
+                reserved,
+                available,
                 stockStatus,
                 totalValue: component.quantity * component.unitPrice,
+                currency: component.currency || BASE_CURRENCY,
+                priceBasis: component.priceBasis || 'manual',
                 ageInDays,
                 isOldStock
             };
@@ -142,6 +242,14 @@ router.get('/', authenticate, authorize('view'), [
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
         console.error('Get components error:', error);
         res.status(500).json({
             success: false,
@@ -150,6 +258,289 @@ router.get('/', authenticate, authorize('view'), [
     }
 });
 
+// @route   GET /api/components/parameters
+// @desc    Parameters components of a category can be described and filtered by
+// @access  Private
+router.get('/parameters', authenticate, authorize('view'), [
+    query('category').optional().trim().isLength({ max: 100 }).withMessage('Category query too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { category } = req.query;
+        const match = { isActive: true };
+        if (category) {
+            match.category = { $in: await Category.subtreeNames(category) };
+        }
+
+        // Text parameters are offered as the values already in use
+        const parameters = await Promise.all((await parametersFor(category)).map(async (name) => {
+            const definition = { name, ...PARAMETERS[name] };
+
+            if (definition.type === 'text') {
+                const inUse = await Component.aggregate([
+                    { $match: { ...match, 'parameters.name': name } },
+                    { $unwind: '$parameters' },
+                    { $match: { 'parameters.name': name } },
+                    { $group: { _id: '$parameters.text' } },
+                    { $sort: { _id: 1 } }
+                ]);
+                definition.values = inUse.map(value => value._id);
+            }
+
+            return definition;
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                category: category || null,
+                parameters
+            }
+        });
+
+    } catch (error) {
+        console.error('Get component parameters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching component parameters'
+        });
+    }
+});
+
+// @route   GET /api/components/duplicates
+// @desc    Groups of components that are probably the same part: same
+//          manufacturer and part number up to case, spaces and dashes, or
+//          (a weaker signal) similar names
+// @access  Private
+router.get('/duplicates', authenticate, authorize('edit'), [
+    query('category').optional().custom(isRegisteredCategory),
+    query('minSimilarity').optional().isFloat({ min: 0.5, max: 1 }).withMessage('minSimilarity must be between 0.5 and 1'),
+    query('includeNames').optional().isBoolean().withMessage('includeNames must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { category, minSimilarity, includeNames } = req.query;
+
+        const groups = await findDuplicates({
+            category,
+            minSimilarity: minSimilarity ? parseFloat(minSimilarity) : undefined,
+            includeNames: includeNames !== 'false'
+        });
+
+        res.json({
+            success: true,
+            data: groups,
+            total: groups.length
+        });
+
+    } catch (error) {
+        console.error('Find duplicate components error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while finding duplicate components'
+        });
+    }
+});
+
+// @route   GET /api/components/deleted
+// @desc    Recycle bin: deleted components that can still be restored,
+//          most recently deleted first
+// @access  Private/Admin
+router.get('/deleted', authenticate, authorize('all'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('search').optional().isLength({ max: 200 }).withMessage('Search query too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, search } = req.query;
+
+        const filter = inRecycleBin();
+        if (search) {
+            filter.$text = { $search: search };
+        }
+
+        const components = await Component.find(filter)
+            .populate('deletedBy', 'name username')
+            .sort({ deletedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Component.countDocuments(filter);
+
+        // A part number taken again since the delete blocks the restore
+        const inUse = new Set((await Component.find({
+            partNumber: { $in: components.map(component => component.partNumber) },
+            isActive: true
+        }).select('partNumber')).map(component => component.partNumber));
+
+        res.json({
+            success: true,
+            data: components.map(component => ({
+                ...component.toJSON(),
+                purgeDueAt: purgeDueAt(component.deletedAt),
+                partNumberInUse: inUse.has(component.partNumber)
+            })),
+            retentionDays: RECYCLE_BIN_RETENTION_DAYS,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get deleted components error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching deleted components'
+        });
+    }
+});
+
+// @route   POST /api/components/deleted/purge
+// @desc    Permanently remove components from the recycle bin: those in
+//          `componentIds` now, or else all past the retention period
+// @access  Private/Admin
+router.post('/deleted/purge', authenticate, authorize('all'), [
+    body('componentIds')
+        .optional()
+        .isArray({ min: 1, max: 500 })
+        .withMessage('componentIds must be a list of 1 to 500 component IDs'),
+    body('componentIds.*')
+        .isMongoId()
+        .withMessage('Invalid component ID')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { purged, retained } = await purgeComponents(req, req.body.componentIds || null);
+        const count = purged.length + retained.length;
+
+        res.json({
+            success: true,
+            message: count === 0
+                ? 'Nothing to purge'
+                : `Purged ${count} component${count === 1 ? '' : 's'}`,
+            data: {
+                // Deleted from the database
+                purged,
+                // Kept, but no longer restorable, because stock history
+                // or documents refer to them
+                retained
+            }
+        });
+
+    } catch (error) {
+        console.error('Purge components error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while purging components'
+        });
+    }
+});
+
+// @route   GET /api/components/:id/history
+// @desc    Field-level change history of a component, newest first (also
+//          for deleted components)
+// @access  Private
+router.get('/:id/history', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('field').optional().trim().isLength({ max: 50 }).withMessage('Field name too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const component = await Component.findById(req.params.id).select('name partNumber isActive');
+
+        if (!component) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found'
+            });
+        }
+
+        const { page = 1, limit = 50, field } = req.query;
+
+        const filter = { entityType: 'Component', entity: component._id };
+        if (field) filter['changes.field'] = field;
+
+        const entries = await AuditLog.find(filter)
+            .populate('user', 'name username')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await AuditLog.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                component,
+                history: entries
+            },
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get component history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching component history'
+        });
+    }
+});
+
 // @route   GET /api/components/:id
 // @desc    Get single component by ID
 // @access  Private
@@ -160,19 +551,56 @@ router.get('/:id', authenticate, authorize('view'), async (req, res) => {
             isActive: true
         })
         .populate('createdBy', 'name username')
-        .populate('lastUpdatedBy', 'name username')
-        .populate('movements.user', 'name username');
+        .populate('lastUpdatedBy', 'name username');
 
         if (!component) {
+            // A merged duplicate's ID leads to the component it was merged into
+            const duplicate = await Component.findOne({ _id: req.params.id, mergedInto: { $ne: null } })
+                .select('mergedInto');
+            if (duplicate) {
+                return res.status(301)
+                    .location(`${req.baseUrl}/${duplicate.mergedInto}`)
+                    .json({
+                        success: false,
+                        message: 'Component was merged into another component',
+                        mergedInto: duplicate.mergedInto
+                    });
+            }
+
             return res.status(404).json({
                 success: false,
                 message: 'Component not found'
             });
         }
 
+        // Latest ledger entries, including those of duplicates merged into
+        // it; full history is under /api/movements/history
+        const merged = await Component.findMergedSources([component._id]);
+        const recentMovements = await Movement.find({ component: { $in: [component._id, ...merged.map(m => m._id)] } })
+            .sort({ createdAt: -1 })
+            .limit(10)
+            .populate('user', 'name username');
+
+        // Lots still in stock, in the order outward movements consume them
+        const lots = await Lot.find({ component: component._id, quantityRemaining: { $gt: 0 } })
+            .sort({ receivedAt: 1 });
+
+        const reservations = await Reservation.find({ component: component._id, status: 'active' })
+            .sort({ neededBy: 1, createdAt: 1 });
+
+        const suppliers = await SupplierPart.find({ component: component._id, isActive: true })
+            .populate('supplier', 'name website leadTimeDays')
+            .sort({ isPreferred: -1, createdAt: 1 });
+
         res.json({
             success: true,
-            data: component
+            data: {
+                ...component.toJSON(),
+                lots,
+                reservations,
+                suppliers,
+                recentMovements
+            }
         });
 
     } catch (error) {
@@ -202,25 +630,49 @@ router.post('/', authenticate, authorize('edit'), [
         .trim()
         .notEmpty()
         .isLength({ max: 100 })
-        .withMessage('Manufacturer is required and cannot exceed 100 characters'),
+        .withMessage('Manufacturer is required and cannot exceed 100 characters')
+        .custom(isRegisteredManufacturer)
+        .customSanitizer(toManufacturerName),
     body('category')
-        .isIn([
-            'Passive Components', 'Semiconductors', 'Microcontrollers',
-            'Sensors', 'Memory', 'Timing Components', 'Power Management',
-            'Connectors', 'Displays', 'Other'
-        ])
-        .withMessage('Invalid category'),
+        .trim()
+        .notEmpty()
+        .withMessage('Category is required')
+        .custom(isRegisteredCategory),
     body('quantity')
         .isInt({ min: 0 })
         .withMessage('Quantity must be a non-negative integer'),
+    body('trackingMode')
+        .optional()
+        .isIn(['bulk', 'serialized'])
+        .withMessage('Tracking mode must be bulk or serialized')
+        .custom((value, { req }) => value !== 'serialized' || parseInt(req.body.quantity) === 0)
+        .withMessage('Serialized components start with no stock: receive units with their serial numbers instead'),
+    body('lendable')
+        .optional()
+        .isBoolean()
+        .withMessage('Lendable must be a boolean')
+        .toBoolean(),
+    body('calibrationIntervalDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 3650 })
+        .withMessage('Calibration interval must be between 1 and 3650 days')
+        .toInt(),
     body('location')
         .trim()
         .notEmpty()
         .isLength({ max: 50 })
-        .withMessage('Location is required and cannot exceed 50 characters'),
+        .withMessage('Location is required and cannot exceed 50 characters')
+        .toUpperCase()
+        .custom(isRegisteredLocation),
     body('unitPrice')
         .isFloat({ min: 0 })
         .withMessage('Unit price must be a non-negative number'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(CURRENCY_PATTERN)
+        .withMessage('Currency must be a three-letter code'),
     body('criticalLowThreshold')
         .isInt({ min: 0 })
         .withMessage('Critical low threshold must be a non-negative integer'),
@@ -232,7 +684,11 @@ router.post('/', authenticate, authorize('edit'), [
     body('datasheetLink')
         .optional()
         .isURL()
-        .withMessage('Datasheet link must be a valid URL')
+        .withMessage('Datasheet link must be a valid URL'),
+    body('parameters')
+        .optional()
+        .isObject()
+        .withMessage('Parameters must be an object of parameter names and values')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -258,13 +714,23 @@ router.post('/', authenticate, authorize('edit'), [
             });
         }
 
-        // Create component
+        // Create component; all initial stock goes into the default bin.
+        // A price entered here is a manual one until a supplier or receipt
+        // sets it. Parameters are given as typed ("10k", "16V") and stored in
+        // SI units.
+        const componentData = pickComponentFields(req.body);
         const component = new Component({
-            ...req.body,
+            ...componentData,
+            quantity: req.body.quantity,
+            location: req.body.location,
+            parameters: await normalizeParameters(req.body.parameters, componentData.category),
+            priceBasis: 'manual',
+            priceUpdatedAt: new Date(),
             createdBy: req.user._id
         });
 
         await component.save();
+        await recordAudit(req, { entityType: 'Component', entity: component, action: 'create', after: component });
 
         // Populate user data
         await component.populate('createdBy', 'name username');
@@ -298,6 +764,22 @@ router.post('/', authenticate, authorize('edit'), [
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        // Another request created the same part number first
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Component with this part number already exists'
+            });
+        }
+
         console.error('Create component error:', error);
         res.status(500).json({
             success: false,
@@ -327,29 +809,57 @@ router.put('/:id', authenticate, authorize('edit'), [
         .trim()
         .notEmpty()
         .isLength({ max: 100 })
-        .withMessage('Manufacturer cannot exceed 100 characters'),
+        .withMessage('Manufacturer cannot exceed 100 characters')
+        .custom(isRegisteredManufacturer)
+        .customSanitizer(toManufacturerName),
     body('category')
         .optional()
-        .isIn([
-            'Passive Components', 'Semiconductors', 'Microcontrollers',
-            'Sensors', 'Memory', 'Timing Components', 'Power Management',
-            'Connectors', 'Displays', 'Other'
-        ])
-        .withMessage('Invalid category'),
+        .trim()
+        .notEmpty()
+        .withMessage('Category cannot be empty')
+        .custom(isRegisteredCategory),
     body('quantity')
         .optional()
         .isInt({ min: 0 })
         .withMessage('Quantity must be a non-negative integer'),
+    body('adjustmentReason')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 200 })
+        .withMessage('Adjustment reason cannot exceed 200 characters'),
+    body('trackingMode')
+        .optional()
+        .isIn(['bulk', 'serialized'])
+        .withMessage('Tracking mode must be bulk or serialized'),
+    body('lendable')
+        .optional()
+        .isBoolean()
+        .withMessage('Lendable must be a boolean')
+        .toBoolean(),
+    body('calibrationIntervalDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 3650 })
+        .withMessage('Calibration interval must be between 1 and 3650 days')
+        .toInt(),
     body('location')
         .optional()
         .trim()
         .notEmpty()
         .isLength({ max: 50 })
-        .withMessage('Location cannot exceed 50 characters'),
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase()
+        .custom(isRegisteredLocation),
     body('unitPrice')
         .optional()
         .isFloat({ min: 0 })
         .withMessage('Unit price must be a non-negative number'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(CURRENCY_PATTERN)
+        .withMessage('Currency must be a three-letter code'),
     body('criticalLowThreshold')
         .optional()
         .isInt({ min: 0 })
@@ -362,7 +872,11 @@ router.put('/:id', authenticate, authorize('edit'), [
     body('datasheetLink')
         .optional()
         .isURL()
-        .withMessage('Datasheet link must be a valid URL')
+        .withMessage('Datasheet link must be a valid URL'),
+    body('parameters')
+        .optional()
+        .isObject()
+        .withMessage('Parameters must be an object of parameter names and values')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -404,15 +918,122 @@ router.put('/:id', authenticate, authorize('edit'), [
             }
         }
 
-        // Update component
-        const updatedComponent = await Component.findByIdAndUpdate(
-            req.params.id,
-            {
-                ...req.body,
+        // Switching tracking mode with stock on hand would leave units with
+        // and without serial numbers mixed
+        const { trackingMode = component.trackingMode } = req.body;
+
+        if (trackingMode !== component.trackingMode && component.quantity > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tracking mode can only be changed while the component has no stock'
+            });
+        }
+
+        if (trackingMode === 'serialized' && req.body.quantity !== undefined && parseInt(req.body.quantity) !== component.quantity) {
+            return res.status(400).json({
+                success: false,
+                message: 'The quantity of a serialized component only changes through movements naming its serial numbers'
+            });
+        }
+
+        // Equipment out on loan has to come back in as equipment
+        if (req.body.lendable === false && component.lendable &&
+            await Loan.exists({ component: component._id, status: 'out' })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lendable can only be switched off once everything on loan has been checked in'
+            });
+        }
+
+        // Bin quantities only change through movements or the quantity
+        // correction below, never by overwriting `stock` directly
+        const { quantity, location, adjustmentReason, parameters } = req.body;
+        const fields = pickComponentFields(req.body);
+        const update = {
+            $set: {
+                ...fields,
                 lastUpdatedBy: req.user._id
-            },
-            { new: true, runValidators: true }
-        ).populate('createdBy lastUpdatedBy', 'name username');
+            }
+        };
+
+        // Parameters given replace the stored ones; a new category keeps the
+        // stored ones only if they all apply to it
+        const category = fields.category || component.category;
+        if (parameters !== undefined) {
+            update.$set.parameters = await normalizeParameters(parameters, category);
+        } else if (category !== component.category) {
+            update.$set.parameters = await normalizeParameters(parametersToInput(component.parameters), category);
+        }
+
+        // A price typed in replaces whatever the supplier or last receipt set
+        if ((fields.unitPrice !== undefined && parseFloat(fields.unitPrice) !== component.unitPrice) ||
+            (fields.currency !== undefined && fields.currency !== component.currency)) {
+            update.$set.priceBasis = 'manual';
+            update.$set.priceUpdatedAt = new Date();
+        }
+
+        // Changing the default bin: a component kept in a single bin is
+        // relabelled, otherwise the new bin is added (empty) if it is new.
+        // Serialized units in stock know their bin, so they are never relabelled.
+        if (location && location !== component.location) {
+            update.$set.location = location;
+
+            const hasBin = component.stock.some(bin => bin.location === location);
+            const isSingleBin = component.stock.length === 1 && component.stock[0].location === component.location &&
+                !(component.trackingMode === 'serialized' && component.quantity > 0);
+
+            if (!hasBin && isSingleBin) {
+                update.$set['stock.0.location'] = location;
+            } else if (!hasBin) {
+                update.$push = { stock: { location, quantity: 0 } };
+            }
+        }
+
+        const updatedComponent = await withTransaction(async (session) => {
+            let updated = await Component.findOneAndUpdate(
+                { _id: req.params.id, isActive: true },
+                update,
+                { new: true, runValidators: true, session }
+            );
+
+            if (!updated) {
+                throw new ApiError(404, 'Component not found');
+            }
+
+            // A direct quantity edit corrects the default bin with an
+            // adjustment movement. It only applies if stock has not moved
+            // since the component was loaded.
+            if (quantity !== undefined && parseInt(quantity) !== component.quantity) {
+                if (updated.quantity !== component.quantity) {
+                    throw new ApiError(409, `Cannot set quantity to ${quantity}: stock changed since it was loaded`, {
+                        code: 'STOCK_CONFLICT'
+                    });
+                }
+
+                const delta = parseInt(quantity) - component.quantity;
+
+                ({ component: updated } = await applyAdjustment({
+                    componentId: updated._id,
+                    direction: delta > 0 ? 'in' : 'out',
+                    quantity: Math.abs(delta),
+                    location: updated.location,
+                    reasonCode: 'data_correction',
+                    reason: adjustmentReason || 'Quantity corrected on the component record',
+                    project: 'Stock correction'
+                }, req.user, session));
+            }
+
+            await recordAudit(req, {
+                entityType: 'Component',
+                entity: updated,
+                action: 'update',
+                before: component,
+                after: updated,
+                session
+            });
+
+            return updated.populate('createdBy lastUpdatedBy', 'name username');
+        });
 
         res.json({
             success: true,
@@ -421,6 +1042,21 @@ router.put('/:id', authenticate, authorize('edit'), [
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Component with this part number already exists'
+            });
+        }
+
         console.error('Update component error:', error);
         res.status(500).json({
             success: false,
@@ -446,14 +1082,25 @@ router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
             });
         }
 
+        if (await Loan.exists({ component: component._id, status: 'out' })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Component has equipment out on loan: check it in before deleting'
+            });
+        }
+
         // Soft delete
+        const before = snapshot(component);
         component.isActive = false;
+        component.deletedAt = new Date();
+        component.deletedBy = req.user._id;
         component.lastUpdatedBy = req.user._id;
         await component.save();
+        await recordAudit(req, { entityType: 'Component', entity: component, action: 'delete', before, after: component });
 
         res.json({
             success: true,
-            message: 'Component deleted successfully'
+            message: `Component moved to the recycle bin; it can be restored for ${RECYCLE_BIN_RETENTION_DAYS} days`
         });
 
     } catch (error) {
@@ -465,11 +1112,139 @@ router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
     }
 });
 
+// @route   POST /api/components/:id/restore
+// @desc    Restore a component from the recycle bin
+// @access  Private/Admin
+router.post('/:id/restore', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const component = await Component.findOne(inRecycleBin({ _id: req.params.id }));
+
+        if (!component) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found in the recycle bin'
+            });
+        }
+
+        // The part number may have been reused while this one was deleted
+        const conflicting = await Component.findOne({ partNumber: component.partNumber, isActive: true })
+            .select('name partNumber');
+        if (conflicting) {
+            return res.status(409).json({
+                success: false,
+                message: `Part number ${component.partNumber} is in use by another component: rename or delete it before restoring this one`,
+                conflictingComponent: conflicting
+            });
+        }
+
+        const before = snapshot(component);
+        component.isActive = true;
+        component.deletedAt = null;
+        component.deletedBy = null;
+        component.lastUpdatedBy = req.user._id;
+        await component.save();
+        await recordAudit(req, { entityType: 'Component', entity: component, action: 'restore', before, after: component });
+
+        res.json({
+            success: true,
+            message: 'Component restored successfully',
+            data: component
+        });
+
+    } catch (error) {
+        // The part number was taken between the check and the save
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Part number is in use by another component'
+            });
+        }
+
+        console.error('Restore component error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while restoring component'
+        });
+    }
+});
+
+// @route   POST /api/components/:id/merge
+// @desc    Merge duplicate components (`sourceIds`) into this one: their
+//          stock, reservations and references move here, and their IDs
+//          redirect here
+// @access  Private/Admin
+router.post('/:id/merge', authenticate, authorize('all'), [
+    body('sourceIds')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('sourceIds must be a list of 1 to 20 component IDs'),
+    body('sourceIds.*')
+        .isMongoId()
+        .withMessage('Invalid component ID')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const sourceIds = [...new Set(req.body.sourceIds)];
+        if (sourceIds.includes(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A component cannot be merged into itself'
+            });
+        }
+
+        const { component, merged } = await mergeComponents(req, req.params.id, sourceIds);
+
+        res.json({
+            success: true,
+            message: `Merged ${merged.length} component${merged.length === 1 ? '' : 's'} into ${component.partNumber}`,
+            data: {
+                component,
+                merged
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Merge components error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while merging components'
+        });
+    }
+});
+
 // @route   GET /api/components/stats/summary
 // @desc    Get inventory statistics
 // @access  Private
 router.get('/stats/summary', authenticate, authorize('view'), async (req, res) => {
     try {
+        // Prices in other currencies cannot be added up without exchange
+        // rates, so value and average price cover the base currency only
+        const isBaseCurrency = { $eq: [{ $ifNull: ['$currency', BASE_CURRENCY] }, BASE_CURRENCY] };
+
         const stats = await Component.aggregate([
             { $match: { isActive: true } },
             {
@@ -477,22 +1252,39 @@ router.get('/stats/summary', authenticate, authorize('view'), async (req, res) =
                     _id: null,
                     totalComponents: { $sum: 1 },
                     totalQuantity: { $sum: '$quantity' },
-                    totalValue: { $sum: { $multiply: ['$quantity', '$unitPrice'] } },
-                    avgUnitPrice: { $avg: '$unitPrice' }
+                    totalReserved: { $sum: { $ifNull: ['$reserved', 0] } },
+                    totalValue: { $sum: { $cond: [isBaseCurrency, { $multiply: ['$quantity', '$unitPrice'] }, 0] } },
+                    avgUnitPrice: { $avg: { $cond: [isBaseCurrency, '$unitPrice', null] } }
                 }
             }
         ]);
 
-        // Get low stock items
+        // Which prices the valuation rests on
+        const valuation = await Component.aggregate([
+            { $match: { isActive: true } },
+            {
+                $group: {
+                    _id: {
+                        currency: { $ifNull: ['$currency', BASE_CURRENCY] },
+                        priceBasis: { $ifNull: ['$priceBasis', 'manual'] }
+                    },
+                    components: { $sum: 1 },
+                    value: { $sum: { $multiply: ['$quantity', '$unitPrice'] } }
+                }
+            },
+            { $sort: { '_id.currency': 1, '_id.priceBasis': 1 } }
+        ]);
+
+        // Get low stock items (by available quantity)
         const lowStockItems = await Component.countDocuments({
             isActive: true,
-            $expr: { $lte: ['$quantity', '$criticalLowThreshold'] }
+            $expr: { $lte: [Component.AVAILABLE_QUANTITY, '$criticalLowThreshold'] }
         });
 
-        // Get out of stock items
+        // Get out of stock items (nothing available)
         const outOfStockItems = await Component.countDocuments({
             isActive: true,
-            quantity: 0
+            $expr: { $lte: [Component.AVAILABLE_QUANTITY, 0] }
         });
 
         // Get old stock items (components older than 90 days without outward movement)
@@ -501,16 +1293,29 @@ router.get('/stats/summary', authenticate, authorize('view'), async (req, res) =
             isActive: true,
             createdAt: { $lt: ninetyDaysAgo },
             $or: [
-                { 'movements.type': { $ne: 'outward' } },
-                { movements: { $size: 0 } }
+                { lastOutwardAt: null },
+                { lastOutwardAt: { $lt: ninetyDaysAgo } }
             ]
         });
 
         const summary = {
             totalComponents: stats[0]?.totalComponents || 0,
             totalQuantity: stats[0]?.totalQuantity || 0,
+            totalReserved: stats[0]?.totalReserved || 0,
             totalValue: stats[0]?.totalValue || 0,
             avgUnitPrice: stats[0]?.avgUnitPrice || 0,
+            valuation: {
+                price: 'unitPrice',
+                currency: BASE_CURRENCY,
+                byBasis: Component.PRICE_BASES.map(basis => {
+                    const group = valuation.find(v => v._id.currency === BASE_CURRENCY && v._id.priceBasis === basis);
+                    return { priceBasis: basis, components: group?.components || 0, value: group?.value || 0 };
+                }),
+                // Stock priced in other currencies, left out of totalValue
+                otherCurrencies: valuation
+                    .filter(v => v._id.currency !== BASE_CURRENCY)
+                    .map(v => ({ currency: v._id.currency, priceBasis: v._id.priceBasis, components: v.components, value: v.value }))
+            },
             lowStockItems,
             outOfStockItems,
             oldStockItems
@@ -0,0 +1,427 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const CountSession = require('../models/CountSession');
+const Category = require('../models/Category');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+    openCountSession,
+    recordCounts,
+    varianceReport,
+    approveCountSession
+} = require('../services/counts');
+
+const router = express.Router();
+
+// @route   GET /api/counts
+// @desc    List count sessions (stocktakes)
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(CountSession.COUNT_STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, status } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const countSessions = await CountSession.find(filter)
+            .populate('createdBy closedBy', 'name username')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await CountSession.countDocuments(filter);
+
+        res.json({
+            success: true,
+            // Lines are left to the detail view; the list shows progress only
+            data: countSessions.map(countSession => {
+                const { lines, ...summary } = countSession.toJSON();
+                return summary;
+            }),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get count sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching count sessions'
+        });
+    }
+});
+
+// @route   GET /api/counts/:id
+// @desc    Get a count session with its count sheet, in location order
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const countSession = await CountSession.findById(req.params.id)
+            .populate('createdBy closedBy lines.countedBy', 'name username');
+
+        if (!countSession) {
+            return res.status(404).json({
+                success: false,
+                message: 'Count session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: countSession
+        });
+
+    } catch (error) {
+        console.error('Get count session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching count session'
+        });
+    }
+});
+
+// @route   GET /api/counts/:id/variance
+// @desc    Variance report: counted against book quantities, with value
+// @access  Private
+router.get('/:id/variance', authenticate, authorize('view'), [
+    query('onlyVariances').optional().isBoolean().withMessage('onlyVariances must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const countSession = await CountSession.findById(req.params.id);
+
+        if (!countSession) {
+            return res.status(404).json({
+                success: false,
+                message: 'Count session not found'
+            });
+        }
+
+        const { lines, summary } = await varianceReport(countSession);
+
+        res.json({
+            success: true,
+            data: {
+                id: countSession._id,
+                countNumber: countSession.countNumber,
+                status: countSession.status,
+                scopeLocation: countSession.scopeLocation,
+                category: countSession.category,
+                lines: req.query.onlyVariances === 'true' ? lines.filter(line => line.variance) : lines
+            },
+            summary
+        });
+
+    } catch (error) {
+        console.error('Get count variance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while building variance report'
+        });
+    }
+});
+
+// @route   POST /api/counts
+// @desc    Open a count session over a location subtree and/or a category.
+//          The bins in scope are locked until it is approved or cancelled.
+// @access  Private/Admin
+router.post('/', authenticate, authorize('all'), [
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('category')
+        .optional()
+        .custom(name => Category.assertRegistered(name)),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters'),
+    body('fullStocktake')
+        .optional()
+        .isBoolean()
+        .withMessage('fullStocktake must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { location, category, name, notes } = req.body;
+
+        if (!location && !category && req.body.fullStocktake !== true && req.body.fullStocktake !== 'true') {
+            return res.status(400).json({
+                success: false,
+                message: 'Give a location or category, or set fullStocktake to count everything'
+            });
+        }
+
+        const countSession = await openCountSession({ location, category, name, notes }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Stocktake ${countSession.countNumber} opened with ${countSession.lines.length} bins to count`,
+            data: countSession
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another stocktake took this number, please retry'
+            });
+        }
+
+        console.error('Open count session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while opening count session'
+        });
+    }
+});
+
+// @route   PUT /api/counts/:id/counts
+// @desc    Enter counted quantities, by `lineId` or by `componentId` and
+//          `location` for stock found off the sheet
+// @access  Private
+router.put('/:id/counts', authenticate, authorize('edit'), [
+    body('counts')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Counts must be a non-empty array of at most 500 entries'),
+    body('counts.*.lineId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid line ID'),
+    body('counts.*.componentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid component ID'),
+    body('counts.*.location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('counts')
+        .custom(counts => counts.every(count => count.lineId || (count.componentId && count.location)))
+        .withMessage('Each count needs a line ID, or a component ID and location'),
+    body('counts.*.countedQuantity')
+        .isInt({ min: 0 })
+        .withMessage('Counted quantity must be a non-negative integer')
+        .toInt(),
+    body('counts.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Notes cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const countSession = await recordCounts(req.params.id, req.body.counts, req.user);
+
+        res.json({
+            success: true,
+            message: `Recorded ${req.body.counts.length} counts`,
+            data: countSession
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'The count sheet changed while saving, please retry'
+            });
+        }
+
+        console.error('Record counts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording counts'
+        });
+    }
+});
+
+// @route   POST /api/counts/:id/approve
+// @desc    Approve a count: post adjustment movements for every difference
+//          and unlock the bins
+// @access  Private/Admin
+router.post('/:id/approve', authenticate, authorize('all'), [
+    body('skipUncounted')
+        .optional()
+        .isBoolean()
+        .withMessage('skipUncounted must be a boolean'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Notes cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { countSession, adjustments, unposted } = await approveCountSession(req.params.id, {
+            skipUncounted: req.body.skipUncounted === true || req.body.skipUncounted === 'true',
+            notes: req.body.notes
+        }, req.user);
+
+        res.json({
+            success: true,
+            message: `Stocktake ${countSession.countNumber} approved with ${adjustments.length} adjustments`,
+            data: {
+                countSession,
+                adjustments,
+                unposted
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Approve count session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while approving count session'
+        });
+    }
+});
+
+// @route   POST /api/counts/:id/cancel
+// @desc    Cancel an open count without adjusting stock
+// @access  Private/Admin
+router.post('/:id/cancel', authenticate, authorize('all'), [
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const countSession = await CountSession.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            {
+                status: 'cancelled',
+                closedAt: new Date(),
+                closedBy: req.user._id,
+                closeReason: req.body.reason || 'Cancelled'
+            },
+            { new: true }
+        );
+
+        if (!countSession) {
+            const existing = await CountSession.findById(req.params.id).select('status');
+
+            return res.status(existing ? 400 : 404).json({
+                success: false,
+                message: existing
+                    ? `Count session is ${existing.status} and can no longer be cancelled`
+                    : 'Count session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Stocktake ${countSession.countNumber} cancelled`,
+            data: countSession
+        });
+
+    } catch (error) {
+        console.error('Cancel count session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling count session'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Loan = require('../models/Loan');
+const { authenticate, authorize } = require('../middleware/auth');
+const { checkoutEquipment, checkinEquipment } = require('../services/loans');
+
+const router = express.Router();
+
+const { LOAN_CONDITIONS } = Loan;
+
+const isFutureDate = (value) => {
+    if (new Date(value) <= new Date()) {
+        throw new Error('Return date must be in the future');
+    }
+    return true;
+};
+
+// @route   GET /api/loans
+// @desc    List equipment loans: who has what, and until when
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn([...Loan.LOAN_STATUSES, 'overdue', 'all']).withMessage('Invalid status'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('borrower').optional().isMongoId().withMessage('Invalid borrower ID'),
+    query('project').optional().isLength({ max: 100 }).withMessage('Project query too long'),
+    query('mine').optional().isBoolean().withMessage('mine must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, status = 'out', componentId, borrower, project, mine } = req.query;
+
+        const filter = {};
+        if (status === 'overdue') {
+            filter.status = 'out';
+            filter.dueAt = { $lt: new Date() };
+        } else if (status !== 'all') {
+            filter.status = status;
+        }
+        if (componentId) filter.component = componentId;
+        if (borrower) filter.borrower = borrower;
+        if (project) filter.project = project;
+        if (mine === 'true') filter.borrower = req.user._id;
+
+        const loans = await Loan.find(filter)
+            .sort(status === 'returned' ? { returnedAt: -1 } : { dueAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Loan.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: loans,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get loans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching loans'
+        });
+    }
+});
+
+// @route   GET /api/loans/:id
+// @desc    Get a loan with its checkout and check-in movements
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id)
+            .populate('component', 'name partNumber manufacturer location lendable')
+            .populate('borrower checkedOutBy checkedInBy', 'name username')
+            .populate('checkoutMovement checkinMovement', 'type quantity allocations serialNumbers userName createdAt');
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: loan
+        });
+
+    } catch (error) {
+        console.error('Get loan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching loan'
+        });
+    }
+});
+
+// @route   POST /api/loans
+// @desc    Check lendable equipment out to someone until a return date
+// @access  Private
+router.post('/', authenticate, authorize('outward'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer')
+        .toInt(),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Serial numbers must be an array of at most 100 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('borrowerId')
+        .optional()
+        .isMongoId()
+        .withMessage('Borrower must be a valid user ID'),
+    body('dueAt')
+        .isISO8601()
+        .withMessage('A valid return date is required')
+        .bail()
+        .custom(isFutureDate),
+    body('project')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project is required and cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { componentId, location, serialNumbers, borrowerId, dueAt, project, notes } = req.body;
+        // Serialized equipment is counted by the units named
+        const quantity = req.body.quantity || (serialNumbers ? serialNumbers.length : 1);
+
+        const { component, loan, movement } = await checkoutEquipment({
+            componentId,
+            quantity,
+            location,
+            serialNumbers,
+            borrowerId,
+            dueAt,
+            project,
+            notes
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `${component.name} checked out to ${loan.borrowerName} until ${loan.dueAt.toISOString().slice(0, 10)}`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    quantity: component.quantity,
+                    available: component.available
+                },
+                loan,
+                movement
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Check out equipment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking out equipment'
+        });
+    }
+});
+
+// @route   POST /api/loans/:id/checkin
+// @desc    Check lent equipment back in and record its condition
+// @access  Private
+router.post('/:id/checkin', authenticate, authorize('inward'), [
+    body('condition')
+        .isIn(LOAN_CONDITIONS)
+        .withMessage(`Condition must be one of: ${LOAN_CONDITIONS.join(', ')}`),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { condition, location, notes } = req.body;
+        const { component, loan, movement } = await checkinEquipment(req.params.id, { condition, location, notes }, req.user);
+
+        res.json({
+            success: true,
+            message: `${component.name} checked in from ${loan.borrowerName} (${condition})`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    quantity: component.quantity,
+                    available: component.available
+                },
+                loan,
+                movement
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Check in equipment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking in equipment'
+        });
+    }
+});
+
+// @route   PUT /api/loans/:id/due-date
+// @desc    Extend (or shorten) the return date of equipment that is out
+// @access  Private
+router.put('/:id/due-date', authenticate, authorize('outward'), [
+    body('dueAt')
+        .isISO8601()
+        .withMessage('A valid return date is required')
+        .bail()
+        .custom(isFutureDate)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loan = await Loan.findOneAndUpdate(
+            { _id: req.params.id, status: 'out' },
+            { dueAt: req.body.dueAt },
+            { new: true, runValidators: true }
+        );
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                message: 'No equipment out on this loan'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${loan.componentName} lent to ${loan.borrowerName} is now due back ${loan.dueAt.toISOString().slice(0, 10)}`,
+            data: loan
+        });
+
+    } catch (error) {
+        console.error('Update loan due date error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating loan'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,556 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Location = require('../models/Location');
+const Component = require('../models/Component');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const { LOCATION_TYPES } = Location;
+
+// Look a location up by id or by code (e.g. /api/locations/CAB-A)
+const findLocation = (idOrCode) => {
+    if (mongoose.Types.ObjectId.isValid(idOrCode)) {
+        return Location.findById(idOrCode);
+    }
+    return Location.findOne({ code: idOrCode.toUpperCase() });
+};
+
+// @route   GET /api/locations
+// @desc    List storage locations
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('type').optional().isIn(LOCATION_TYPES).withMessage('Invalid location type'),
+    query('parent').optional().custom(value => value === 'root' || mongoose.Types.ObjectId.isValid(value)).withMessage('Parent must be a location ID or "root"'),
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long'),
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            page = 1,
+            limit = 100,
+            type,
+            parent,
+            search,
+            includeInactive = 'false'
+        } = req.query;
+
+        // Build filter
+        const filter = {};
+
+        if (includeInactive !== 'true') filter.isActive = true;
+        if (type) filter.type = type;
+        if (parent) filter.parent = parent === 'root' ? null : parent;
+
+        if (search) {
+            filter.$or = [
+                { code: { $regex: search, $options: 'i' } },
+                { name: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const locations = await Location.find(filter)
+            .sort({ path: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Location.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: locations,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get locations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching locations'
+        });
+    }
+});
+
+// @route   GET /api/locations/tree
+// @desc    Get all active locations as a nested tree
+// @access  Private
+router.get('/tree', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const locations = await Location.find({ isActive: true })
+            .sort({ path: 1 })
+            .lean();
+
+        const nodes = new Map(locations.map(location => [location._id.toString(), { ...location, children: [] }]));
+        const roots = [];
+
+        nodes.forEach(node => {
+            const parent = node.parent && nodes.get(node.parent.toString());
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        res.json({
+            success: true,
+            data: roots
+        });
+
+    } catch (error) {
+        console.error('Get location tree error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching location tree'
+        });
+    }
+});
+
+// @route   GET /api/locations/:id
+// @desc    Get a location by ID or code
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const location = await findLocation(req.params.id)
+            .populate('parent', 'code name type')
+            .populate('ancestors', 'code name type');
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const children = await Location.find({ parent: location._id, isActive: true })
+            .select('code name type capacity esdSafe dryCabinet')
+            .sort({ code: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                ...location.toJSON(),
+                children
+            }
+        });
+
+    } catch (error) {
+        console.error('Get location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching location'
+        });
+    }
+});
+
+// @route   GET /api/locations/:id/contents
+// @desc    What's in this location: components, quantities and value rolled
+//          up over the whole subtree
+// @access  Private
+router.get('/:id/contents', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const location = await findLocation(req.params.id);
+
+        if (!location || !location.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const subtree = await Location.find({
+            isActive: true,
+            $or: [{ _id: location._id }, { ancestors: location._id }]
+        });
+        const codes = subtree.map(l => l.code);
+
+        // One row per component, counting only the bins inside the subtree
+        const components = await Component.aggregate([
+            { $match: { isActive: true, 'stock.location': { $in: codes } } },
+            { $unwind: '$stock' },
+            { $match: { 'stock.location': { $in: codes } } },
+            {
+                $group: {
+                    _id: '$_id',
+                    name: { $first: '$name' },
+                    partNumber: { $first: '$partNumber' },
+                    manufacturer: { $first: '$manufacturer' },
+                    category: { $first: '$category' },
+                    unitPrice: { $first: '$unitPrice' },
+                    quantity: { $sum: '$stock.quantity' },
+                    bins: { $push: '$stock' }
+                }
+            },
+            { $addFields: { value: { $multiply: ['$quantity', '$unitPrice'] } } },
+            { $sort: { name: 1 } }
+        ]);
+
+        // Quantity and value held directly in each bin
+        const binTotals = new Map();
+        components.forEach(component => {
+            component.bins.forEach(bin => {
+                const totals = binTotals.get(bin.location) || { quantity: 0, value: 0 };
+                totals.quantity += bin.quantity;
+                totals.value += bin.quantity * component.unitPrice;
+                binTotals.set(bin.location, totals);
+            });
+        });
+
+        // Roll a location's own bins up with everything below it
+        const rollUp = (node) => subtree
+            .filter(l => l._id.equals(node._id) || l.ancestors.some(id => id.equals(node._id)))
+            .reduce((totals, l) => {
+                const own = binTotals.get(l.code) || { quantity: 0, value: 0 };
+                return {
+                    quantity: totals.quantity + own.quantity,
+                    value: totals.value + own.value
+                };
+            }, { quantity: 0, value: 0 });
+
+        const summarize = (node) => {
+            const totals = rollUp(node);
+            return {
+                id: node._id,
+                code: node.code,
+                name: node.name,
+                type: node.type,
+                capacity: node.capacity,
+                esdSafe: node.esdSafe,
+                dryCabinet: node.dryCabinet,
+                quantity: totals.quantity,
+                value: totals.value,
+                utilization: node.capacity ? totals.quantity / node.capacity : null
+            };
+        };
+
+        const children = subtree
+            .filter(l => l.parent && l.parent.equals(location._id))
+            .sort((a, b) => a.code.localeCompare(b.code))
+            .map(summarize);
+
+        res.json({
+            success: true,
+            data: {
+                location: summarize(location),
+                totals: {
+                    components: components.length,
+                    locations: subtree.length,
+                    ...rollUp(location)
+                },
+                children,
+                components
+            }
+        });
+
+    } catch (error) {
+        console.error('Get location contents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching location contents'
+        });
+    }
+});
+
+// @route   POST /api/locations
+// @desc    Create a storage location
+// @access  Private
+router.post('/', authenticate, authorize('edit'), [
+    body('code')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location code is required and cannot exceed 50 characters')
+        .toUpperCase(),
+    body('type')
+        .isIn(LOCATION_TYPES)
+        .withMessage('Location type must be room, cabinet, shelf or bin'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Location name cannot exceed 100 characters'),
+    body('parent')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('Parent must be a valid location ID'),
+    body('capacity')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Capacity must be a non-negative integer'),
+    body('esdSafe')
+        .optional()
+        .isBoolean()
+        .withMessage('esdSafe must be a boolean'),
+    body('dryCabinet')
+        .optional()
+        .isBoolean()
+        .withMessage('dryCabinet must be a boolean'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const existingLocation = await Location.findOne({ code: req.body.code });
+
+        if (existingLocation) {
+            return res.status(400).json({
+                success: false,
+                message: existingLocation.isActive
+                    ? 'Location with this code already exists'
+                    : 'A deactivated location with this code exists, reactivate it instead'
+            });
+        }
+
+        const { code, type, name, parent, capacity, esdSafe, dryCabinet, description } = req.body;
+
+        const location = new Location({
+            code,
+            type,
+            name,
+            parent: parent || null,
+            capacity,
+            esdSafe,
+            dryCabinet,
+            description,
+            createdBy: req.user._id
+        });
+
+        await location.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Location created successfully',
+            data: location
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Create location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating location'
+        });
+    }
+});
+
+// @route   PUT /api/locations/:id
+// @desc    Update a location (the code cannot change: stock records refer to it)
+// @access  Private
+router.put('/:id', authenticate, authorize('edit'), [
+    body('code')
+        .not()
+        .exists()
+        .withMessage('Location code cannot be changed'),
+    body('type')
+        .optional()
+        .isIn(LOCATION_TYPES)
+        .withMessage('Location type must be room, cabinet, shelf or bin'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Location name cannot exceed 100 characters'),
+    body('parent')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('Parent must be a valid location ID'),
+    body('capacity')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Capacity must be a non-negative integer'),
+    body('esdSafe')
+        .optional()
+        .isBoolean()
+        .withMessage('esdSafe must be a boolean'),
+    body('dryCabinet')
+        .optional()
+        .isBoolean()
+        .withMessage('dryCabinet must be a boolean'),
+    body('isActive')
+        .optional()
+        .isIn([true, 'true'])
+        .withMessage('A location can only be reactivated here; deactivate it with DELETE')
+        .toBoolean(),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const location = await findLocation(req.params.id);
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        ['name', 'type', 'capacity', 'esdSafe', 'dryCabinet', 'description'].forEach(field => {
+            if (req.body[field] !== undefined) location[field] = req.body[field];
+        });
+
+        if (req.body.parent !== undefined) {
+            location.parent = req.body.parent || null;
+        }
+
+        // Deactivating goes through DELETE, which checks the location is
+        // empty; a location can only come back under an active parent
+        if (req.body.isActive && !location.isActive) {
+            const parent = location.parent && await Location.findById(location.parent).select('code isActive');
+
+            if (parent && !parent.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot reactivate ${location.code}: its parent ${parent.code} is inactive`
+                });
+            }
+
+            location.isActive = true;
+        }
+
+        // Children must stay at a deeper level than their parent
+        if (location.isModified('type')) {
+            const shallowerTypes = LOCATION_TYPES.slice(0, LOCATION_TYPES.indexOf(location.type) + 1);
+            const blockingChild = await Location.findOne({ parent: location._id, type: { $in: shallowerTypes } });
+
+            if (blockingChild) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot make ${location.code} a ${location.type}: it contains ${blockingChild.type} ${blockingChild.code}`
+                });
+            }
+        }
+
+        const parentChanged = location.isModified('parent');
+        await location.save();
+
+        if (parentChanged) {
+            await location.rebuildDescendants();
+        }
+
+        res.json({
+            success: true,
+            message: 'Location updated successfully',
+            data: location
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Update location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating location'
+        });
+    }
+});
+
+// @route   DELETE /api/locations/:id
+// @desc    Deactivate an empty location
+// @access  Private/Admin
+router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const location = await findLocation(req.params.id);
+
+        if (!location || !location.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const activeChildren = await Location.countDocuments({ parent: location._id, isActive: true });
+
+        if (activeChildren > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Location contains ${activeChildren} active locations. Move or deactivate them first`
+            });
+        }
+
+        const componentsStored = await Component.countDocuments({
+            isActive: true,
+            $or: [
+                { location: location.code },
+                { stock: { $elemMatch: { location: location.code, quantity: { $gt: 0 } } } }
+            ]
+        });
+
+        if (componentsStored > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Location still holds stock of ${componentsStored} components or is their default bin`
+            });
+        }
+
+        location.isActive = false;
+        await location.save();
+
+        res.json({
+            success: true,
+            message: 'Location deactivated successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting location'
+        });
+    }
+});
+
+module.exports = router;
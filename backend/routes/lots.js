@@ -0,0 +1,198 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Lot = require('../models/Lot');
+const Movement = require('../models/Movement');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/lots
+// @desc    Lot-level stock view
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('lotNumber').optional().isLength({ max: 100 }).withMessage('Lot number query too long'),
+    query('supplier').optional().isLength({ max: 100 }).withMessage('Supplier query too long'),
+    query('status').optional().isIn(['in_stock', 'depleted']).withMessage('Status must be in_stock or depleted')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            page = 1,
+            limit = 50,
+            componentId,
+            lotNumber,
+            supplier,
+            status
+        } = req.query;
+
+        // Build filter
+        const filter = {};
+
+        if (componentId) filter.component = componentId;
+        if (lotNumber) filter.lotNumber = { $regex: lotNumber, $options: 'i' };
+        if (supplier) filter.supplier = { $regex: supplier, $options: 'i' };
+        if (status === 'in_stock') filter.quantityRemaining = { $gt: 0 };
+        if (status === 'depleted') filter.quantityRemaining = 0;
+
+        const lots = await Lot.find(filter)
+            .populate('component', 'name partNumber manufacturer location')
+            .sort({ receivedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Lot.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: lots,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching lots'
+        });
+    }
+});
+
+// @route   GET /api/lots/projects
+// @desc    Which projects received a lot (for failure analysis and RMA claims)
+// @access  Private
+router.get('/projects', authenticate, authorize('view'), [
+    query('lotNumber').trim().notEmpty().isLength({ max: 100 }).withMessage('Lot number is required'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { lotNumber, componentId } = req.query;
+
+        // The same lot number can exist for parts from different manufacturers
+        const lotFilter = { lotNumber };
+        if (componentId) lotFilter.component = componentId;
+
+        const lots = await Lot.find(lotFilter)
+            .populate('component', 'name partNumber manufacturer');
+
+        if (lots.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `Lot ${lotNumber} not found`
+            });
+        }
+
+        const lotIds = lots.map(lot => lot._id);
+
+        const projects = await Movement.aggregate([
+            { $match: { type: 'outward', 'lots.lot': { $in: lotIds }, ...Movement.EFFECTIVE } },
+            { $unwind: '$lots' },
+            { $match: { 'lots.lot': { $in: lotIds } } },
+            {
+                $group: {
+                    _id: '$project',
+                    quantity: { $sum: '$lots.quantity' },
+                    movements: { $sum: 1 },
+                    components: { $addToSet: { name: '$componentName', partNumber: '$componentPartNumber' } },
+                    users: { $addToSet: '$userName' },
+                    firstIssuedAt: { $min: '$createdAt' },
+                    lastIssuedAt: { $max: '$createdAt' }
+                }
+            },
+            { $sort: { quantity: -1 } },
+            {
+                $project: {
+                    _id: 0,
+                    project: '$_id',
+                    quantity: 1,
+                    movements: 1,
+                    components: 1,
+                    users: 1,
+                    firstIssuedAt: 1,
+                    lastIssuedAt: 1
+                }
+            }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                lotNumber,
+                lots,
+                projects
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lot projects error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while tracing lot'
+        });
+    }
+});
+
+// @route   GET /api/lots/:id
+// @desc    Get a lot with every movement that received or consumed it
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const lot = await Lot.findById(req.params.id)
+            .populate('component', 'name partNumber manufacturer location')
+            .populate('createdBy', 'name username');
+
+        if (!lot) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lot not found'
+            });
+        }
+
+        const movements = await Movement.find({ 'lots.lot': lot._id })
+            .sort({ createdAt: -1 })
+            .populate('user', 'name username');
+
+        res.json({
+            success: true,
+            data: {
+                ...lot.toJSON(),
+                movements
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching lot'
+        });
+    }
+});
+
+module.exports = router;
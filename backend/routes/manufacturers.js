@@ -0,0 +1,457 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Manufacturer = require('../models/Manufacturer');
+const Component = require('../models/Component');
+const { authenticate, authorize } = require('../middleware/auth');
+const { withTransaction } = require('../services/stock');
+const { recordBulkAudit } = require('../services/audit');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+const manufacturerValidators = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Manufacturer name is required and cannot exceed 100 characters'),
+    body('aliases')
+        .optional()
+        .isArray()
+        .withMessage('Aliases must be an array'),
+    body('aliases.*')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Aliases cannot be empty or exceed 100 characters'),
+    body('website')
+        .optional({ checkFalsy: true })
+        .isURL()
+        .withMessage('Website must be a valid URL'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Description cannot exceed 300 characters')
+];
+
+// A name or alias can only point at one manufacturer
+const assertNamesFree = async (names, excludeId = null) => {
+    const conflict = await Manufacturer.findConflict(names, excludeId);
+
+    if (conflict) {
+        throw new ApiError(400, conflict.isActive
+            ? `${conflict.name} already goes by one of these names`
+            : `The retired manufacturer ${conflict.name} goes by one of these names, reactivate it instead`);
+    }
+};
+
+// @route   GET /api/manufacturers
+// @desc    List manufacturers with the number of components from each
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long'),
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { search, includeInactive } = req.query;
+
+        const filter = {};
+        if (includeInactive !== 'true') filter.isActive = true;
+
+        if (search) {
+            filter.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { aliases: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const manufacturers = await Manufacturer.find(filter).sort({ name: 1 });
+
+        const counts = await Component.aggregate([
+            { $match: { isActive: true, manufacturer: { $in: manufacturers.map(m => m.name) } } },
+            { $group: { _id: '$manufacturer', count: { $sum: 1 } } }
+        ]);
+        const countByName = new Map(counts.map(c => [c._id, c.count]));
+
+        res.json({
+            success: true,
+            data: manufacturers.map(manufacturer => ({
+                ...manufacturer.toJSON(),
+                componentCount: countByName.get(manufacturer.name) || 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get manufacturers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching manufacturers'
+        });
+    }
+});
+
+// @route   GET /api/manufacturers/resolve
+// @desc    Find the manufacturer a name or alias belongs to ("TI")
+// @access  Private
+router.get('/resolve', authenticate, authorize('view'), [
+    query('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const manufacturer = await Manufacturer.resolve(req.query.name);
+
+        if (!manufacturer) {
+            return res.status(404).json({
+                success: false,
+                message: `No manufacturer goes by ${req.query.name}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: manufacturer
+        });
+
+    } catch (error) {
+        console.error('Resolve manufacturer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resolving manufacturer'
+        });
+    }
+});
+
+// @route   GET /api/manufacturers/:id
+// @desc    Get a manufacturer
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const manufacturer = await Manufacturer.findById(req.params.id);
+
+        if (!manufacturer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Manufacturer not found'
+            });
+        }
+
+        const componentCount = await Component.countDocuments({ manufacturer: manufacturer.name, isActive: true });
+
+        res.json({
+            success: true,
+            data: {
+                ...manufacturer.toJSON(),
+                componentCount
+            }
+        });
+
+    } catch (error) {
+        console.error('Get manufacturer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching manufacturer'
+        });
+    }
+});
+
+// @route   POST /api/manufacturers
+// @desc    Register a manufacturer
+// @access  Private/Admin
+router.post('/', authenticate, authorize('all'), manufacturerValidators(false), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, aliases = [], website, description } = req.body;
+
+        await assertNamesFree([name, ...aliases]);
+
+        const manufacturer = new Manufacturer({
+            name,
+            aliases,
+            website,
+            description,
+            createdBy: req.user._id
+        });
+
+        await manufacturer.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Manufacturer created successfully',
+            data: manufacturer
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create manufacturer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating manufacturer'
+        });
+    }
+});
+
+// @route   PUT /api/manufacturers/:id
+// @desc    Update a manufacturer. A new name is carried over to its
+//          components; `aliases` replaces the list.
+// @access  Private/Admin
+router.put('/:id', authenticate, authorize('all'), [
+    ...manufacturerValidators(true),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const updated = await withTransaction(async (session) => {
+            const manufacturer = await Manufacturer.findById(req.params.id).session(session);
+
+            if (!manufacturer) {
+                throw new ApiError(404, 'Manufacturer not found');
+            }
+
+            const { name, aliases, website, description, isActive } = req.body;
+            const oldName = manufacturer.name;
+
+            if (name !== undefined) manufacturer.name = name;
+            if (aliases !== undefined) manufacturer.aliases = aliases;
+            if (website !== undefined) manufacturer.website = website;
+            if (description !== undefined) manufacturer.description = description;
+
+            await assertNamesFree([manufacturer.name, ...manufacturer.aliases], manufacturer._id);
+
+            if (isActive === false && manufacturer.isActive) {
+                const components = await Component.countDocuments({ manufacturer: oldName, isActive: true });
+                if (components > 0) {
+                    throw new ApiError(400, `${components} components are from ${oldName}. Merge it into another manufacturer instead`);
+                }
+            }
+            if (isActive !== undefined) manufacturer.isActive = isActive;
+
+            manufacturer.lastUpdatedBy = req.user._id;
+            await manufacturer.save({ session });
+
+            if (manufacturer.name !== oldName) {
+                const components = await Component.find({ manufacturer: oldName }).distinct('_id').session(session);
+                await recordBulkAudit(req, {
+                    entityType: 'Component',
+                    entities: components,
+                    changes: [{ field: 'manufacturer', from: oldName, to: manufacturer.name }],
+                    session
+                });
+
+                await Component.updateMany({ manufacturer: oldName }, { $set: { manufacturer: manufacturer.name } }, { session });
+            }
+
+            return manufacturer;
+        });
+
+        res.json({
+            success: true,
+            message: 'Manufacturer updated successfully',
+            data: updated
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update manufacturer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating manufacturer'
+        });
+    }
+});
+
+// @route   POST /api/manufacturers/:id/merge
+// @desc    Merge a duplicate into another manufacturer: its components move
+//          over and its name and aliases become aliases of the other
+// @access  Private/Admin
+router.post('/:id/merge', authenticate, authorize('all'), [
+    body('into')
+        .isMongoId()
+        .withMessage('into must be a valid manufacturer ID')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.params.id === req.body.into) {
+            return res.status(400).json({
+                success: false,
+                message: 'A manufacturer cannot be merged into itself'
+            });
+        }
+
+        const { target, moved } = await withTransaction(async (session) => {
+            const source = await Manufacturer.findById(req.params.id).session(session);
+            const target = await Manufacturer.findOne({ _id: req.body.into, isActive: true }).session(session);
+
+            if (!source) {
+                throw new ApiError(404, 'Manufacturer not found');
+            }
+            if (!target) {
+                throw new ApiError(404, 'Manufacturer to merge into not found');
+            }
+
+            const components = await Component.find({ manufacturer: source.name }).distinct('_id').session(session);
+            await recordBulkAudit(req, {
+                entityType: 'Component',
+                entities: components,
+                changes: [{ field: 'manufacturer', from: source.name, to: target.name }],
+                session
+            });
+
+            const { modifiedCount } = await Component.updateMany(
+                { manufacturer: source.name },
+                { $set: { manufacturer: target.name } },
+                { session }
+            );
+
+            // The names are only free for the target once the source is gone
+            await Manufacturer.deleteOne({ _id: source._id }, { session });
+
+            target.aliases = [...target.aliases, source.name, ...source.aliases];
+            target.lastUpdatedBy = req.user._id;
+            await target.save({ session });
+
+            return { target, moved: modifiedCount };
+        });
+
+        res.json({
+            success: true,
+            message: `Merged into ${target.name}: ${moved} components moved`,
+            data: target
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Merge manufacturer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while merging manufacturers'
+        });
+    }
+});
+
+// @route   DELETE /api/manufacturers/:id
+// @desc    Retire a manufacturer no component is from
+// @access  Private/Admin
+router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const manufacturer = await Manufacturer.findById(req.params.id);
+
+        if (!manufacturer || !manufacturer.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Manufacturer not found'
+            });
+        }
+
+        const components = await Component.countDocuments({ manufacturer: manufacturer.name, isActive: true });
+
+        if (components > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${components} components are from ${manufacturer.name}. Merge it into another manufacturer instead`
+            });
+        }
+
+        manufacturer.isActive = false;
+        manufacturer.lastUpdatedBy = req.user._id;
+        await manufacturer.save();
+
+        res.json({
+            success: true,
+            message: `Manufacturer ${manufacturer.name} retired`
+        });
+
+    } catch (error) {
+        console.error('Delete manufacturer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retiring manufacturer'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,46 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Component = require('../models/Component');
-const Notification = require('../models/Notification');
+const Movement = require('../models/Movement');
+const ReasonCode = require('../models/ReasonCode');
+const User = require('../models/User');
 const { authenticate, authorize } = require('../middleware/auth');
+const {
+    withTransaction,
+    applyMovement,
+    applyAdjustment,
+    buildMovementNotifications,
+    recordMovement,
+    recordTransfer
+} = require('../services/stock');
+const { reverseMovement } = require('../services/reversals');
+const { holdForApproval } = require('../services/approvals');
+const { suggestAlternates } = require('../services/alternates');
 
 const router = express.Router();
 
+// Why stock moved: a code from the reason code registry, free text, or
+// both. Return, scrap and adjustment movements need the code.
+const reasonValidators = (codeRequired = false) => [
+    (codeRequired ? body('reasonCode') : body('reasonCode').optional())
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Reason code is required and cannot exceed 50 characters')
+        .toLowerCase(),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters'),
+    body('reason')
+        .custom((value, { req }) => Boolean(value || req.body.reasonCode))
+        .withMessage('A reason or reason code is required')
+];
+
 // @route   POST /api/movements/inward
-// @desc    Add stock (inward movement)
+// @desc    Add stock (inward movement) to `location`, or the default bin,
+//          optionally recorded against a manufacturer lot (`lotNumber`)
 // @access  Private
 router.post('/inward', authenticate, authorize('inward'), [
     body('componentId')
@@ -16,16 +49,48 @@ router.post('/inward', authenticate, authorize('inward'), [
     body('quantity')
         .isInt({ min: 1 })
         .withMessage('Quantity must be a positive integer'),
-    body('reason')
-        .trim()
-        .notEmpty()
-        .isLength({ max: 200 })
-        .withMessage('Reason is required and cannot exceed 200 characters'),
+    ...reasonValidators(),
     body('project')
         .trim()
         .notEmpty()
         .isLength({ max: 100 })
         .withMessage('Project is required and cannot exceed 100 characters'),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('lotNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Lot number cannot exceed 100 characters'),
+    body('dateCode')
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Date code cannot exceed 20 characters')
+        .custom((value, { req }) => Boolean(req.body.lotNumber))
+        .withMessage('Date code requires a lot number'),
+    body('supplier')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Supplier cannot exceed 100 characters')
+        .custom((value, { req }) => Boolean(req.body.lotNumber))
+        .withMessage('Supplier requires a lot number'),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
     body('notes')
         .optional()
         .trim()
@@ -43,51 +108,28 @@ router.post('/inward', authenticate, authorize('inward'), [
             });
         }
 
-        const { componentId, quantity, reason, project, notes } = req.body;
-
-        // Find component
-        const component = await Component.findOne({
-            _id: componentId,
-            isActive: true
-        });
-
-        if (!component) {
-            return res.status(404).json({
-                success: false,
-                message: 'Component not found'
-            });
-        }
-
-        // Store old quantity for notification
-        const oldQuantity = component.quantity;
+        const {
+            componentId, quantity, location, lotNumber, dateCode, supplier,
+            serialNumbers, reasonCode, reason, project, notes
+        } = req.body;
 
-        // Create movement object
-        const movement = {
+        const { component, movement, oldQuantity } = await recordMovement({
+            componentId,
             type: 'inward',
-            quantity,
-            user: req.user._id,
-            userName: req.user.name,
+            quantity: parseInt(quantity),
+            location,
+            lotNumber,
+            dateCode,
+            supplier,
+            serialNumbers,
+            reasonCode,
             reason,
             project,
-            notes: notes || ''
-        };
-
-        // Add movement and update quantity
-        component.addMovement(movement);
-        component.lastUpdatedBy = req.user._id;
-
-        await component.save();
+            notes
+        }, req.user);
 
         // Populate user data for response
-        await component.populate('movements.user', 'name username');
-
-        // Create notification for stock movement
-        const notification = Notification.createStockMovementNotification(
-            component,
-            movement,
-            req.user
-        );
-        await notification.save();
+        await movement.populate('user', 'name username');
 
         res.json({
             success: true,
@@ -101,11 +143,19 @@ router.post('/inward', authenticate, authorize('inward'), [
                     newQuantity: component.quantity,
                     location: component.location
                 },
-                movement: component.movements[component.movements.length - 1]
+                movement
             }
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
         console.error('Inward movement error:', error);
         res.status(500).json({
             success: false,
@@ -115,7 +165,10 @@ router.post('/inward', authenticate, authorize('inward'), [
 });
 
 // @route   POST /api/movements/outward
-// @desc    Remove stock (outward movement)
+// @desc    Remove stock (outward movement) from `location`, or from any bins
+//          starting with the default one. Consumes `lotNumber`, or the
+//          oldest lots first. Reserved stock can only be taken by
+//          fulfilling its reservation (`reservationId`)
 // @access  Private
 router.post('/outward', authenticate, authorize('outward'), [
     body('componentId')
@@ -124,16 +177,42 @@ router.post('/outward', authenticate, authorize('outward'), [
     body('quantity')
         .isInt({ min: 1 })
         .withMessage('Quantity must be a positive integer'),
-    body('reason')
-        .trim()
-        .notEmpty()
-        .isLength({ max: 200 })
-        .withMessage('Reason is required and cannot exceed 200 characters'),
+    ...reasonValidators(),
     body('project')
         .trim()
         .notEmpty()
         .isLength({ max: 100 })
         .withMessage('Project is required and cannot exceed 100 characters'),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('lotNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Lot number cannot exceed 100 characters'),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('reservationId')
+        .optional()
+        .isMongoId()
+        .withMessage('Reservation ID must be valid'),
+    body('issuedTo')
+        .optional()
+        .isMongoId()
+        .withMessage('issuedTo must be a valid user ID'),
     body('notes')
         .optional()
         .trim()
@@ -151,71 +230,75 @@ router.post('/outward', authenticate, authorize('outward'), [
             });
         }
 
-        const { componentId, quantity, reason, project, notes } = req.body;
+        const {
+            componentId, quantity, location, lotNumber,
+            serialNumbers, issuedTo, reservationId, reasonCode, reason, project, notes
+        } = req.body;
 
-        // Find component
-        const component = await Component.findOne({
-            _id: componentId,
-            isActive: true
-        });
+        // Serialized units are held by the person they are issued to
+        let holder;
+        if (issuedTo) {
+            holder = await User.findOne({ _id: issuedTo, isActive: true });
 
-        if (!component) {
-            return res.status(404).json({
-                success: false,
-                message: 'Component not found'
-            });
+            if (!holder) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User to issue to not found'
+                });
+            }
         }
 
-        // Check if sufficient quantity is available
-        if (component.quantity < quantity) {
-            return res.status(400).json({
-                success: false,
-                message: `Insufficient stock. Available: ${component.quantity} units, Requested: ${quantity} units`
+        // Large or valuable requests wait for an approver; stock is only
+        // removed once one approves
+        const request = await holdForApproval({
+            componentId,
+            quantity: parseInt(quantity),
+            location,
+            lotNumber,
+            serialNumbers,
+            holder,
+            reservationId,
+            reasonCode,
+            reason,
+            project,
+            notes
+        }, req.user);
+
+        if (request) {
+            return res.status(202).json({
+                success: true,
+                message: `Request ${request.requestNumber} needs approval (${request.rules.map(rule => rule.name).join(', ')}); stock will be removed once it is approved`,
+                data: {
+                    request
+                }
             });
         }
 
-        // Store old quantity for notification
-        const oldQuantity = component.quantity;
-
-        // Create movement object
-        const movement = {
+        // The stock check happens inside the atomic update, so two requests
+        // for the last units cannot both succeed
+        const { component, movement, oldQuantity, reservation } = await recordMovement({
+            componentId,
             type: 'outward',
-            quantity,
-            user: req.user._id,
-            userName: req.user.name,
+            quantity: parseInt(quantity),
+            location,
+            lotNumber,
+            serialNumbers,
+            holder,
+            reservationId,
+            reasonCode,
             reason,
             project,
-            notes: notes || ''
-        };
-
-        // Add movement and update quantity
-        component.addMovement(movement);
-        component.lastUpdatedBy = req.user._id;
-
-        await component.save();
+            notes
+        }, req.user);
 
         // Populate user data for response
-        await component.populate('movements.user', 'name username');
-
-        // Create notification for stock movement
-        const movementNotification = Notification.createStockMovementNotification(
-            component,
-            movement,
-            req.user
-        );
-        await movementNotification.save();
-
-        // Check if component is now below critical threshold
-        if (component.quantity <= component.criticalLowThreshold) {
-            const lowStockNotification = Notification.createLowStockNotification(component);
-            await lowStockNotification.save();
-        }
+        await movement.populate('user', 'name username');
 
         const warnings = [];
-        if (component.quantity <= component.criticalLowThreshold) {
-            warnings.push(`Warning: ${component.name} is now below critical threshold (${component.quantity} remaining)`);
+        if (component.available <= component.criticalLowThreshold) {
+            warnings.push(`Warning: ${component.name} is now below critical threshold (${component.available} available)`);
         }
-        if (component.quantity === 0) {
+        if (component.available === 0) {
             warnings.push(`Alert: ${component.name} is now out of stock`);
         }
 
@@ -230,15 +313,40 @@ router.post('/outward', authenticate, authorize('outward'), [
                     partNumber: component.partNumber,
                     oldQuantity,
                     newQuantity: component.quantity,
+                    reserved: component.reserved,
+                    available: component.available,
                     location: component.location,
                     criticalLowThreshold: component.criticalLowThreshold,
                     stockStatus: component.stockStatus
                 },
-                movement: component.movements[component.movements.length - 1]
+                movement,
+                reservation
             }
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            // Short of stock: offer the equivalents that have some. The
+            // suggestion is a courtesy, so failing to find one keeps the 409.
+            const alternates = error.details.code === 'INSUFFICIENT_STOCK'
+                ? await suggestAlternates(req.body.componentId, parseInt(req.body.quantity)).catch(() => [])
+                : null;
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                ...(alternates ? { alternates } : {})
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another request took this request number, please retry'
+            });
+        }
+
         console.error('Outward movement error:', error);
         res.status(500).json({
             success: false,
@@ -247,21 +355,517 @@ router.post('/outward', authenticate, authorize('outward'), [
     }
 });
 
+// @route   POST /api/movements/return
+// @desc    Take unused stock back from a project into `location`, or the
+//          default bin. Returned serialized units come back into stock;
+//          `lotNumber` puts the units back into the lot they came from
+// @access  Private
+router.post('/return', authenticate, authorize('inward'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    ...reasonValidators(true),
+    body('project')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project the stock comes back from is required and cannot exceed 100 characters'),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('lotNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Lot number cannot exceed 100 characters'),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            componentId, quantity, location, lotNumber, serialNumbers, reasonCode, reason, project, notes
+        } = req.body;
+
+        const { component, movement, oldQuantity } = await recordMovement({
+            componentId,
+            type: 'return',
+            quantity: parseInt(quantity),
+            location,
+            lotNumber,
+            serialNumbers,
+            reasonCode,
+            reason,
+            project,
+            notes
+        }, req.user);
+
+        await movement.populate('user', 'name username');
+
+        res.json({
+            success: true,
+            message: `Returned ${quantity} units of ${component.name} to stock`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    oldQuantity,
+                    newQuantity: component.quantity,
+                    location: component.location
+                },
+                movement
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Return movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing return'
+        });
+    }
+});
+
+// @route   POST /api/movements/scrap
+// @desc    Write off damaged or expired stock from `location`, or from any
+//          bins starting with the default one. Scrap is not consumption:
+//          it does not count towards usage. Scrapped serialized units are
+//          retired
+// @access  Private
+router.post('/scrap', authenticate, authorize('outward'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    ...reasonValidators(true),
+    body('project')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project cannot exceed 100 characters'),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('lotNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Lot number cannot exceed 100 characters'),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            componentId, quantity, location, lotNumber, serialNumbers, reasonCode, reason, project, notes
+        } = req.body;
+
+        const { component, movement, oldQuantity } = await recordMovement({
+            componentId,
+            type: 'scrap',
+            quantity: parseInt(quantity),
+            location,
+            lotNumber,
+            serialNumbers,
+            reasonCode,
+            reason,
+            project: project || 'Scrap',
+            notes
+        }, req.user);
+
+        await movement.populate('user', 'name username');
+
+        res.json({
+            success: true,
+            message: `Scrapped ${quantity} units of ${component.name}`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    oldQuantity,
+                    newQuantity: component.quantity,
+                    available: component.available,
+                    stockStatus: component.stockStatus
+                },
+                movement
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Scrap movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing scrap'
+        });
+    }
+});
+
+// @route   POST /api/movements/adjustment
+// @desc    Correct the books for one bin without stock physically moving
+//          (`direction` in or out). Stocktake differences are posted by
+//          approving a count instead
+// @access  Private/Admin
+router.post('/adjustment', authenticate, authorize('all'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('direction')
+        .isIn(['in', 'out'])
+        .withMessage('Direction must be in or out'),
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    ...reasonValidators(true),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('project')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { componentId, direction, quantity, location, reasonCode, reason, project, notes } = req.body;
+
+        const { component, movement, oldQuantity } = await withTransaction(async (session) => {
+            const result = await applyAdjustment({
+                componentId,
+                direction,
+                quantity: parseInt(quantity),
+                location,
+                reasonCode,
+                reason,
+                project: project || 'Stock correction',
+                notes
+            }, req.user, session);
+
+            const notifications = buildMovementNotifications(result.component, result.movement, req.user);
+            for (const notification of notifications) {
+                await notification.save({ session });
+            }
+
+            return result;
+        });
+
+        await movement.populate('user', 'name username');
+
+        res.json({
+            success: true,
+            message: `Adjusted ${component.name} ${direction === 'in' ? 'up' : 'down'} by ${quantity} units`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    oldQuantity,
+                    newQuantity: component.quantity,
+                    stock: component.stock
+                },
+                movement
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Adjustment movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing adjustment'
+        });
+    }
+});
+
+// @route   POST /api/movements/transfer
+// @desc    Move stock between two bins of the same component
+// @access  Private
+router.post('/transfer', authenticate, authorize('edit'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    body('fromLocation')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Source location is required and cannot exceed 50 characters')
+        .toUpperCase(),
+    body('toLocation')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Destination location is required and cannot exceed 50 characters')
+        .toUpperCase(),
+    ...reasonValidators(),
+    body('project')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project cannot exceed 100 characters'),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            componentId, quantity, fromLocation, toLocation, serialNumbers, reasonCode, reason, project, notes
+        } = req.body;
+
+        const { component, movements } = await recordTransfer({
+            componentId,
+            quantity: parseInt(quantity),
+            fromLocation,
+            toLocation,
+            serialNumbers,
+            reasonCode,
+            reason,
+            project: project || 'Stock transfer',
+            notes
+        }, req.user);
+
+        res.json({
+            success: true,
+            message: `Moved ${quantity} units of ${component.name} from ${fromLocation} to ${toLocation}`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    quantity: component.quantity,
+                    stock: component.stock
+                },
+                movements
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Transfer movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing transfer'
+        });
+    }
+});
+
+// @route   POST /api/movements/:id/reverse
+// @desc    Reverse a movement with a linked compensating movement. The
+//          original stays in the ledger, marked as reversed. Users may
+//          reverse their own movements within 24 hours; admins any.
+// @access  Private
+router.post('/:id/reverse', authenticate, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid movement ID'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { component, reversals, originals } = await reverseMovement(req.params.id, {
+            reason: req.body.reason,
+            notes: req.body.notes
+        }, req.user);
+
+        res.json({
+            success: true,
+            message: `Reversed ${originals[0].type} of ${originals[0].quantity} units of ${component.name}`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    quantity: component.quantity,
+                    stock: component.stock
+                },
+                reversed: originals,
+                reversals
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Reverse movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while reversing movement'
+        });
+    }
+});
+
 // @route   GET /api/movements/history/:componentId
-// @desc    Get movement history for a component
+// @desc    Get movement history for a component, including that of
+//          duplicates merged into it (a merged duplicate's ID gives the
+//          history of the component it was merged into)
 // @access  Private
 router.get('/history/:componentId', authenticate, authorize('view'), async (req, res) => {
     try {
         const { componentId } = req.params;
         const { page = 1, limit = 20 } = req.query;
 
-        // Find component with movements
         const component = await Component.findOne({
-            _id: componentId,
+            _id: await Component.resolveId(componentId),
             isActive: true
         })
-        .populate('movements.user', 'name username')
-        .select('name partNumber movements');
+        .select('name partNumber');
 
         if (!component) {
             return res.status(404).json({
@@ -270,10 +874,19 @@ router.get('/history/:componentId', authenticate, authorize('view'), async (req,
             });
         }
 
-        // Sort movements by date (newest first) and paginate
-        const sortedMovements = component.movements
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-            .slice((page - 1) * limit, page * limit);
+        // Newest first, paginated from the ledger. Reversed movements and
+        // their reversals point at each other.
+        const merged = await Component.findMergedSources([component._id]);
+        const filter = { component: { $in: [component._id, ...merged.map(m => m._id)] } };
+        const [movements, total] = await Promise.all([
+            Movement.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .populate('user', 'name username')
+                .populate('reversedBy reversalOf', 'type direction quantity userName reason createdAt'),
+            Movement.countDocuments(filter)
+        ]);
 
         res.json({
             success: true,
@@ -283,12 +896,12 @@ router.get('/history/:componentId', authenticate, authorize('view'), async (req,
                     name: component.name,
                     partNumber: component.partNumber
                 },
-                movements: sortedMovements,
+                movements,
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
-                    total: component.movements.length,
-                    pages: Math.ceil(component.movements.length / limit)
+                    total,
+                    pages: Math.ceil(total / limit)
                 }
             }
         });
@@ -309,42 +922,59 @@ router.get('/recent', authenticate, authorize('view'), async (req, res) => {
     try {
         const { limit = 50 } = req.query;
 
-        // Aggregate recent movements from all components
-        const recentMovements = await Component.aggregate([
-            { $match: { isActive: true } },
-            { $unwind: '$movements' },
+        // Walk the ledger newest first, skipping deleted components (but
+        // not duplicates merged into another)
+        const recentMovements = await Movement.aggregate([
+            { $sort: { createdAt: -1 } },
+            {
+                $lookup: {
+                    from: Component.collection.name,
+                    localField: 'component',
+                    foreignField: '_id',
+                    as: 'componentDetails'
+                }
+            },
+            { $unwind: '$componentDetails' },
+            { $match: { $or: [{ 'componentDetails.isActive': true }, { 'componentDetails.mergedInto': { $ne: null } }] } },
+            { $limit: parseInt(limit) },
             {
                 $lookup: {
                     from: 'users',
-                    localField: 'movements.user',
+                    localField: 'user',
                     foreignField: '_id',
-                    as: 'movements.userDetails'
+                    as: 'userDetails'
                 }
             },
-            { $unwind: '$movements.userDetails' },
+            { $unwind: '$userDetails' },
             {
                 $project: {
-                    componentId: '$_id',
-                    componentName: '$name',
-                    componentPartNumber: '$partNumber',
+                    _id: 0,
+                    componentId: '$component',
+                    componentName: '$componentDetails.name',
+                    componentPartNumber: '$componentDetails.partNumber',
                     movement: {
-                        _id: '$movements._id',
-                        type: '$movements.type',
-                        quantity: '$movements.quantity',
-                        reason: '$movements.reason',
-                        project: '$movements.project',
-                        notes: '$movements.notes',
-                        createdAt: '$movements.createdAt',
+                        _id: '$_id',
+                        type: '$type',
+                        direction: '$direction',
+                        quantity: '$quantity',
+                        allocations: '$allocations',
+                        lots: '$lots',
+                        serialNumbers: '$serialNumbers',
+                        reasonCode: '$reasonCode',
+                        reason: '$reason',
+                        project: '$project',
+                        notes: '$notes',
+                        reversalOf: '$reversalOf',
+                        reversedBy: '$reversedBy',
+                        createdAt: '$createdAt',
                         user: {
-                            _id: '$movements.userDetails._id',
-                            name: '$movements.userDetails.name',
-                            username: '$movements.userDetails.username'
+                            _id: '$userDetails._id',
+                            name: '$userDetails.name',
+                            username: '$userDetails.username'
                         }
                     }
                 }
-            },
-            { $sort: { 'movement.createdAt': -1 } },
-            { $limit: parseInt(limit) }
+            }
         ]);
 
         res.json({
@@ -389,48 +1019,78 @@ router.get('/statistics', authenticate, authorize('view'), async (req, res) => {
                 dateFilter = new Date(now.getFullYear(), now.getMonth(), 1);
         }
 
-        const stats = await Component.aggregate([
-            { $match: { isActive: true } },
-            { $unwind: '$movements' },
-            { $match: { 'movements.createdAt': { $gte: dateFilter } } },
+        // Transfers are written as two legs; only the outgoing leg is counted.
+        // Reversed movements and their reversals leave the totals.
+        const stats = await Movement.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: dateFilter },
+                    ...Movement.EFFECTIVE,
+                    $expr: {
+                        $or: [
+                            { $ne: ['$type', 'transfer'] },
+                            { $eq: [{ $arrayElemAt: ['$allocations.location', 0] }, '$fromLocation'] }
+                        ]
+                    }
+                }
+            },
             {
                 $group: {
-                    _id: '$movements.type',
-                    totalQuantity: { $sum: '$movements.quantity' },
+                    _id: { type: '$type', direction: '$direction', reasonCode: '$reasonCode' },
+                    totalQuantity: { $sum: '$quantity' },
                     totalTransactions: { $sum: 1 }
                 }
-            }
+            },
+            { $sort: { '_id.type': 1, totalQuantity: -1 } }
         ]);
 
-        // Format the response
+        const codes = await ReasonCode.find({ code: { $in: stats.map(stat => stat._id.reasonCode).filter(Boolean) } })
+            .select('code label');
+        const labels = new Map(codes.map(code => [code.code, code.label]));
+
+        // Format the response: each type on its own, so returns and scrap
+        // are not mistaken for receipts and consumption
+        const empty = () => ({ totalQuantity: 0, totalTransactions: 0 });
         const formattedStats = {
             period,
             dateFrom: dateFilter,
             dateTo: now,
-            inward: {
-                totalQuantity: 0,
-                totalTransactions: 0
+            inward: empty(),
+            outward: empty(),
+            return: empty(),
+            scrap: empty(),
+            transfer: empty(),
+            checkout: empty(),
+            checkin: empty(),
+            adjustment: {
+                in: empty(),
+                out: empty()
             },
-            outward: {
-                totalQuantity: 0,
-                totalTransactions: 0
-            }
+            byReason: []
         };
 
         stats.forEach(stat => {
-            if (stat._id === 'inward') {
-                formattedStats.inward = {
-                    totalQuantity: stat.totalQuantity,
-                    totalTransactions: stat.totalTransactions
-                };
-            } else if (stat._id === 'outward') {
-                formattedStats.outward = {
-                    totalQuantity: stat.totalQuantity,
-                    totalTransactions: stat.totalTransactions
-                };
-            }
+            const { type, direction, reasonCode } = stat._id;
+            const totals = type === 'adjustment' ? formattedStats.adjustment[direction] : formattedStats[type];
+
+            if (!totals) return;
+
+            totals.totalQuantity += stat.totalQuantity;
+            totals.totalTransactions += stat.totalTransactions;
+
+            formattedStats.byReason.push({
+                type,
+                ...(direction ? { direction } : {}),
+                reasonCode: reasonCode || null,
+                label: reasonCode ? labels.get(reasonCode) || reasonCode : 'No reason code',
+                totalQuantity: stat.totalQuantity,
+                totalTransactions: stat.totalTransactions
+            });
         });
 
+        // Consumption is what was issued and not brought back
+        formattedStats.netConsumption = Math.max(0, formattedStats.outward.totalQuantity - formattedStats.return.totalQuantity);
+
         res.json({
             success: true,
             data: formattedStats
@@ -446,7 +1106,10 @@ router.get('/statistics', authenticate, authorize('view'), async (req, res) => {
 });
 
 // @route   POST /api/movements/bulk-update
-// @desc    Bulk update stock for multiple components
+// @desc    Bulk update stock for multiple components. With `atomic: true`
+//          either every update is applied or none are. Approval rules do
+//          not apply: only admins can call it, and admins hold every
+//          approver permission.
 // @access  Private/Admin
 router.post('/bulk-update', authenticate, authorize('all'), [
     body('updates')
@@ -457,11 +1120,18 @@ router.post('/bulk-update', authenticate, authorize('all'), [
         .withMessage('Valid component ID is required for each update'),
     body('updates.*.quantity')
         .isInt()
-        .withMessage('Quantity must be an integer for each update'),
+        .custom(value => parseInt(value) !== 0)
+        .withMessage('Quantity must be a non-zero integer for each update'),
     body('updates.*.reason')
         .trim()
         .notEmpty()
         .withMessage('Reason is required for each update'),
+    body('updates.*.location')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
     body('reason')
         .trim()
         .notEmpty()
@@ -469,7 +1139,11 @@ router.post('/bulk-update', authenticate, authorize('all'), [
     body('project')
         .trim()
         .notEmpty()
-        .withMessage('Project is required')
+        .withMessage('Project is required'),
+    body('atomic')
+        .optional()
+        .isBoolean()
+        .withMessage('atomic must be a boolean')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -483,68 +1157,86 @@ router.post('/bulk-update', authenticate, authorize('all'), [
         }
 
         const { updates, reason, project } = req.body;
-        const results = [];
-        const errors_occurred = [];
+        const atomic = req.body.atomic === true || req.body.atomic === 'true';
+
+        const toMovement = (update) => ({
+            componentId: update.componentId,
+            type: update.quantity > 0 ? 'inward' : 'outward',
+            quantity: Math.abs(parseInt(update.quantity)),
+            location: update.location,
+            reason: update.reason || reason,
+            project,
+            notes: 'Bulk update operation'
+        });
+
+        const toResult = ({ component, movement, oldQuantity }) => ({
+            componentId: component._id,
+            componentName: component.name,
+            partNumber: component.partNumber,
+            oldQuantity,
+            newQuantity: component.quantity,
+            movementType: movement.type,
+            movementQuantity: movement.quantity
+        });
+
+        if (atomic) {
+            // All-or-nothing: one transaction for every update
+            let failedUpdate = null;
 
-        // Process each update
-        for (const update of updates) {
             try {
-                const component = await Component.findOne({
-                    _id: update.componentId,
-                    isActive: true
+                const results = await withTransaction(async (session) => {
+                    const applied = [];
+                    for (const update of updates) {
+                        failedUpdate = update;
+                        applied.push(toResult(await applyMovement(toMovement(update), req.user, session)));
+                    }
+                    failedUpdate = null;
+                    return applied;
                 });
 
-                if (!component) {
-                    errors_occurred.push({
-                        componentId: update.componentId,
-                        error: 'Component not found'
-                    });
-                    continue;
-                }
-
-                // Check if it's outward movement and sufficient stock is available
-                if (update.quantity < 0 && Math.abs(update.quantity) > component.quantity) {
-                    errors_occurred.push({
-                        componentId: update.componentId,
-                        componentName: component.name,
-                        error: `Insufficient stock. Available: ${component.quantity}, Requested: ${Math.abs(update.quantity)}`
-                    });
-                    continue;
+                return res.json({
+                    success: true,
+                    message: `Bulk update completed. ${results.length} successful, 0 failed`,
+                    data: {
+                        successful: results,
+                        failed: []
+                    }
+                });
+            } catch (error) {
+                if (!error.statusCode || !failedUpdate) {
+                    throw error;
                 }
 
-                const oldQuantity = component.quantity;
-                const movementType = update.quantity > 0 ? 'inward' : 'outward';
-                const movementQuantity = Math.abs(update.quantity);
-
-                // Create movement
-                const movement = {
-                    type: movementType,
-                    quantity: movementQuantity,
-                    user: req.user._id,
-                    userName: req.user.name,
-                    reason: update.reason || reason,
-                    project,
-                    notes: `Bulk update operation`
-                };
-
-                component.addMovement(movement);
-                component.lastUpdatedBy = req.user._id;
-                await component.save();
-
-                results.push({
-                    componentId: component._id,
-                    componentName: component.name,
-                    partNumber: component.partNumber,
-                    oldQuantity,
-                    newQuantity: component.quantity,
-                    movementType,
-                    movementQuantity
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: `Bulk update rolled back, no changes were applied: ${error.message}`,
+                    data: {
+                        successful: [],
+                        failed: [{
+                            componentId: failedUpdate.componentId,
+                            error: error.message,
+                            ...error.details
+                        }]
+                    }
                 });
+            }
+        }
+
+        // Best-effort: each update commits on its own
+        const results = [];
+        const errors_occurred = [];
 
+        for (const update of updates) {
+            try {
+                const result = await withTransaction(session =>
+                    applyMovement(toMovement(update), req.user, session)
+                );
+                results.push(toResult(result));
             } catch (error) {
                 errors_occurred.push({
                     componentId: update.componentId,
-                    error: error.message
+                    error: error.message,
+                    ...error.details
                 });
             }
         }
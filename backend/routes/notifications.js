@@ -2,7 +2,10 @@ const express = require('express');
 const { query, body, validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
 const Component = require('../models/Component');
+const Loan = require('../models/Loan');
 const { authenticate, authorize } = require('../middleware/auth');
+const { CALIBRATION_ALERT_DAYS, findDueCalibrations } = require('../services/calibrations');
+const { recordAudit, snapshot } = require('../services/audit');
 
 const router = express.Router();
 
@@ -13,7 +16,7 @@ router.get('/', authenticate, [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('type').optional().isIn(['info', 'warning', 'error', 'success']).withMessage('Invalid notification type'),
-    query('category').optional().isIn(['low_stock', 'old_stock', 'stock_movement', 'user_activity', 'system']).withMessage('Invalid category'),
+    query('category').optional().isIn(['low_stock', 'old_stock', 'stock_movement', 'approval', 'part_request', 'loan', 'calibration', 'user_activity', 'system']).withMessage('Invalid category'),
     query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be a boolean'),
     query('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority')
 ], async (req, res) => {
@@ -223,8 +226,10 @@ router.delete('/:id', authenticate, async (req, res) => {
         }
 
         // Soft delete
+        const before = snapshot(notification);
         notification.isActive = false;
         await notification.save();
+        await recordAudit(req, { entityType: 'Notification', entity: notification, action: 'delete', before, after: notification });
 
         res.json({
             success: true,
@@ -262,7 +267,7 @@ router.post('/create', authenticate, authorize('all'), [
         .isIn(['low', 'medium', 'high'])
         .withMessage('Invalid priority'),
     body('category')
-        .isIn(['low_stock', 'old_stock', 'stock_movement', 'user_activity', 'system'])
+        .isIn(['low_stock', 'old_stock', 'stock_movement', 'approval', 'part_request', 'loan', 'calibration', 'user_activity', 'system'])
         .withMessage('Invalid category'),
     body('targetRoles')
         .optional()
@@ -290,6 +295,7 @@ router.post('/create', authenticate, authorize('all'), [
         });
 
         await notification.save();
+        await recordAudit(req, { entityType: 'Notification', entity: notification, action: 'create', after: notification });
 
         res.status(201).json({
             success: true,
@@ -307,19 +313,22 @@ router.post('/create', authenticate, authorize('all'), [
 });
 
 // @route   POST /api/notifications/check-alerts
-// @desc    Check and create automatic alerts (low stock, old stock)
+// @desc    Check and create automatic alerts (low stock, old stock, overdue
+//          equipment, calibration due)
 // @access  Private/Admin
 router.post('/check-alerts', authenticate, authorize('all'), async (req, res) => {
     try {
         const alerts = {
             lowStockAlerts: [],
-            oldStockAlerts: []
+            oldStockAlerts: [],
+            overdueLoanAlerts: [],
+            calibrationAlerts: []
         };
 
-        // Check for low stock components
+        // Check for low stock components (reserved stock does not count)
         const lowStockComponents = await Component.find({
             isActive: true,
-            $expr: { $lte: ['$quantity', '$criticalLowThreshold'] }
+            $expr: { $lte: [Component.AVAILABLE_QUANTITY, '$criticalLowThreshold'] }
         });
 
         for (const component of lowStockComponents) {
@@ -339,23 +348,25 @@ router.post('/check-alerts', authenticate, authorize('all'), async (req, res) =>
                     componentName: component.name,
                     partNumber: component.partNumber,
                     currentQuantity: component.quantity,
+                    reserved: component.reserved,
+                    available: component.available,
                     threshold: component.criticalLowThreshold
                 });
             }
         }
 
-        // Check for old stock components (no outward movement in 90+ days)
+        // Check for old stock components (no outward movement in 90+ days).
+        // Lendable equipment is never consumed, so it is left out.
         const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
         const components = await Component.find({
             isActive: true,
+            lendable: { $ne: true },
             createdAt: { $lt: ninetyDaysAgo }
         });
 
         for (const component of components) {
-            const hasRecentOutwardMovement = component.movements.some(movement => 
-                movement.type === 'outward' && 
-                new Date(movement.createdAt) > ninetyDaysAgo
-            );
+            const hasRecentOutwardMovement = component.lastOutwardAt &&
+                new Date(component.lastOutwardAt) > ninetyDaysAgo;
 
             if (!hasRecentOutwardMovement) {
                 // Check if notification already exists for this component in last 7 days
@@ -380,9 +391,64 @@ router.post('/check-alerts', authenticate, authorize('all'), async (req, res) =>
             }
         }
 
+        // Check for equipment past its return date, reminding once a day
+        const overdueLoans = await Loan.find({
+            status: 'out',
+            dueAt: { $lt: new Date() }
+        });
+
+        for (const loan of overdueLoans) {
+            const existingNotification = await Notification.findOne({
+                category: 'loan',
+                'metadata.loanId': loan._id.toString(),
+                createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+                isActive: true
+            });
+
+            if (!existingNotification) {
+                const notification = Notification.createLoanOverdueNotification(loan);
+                await notification.save();
+                alerts.overdueLoanAlerts.push({
+                    loanId: loan._id,
+                    componentName: loan.componentName,
+                    serialNumbers: loan.serialNumbers,
+                    borrowerName: loan.borrowerName,
+                    dueAt: loan.dueAt,
+                    daysOverdue: loan.daysOverdue
+                });
+            }
+        }
+
+        // Check for instruments due for calibration, reminding once a week
+        // (once a day once they are overdue)
+        const { due } = await findDueCalibrations(CALIBRATION_ALERT_DAYS);
+
+        for (const unit of due) {
+            const since = unit.daysUntilDue < 0 ? 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000;
+            const existingNotification = await Notification.findOne({
+                category: 'calibration',
+                'metadata.componentId': unit.component._id.toString(),
+                'metadata.serialNumber': unit.serialNumber,
+                createdAt: { $gte: new Date(Date.now() - since) },
+                isActive: true
+            });
+
+            if (!existingNotification) {
+                const notification = Notification.createCalibrationDueNotification(unit);
+                await notification.save();
+                alerts.calibrationAlerts.push({
+                    serialId: unit.serialId,
+                    serialNumber: unit.serialNumber,
+                    componentName: unit.component.name,
+                    calibrationDueAt: unit.calibrationDueAt,
+                    daysUntilDue: unit.daysUntilDue
+                });
+            }
+        }
+
         res.json({
             success: true,
-            message: `Alert check completed. Created ${alerts.lowStockAlerts.length} low stock alerts and ${alerts.oldStockAlerts.length} old stock alerts`,
+            message: `Alert check completed. Created ${alerts.lowStockAlerts.length} low stock alerts, ${alerts.oldStockAlerts.length} old stock alerts, ${alerts.overdueLoanAlerts.length} overdue equipment alerts and ${alerts.calibrationAlerts.length} calibration alerts`,
             data: alerts
         });
 
@@ -0,0 +1,419 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const PartRequest = require('../models/PartRequest');
+const { authenticate, authorize } = require('../middleware/auth');
+const { createPartRequest, buildPickList, confirmPicks } = require('../services/partRequests');
+
+const router = express.Router();
+
+// Technicians (anyone who can issue stock) see and handle every request;
+// everyone else only their own
+const canHandle = (user) => user.hasPermission('outward');
+
+// @route   GET /api/part-requests
+// @desc    List part requests
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn([...PartRequest.PART_REQUEST_STATUSES, 'pickable', 'all']).withMessage('Invalid status'),
+    query('project').optional().isLength({ max: 100 }).withMessage('Project query too long'),
+    query('mine').optional().isBoolean().withMessage('mine must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, status = 'pickable', project, mine } = req.query;
+
+        const filter = {};
+        if (status === 'pickable') {
+            filter.status = { $in: PartRequest.PICKABLE_STATUSES };
+        } else if (status !== 'all') {
+            filter.status = status;
+        }
+        if (project) filter.project = project;
+        if (mine === 'true' || !canHandle(req.user)) filter.requestedBy = req.user._id;
+
+        const requests = await PartRequest.find(filter)
+            .sort({ neededBy: 1, createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await PartRequest.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: requests,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get part requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching part requests'
+        });
+    }
+});
+
+// @route   GET /api/part-requests/pick-list
+// @desc    Pick list for open requests (all, or `requestIds`), grouped by bin
+//          in walking order, with the lines that cannot be fully picked
+// @access  Private
+router.get('/pick-list', authenticate, authorize('outward'), [
+    query('requestIds')
+        .optional()
+        .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(',')).map(id => id.trim()).filter(Boolean))
+        .custom(ids => ids.length <= 100 && ids.every(id => /^[a-f\d]{24}$/i.test(id)))
+        .withMessage('requestIds must be a comma-separated list of at most 100 request IDs')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = { status: { $in: PartRequest.PICKABLE_STATUSES } };
+        if (req.query.requestIds) filter._id = { $in: req.query.requestIds };
+
+        const requests = await PartRequest.find(filter).sort({ neededBy: 1, createdAt: 1 });
+        const { locations, shortages } = await buildPickList(requests);
+
+        res.json({
+            success: true,
+            data: {
+                requests: requests.map(request => ({
+                    id: request._id,
+                    requestNumber: request.requestNumber,
+                    project: request.project,
+                    neededBy: request.neededBy,
+                    requestedByName: request.requestedByName
+                })),
+                locations,
+                shortages
+            },
+            summary: {
+                requests: requests.length,
+                stops: locations.length,
+                picks: locations.reduce((sum, stop) => sum + stop.picks.length, 0),
+                shortLines: shortages.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get pick list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while building pick list'
+        });
+    }
+});
+
+// @route   GET /api/part-requests/:id
+// @desc    Get a part request with the movements that issued it
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const request = await PartRequest.findById(req.params.id)
+            .populate('lines.movements', 'quantity allocations userName createdAt')
+            .populate('lines.outwardRequests', 'requestNumber status quantity rules requestedByName decidedByName')
+            .populate('requestedBy pickedBy closedBy', 'name username');
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part request not found'
+            });
+        }
+
+        if (!request.requestedBy._id.equals(req.user._id) && !canHandle(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view your own requests'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: request
+        });
+
+    } catch (error) {
+        console.error('Get part request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching part request'
+        });
+    }
+});
+
+// @route   POST /api/part-requests
+// @desc    Ask the store for parts for a project
+// @access  Private
+router.post('/', authenticate, authorize('view'), [
+    body('project')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project is required and cannot exceed 100 characters'),
+    body('neededBy')
+        .optional()
+        .isISO8601()
+        .withMessage('neededBy must be a valid date'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+    body('lines')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('Lines must be a non-empty array of at most 100 parts'),
+    body('lines.*.componentId')
+        .isMongoId()
+        .withMessage('Each line needs a valid component ID'),
+    body('lines.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Each line needs a positive quantity')
+        .toInt(),
+    body('lines.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Line notes cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { project, neededBy, notes, lines } = req.body;
+        const request = await createPartRequest({ project, neededBy, notes, lines }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Request ${request.requestNumber} sent to the store with ${request.lines.length} parts`,
+            data: request
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another request took this number, please retry'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create part request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating part request'
+        });
+    }
+});
+
+// @route   POST /api/part-requests/:id/pick
+// @desc    Confirm picked quantities (`picks: [{ lineId, location, quantity,
+//          serialNumbers }]`); posts the outward movements, holding the
+//          picks that match an approval rule until they are approved
+// @access  Private
+router.post('/:id/pick', authenticate, authorize('outward'), [
+    body('picks')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Picks must be a non-empty array of at most 500 entries'),
+    body('picks.*.lineId')
+        .isMongoId()
+        .withMessage('Each pick needs a valid line ID'),
+    body('picks.*.location')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Each pick needs the location it was taken from')
+        .toUpperCase(),
+    body('picks.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Picked quantity must be a positive integer')
+        .toInt(),
+    body('picks.*.serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('picks.*.serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { request, movements, held } = await confirmPicks(req.params.id, req.body.picks, req.user);
+
+        const message = request.status === 'picked'
+            ? `Request ${request.requestNumber} picked in full`
+            : `Picks recorded for ${request.requestNumber}; ${request.lines.filter(line => line.outstanding > 0).length} lines still outstanding`;
+
+        res.json({
+            success: true,
+            message: held.length > 0
+                ? `${message}; ${held.length} picks need approval (${held.map(outwardRequest => outwardRequest.requestNumber).join(', ')}) and will be issued once approved`
+                : message,
+            data: {
+                request,
+                movements,
+                held
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Confirm picks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while confirming picks'
+        });
+    }
+});
+
+// @route   POST /api/part-requests/:id/close
+// @desc    Close a request: cancels it if nothing was picked, otherwise
+//          closes it short. The requester or a technician can close it.
+// @access  Private
+router.post('/:id/close', authenticate, [
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const existing = await PartRequest.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part request not found'
+            });
+        }
+
+        if (!existing.requestedBy.equals(req.user._id) && !canHandle(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only close your own requests'
+            });
+        }
+
+        if (!existing.isPickable) {
+            return res.status(400).json({
+                success: false,
+                message: `Request ${existing.requestNumber} is ${existing.status} and can no longer be closed`
+            });
+        }
+
+        if (existing.isAwaitingApproval) {
+            return res.status(409).json({
+                success: false,
+                message: `Request ${existing.requestNumber} has picks waiting for approval; they must be decided or withdrawn first`
+            });
+        }
+
+        const status = existing.status === 'open' ? 'cancelled' : 'closed';
+
+        const request = await PartRequest.findOneAndUpdate(
+            { _id: existing._id, status: existing.status },
+            {
+                status,
+                closedBy: req.user._id,
+                closedAt: new Date(),
+                closeReason: req.body.reason || (status === 'cancelled' ? 'Cancelled' : 'Closed short')
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!request) {
+            return res.status(409).json({
+                success: false,
+                message: `Request ${existing.requestNumber} changed while closing, please retry`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Request ${request.requestNumber} ${status}`,
+            data: request
+        });
+
+    } catch (error) {
+        console.error('Close part request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while closing part request'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,901 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Movement = require('../models/Movement');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buildOrderLines, receivePurchaseOrder } = require('../services/purchaseOrders');
+const { CURRENCY_PATTERN } = require('../config/currency');
+
+const router = express.Router();
+
+const { PO_STATUSES, OPEN_STATUSES } = PurchaseOrder;
+
+const lineValidators = (optional) => [
+    (optional ? body('lines').optional() : body('lines'))
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Lines must be a non-empty array of at most 500 entries'),
+    body('lines.*.componentId')
+        .isMongoId()
+        .withMessage('Each line needs a valid component ID'),
+    body('lines.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Ordered quantity must be a positive integer'),
+    body('lines.*.unitPrice')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Unit price must be a non-negative number'),
+    body('lines.*.sku')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Supplier SKU cannot exceed 100 characters'),
+    body('lines.*.expectedDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Line expected date must be a valid date'),
+    body('lines.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Line notes cannot exceed 200 characters')
+];
+
+const headerValidators = [
+    body('expectedDate')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Expected date must be a valid date'),
+    body('project')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Project cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const LINE_FIELDS = 'name partNumber manufacturer location quantity unitPrice currency';
+
+// Expected delivery date of a line: its own, else the PO's
+const expectedDateOf = (purchaseOrder, line) => line.expectedDate || purchaseOrder.expectedDate || null;
+
+// @route   GET /api/purchase-orders
+// @desc    List purchase orders
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn([...PO_STATUSES, 'open']).withMessage('Invalid status'),
+    query('supplierId').optional().isMongoId().withMessage('Invalid supplier ID'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, status, supplierId, componentId, search } = req.query;
+
+        // Build filter
+        const filter = {};
+
+        if (status === 'open') {
+            filter.status = { $in: OPEN_STATUSES };
+        } else if (status) {
+            filter.status = status;
+        }
+        if (supplierId) filter.supplier = supplierId;
+        if (componentId) filter['lines.component'] = componentId;
+
+        if (search) {
+            filter.$or = [
+                { poNumber: { $regex: search, $options: 'i' } },
+                { supplierName: { $regex: search, $options: 'i' } },
+                { project: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const purchaseOrders = await PurchaseOrder.find(filter)
+            .select('-invoices')
+            .populate('createdBy', 'name username')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await PurchaseOrder.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: purchaseOrders,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching purchase orders'
+        });
+    }
+});
+
+// @route   GET /api/purchase-orders/reports/open
+// @desc    Submitted and partially received orders with what is still to come
+// @access  Private
+router.get('/reports/open', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const purchaseOrders = await PurchaseOrder.find({ status: { $in: OPEN_STATUSES } })
+            .select('-invoices')
+            .sort({ expectedDate: 1, createdAt: 1 });
+
+        const orders = purchaseOrders.map(po => {
+            const outstandingLines = po.lines.filter(line => line.outstanding > 0);
+
+            return {
+                id: po._id,
+                poNumber: po.poNumber,
+                supplier: { id: po.supplier, name: po.supplierName },
+                status: po.status,
+                currency: po.currency,
+                expectedDate: po.expectedDate,
+                submittedAt: po.submittedAt,
+                lines: po.lines.length,
+                outstandingLines: outstandingLines.length,
+                outstandingQuantity: outstandingLines.reduce((sum, line) => sum + line.outstanding, 0),
+                outstandingValue: outstandingLines.reduce((sum, line) => sum + line.outstanding * line.unitPrice, 0)
+            };
+        });
+
+        // Values in different currencies are totalled separately
+        const totals = {};
+        orders.forEach(order => {
+            totals[order.currency] = (totals[order.currency] || 0) + order.outstandingValue;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                orders,
+                totals: Object.entries(totals).map(([currency, outstandingValue]) => ({ currency, outstandingValue }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Open purchase orders report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching open purchase orders'
+        });
+    }
+});
+
+// @route   GET /api/purchase-orders/reports/overdue
+// @desc    Lines of open orders past their expected delivery date
+// @access  Private
+router.get('/reports/overdue', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const now = new Date();
+
+        const purchaseOrders = await PurchaseOrder.find({ status: { $in: OPEN_STATUSES } })
+            .select('-invoices')
+            .populate('lines.component', 'name partNumber');
+
+        const lines = [];
+        purchaseOrders.forEach(po => {
+            po.lines.forEach(line => {
+                const expectedDate = expectedDateOf(po, line);
+
+                if (line.outstanding > 0 && expectedDate && expectedDate < now) {
+                    lines.push({
+                        purchaseOrder: { id: po._id, poNumber: po.poNumber },
+                        supplier: { id: po.supplier, name: po.supplierName },
+                        lineId: line._id,
+                        component: line.component,
+                        sku: line.sku,
+                        quantityOrdered: line.quantityOrdered,
+                        quantityReceived: line.quantityReceived,
+                        outstanding: line.outstanding,
+                        expectedDate,
+                        daysOverdue: Math.floor((now - expectedDate) / (1000 * 60 * 60 * 24))
+                    });
+                }
+            });
+        });
+
+        lines.sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+        res.json({
+            success: true,
+            data: lines
+        });
+
+    } catch (error) {
+        console.error('Overdue purchase orders report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching overdue deliveries'
+        });
+    }
+});
+
+// @route   GET /api/purchase-orders/reports/uninvoiced
+// @desc    Lines received but not (fully) invoiced yet
+// @access  Private
+router.get('/reports/uninvoiced', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const purchaseOrders = await PurchaseOrder.find({
+            $expr: {
+                $anyElementTrue: {
+                    $map: {
+                        input: '$lines',
+                        as: 'line',
+                        in: { $gt: ['$$line.quantityReceived', '$$line.quantityInvoiced'] }
+                    }
+                }
+            }
+        })
+            .select('-invoices')
+            .populate('lines.component', 'name partNumber')
+            .sort({ createdAt: 1 });
+
+        const lines = [];
+        purchaseOrders.forEach(po => {
+            po.lines.filter(line => line.uninvoiced > 0).forEach(line => {
+                lines.push({
+                    purchaseOrder: { id: po._id, poNumber: po.poNumber, status: po.status },
+                    supplier: { id: po.supplier, name: po.supplierName },
+                    lineId: line._id,
+                    component: line.component,
+                    sku: line.sku,
+                    quantityReceived: line.quantityReceived,
+                    quantityInvoiced: line.quantityInvoiced,
+                    uninvoiced: line.uninvoiced,
+                    currency: po.currency,
+                    uninvoicedValue: line.uninvoiced * line.unitPrice
+                });
+            });
+        });
+
+        res.json({
+            success: true,
+            data: lines
+        });
+
+    } catch (error) {
+        console.error('Uninvoiced purchase orders report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching uninvoiced receipts'
+        });
+    }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get a purchase order with the movements that received it
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+            .populate('supplier', 'name contactName email phone')
+            .populate('lines.component', LINE_FIELDS)
+            .populate('createdBy submittedBy closedBy', 'name username')
+            .populate('invoices.recordedBy', 'name username');
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        const receipts = await Movement.find({ purchaseOrder: purchaseOrder._id })
+            .select('component componentName purchaseOrderLine quantity allocations lots userName createdAt')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                ...purchaseOrder.toJSON(),
+                receipts
+            }
+        });
+
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Create a draft purchase order for one supplier
+// @access  Private
+router.post('/', authenticate, authorize('edit'), [
+    body('supplierId')
+        .isMongoId()
+        .withMessage('Valid supplier ID is required'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(CURRENCY_PATTERN)
+        .withMessage('Currency must be a three-letter code'),
+    ...headerValidators,
+    ...lineValidators(false)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const supplier = await Supplier.findOne({ _id: req.body.supplierId, isActive: true });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const currency = req.body.currency || supplier.currency;
+        const { lines, warnings } = await buildOrderLines(supplier, currency, req.body.lines);
+        const { expectedDate, project, notes } = req.body;
+
+        const purchaseOrder = new PurchaseOrder({
+            poNumber: await PurchaseOrder.nextPoNumber(),
+            supplier: supplier._id,
+            supplierName: supplier.name,
+            currency,
+            expectedDate,
+            project,
+            notes,
+            lines,
+            createdBy: req.user._id
+        });
+
+        await purchaseOrder.save();
+        await purchaseOrder.populate('lines.component', LINE_FIELDS);
+
+        res.status(201).json({
+            success: true,
+            message: `Purchase order ${purchaseOrder.poNumber} created`,
+            data: purchaseOrder,
+            warnings
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        // Two orders created at the same moment drew the same number
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another purchase order took this number, please retry'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating purchase order'
+        });
+    }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Update a purchase order. Drafts can change everything (`lines`
+//          replaces all lines); submitted orders only dates, project and notes.
+// @access  Private
+router.put('/:id', authenticate, authorize('edit'), [
+    body('supplierId')
+        .not()
+        .exists()
+        .withMessage('The supplier of a purchase order cannot change, create a new order instead'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(CURRENCY_PATTERN)
+        .withMessage('Currency must be a three-letter code'),
+    ...headerValidators,
+    ...lineValidators(true)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        const isDraft = purchaseOrder.status === 'draft';
+
+        if (!isDraft && !OPEN_STATUSES.includes(purchaseOrder.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Purchase order is ${purchaseOrder.status} and can no longer be changed`
+            });
+        }
+
+        if (!isDraft && (req.body.lines || req.body.currency)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lines and currency can only be changed while the order is a draft'
+            });
+        }
+
+        ['expectedDate', 'project', 'notes'].forEach(field => {
+            if (req.body[field] !== undefined) purchaseOrder[field] = req.body[field];
+        });
+
+        let warnings = [];
+
+        if (isDraft && (req.body.lines || req.body.currency)) {
+            if (req.body.currency) purchaseOrder.currency = req.body.currency;
+
+            const supplier = await Supplier.findById(purchaseOrder.supplier);
+            const requestLines = req.body.lines || purchaseOrder.lines.map(line => ({
+                componentId: line.component.toString(),
+                quantity: line.quantityOrdered,
+                unitPrice: line.unitPrice,
+                sku: line.sku,
+                expectedDate: line.expectedDate,
+                notes: line.notes
+            }));
+
+            const built = await buildOrderLines(supplier, purchaseOrder.currency, requestLines);
+            purchaseOrder.lines = built.lines;
+            warnings = built.warnings;
+        }
+
+        purchaseOrder.lastUpdatedBy = req.user._id;
+        await purchaseOrder.save();
+        await purchaseOrder.populate('lines.component', LINE_FIELDS);
+
+        res.json({
+            success: true,
+            message: 'Purchase order updated successfully',
+            data: purchaseOrder,
+            warnings
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/submit
+// @desc    Send a draft to the supplier: its lines are fixed from here on
+// @access  Private
+router.post('/:id/submit', authenticate, authorize('edit'), async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            {
+                status: 'submitted',
+                submittedAt: new Date(),
+                submittedBy: req.user._id,
+                lastUpdatedBy: req.user._id
+            },
+            { new: true }
+        );
+
+        if (!purchaseOrder) {
+            const existing = await PurchaseOrder.findById(req.params.id).select('status');
+
+            return res.status(existing ? 400 : 404).json({
+                success: false,
+                message: existing
+                    ? `Purchase order is already ${existing.status}`
+                    : 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Purchase order ${purchaseOrder.poNumber} submitted`,
+            data: purchaseOrder
+        });
+
+    } catch (error) {
+        console.error('Submit purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/receive
+// @desc    Receive lines in full or in part; each posts an inward movement
+//          linked to the order
+// @access  Private
+router.post('/:id/receive', authenticate, authorize('inward'), [
+    body('lines')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Lines must be a non-empty array of at most 500 entries'),
+    body('lines.*.lineId')
+        .isMongoId()
+        .withMessage('Each receipt needs a valid line ID'),
+    body('lines.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Received quantity must be a positive integer')
+        .toInt(),
+    body('lines.*.location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('lines.*.lotNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Lot number cannot exceed 100 characters'),
+    body('lines.*.dateCode')
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Date code cannot exceed 20 characters'),
+    body('lines.*.serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('lines.*.serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('lines.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { purchaseOrder, receipts } = await receivePurchaseOrder(req.params.id, req.body.lines, req.user);
+
+        res.json({
+            success: true,
+            message: `Received ${receipts.length} lines on ${purchaseOrder.poNumber} (${purchaseOrder.status.replace('_', ' ')})`,
+            data: {
+                purchaseOrder,
+                receipts: receipts.map(({ line, component, movement, oldQuantity }) => ({
+                    lineId: line._id,
+                    component: {
+                        id: component._id,
+                        name: component.name,
+                        partNumber: component.partNumber,
+                        oldQuantity,
+                        newQuantity: component.quantity,
+                        unitPrice: component.unitPrice,
+                        priceBasis: component.priceBasis
+                    },
+                    movement
+                }))
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Receive purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while receiving purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/invoice
+// @desc    Record a supplier invoice against order lines
+// @access  Private
+router.post('/:id/invoice', authenticate, authorize('edit'), [
+    body('invoiceNumber')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Invoice number is required and cannot exceed 100 characters'),
+    body('invoiceDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invoice date must be a valid date'),
+    body('lines')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Lines must be a non-empty array of at most 500 entries'),
+    body('lines.*.lineId')
+        .isMongoId()
+        .withMessage('Each invoice line needs a valid line ID'),
+    body('lines.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Invoiced quantity must be a positive integer')
+        .toInt()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        if (['draft', 'cancelled'].includes(purchaseOrder.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Purchase order is ${purchaseOrder.status}, there is nothing to invoice`
+            });
+        }
+
+        const { invoiceNumber, invoiceDate } = req.body;
+
+        if (purchaseOrder.invoices.some(invoice => invoice.invoiceNumber === invoiceNumber)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invoice ${invoiceNumber} is already recorded on ${purchaseOrder.poNumber}`
+            });
+        }
+
+        for (const { lineId, quantity } of req.body.lines) {
+            const line = purchaseOrder.lines.id(lineId);
+
+            if (!line) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Line ${lineId} is not on purchase order ${purchaseOrder.poNumber}`
+                });
+            }
+
+            if (line.quantityInvoiced + quantity > line.quantityOrdered) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${line.sku || lineId}: invoicing ${quantity} more would exceed the ${line.quantityOrdered} units ordered (${line.quantityInvoiced} already invoiced)`
+                });
+            }
+
+            line.quantityInvoiced += quantity;
+        }
+
+        purchaseOrder.invoices.push({
+            invoiceNumber,
+            invoiceDate,
+            lines: req.body.lines.map(({ lineId, quantity }) => ({ line: lineId, quantity })),
+            recordedBy: req.user._id
+        });
+        purchaseOrder.lastUpdatedBy = req.user._id;
+
+        await purchaseOrder.save();
+
+        res.json({
+            success: true,
+            message: `Invoice ${invoiceNumber} recorded on ${purchaseOrder.poNumber}`,
+            data: purchaseOrder
+        });
+
+    } catch (error) {
+        console.error('Invoice purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording invoice'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/close
+// @desc    Close a partially received order short: nothing more is expected
+// @access  Private
+router.post('/:id/close', authenticate, authorize('edit'), [
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'partially_received' },
+            {
+                status: 'closed',
+                closedAt: new Date(),
+                closedBy: req.user._id,
+                closeReason: req.body.reason || 'Closed short',
+                lastUpdatedBy: req.user._id
+            },
+            { new: true }
+        );
+
+        if (!purchaseOrder) {
+            const existing = await PurchaseOrder.findById(req.params.id).select('status');
+
+            return res.status(existing ? 400 : 404).json({
+                success: false,
+                message: existing
+                    ? `Only partially received orders can be closed; this one is ${existing.status}`
+                    : 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Purchase order ${purchaseOrder.poNumber} closed`,
+            data: purchaseOrder
+        });
+
+    } catch (error) {
+        console.error('Close purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while closing purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/cancel
+// @desc    Cancel an order nothing has been received on
+// @access  Private
+router.post('/:id/cancel', authenticate, authorize('edit'), [
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['draft', 'submitted'] } },
+            {
+                status: 'cancelled',
+                closedAt: new Date(),
+                closedBy: req.user._id,
+                closeReason: req.body.reason || 'Cancelled',
+                lastUpdatedBy: req.user._id
+            },
+            { new: true }
+        );
+
+        if (!purchaseOrder) {
+            const existing = await PurchaseOrder.findById(req.params.id).select('status');
+
+            return res.status(existing ? 400 : 404).json({
+                success: false,
+                message: existing
+                    ? `Purchase order is ${existing.status} and can no longer be cancelled`
+                    : 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Purchase order ${purchaseOrder.poNumber} cancelled`,
+            data: purchaseOrder
+        });
+
+    } catch (error) {
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling purchase order'
+        });
+    }
+});
+
+module.exports = router;
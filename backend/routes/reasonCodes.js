@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ReasonCode = require('../models/ReasonCode');
+const Movement = require('../models/Movement');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const reasonCodeValidators = (optional) => [
+    (optional ? body('label').optional() : body('label'))
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Label is required and cannot exceed 100 characters'),
+    (optional ? body('movementTypes').optional() : body('movementTypes'))
+        .isArray({ min: 1 })
+        .withMessage('Movement types must be a non-empty array'),
+    body('movementTypes.*')
+        .isIn(Movement.MOVEMENT_TYPES)
+        .withMessage('Invalid movement type'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Description cannot exceed 300 characters')
+];
+
+// @route   GET /api/reason-codes
+// @desc    List reason codes, optionally for one movement type
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('movementType').optional().isIn(Movement.MOVEMENT_TYPES).withMessage('Invalid movement type'),
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { movementType, includeInactive } = req.query;
+
+        const filter = {};
+        if (movementType) filter.movementTypes = movementType;
+        if (includeInactive !== 'true') filter.isActive = true;
+
+        const reasonCodes = await ReasonCode.find(filter).sort({ code: 1 });
+
+        res.json({
+            success: true,
+            data: reasonCodes
+        });
+
+    } catch (error) {
+        console.error('Get reason codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reason codes'
+        });
+    }
+});
+
+// @route   POST /api/reason-codes
+// @desc    Add a reason code
+// @access  Private/Admin
+router.post('/', authenticate, authorize('all'), [
+    body('code')
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9_]{1,50}$/)
+        .withMessage('Code is required: up to 50 letters, numbers and underscores'),
+    ...reasonCodeValidators(false)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { code, label, movementTypes, description } = req.body;
+
+        const existing = await ReasonCode.findOne({ code });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `Reason code ${code} already exists${existing.isActive ? '' : ' (inactive)'}`
+            });
+        }
+
+        const reasonCode = new ReasonCode({
+            code,
+            label,
+            movementTypes: [...new Set(movementTypes)],
+            description,
+            createdBy: req.user._id
+        });
+
+        await reasonCode.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Reason code created successfully',
+            data: reasonCode
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create reason code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating reason code'
+        });
+    }
+});
+
+// @route   PUT /api/reason-codes/:id
+// @desc    Update a reason code (the code itself cannot change). System
+//          codes keep their movement types and cannot be deactivated.
+// @access  Private/Admin
+router.put('/:id', authenticate, authorize('all'), [
+    ...reasonCodeValidators(true),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const reasonCode = await ReasonCode.findById(req.params.id);
+
+        if (!reasonCode) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reason code not found'
+            });
+        }
+
+        const { label, movementTypes, description, isActive } = req.body;
+
+        if (reasonCode.isSystem && (movementTypes !== undefined || isActive === false || isActive === 'false')) {
+            return res.status(400).json({
+                success: false,
+                message: `${reasonCode.code} is used by the system: only its label and description can change`
+            });
+        }
+
+        if (label !== undefined) reasonCode.label = label;
+        if (movementTypes !== undefined) reasonCode.movementTypes = [...new Set(movementTypes)];
+        if (description !== undefined) reasonCode.description = description;
+        if (isActive !== undefined) reasonCode.isActive = isActive === true || isActive === 'true';
+        reasonCode.lastUpdatedBy = req.user._id;
+
+        await reasonCode.save();
+
+        res.json({
+            success: true,
+            message: 'Reason code updated successfully',
+            data: reasonCode
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update reason code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating reason code'
+        });
+    }
+});
+
+// @route   DELETE /api/reason-codes/:id
+// @desc    Retire a reason code. Movements keep the code they were given.
+// @access  Private/Admin
+router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const reasonCode = await ReasonCode.findById(req.params.id);
+
+        if (!reasonCode) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reason code not found'
+            });
+        }
+
+        if (reasonCode.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: `${reasonCode.code} is used by the system and cannot be retired`
+            });
+        }
+
+        reasonCode.isActive = false;
+        reasonCode.lastUpdatedBy = req.user._id;
+        await reasonCode.save();
+
+        res.json({
+            success: true,
+            message: `Reason code ${reasonCode.code} retired`
+        });
+
+    } catch (error) {
+        console.error('Delete reason code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retiring reason code'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const { authenticate, authorize } = require('../middleware/auth');
+const { REORDER_DEFAULTS, suggestReorders, createDraftOrders } = require('../services/reorder');
+
+const router = express.Router();
+
+// Tuning parameters, accepted both as query (list) and body (conversion)
+const tuningValidators = (location) => [
+    location('lookbackDays')
+        .optional()
+        .isInt({ min: 1, max: 730 })
+        .withMessage('lookbackDays must be between 1 and 730')
+        .toInt(),
+    location('coverDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('coverDays must be between 0 and 365')
+        .toInt(),
+    location('defaultLeadTimeDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('defaultLeadTimeDays must be between 0 and 365')
+        .toInt()
+];
+
+// @route   GET /api/reorder/suggestions
+// @desc    Reorder list: what to order per component from consumption,
+//          thresholds, open orders, reservations, MOQ and lead time
+// @access  Private
+router.get('/suggestions', authenticate, authorize('view'), [
+    ...tuningValidators(query),
+    query('category').optional().custom(name => Category.assertRegistered(name)),
+    query('supplierId').optional().isMongoId().withMessage('Invalid supplier ID'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('includeAll').optional().isBoolean().withMessage('includeAll must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { lookbackDays, coverDays, defaultLeadTimeDays, category, supplierId, componentId, includeAll } = req.query;
+
+        const suggestions = await suggestReorders({
+            lookbackDays,
+            coverDays,
+            defaultLeadTimeDays,
+            category,
+            supplierId,
+            componentIds: componentId ? [componentId] : undefined,
+            includeAll: includeAll === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: suggestions,
+            parameters: {
+                ...REORDER_DEFAULTS,
+                ...(lookbackDays !== undefined ? { lookbackDays } : {}),
+                ...(coverDays !== undefined ? { coverDays } : {}),
+                ...(defaultLeadTimeDays !== undefined ? { defaultLeadTimeDays } : {})
+            },
+            summary: {
+                components: suggestions.filter(s => s.suggestedQuantity > 0).length,
+                unsourced: suggestions.filter(s => s.suggestedQuantity > 0 && !s.supplier).length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reorder suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while calculating reorder suggestions'
+        });
+    }
+});
+
+// @route   POST /api/reorder/purchase-orders
+// @desc    Turn the reorder list into draft purchase orders, one per
+//          supplier. `lines` ([{ componentId, quantity }]) orders a reviewed
+//          selection; without it every current suggestion is ordered.
+// @access  Private/Admin
+router.post('/purchase-orders', authenticate, authorize('all'), [
+    ...tuningValidators(body),
+    body('lines')
+        .optional()
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Lines must be a non-empty array of at most 500 entries'),
+    body('lines.*.componentId')
+        .isMongoId()
+        .withMessage('Each line needs a valid component ID'),
+    body('lines.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer')
+        .toInt()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let { lines } = req.body;
+
+        if (!lines) {
+            const { lookbackDays, coverDays, defaultLeadTimeDays } = req.body;
+            const suggestions = await suggestReorders({ lookbackDays, coverDays, defaultLeadTimeDays });
+
+            lines = suggestions.map(suggestion => ({
+                componentId: suggestion.component.id,
+                quantity: suggestion.suggestedQuantity
+            }));
+        }
+
+        if (lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing needs reordering'
+            });
+        }
+
+        const { purchaseOrders, warnings, unsourced } = await createDraftOrders(lines, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Created ${purchaseOrders.length} draft purchase orders`,
+            data: purchaseOrders,
+            warnings,
+            unsourced
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another purchase order took one of the new numbers, please retry'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create reorder purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating purchase orders'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,384 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Reservation = require('../models/Reservation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { withTransaction, recordMovement } = require('../services/stock');
+const { createReservation, releaseReservation } = require('../services/reservations');
+const { holdForApproval } = require('../services/approvals');
+
+const router = express.Router();
+
+// Users can release their own reservations; editors and admins any
+const canManage = (user, reservation) => {
+    const permissions = user.getPermissions();
+    return reservation.reservedBy.equals(user._id) ||
+        permissions.includes('all') ||
+        permissions.includes('edit');
+};
+
+// @route   GET /api/reservations
+// @desc    List reservations
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('status').optional().isIn(['active', 'fulfilled', 'released', 'all']).withMessage('Invalid status'),
+    query('project').optional().isLength({ max: 100 }).withMessage('Project query too long'),
+    query('mine').optional().isBoolean().withMessage('mine must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            page = 1,
+            limit = 50,
+            componentId,
+            status = 'active',
+            project,
+            mine
+        } = req.query;
+
+        // Build filter
+        const filter = {};
+
+        if (status !== 'all') filter.status = status;
+        if (componentId) filter.component = componentId;
+        if (project) filter.project = project;
+        if (mine === 'true') filter.reservedBy = req.user._id;
+
+        const reservations = await Reservation.find(filter)
+            .populate('component', 'name partNumber quantity reserved location')
+            .sort({ neededBy: 1, createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Reservation.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: reservations,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reservations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reservations'
+        });
+    }
+});
+
+// @route   GET /api/reservations/:id
+// @desc    Get a reservation with the movements that fulfilled it
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const reservation = await Reservation.findById(req.params.id)
+            .populate('component', 'name partNumber quantity reserved location')
+            .populate('movements', 'quantity allocations userName project createdAt')
+            .populate('releasedBy', 'name username');
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: reservation
+        });
+
+    } catch (error) {
+        console.error('Get reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reservation'
+        });
+    }
+});
+
+// @route   POST /api/reservations
+// @desc    Reserve available stock for a project
+// @access  Private
+router.post('/', authenticate, authorize('outward'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    body('project')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Project is required and cannot exceed 100 characters'),
+    body('neededBy')
+        .optional()
+        .isISO8601()
+        .withMessage('neededBy must be a valid date'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { componentId, quantity, project, neededBy, notes } = req.body;
+
+        const { component, reservation } = await withTransaction(session => createReservation({
+            componentId,
+            quantity: parseInt(quantity),
+            project,
+            neededBy,
+            notes
+        }, req.user, session));
+
+        res.status(201).json({
+            success: true,
+            message: `Reserved ${quantity} units of ${component.name} for ${project}`,
+            data: {
+                component: {
+                    id: component._id,
+                    name: component.name,
+                    partNumber: component.partNumber,
+                    quantity: component.quantity,
+                    reserved: component.reserved,
+                    available: component.available
+                },
+                reservation
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Create reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating reservation'
+        });
+    }
+});
+
+// @route   POST /api/reservations/:id/release
+// @desc    Release the outstanding quantity of a reservation
+// @access  Private
+router.post('/:id/release', authenticate, authorize('outward'), async (req, res) => {
+    try {
+        const reservation = await Reservation.findById(req.params.id);
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        if (!canManage(req.user, reservation)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only release your own reservations'
+            });
+        }
+
+        if (reservation.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `Reservation is already ${reservation.status}`
+            });
+        }
+
+        const outstanding = reservation.outstanding;
+        const result = await withTransaction(session => releaseReservation(reservation, req.user, session));
+
+        res.json({
+            success: true,
+            message: `Released ${outstanding} reserved units`,
+            data: result.reservation
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Release reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while releasing reservation'
+        });
+    }
+});
+
+// @route   POST /api/reservations/:id/fulfil
+// @desc    Issue reserved stock: an outward movement against the reservation
+//          for `quantity` (default: everything outstanding)
+// @access  Private
+router.post('/:id/fulfil', authenticate, authorize('outward'), [
+    body('quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters'),
+    body('location')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 50 })
+        .withMessage('Location cannot exceed 50 characters')
+        .toUpperCase(),
+    body('lotNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Lot number cannot exceed 100 characters'),
+    body('serialNumbers')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Serial numbers must be an array of at most 500 entries'),
+    body('serialNumbers.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each serial number must be between 1 and 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const reservation = await Reservation.findById(req.params.id);
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        if (reservation.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `Reservation is already ${reservation.status}`
+            });
+        }
+
+        const { location, lotNumber, serialNumbers, notes } = req.body;
+        const quantity = req.body.quantity ? parseInt(req.body.quantity) : reservation.outstanding;
+
+        const movementData = {
+            componentId: reservation.component,
+            quantity,
+            location,
+            lotNumber,
+            serialNumbers,
+            reservationId: reservation._id,
+            reason: req.body.reason || `Reserved for ${reservation.project}`,
+            project: reservation.project,
+            notes
+        };
+
+        // Issuing reserved stock is held for approval like any outward movement
+        const request = await holdForApproval(movementData, req.user);
+
+        if (request) {
+            return res.status(202).json({
+                success: true,
+                message: `Request ${request.requestNumber} needs approval (${request.rules.map(rule => rule.name).join(', ')}); stock will be issued once it is approved`,
+                data: {
+                    request
+                }
+            });
+        }
+
+        const result = await recordMovement({ ...movementData, type: 'outward' }, req.user);
+
+        res.json({
+            success: true,
+            message: `Issued ${quantity} reserved units of ${result.component.name} to ${reservation.project}`,
+            data: {
+                component: {
+                    id: result.component._id,
+                    name: result.component.name,
+                    partNumber: result.component.partNumber,
+                    oldQuantity: result.oldQuantity,
+                    newQuantity: result.component.quantity,
+                    reserved: result.component.reserved,
+                    available: result.component.available
+                },
+                movement: result.movement,
+                reservation: result.reservation
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Fulfil reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fulfilling reservation'
+        });
+    }
+});
+
+module.exports = router;
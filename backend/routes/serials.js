@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const SerialItem = require('../models/SerialItem');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const { authenticate, authorize } = require('../middleware/auth');
+const { historyEntry } = require('../services/serials');
+
+const router = express.Router();
+
+const { SERIAL_STATUSES } = SerialItem;
+
+// @route   GET /api/serials
+// @desc    List serialized units
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('status').optional().isIn(SERIAL_STATUSES).withMessage('Invalid serial status'),
+    query('holder').optional().isMongoId().withMessage('Invalid holder ID'),
+    query('project').optional().isLength({ max: 100 }).withMessage('Project query too long'),
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            page = 1,
+            limit = 50,
+            componentId,
+            status,
+            holder,
+            project,
+            search
+        } = req.query;
+
+        // Build filter
+        const filter = {};
+
+        if (componentId) filter.component = componentId;
+        if (status) filter.status = status;
+        if (holder) filter.holder = holder;
+        if (project) filter.project = project;
+        if (search) filter.serialNumber = { $regex: search, $options: 'i' };
+
+        const serials = await SerialItem.find(filter)
+            .select('-history')
+            .populate('component', 'name partNumber manufacturer')
+            .sort({ serialNumber: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SerialItem.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: serials,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get serials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching serial numbers'
+        });
+    }
+});
+
+// @route   GET /api/serials/:id
+// @desc    Get a serialized unit with its history
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const serial = await SerialItem.findById(req.params.id)
+            .populate('component', 'name partNumber manufacturer location')
+            .populate('holder', 'name username')
+            .populate('history.movement', 'type quantity reason project createdAt');
+
+        if (!serial) {
+            return res.status(404).json({
+                success: false,
+                message: 'Serial number not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: serial
+        });
+
+    } catch (error) {
+        console.error('Get serial error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching serial number'
+        });
+    }
+});
+
+// @route   PUT /api/serials/:id/status
+// @desc    Update the status, holder or project of a unit that is out of
+//          stock (units enter and leave stock through movements only)
+// @access  Private
+router.put('/:id/status', authenticate, authorize('outward'), [
+    body('status')
+        .isIn(SERIAL_STATUSES.filter(status => status !== 'in_stock'))
+        .withMessage('Status must be issued, in_repair or retired'),
+    body('holder')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('Holder must be a valid user ID'),
+    body('project')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Project cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const serial = await SerialItem.findById(req.params.id);
+
+        if (!serial) {
+            return res.status(404).json({
+                success: false,
+                message: 'Serial number not found'
+            });
+        }
+
+        if (serial.status === 'in_stock') {
+            return res.status(400).json({
+                success: false,
+                message: 'Unit is in stock: issue it with an outward movement'
+            });
+        }
+
+        const { status, holder, project, notes } = req.body;
+
+        // A unit out on loan stays issued to its borrower until it is
+        // checked in, or the check-in could not take it back
+        const holderChanged = holder !== undefined && String(holder || '') !== String(serial.holder || '');
+        if (status !== serial.status || holderChanged) {
+            const loan = await Loan.findOne({
+                component: serial.component,
+                serialNumbers: serial.serialNumber,
+                status: 'out'
+            }).select('borrowerName');
+
+            if (loan) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${serial.serialNumber} is on loan to ${loan.borrowerName}: check it in before changing its status or holder`,
+                    loanId: loan._id
+                });
+            }
+        }
+
+        if (holder !== undefined) {
+            const holderUser = holder ? await User.findOne({ _id: holder, isActive: true }) : null;
+
+            if (holder && !holderUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Holder not found'
+                });
+            }
+
+            serial.holder = holderUser ? holderUser._id : undefined;
+            serial.holderName = holderUser ? holderUser.name : undefined;
+        }
+
+        if (project !== undefined) serial.project = project;
+        serial.status = status;
+
+        serial.history.push(historyEntry('status_change', {
+            status,
+            holder: serial.holder,
+            holderName: serial.holderName,
+            project: serial.project,
+            notes
+        }, undefined, req.user));
+
+        await serial.save();
+
+        res.json({
+            success: true,
+            message: `${serial.serialNumber} is now ${status.replace('_', ' ')}`,
+            data: serial
+        });
+
+    } catch (error) {
+        console.error('Update serial status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating serial number'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,718 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const SupplierPart = require('../models/SupplierPart');
+const Component = require('../models/Component');
+const { authenticate, authorize } = require('../middleware/auth');
+const { withTransaction } = require('../services/stock');
+const { applyPreferredPrice, setPreferredSupplier, clearPreferredPrice } = require('../services/pricing');
+const { ApiError } = require('../utils/errors');
+const { CURRENCY_PATTERN } = require('../config/currency');
+
+const router = express.Router();
+
+const supplierValidators = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Supplier name is required and cannot exceed 100 characters'),
+    body('website')
+        .optional({ checkFalsy: true })
+        .isURL()
+        .withMessage('Website must be a valid URL'),
+    body('contactName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Contact name cannot exceed 100 characters'),
+    body('email')
+        .optional({ checkFalsy: true })
+        .isEmail()
+        .withMessage('Please enter a valid email'),
+    body('phone')
+        .optional()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Phone number cannot exceed 30 characters'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(CURRENCY_PATTERN)
+        .withMessage('Currency must be a three-letter code'),
+    body('leadTimeDays')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Lead time must be a non-negative number of days'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const SUPPLIER_FIELDS = ['name', 'website', 'contactName', 'email', 'phone', 'currency', 'leadTimeDays', 'notes'];
+
+const partValidators = (optional) => [
+    (optional ? body('sku').optional() : body('sku'))
+        .trim()
+        .notEmpty()
+        .isLength({ max: 100 })
+        .withMessage('Supplier SKU is required and cannot exceed 100 characters'),
+    body('url')
+        .optional({ checkFalsy: true })
+        .isURL()
+        .withMessage('Product link must be a valid URL'),
+    body('currency')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(CURRENCY_PATTERN)
+        .withMessage('Currency must be a three-letter code'),
+    body('moq')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Minimum order quantity must be a positive integer'),
+    body('leadTimeDays')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Lead time must be a non-negative number of days'),
+    body('priceBreaks')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Price breaks must be an array of at most 20 entries'),
+    body('priceBreaks.*.minQuantity')
+        .isInt({ min: 1 })
+        .withMessage('Price break quantity must be a positive integer'),
+    body('priceBreaks.*.unitPrice')
+        .isFloat({ min: 0 })
+        .withMessage('Price break unit price must be a non-negative number'),
+    body('isPreferred')
+        .optional()
+        .isBoolean()
+        .withMessage('isPreferred must be a boolean'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+];
+
+const PART_FIELDS = ['sku', 'url', 'currency', 'moq', 'leadTimeDays', 'priceBreaks', 'notes'];
+
+// A duplicate supplier SKU shows up as a unique index violation
+const isDuplicateSku = error => error.code === 11000;
+
+// @route   GET /api/suppliers
+// @desc    List suppliers
+// @access  Private
+router.get('/', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('search').optional().isLength({ max: 100 }).withMessage('Search query too long')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, search } = req.query;
+
+        // Build filter
+        const filter = { isActive: true };
+
+        if (search) {
+            filter.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { contactName: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const suppliers = await Supplier.find(filter)
+            .sort({ name: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Supplier.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: suppliers,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching suppliers'
+        });
+    }
+});
+
+// @route   GET /api/suppliers/parts
+// @desc    List component-supplier links
+// @access  Private
+router.get('/parts', authenticate, authorize('view'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('componentId').optional().isMongoId().withMessage('Invalid component ID'),
+    query('supplierId').optional().isMongoId().withMessage('Invalid supplier ID'),
+    query('preferred').optional().isBoolean().withMessage('preferred must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, componentId, supplierId, preferred } = req.query;
+
+        // Build filter
+        const filter = { isActive: true };
+
+        if (componentId) filter.component = componentId;
+        if (supplierId) filter.supplier = supplierId;
+        if (preferred !== undefined) filter.isPreferred = preferred === 'true';
+
+        const parts = await SupplierPart.find(filter)
+            .populate('component', 'name partNumber manufacturer unitPrice currency priceBasis')
+            .populate('supplier', 'name currency leadTimeDays')
+            .sort({ isPreferred: -1, createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SupplierPart.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: parts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get supplier parts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching supplier parts'
+        });
+    }
+});
+
+// @route   GET /api/suppliers/quote
+// @desc    Compare what `quantity` units of a component cost from each
+//          supplier (MOQ and price breaks applied), cheapest first per currency
+// @access  Private
+router.get('/quote', authenticate, authorize('view'), [
+    query('componentId').isMongoId().withMessage('Valid component ID is required'),
+    query('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const quantity = parseInt(req.query.quantity);
+        const component = await Component.findOne({ _id: req.query.componentId, isActive: true })
+            .select('name partNumber unitPrice currency priceBasis');
+
+        if (!component) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found'
+            });
+        }
+
+        const parts = await SupplierPart.find({ component: component._id, isActive: true })
+            .populate('supplier', 'name leadTimeDays isActive');
+
+        const quotes = parts
+            .filter(part => part.supplier && part.supplier.isActive)
+            .map(part => ({
+                supplierPart: part._id,
+                supplier: { id: part.supplier._id, name: part.supplier.name },
+                sku: part.sku,
+                moq: part.moq,
+                leadTimeDays: part.leadTimeDays ?? part.supplier.leadTimeDays ?? null,
+                isPreferred: part.isPreferred,
+                price: part.priceFor(quantity)
+            }))
+            .sort((a, b) => {
+                if (!a.price || !b.price) return a.price ? -1 : b.price ? 1 : 0;
+                return a.price.currency.localeCompare(b.price.currency) ||
+                    a.price.extendedPrice - b.price.extendedPrice;
+            });
+
+        res.json({
+            success: true,
+            data: {
+                component,
+                quantity,
+                quotes
+            }
+        });
+
+    } catch (error) {
+        console.error('Get supplier quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while comparing supplier prices'
+        });
+    }
+});
+
+// @route   POST /api/suppliers/parts
+// @desc    Link a component to a supplier with its SKU, MOQ, lead time and
+//          price breaks. A preferred link sets the component's unit price.
+// @access  Private
+router.post('/parts', authenticate, authorize('edit'), [
+    body('componentId')
+        .isMongoId()
+        .withMessage('Valid component ID is required'),
+    body('supplierId')
+        .isMongoId()
+        .withMessage('Valid supplier ID is required'),
+    ...partValidators(false)
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [component, supplier] = await Promise.all([
+            Component.findOne({ _id: req.body.componentId, isActive: true }).select('_id'),
+            Supplier.findOne({ _id: req.body.supplierId, isActive: true })
+        ]);
+
+        if (!component || !supplier) {
+            return res.status(404).json({
+                success: false,
+                message: component ? 'Supplier not found' : 'Component not found'
+            });
+        }
+
+        const fields = {};
+        PART_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        const part = new SupplierPart({
+            ...fields,
+            component: component._id,
+            supplier: supplier._id,
+            currency: fields.currency || supplier.currency,
+            leadTimeDays: fields.leadTimeDays ?? supplier.leadTimeDays,
+            isPreferred: req.body.isPreferred === true || req.body.isPreferred === 'true',
+            createdBy: req.user._id
+        });
+
+        const updatedComponent = await withTransaction(async (session) => {
+            await part.save({ session });
+            return part.isPreferred ? setPreferredSupplier(part, session) : null;
+        });
+
+        await part.populate('supplier', 'name');
+
+        res.status(201).json({
+            success: true,
+            message: `Linked ${supplier.name} SKU ${part.sku}`,
+            data: part,
+            ...(updatedComponent ? {
+                component: {
+                    id: updatedComponent._id,
+                    unitPrice: updatedComponent.unitPrice,
+                    currency: updatedComponent.currency,
+                    priceBasis: updatedComponent.priceBasis
+                }
+            } : {})
+        });
+
+    } catch (error) {
+        if (isDuplicateSku(error)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This supplier already has a part with this SKU'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create supplier part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while linking supplier part'
+        });
+    }
+});
+
+// @route   PUT /api/suppliers/parts/:id
+// @desc    Update a component-supplier link (`priceBreaks` replaces all breaks)
+// @access  Private
+router.put('/parts/:id', authenticate, authorize('edit'), partValidators(true), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const part = await SupplierPart.findOne({ _id: req.params.id, isActive: true });
+
+        if (!part) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier part not found'
+            });
+        }
+
+        PART_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) part[field] = req.body[field];
+        });
+
+        const wasPreferred = part.isPreferred;
+        if (req.body.isPreferred !== undefined) {
+            part.isPreferred = req.body.isPreferred === true || req.body.isPreferred === 'true';
+        }
+        part.lastUpdatedBy = req.user._id;
+
+        const updatedComponent = await withTransaction(async (session) => {
+            await part.save({ session });
+
+            if (part.isPreferred && !wasPreferred) {
+                return setPreferredSupplier(part, session);
+            }
+            if (part.isPreferred) {
+                // Prices or MOQ of the preferred link may have changed
+                return applyPreferredPrice(part, session);
+            }
+            if (wasPreferred) {
+                await clearPreferredPrice([part.component], session);
+            }
+            return null;
+        });
+
+        res.json({
+            success: true,
+            message: 'Supplier part updated successfully',
+            data: part,
+            ...(updatedComponent ? {
+                component: {
+                    id: updatedComponent._id,
+                    unitPrice: updatedComponent.unitPrice,
+                    currency: updatedComponent.currency,
+                    priceBasis: updatedComponent.priceBasis
+                }
+            } : {})
+        });
+
+    } catch (error) {
+        if (isDuplicateSku(error)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This supplier already has a part with this SKU'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update supplier part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating supplier part'
+        });
+    }
+});
+
+// @route   DELETE /api/suppliers/parts/:id
+// @desc    Remove a component-supplier link (soft delete)
+// @access  Private
+router.delete('/parts/:id', authenticate, authorize('edit'), async (req, res) => {
+    try {
+        await withTransaction(async (session) => {
+            const part = await SupplierPart.findOneAndUpdate(
+                { _id: req.params.id, isActive: true },
+                { isActive: false, isPreferred: false, lastUpdatedBy: req.user._id },
+                { session }
+            );
+
+            if (!part) {
+                throw new ApiError(404, 'Supplier part not found');
+            }
+
+            if (part.isPreferred) {
+                await clearPreferredPrice([part.component], session);
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Supplier part removed successfully'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Delete supplier part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing supplier part'
+        });
+    }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get a supplier with the components it supplies
+// @access  Private
+router.get('/:id', authenticate, authorize('view'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({ _id: req.params.id, isActive: true })
+            .populate('createdBy', 'name username');
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const parts = await SupplierPart.find({ supplier: supplier._id, isActive: true })
+            .populate('component', 'name partNumber manufacturer quantity unitPrice currency priceBasis')
+            .sort({ sku: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                ...supplier.toJSON(),
+                parts
+            }
+        });
+
+    } catch (error) {
+        console.error('Get supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching supplier'
+        });
+    }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create a supplier
+// @access  Private
+router.post('/', authenticate, authorize('edit'), supplierValidators(false), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const existingSupplier = await Supplier.findOne({
+            name: req.body.name,
+            isActive: true
+        });
+
+        if (existingSupplier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier with this name already exists'
+            });
+        }
+
+        const fields = {};
+        SUPPLIER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        const supplier = new Supplier({
+            ...fields,
+            createdBy: req.user._id
+        });
+
+        await supplier.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier created successfully',
+            data: supplier
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Create supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating supplier'
+        });
+    }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update a supplier
+// @access  Private
+router.put('/:id', authenticate, authorize('edit'), supplierValidators(true), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const supplier = await Supplier.findOne({ _id: req.params.id, isActive: true });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        SUPPLIER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) supplier[field] = req.body[field];
+        });
+        supplier.lastUpdatedBy = req.user._id;
+
+        await supplier.save();
+
+        res.json({
+            success: true,
+            message: 'Supplier updated successfully',
+            data: supplier
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+
+        console.error('Update supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating supplier'
+        });
+    }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Deactivate a supplier and its component links
+// @access  Private/Admin
+router.delete('/:id', authenticate, authorize('all'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({ _id: req.params.id, isActive: true });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        await withTransaction(async (session) => {
+            const preferredFor = await SupplierPart.distinct('component', {
+                supplier: supplier._id,
+                isActive: true,
+                isPreferred: true
+            }).session(session);
+
+            await SupplierPart.updateMany(
+                { supplier: supplier._id, isActive: true },
+                { $set: { isActive: false, isPreferred: false, lastUpdatedBy: req.user._id } },
+                { session }
+            );
+
+            await clearPreferredPrice(preferredFor, session);
+
+            supplier.isActive = false;
+            supplier.lastUpdatedBy = req.user._id;
+            await supplier.save({ session });
+        });
+
+        res.json({
+            success: true,
+            message: 'Supplier deactivated successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting supplier'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticate, authorize, adminOnly } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
 
 const router = express.Router();
 
@@ -190,6 +192,7 @@ router.post('/', authenticate, adminOnly, [
         });
 
         await user.save();
+        await recordAudit(req, { entityType: 'User', entity: user, action: 'create', after: user });
 
         res.status(201).json({
             success: true,
@@ -328,6 +331,15 @@ router.put('/:id', authenticate, [
             { new: true, runValidators: true }
         ).select('-password');
 
+        await recordAudit(req, {
+            entityType: 'User',
+            entity: user,
+            action: 'update',
+            before: user,
+            after: updatedUser,
+            fields: Object.keys(updateData)
+        });
+
         res.json({
             success: true,
             message: 'User updated successfully',
@@ -366,8 +378,10 @@ router.delete('/:id', authenticate, adminOnly, async (req, res) => {
         }
 
         // Soft delete (deactivate)
+        const before = snapshot(user);
         user.isActive = false;
         await user.save();
+        await recordAudit(req, { entityType: 'User', entity: user, action: 'delete', before, after: user });
 
         res.json({
             success: true,
@@ -397,8 +411,10 @@ router.put('/:id/activate', authenticate, adminOnly, async (req, res) => {
             });
         }
 
+        const before = snapshot(user);
         user.isActive = true;
         await user.save();
+        await recordAudit(req, { entityType: 'User', entity: user, action: 'update', before, after: user });
 
         res.json({
             success: true,
@@ -451,8 +467,10 @@ router.put('/:id/reset-password', authenticate, adminOnly, [
         }
 
         // Update password
+        const before = snapshot(user);
         user.password = newPassword;
         await user.save();
+        await recordAudit(req, { entityType: 'User', entity: user, action: 'update', before, after: user, fields: ['password'] });
 
         res.json({
             success: true,
@@ -534,55 +552,41 @@ router.get('/:id/activity', authenticate, async (req, res) => {
 
         const { page = 1, limit = 20 } = req.query;
 
-        // This would typically come from an activity log collection
-        // For now, we'll get component movements and created components
+        // Movements come from the ledger; created components are merged in
+        const Movement = require('../models/Movement');
         const Component = require('../models/Component');
-        
-        const activities = await Component.aggregate([
+        const userId = new mongoose.Types.ObjectId(req.params.id);
+
+        const activities = await Movement.aggregate([
+            { $match: { user: userId } },
             {
-                $match: {
-                    $or: [
-                        { createdBy: require('mongoose').Types.ObjectId(req.params.id) },
-                        { 'movements.user': require('mongoose').Types.ObjectId(req.params.id) }
-                    ]
+                $project: {
+                    activityType: { $literal: 'movement' },
+                    componentName: '$componentName',
+                    componentPartNumber: '$componentPartNumber',
+                    movementType: '$type',
+                    quantity: '$quantity',
+                    reason: '$reason',
+                    project: '$project',
+                    activityDate: '$createdAt'
                 }
             },
-            // Expand movements
-            { $unwind: { path: '$movements', preserveNullAndEmptyArrays: true } },
-            // Filter movements by user
             {
-                $match: {
-                    $or: [
-                        { createdBy: require('mongoose').Types.ObjectId(req.params.id) },
-                        { 'movements.user': require('mongoose').Types.ObjectId(req.params.id) }
+                $unionWith: {
+                    coll: Component.collection.name,
+                    pipeline: [
+                        { $match: { createdBy: userId } },
+                        {
+                            $project: {
+                                activityType: { $literal: 'component_created' },
+                                componentName: '$name',
+                                componentPartNumber: '$partNumber',
+                                activityDate: '$createdAt'
+                            }
+                        }
                     ]
                 }
             },
-            // Project activity data
-            {
-                $project: {
-                    activityType: {
-                        $cond: [
-                            { $eq: ['$movements.user', require('mongoose').Types.ObjectId(req.params.id)] },
-                            'movement',
-                            'component_created'
-                        ]
-                    },
-                    componentName: '$name',
-                    componentPartNumber: '$partNumber',
-                    movementType: '$movements.type',
-                    quantity: '$movements.quantity',
-                    reason: '$movements.reason',
-                    project: '$movements.project',
-                    activityDate: {
-                        $cond: [
-                            { $eq: ['$movements.user', require('mongoose').Types.ObjectId(req.params.id)] },
-                            '$movements.createdAt',
-                            '$createdAt'
-                        ]
-                    }
-                }
-            },
             { $sort: { activityDate: -1 } },
             { $skip: (page - 1) * limit },
             { $limit: parseInt(limit) }
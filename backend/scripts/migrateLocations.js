@@ -0,0 +1,82 @@
+// Migration: register every location components are already stored in
+// Run with: npm run migrate:locations (after migrate:stock-locations)
+//
+// Before the location registry, locations were free-text. Codes are
+// upper-cased on components, then every code still missing from the
+// registry is created as a top-level bin so it can be placed in the
+// hierarchy later (PUT /api/locations/:id with a parent).
+// Safe to re-run: registered codes are left alone.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Component = require('../models/Component');
+const Location = require('../models/Location');
+
+async function migrateLocations() {
+    await connectDB();
+
+    const normalized = await Component.collection.updateMany(
+        {},
+        [
+            {
+                $set: {
+                    location: { $toUpper: { $trim: { input: '$location' } } },
+                    stock: {
+                        $map: {
+                            input: { $ifNull: ['$stock', []] },
+                            in: {
+                                location: { $toUpper: { $trim: { input: '$$this.location' } } },
+                                quantity: '$$this.quantity'
+                            }
+                        }
+                    }
+                }
+            }
+        ]
+    );
+
+    console.log(`🔤 Components with normalized location codes: ${normalized.modifiedCount}`);
+
+    const codes = [
+        ...await Component.collection.distinct('location'),
+        ...await Component.collection.distinct('stock.location')
+    ];
+    const unknownCodes = await Location.findUnknownCodes(codes);
+
+    let created = 0;
+    let reactivated = 0;
+
+    for (const code of unknownCodes) {
+        // A deactivated location keeps its code; reactivate it instead
+        if (await Location.exists({ code })) {
+            await Location.updateOne({ code }, { $set: { isActive: true } });
+            reactivated++;
+            continue;
+        }
+
+        try {
+            await new Location({
+                code,
+                type: 'bin',
+                description: 'Registered by location migration'
+            }).save();
+            created++;
+        } catch (error) {
+            console.error(`⚠️  Could not register location "${code}": ${error.message}`);
+        }
+    }
+
+    console.log(`📍 Locations registered: ${created}, reactivated: ${reactivated}`);
+}
+
+migrateLocations()
+    .then(async () => {
+        await mongoose.connection.close();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Location migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
@@ -0,0 +1,89 @@
+// Migration: move embedded Component.movements into the movements ledger
+// Run with: npm run migrate:movements
+//
+// Safe to re-run: ledger entries keep the _id of the embedded movement, so
+// entries that were already copied are skipped.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Component = require('../models/Component');
+const Movement = require('../models/Movement');
+
+const latest = (movements) => movements.reduce((latestDate, movement) => {
+    const date = new Date(movement.createdAt);
+    return !latestDate || date > latestDate ? date : latestDate;
+}, null);
+
+async function migrateMovements() {
+    await connectDB();
+
+    let componentsMigrated = 0;
+    let movementsCopied = 0;
+    let movementsSkipped = 0;
+
+    // Read through the raw collection: the schema no longer has `movements`
+    const cursor = Component.collection.find({ 'movements.0': { $exists: true } });
+
+    for await (const component of cursor) {
+        const entries = component.movements.map(movement => ({
+            _id: movement._id,
+            component: component._id,
+            componentName: component.name,
+            componentPartNumber: component.partNumber,
+            type: movement.type,
+            quantity: movement.quantity,
+            user: movement.user,
+            userName: movement.userName,
+            reason: movement.reason,
+            project: movement.project,
+            notes: movement.notes,
+            createdAt: movement.createdAt
+        }));
+
+        try {
+            const inserted = await Movement.insertMany(entries, { ordered: false });
+            movementsCopied += inserted.length;
+        } catch (error) {
+            const writeErrors = error.writeErrors || [];
+            const duplicates = writeErrors.filter(e => e.code === 11000 || e.err?.code === 11000);
+
+            // Anything other than "already migrated" is a real failure
+            if (writeErrors.length === 0 || duplicates.length !== writeErrors.length) {
+                throw error;
+            }
+
+            movementsSkipped += duplicates.length;
+            movementsCopied += entries.length - duplicates.length;
+        }
+
+        await Component.collection.updateOne(
+            { _id: component._id },
+            {
+                $set: {
+                    lastMovementAt: latest(component.movements),
+                    lastOutwardAt: latest(component.movements.filter(m => m.type === 'outward'))
+                },
+                $unset: { movements: '' }
+            }
+        );
+
+        componentsMigrated++;
+        console.log(`✅ ${component.partNumber}: ${entries.length} movements moved to ledger`);
+    }
+
+    console.log(`\n📦 Components migrated: ${componentsMigrated}`);
+    console.log(`📝 Movements copied: ${movementsCopied}`);
+    console.log(`⏭️  Movements already in ledger: ${movementsSkipped}`);
+}
+
+migrateMovements()
+    .then(async () => {
+        await mongoose.connection.close();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Movement migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
@@ -0,0 +1,60 @@
+// Migration: let deleted components give up their part numbers
+// Run with: npm run migrate:recycle-bin
+//
+// Part numbers used to have a plain index; they are now unique among
+// active components only, so a deleted component's part number can be
+// reused. The old index is dropped and the new one built. Components
+// deleted before the recycle bin get their deletion date from their last
+// update, so the retention period counts from then. Active components
+// sharing a part number block the new index; they are listed so they
+// can be renamed or deleted first, and the old index is kept until then.
+// Safe to re-run.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Component = require('../models/Component');
+
+async function migrateRecycleBin() {
+    await connectDB();
+
+    const backfilled = await Component.collection.updateMany(
+        { isActive: false, deletedAt: null, purgedAt: null },
+        [{ $set: { deletedAt: '$updatedAt' } }]
+    );
+
+    console.log(`🗑️  Deleted components given a deletion date: ${backfilled.modifiedCount}`);
+
+    const duplicates = await Component.collection.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$partNumber', count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+
+    if (duplicates.length > 0) {
+        duplicates.forEach(duplicate => {
+            console.error(`⚠️  ${duplicate.count} active components have part number ${duplicate._id}`);
+        });
+        throw new Error('Resolve the duplicate part numbers above, then run the migration again');
+    }
+
+    const indexes = await Component.collection.indexes();
+    if (indexes.some(index => index.name === 'partNumber_1')) {
+        await Component.collection.dropIndex('partNumber_1');
+        console.log('🔑 Dropped the old part number index');
+    }
+
+    await Component.createIndexes();
+    console.log('🔑 Part numbers are now unique among active components');
+}
+
+migrateRecycleBin()
+    .then(async () => {
+        await mongoose.connection.close();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Recycle bin migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
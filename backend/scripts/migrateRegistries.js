@@ -0,0 +1,131 @@
+// Migration: register every category and manufacturer components already use
+// Run with: npm run migrate:registries
+//
+// Before the registries, categories were a fixed list and manufacturers
+// free text ("TI", "Texas Instruments", "texas instruments inc."). Empty
+// registries get the defaults first. Each component's manufacturer is then
+// resolved by name or alias and rewritten to the registered name; spellings
+// no manufacturer goes by are registered, one manufacturer per spelling that
+// only differs in case, punctuation or company form (the most used spelling
+// becomes the name). Categories no longer registered are registered at the
+// top level. Stocktakes scoped to a category get their category list.
+// Safe to re-run: registered names are left alone.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Component = require('../models/Component');
+const Category = require('../models/Category');
+const Manufacturer = require('../models/Manufacturer');
+const CountSession = require('../models/CountSession');
+
+async function migrateCategories() {
+    const seeded = await Category.seedDefaults();
+    if (seeded) console.log(`📂 Default categories created: ${seeded}`);
+
+    const names = await Component.collection.distinct('category');
+    const unknownNames = await Category.findUnknownNames(names);
+
+    let created = 0;
+    let reactivated = 0;
+
+    for (const name of unknownNames) {
+        // A retired category keeps its name; reactivate it instead
+        if (await Category.exists({ name })) {
+            await Category.updateOne({ name }, { $set: { isActive: true } });
+            reactivated++;
+            continue;
+        }
+
+        try {
+            await new Category({
+                name,
+                description: 'Registered by registry migration'
+            }).save();
+            created++;
+        } catch (error) {
+            console.error(`⚠️  Could not register category "${name}": ${error.message}`);
+        }
+    }
+
+    console.log(`📂 Categories registered: ${created}, reactivated: ${reactivated}`);
+
+    const scoped = await CountSession.updateMany(
+        { category: { $nin: [null, ''] }, $or: [{ categories: { $exists: false } }, { categories: { $size: 0 } }] },
+        [{ $set: { categories: ['$category'] } }]
+    );
+
+    console.log(`📋 Stocktakes given their category scope: ${scoped.modifiedCount}`);
+}
+
+async function migrateManufacturers() {
+    const seeded = await Manufacturer.seedDefaults();
+    if (seeded) console.log(`🏭 Default manufacturers created: ${seeded}`);
+
+    const usage = await Component.collection.aggregate([
+        { $group: { _id: '$manufacturer', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]).toArray();
+
+    let renamed = 0;
+    let created = 0;
+    let reactivated = 0;
+
+    for (const { _id: spelling } of usage) {
+        if (!spelling || !Manufacturer.normalizeKey(spelling)) {
+            console.error(`⚠️  Components with manufacturer "${spelling}" need one set by hand`);
+            continue;
+        }
+
+        // Most used spellings come first, so they become the registered name
+        let manufacturer = await Manufacturer.resolve(spelling);
+
+        // A retired manufacturer keeps its names; reactivate it instead
+        const retired = !manufacturer && await Manufacturer.findConflict([spelling]);
+        if (retired) {
+            await Manufacturer.updateOne({ _id: retired._id }, { $set: { isActive: true } });
+            manufacturer = retired;
+            reactivated++;
+        }
+
+        if (!manufacturer) {
+            try {
+                manufacturer = await new Manufacturer({
+                    name: spelling.trim(),
+                    description: 'Registered by registry migration'
+                }).save();
+                created++;
+            } catch (error) {
+                console.error(`⚠️  Could not register manufacturer "${spelling}": ${error.message}`);
+                continue;
+            }
+        }
+
+        if (manufacturer.name !== spelling) {
+            const result = await Component.collection.updateMany(
+                { manufacturer: spelling },
+                { $set: { manufacturer: manufacturer.name } }
+            );
+            renamed += result.modifiedCount;
+        }
+    }
+
+    console.log(`🏭 Manufacturers registered: ${created}, reactivated: ${reactivated}, components normalized: ${renamed}`);
+}
+
+async function migrateRegistries() {
+    await connectDB();
+    await migrateCategories();
+    await migrateManufacturers();
+}
+
+migrateRegistries()
+    .then(async () => {
+        await mongoose.connection.close();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Registry migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
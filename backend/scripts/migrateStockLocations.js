@@ -0,0 +1,44 @@
+// Migration: give every component a per-bin `stock` array
+// Run with: npm run migrate:stock-locations
+//
+// Components created before multi-location stock only have `location` and
+// `quantity`; their whole quantity becomes a single bin at `location`.
+// Safe to re-run: components that already have bins are left alone.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Component = require('../models/Component');
+
+async function migrateStockLocations() {
+    await connectDB();
+
+    const result = await Component.collection.updateMany(
+        {
+            $or: [
+                { stock: { $exists: false } },
+                { stock: { $size: 0 } }
+            ]
+        },
+        [
+            {
+                $set: {
+                    stock: [{ location: '$location', quantity: '$quantity' }]
+                }
+            }
+        ]
+    );
+
+    console.log(`📦 Components migrated to per-bin stock: ${result.modifiedCount}`);
+}
+
+migrateStockLocations()
+    .then(async () => {
+        await mongoose.connection.close();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Stock location migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
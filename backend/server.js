@@ -15,10 +15,32 @@ const userRoutes = require('./routes/users');
 const componentRoutes = require('./routes/components');
 const movementRoutes = require('./routes/movements');
 const notificationRoutes = require('./routes/notifications');
+const locationRoutes = require('./routes/locations');
+const lotRoutes = require('./routes/lots');
+const serialRoutes = require('./routes/serials');
+const reservationRoutes = require('./routes/reservations');
+const bomRoutes = require('./routes/boms');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const reorderRoutes = require('./routes/reorder');
+const countRoutes = require('./routes/counts');
+const reasonCodeRoutes = require('./routes/reasonCodes');
+const approvalRoutes = require('./routes/approvals');
+const partRequestRoutes = require('./routes/partRequests');
+const loanRoutes = require('./routes/loans');
+const calibrationRoutes = require('./routes/calibrations');
+const categoryRoutes = require('./routes/categories');
+const manufacturerRoutes = require('./routes/manufacturers');
+const alternateRoutes = require('./routes/alternates');
+const auditRoutes = require('./routes/audit');
 
 // Import models for initial data seeding
 const User = require('./models/User');
 const Component = require('./models/Component');
+const Location = require('./models/Location');
+const ReasonCode = require('./models/ReasonCode');
+const Category = require('./models/Category');
+const Manufacturer = require('./models/Manufacturer');
 
 const app = express();
 
@@ -124,6 +146,24 @@ app.use('/api/users', userRoutes);
 app.use('/api/components', componentRoutes);
 app.use('/api/movements', movementRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/serials', serialRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/boms', bomRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/reorder', reorderRoutes);
+app.use('/api/counts', countRoutes);
+app.use('/api/reason-codes', reasonCodeRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/part-requests', partRequestRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/calibrations', calibrationRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/manufacturers', manufacturerRoutes);
+app.use('/api/alternates', alternateRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Serve static files from frontend (if in production)
 if (process.env.NODE_ENV === 'production') {
@@ -183,7 +223,8 @@ app.use((err, req, res, next) => {
     // Default error
     res.status(err.statusCode || 500).json({
         success: false,
-        message: err.message || 'Internal Server Error'
+        message: err.message || 'Internal Server Error',
+        ...(err.details || {})
     });
 });
 
@@ -251,6 +292,55 @@ async function seedInitialData() {
             console.log('✅ Demo users created successfully');
         }
 
+        // Reason codes the application posts movements with must always
+        // exist; the rest are a starting list admins can change
+        await ReasonCode.ensureDefaults();
+
+        // Components must be given a registered category and manufacturer;
+        // an empty registry starts with the defaults
+        const adminForRegistries = await User.findOne({ role: 'admin' });
+        if (await Category.seedDefaults(adminForRegistries)) {
+            console.log('✅ Default categories created successfully');
+        }
+        if (await Manufacturer.seedDefaults(adminForRegistries)) {
+            console.log('✅ Default manufacturers created successfully');
+        }
+
+        // Check if storage locations exist (components must reference one)
+        const locationCount = await Location.countDocuments();
+
+        if (locationCount === 0) {
+            console.log('Seeding storage locations...');
+
+            const adminUser = await User.findOne({ role: 'admin' });
+
+            // Parents are listed before their children
+            const sampleLocations = [
+                { code: 'LAB-1', name: 'Electronics Lab Store', type: 'room' },
+                { code: 'CAB-A', name: 'ESD Cabinet A', type: 'cabinet', parent: 'LAB-1', esdSafe: true },
+                { code: 'CAB-B', name: 'ESD Cabinet B', type: 'cabinet', parent: 'LAB-1', esdSafe: true },
+                { code: 'CAB-D', name: 'Dry Cabinet D', type: 'cabinet', parent: 'LAB-1', esdSafe: true, dryCabinet: true },
+                { code: 'A1-B2', type: 'bin', parent: 'CAB-A', capacity: 5000 },
+                { code: 'A2-B1', type: 'bin', parent: 'CAB-A', capacity: 1000 },
+                { code: 'B1-A3', type: 'bin', parent: 'CAB-B', capacity: 500 },
+                { code: 'D1-B1', type: 'bin', parent: 'CAB-D', capacity: 500 },
+                { code: 'D2-C2', type: 'bin', parent: 'CAB-D', capacity: 500 }
+            ];
+
+            const seeded = new Map();
+            for (const { parent, ...locationData } of sampleLocations) {
+                const location = new Location({
+                    ...locationData,
+                    parent: parent ? seeded.get(parent)._id : null,
+                    createdBy: adminUser._id
+                });
+                await location.save();
+                seeded.set(location.code, location);
+            }
+
+            console.log('✅ Storage locations created successfully');
+        }
+
         // Check if sample components exist
         const componentCount = await Component.countDocuments();
         
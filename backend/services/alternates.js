@@ -0,0 +1,49 @@
+const Alternate = require('../models/Alternate');
+const Component = require('../models/Component');
+
+const ALTERNATE_FIELDS = 'name partNumber manufacturer location quantity reserved isActive';
+
+// Per component id, the active components that can stand in for it, most
+// available stock first
+const findAlternates = async (componentIds, session = null) => {
+    const usable = await Alternate.usableFor(componentIds, session);
+    const ids = [...new Set([...usable.values()].flat().map(id => id.toString()))];
+
+    const components = await Component.find({ _id: { $in: ids }, isActive: true })
+        .select(ALTERNATE_FIELDS)
+        .session(session);
+    const byId = new Map(components.map(component => [component._id.toString(), component]));
+
+    const alternates = new Map();
+    usable.forEach((alternateIds, componentId) => {
+        alternates.set(componentId, alternateIds
+            .map(id => byId.get(id.toString()))
+            .filter(Boolean)
+            .sort((a, b) => b.available - a.available));
+    });
+
+    return alternates;
+};
+
+// In-stock alternates to offer when `quantity` units of a component are not
+// available; `coversRequest` marks those that could supply all of it
+const suggestAlternates = async (componentId, quantity) => {
+    const alternates = (await findAlternates([componentId])).get(componentId.toString());
+
+    return alternates
+        .filter(component => component.available > 0)
+        .map(component => ({
+            id: component._id,
+            name: component.name,
+            partNumber: component.partNumber,
+            manufacturer: component.manufacturer,
+            location: component.location,
+            available: component.available,
+            coversRequest: component.available >= quantity
+        }));
+};
+
+module.exports = {
+    findAlternates,
+    suggestAlternates
+};
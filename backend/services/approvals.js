@@ -0,0 +1,393 @@
+const ApprovalRule = require('../models/ApprovalRule');
+const Category = require('../models/Category');
+const OutwardRequest = require('../models/OutwardRequest');
+const PartRequest = require('../models/PartRequest');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const {
+    withTransaction,
+    findActiveComponent,
+    resolveReason,
+    applyMovement,
+    buildMovementNotifications
+} = require('./stock');
+const { kitLines, issueKitLines } = require('./boms');
+const { ApiError } = require('../utils/errors');
+
+// Active rules that taking `quantity` of a component matches
+const matchingRules = async (component, quantity) => {
+    const rules = await ApprovalRule.find({ isActive: true });
+    const lineage = rules.some(rule => rule.categories.length > 0)
+        ? await Category.lineage(component.category)
+        : [component.category];
+
+    return rules.filter(rule => rule.matches(component, quantity, lineage));
+};
+
+// The matching rules that hold `user` back: none when they hold every
+// approver permission the rules need, as they could approve it themselves
+const rulesHolding = async (component, quantity, user) => {
+    const rules = await matchingRules(component, quantity);
+    return rules.every(rule => user.hasPermission(rule.approverPermission)) ? [] : rules;
+};
+
+// Rules as recorded on a request
+const ruleSummaries = rules => rules.map(rule => ({
+    rule: rule._id,
+    name: rule.name,
+    approverPermission: rule.approverPermission
+}));
+
+const insufficientAvailable = (component, quantity) => new ApiError(409,
+    `Insufficient available stock. Available: ${component.available} units (${component.reserved} reserved), Requested: ${quantity} units`,
+    { code: 'INSUFFICIENT_STOCK', available: component.available, reserved: component.reserved, requested: quantity }
+);
+
+// Active users other than the requester who can decide a request
+const findApprovers = async (request) => {
+    const users = await User.find({ isActive: true, _id: { $ne: request.requestedBy } });
+    return users.filter(user => request.canBeDecidedBy(user)).map(user => user._id);
+};
+
+const findPendingRequest = async (requestId, session) => {
+    const request = await OutwardRequest.findById(requestId).session(session);
+
+    if (!request) {
+        throw new ApiError(404, 'Outward request not found');
+    }
+
+    if (request.status !== 'pending') {
+        throw new ApiError(400, `Request ${request.requestNumber} is already ${request.status}`);
+    }
+
+    return request;
+};
+
+// Mark a pending request decided; a request decided meanwhile is a conflict
+const decide = async (request, status, notes, user, session) => {
+    const decided = await OutwardRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        {
+            status,
+            decidedBy: user._id,
+            decidedByName: user.name,
+            decidedAt: new Date(),
+            decisionNotes: notes
+        },
+        { new: true, session }
+    );
+
+    if (!decided) {
+        throw new ApiError(409, `Request ${request.requestNumber} was decided by someone else`, { code: 'REQUEST_DECIDED' });
+    }
+
+    return decided;
+};
+
+const checkCanDecide = (request, user) => {
+    if (request.requestedBy.equals(user._id)) {
+        throw new ApiError(403, 'You cannot decide your own request');
+    }
+
+    if (!request.canBeDecidedBy(user)) {
+        throw new ApiError(403, `Deciding this request needs the ${request.approverPermissions.join(', ')} permission`);
+    }
+};
+
+// Hold an outward movement for approval if it matches any active rule.
+// Returns the pending request, or null when the movement can go ahead:
+// no rule matches, or the user could approve it themselves. Stock is
+// checked but not reserved or removed.
+const holdForApproval = async (outwardData, user) => {
+    const {
+        componentId, quantity, location, lotNumber, serialNumbers, holder,
+        reservationId, project, notes
+    } = outwardData;
+
+    const component = await findActiveComponent(componentId, null);
+    const rules = await rulesHolding(component, quantity, user);
+
+    if (rules.length === 0) {
+        return null;
+    }
+
+    if (!reservationId && quantity > component.available) {
+        throw insufficientAvailable(component, quantity);
+    }
+
+    const { reasonCode, reason } = await resolveReason('outward', outwardData.reasonCode, outwardData.reason, null);
+
+    const request = await OutwardRequest.create({
+        requestNumber: await OutwardRequest.nextRequestNumber(),
+        component: component._id,
+        componentName: component.name,
+        componentPartNumber: component.partNumber,
+        quantity,
+        value: quantity * component.unitPrice,
+        currency: component.currency,
+        location,
+        lotNumber,
+        serialNumbers,
+        issuedTo: holder ? holder._id : undefined,
+        reservation: reservationId,
+        reasonCode,
+        reason,
+        project,
+        notes,
+        rules: ruleSummaries(rules),
+        requestedBy: user._id,
+        requestedByName: user.name
+    });
+
+    const approvers = await findApprovers(request);
+    await Notification.createApprovalRequestNotification(request, approvers).save();
+
+    return request;
+};
+
+// Hold a whole BOM kit for approval if any of its lines matches an active
+// rule the user could not approve themselves. Returns the pending request,
+// or null when the kit can be issued. Nothing is issued while a kit of the
+// same BOM by the same user is still pending.
+const holdKitForApproval = async (bom, boards, { project, reason, notes }, user) => {
+    const lines = [];
+    const rules = new Map();
+
+    for (const line of kitLines(bom, boards)) {
+        const component = await findActiveComponent(line.componentId, null);
+        (await rulesHolding(component, line.quantity, user)).forEach(rule => rules.set(rule._id.toString(), rule));
+        lines.push({ component, quantity: line.quantity });
+    }
+
+    if (rules.size === 0) {
+        return null;
+    }
+
+    const pending = await OutwardRequest.findOne({ 'kit.bom': bom._id, requestedBy: user._id, status: 'pending' });
+    if (pending) {
+        throw new ApiError(409, `A kit of ${bom.name} is already waiting for approval as ${pending.requestNumber}`, {
+            code: 'APPROVAL_PENDING',
+            requestId: pending._id,
+            requestNumber: pending.requestNumber
+        });
+    }
+
+    const short = lines.find(({ component, quantity }) => quantity > component.available);
+    if (short) {
+        const error = insufficientAvailable(short.component, short.quantity);
+        throw new ApiError(409, `${short.component.name}: ${error.message}`, { ...error.details, componentId: short.component._id });
+    }
+
+    const request = await OutwardRequest.create({
+        requestNumber: await OutwardRequest.nextRequestNumber(),
+        kit: {
+            bom: bom._id,
+            bomName: bom.name,
+            revision: bom.revision,
+            boards,
+            lines: lines.map(({ component, quantity }) => ({
+                component: component._id,
+                componentName: component.name,
+                componentPartNumber: component.partNumber,
+                quantity,
+                value: quantity * component.unitPrice,
+                currency: component.currency
+            }))
+        },
+        reason,
+        project,
+        notes,
+        rules: ruleSummaries([...rules.values()]),
+        requestedBy: user._id,
+        requestedByName: user.name
+    });
+
+    const approvers = await findApprovers(request);
+    await Notification.createApprovalRequestNotification(request, approvers).save();
+
+    return request;
+};
+
+// Hold a part request pick if it matches an active rule the picker could
+// not approve themselves. Returns the pending request, or null when the
+// pick can be issued. Approving it issues the pick to the part requester.
+const holdPick = async (partRequest, line, pick, user, session) => {
+    const component = await findActiveComponent(line.component, session);
+    const rules = await rulesHolding(component, pick.quantity, user);
+
+    if (rules.length === 0) {
+        return null;
+    }
+
+    if (pick.quantity > component.available) {
+        const error = insufficientAvailable(component, pick.quantity);
+        throw new ApiError(409, `${component.name}: ${error.message}`, { ...error.details, lineId: line._id });
+    }
+
+    const [request] = await OutwardRequest.create([{
+        requestNumber: await OutwardRequest.nextRequestNumber(),
+        component: component._id,
+        componentName: component.name,
+        componentPartNumber: component.partNumber,
+        quantity: pick.quantity,
+        value: pick.quantity * component.unitPrice,
+        currency: component.currency,
+        location: pick.location,
+        serialNumbers: pick.serialNumbers,
+        issuedTo: partRequest.requestedBy,
+        partRequest: partRequest._id,
+        partRequestLine: line._id,
+        reason: `Part request ${partRequest.requestNumber}`,
+        project: partRequest.project,
+        notes: `Requested by ${partRequest.requestedByName}`,
+        rules: ruleSummaries(rules),
+        requestedBy: user._id,
+        requestedByName: user.name
+    }], { session });
+
+    const approvers = await findApprovers(request);
+    await Notification.createApprovalRequestNotification(request, approvers).save({ session });
+
+    return request;
+};
+
+// A held pick was decided: it is no longer awaiting approval, and counts as
+// picked if it was issued
+const settlePick = async (request, movement, session) => {
+    const partRequest = await PartRequest.findById(request.partRequest).session(session);
+    const line = partRequest.lines.id(request.partRequestLine);
+
+    line.quantityAwaitingApproval -= request.quantity;
+
+    if (movement) {
+        line.quantityPicked += request.quantity;
+        line.movements.push(movement._id);
+        partRequest.markPicked(request.requestedBy);
+    }
+
+    await partRequest.save({ session });
+    return partRequest;
+};
+
+// Issue a held kit for its requester: every line, or none if any is short
+const approveKit = async (request, requester, session) => {
+    const results = await issueKitLines(request.kit.lines.map(line => ({
+        componentId: line.component,
+        name: line.componentName,
+        quantity: line.quantity
+    })), {
+        project: request.project,
+        reason: request.reason,
+        notes: request.notes
+    }, requester, session);
+
+    const approved = await OutwardRequest.findByIdAndUpdate(
+        request._id,
+        { 'kit.movements': results.map(result => result.movement._id) },
+        { new: true, session }
+    );
+
+    await Notification.createApprovalDecisionNotification(approved).save({ session });
+
+    return { request: approved, results };
+};
+
+// Approve a pending request: the outward movement (or every kit line) is
+// recorded for the requester now, and fails like any outward movement if
+// the stock has gone. A held pick is added to its part request line.
+const approveOutwardRequest = (requestId, { notes }, user) => withTransaction(async (session) => {
+    const pending = await findPendingRequest(requestId, session);
+    checkCanDecide(pending, user);
+
+    const request = await decide(pending, 'approved', notes, user, session);
+
+    if (request.kit) {
+        const requester = await User.findById(request.requestedBy).session(session);
+        return approveKit(request, requester, session);
+    }
+
+    const [requester, holder] = await Promise.all([
+        User.findById(request.requestedBy).session(session),
+        request.issuedTo ? User.findById(request.issuedTo).session(session) : null
+    ]);
+
+    const { component, movement, reservation } = await applyMovement({
+        componentId: request.component,
+        type: 'outward',
+        quantity: request.quantity,
+        location: request.location,
+        lotNumber: request.lotNumber,
+        serialNumbers: request.serialNumbers.length > 0 ? request.serialNumbers : undefined,
+        holder: holder || requester,
+        reservationId: request.reservation,
+        reasonCode: request.reasonCode,
+        reason: request.reason,
+        project: request.project,
+        notes: request.notes
+    }, requester, session);
+
+    const approved = await OutwardRequest.findByIdAndUpdate(
+        request._id,
+        { movement: movement._id },
+        { new: true, session }
+    );
+
+    const notifications = [
+        ...buildMovementNotifications(component, movement, requester),
+        Notification.createApprovalDecisionNotification(approved)
+    ];
+
+    let partRequest;
+    if (request.partRequest) {
+        partRequest = await settlePick(request, movement, session);
+        notifications.push(Notification.createPartRequestPickedNotification(partRequest, requester));
+    }
+
+    for (const notification of notifications) {
+        await notification.save({ session });
+    }
+
+    return { request: approved, component, movement, reservation, partRequest };
+});
+
+// Reject a pending request; nothing happens to stock
+const rejectOutwardRequest = (requestId, { notes }, user) => withTransaction(async (session) => {
+    const pending = await findPendingRequest(requestId, session);
+    checkCanDecide(pending, user);
+
+    const request = await decide(pending, 'rejected', notes, user, session);
+    await Notification.createApprovalDecisionNotification(request).save({ session });
+
+    if (request.partRequest) {
+        await settlePick(request, null, session);
+    }
+
+    return request;
+});
+
+// The requester withdraws a pending request; a withdrawn pick is
+// outstanding on its part request again
+const cancelOutwardRequest = (requestId, user) => withTransaction(async (session) => {
+    const pending = await findPendingRequest(requestId, session);
+
+    if (!pending.requestedBy.equals(user._id)) {
+        throw new ApiError(403, 'Only the requester can cancel a request');
+    }
+
+    const request = await decide(pending, 'cancelled', 'Cancelled by requester', user, session);
+
+    if (request.partRequest) {
+        await settlePick(request, null, session);
+    }
+
+    return request;
+});
+
+module.exports = {
+    holdForApproval,
+    holdKitForApproval,
+    holdPick,
+    approveOutwardRequest,
+    rejectOutwardRequest,
+    cancelOutwardRequest
+};
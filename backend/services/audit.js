@@ -0,0 +1,79 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields whose values never go into the audit log; a change to them is
+// recorded without the values
+const REDACTED_FIELDS = ['password', 'calendarTokenHash'];
+const REDACTED = '[redacted]';
+
+// Bookkeeping fields: timestamps, and who created or last touched the
+// record, which the audit record itself says
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'createdBy', 'lastUpdatedBy'];
+
+// A document or plain object as plain data, references as ids
+const snapshot = (record) => {
+    if (!record) return {};
+    return typeof record.toObject === 'function'
+        ? record.toObject({ depopulate: true, virtuals: false })
+        : record;
+};
+
+// Compare through JSON so ids, dates, arrays and subdocuments compare by value
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The fields that differ between two versions of a record, with the old
+// and new value of each. `fields` limits the comparison.
+const diffFields = (before, after, fields = null) => {
+    const old = snapshot(before);
+    const current = snapshot(after);
+    const names = fields || [...new Set([...Object.keys(old), ...Object.keys(current)])];
+
+    return names
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => !sameValue(old[field], current[field]))
+        .map(field => (REDACTED_FIELDS.includes(field)
+            ? { field, from: REDACTED, to: REDACTED }
+            : { field, from: old[field] ?? null, to: current[field] ?? null }));
+};
+
+// Record a change made through a request: who made it, from which address
+// and client. An update that changed nothing is not recorded. Pass
+// `session` to record it in the same transaction as the change.
+const recordAudit = async (req, { entityType, entity, action, before = null, after = null, fields = null, session = null }) => {
+    const changes = diffFields(before, after, fields);
+    if (action === 'update' && changes.length === 0) return null;
+
+    const [entry] = await AuditLog.create([{
+        entityType,
+        entity: entity._id || entity,
+        action,
+        changes,
+        user: req.user ? req.user._id : null,
+        ip: req.ip,
+        userAgent: (req.get('User-Agent') || '').slice(0, 500)
+    }], { session });
+
+    return entry;
+};
+
+// Record the same field changes on many records at once, e.g. a renamed
+// category carried over to its components
+const recordBulkAudit = async (req, { entityType, entities, changes, session = null }) => {
+    if (entities.length === 0) return [];
+
+    return AuditLog.insertMany(entities.map(entity => ({
+        entityType,
+        entity,
+        action: 'update',
+        changes,
+        user: req.user ? req.user._id : null,
+        ip: req.ip,
+        userAgent: (req.get('User-Agent') || '').slice(0, 500)
+    })), { session });
+};
+
+module.exports = {
+    diffFields,
+    recordAudit,
+    recordBulkAudit,
+    snapshot
+};
@@ -0,0 +1,222 @@
+const { withTransaction, applyMovement, buildMovementNotifications } = require('./stock');
+const Component = require('../models/Component');
+const Manufacturer = require('../models/Manufacturer');
+const { ApiError } = require('../utils/errors');
+const { normalizePartNumber } = require('../utils/bomImport');
+
+// How many assemblies the available (unreserved) stock can build, line by
+// line. `bom.lines.component` must be populated. With `boards`, each line
+// also reports what a build of that size needs and is short of.
+// `alternates` (from services/alternates findAlternates) adds the stock of
+// each line's equivalents. An alternate that is itself on the BOM is left
+// out, and one shared by several lines only counts for the first of them,
+// so no stock is counted twice.
+const buildCapacity = (bom, boards, alternates = null) => {
+    const counted = new Set(bom.lines
+        .filter(line => line.component)
+        .map(line => line.component._id.toString()));
+
+    const lines = bom.lines.map(line => {
+        const component = line.component;
+        const available = component && component.isActive ? component.available : 0;
+
+        const row = {
+            component: component ? {
+                id: component._id,
+                name: component.name,
+                partNumber: component.partNumber,
+                location: component.location,
+                quantity: component.quantity,
+                reserved: component.reserved,
+                available
+            } : null,
+            quantityPer: line.quantityPer,
+            referenceDesignators: line.referenceDesignators
+        };
+
+        let usable = available;
+
+        if (alternates && component) {
+            const usableAlternates = (alternates.get(component._id.toString()) || [])
+                .filter(alternate => alternate.available > 0 && !counted.has(alternate._id.toString()));
+            usableAlternates.forEach(alternate => counted.add(alternate._id.toString()));
+
+            row.alternates = usableAlternates.map(alternate => ({
+                id: alternate._id,
+                name: alternate.name,
+                partNumber: alternate.partNumber,
+                manufacturer: alternate.manufacturer,
+                location: alternate.location,
+                available: alternate.available
+            }));
+            row.alternateAvailable = usableAlternates.reduce((sum, alternate) => sum + alternate.available, 0);
+            usable += row.alternateAvailable;
+        }
+
+        row.buildable = Math.floor(usable / line.quantityPer);
+
+        if (boards) {
+            row.required = line.quantityPer * boards;
+            row.shortage = Math.max(0, row.required - usable);
+        }
+
+        return row;
+    });
+
+    const capacity = lines.length > 0 ? Math.min(...lines.map(line => line.buildable)) : 0;
+
+    return {
+        capacity,
+        // Every line that limits the build to `capacity`
+        bottlenecks: lines.filter(line => line.buildable === capacity),
+        ...(boards ? { requested: boards, canBuild: capacity >= boards } : {}),
+        ...(alternates ? { includesAlternates: true } : {}),
+        lines
+    };
+};
+
+// Issue kit lines ({ componentId, name, quantity }): one outward movement
+// per line, inside the caller's transaction
+const issueKitLines = async (lines, { project, reason, notes }, user, session) => {
+    const results = [];
+
+    for (const { componentId, name, quantity } of lines) {
+        let result;
+
+        try {
+            result = await applyMovement({
+                componentId,
+                type: 'outward',
+                quantity,
+                reason,
+                project,
+                notes
+            }, user, session);
+        } catch (error) {
+            // Say which line failed; transient errors pass through untouched
+            // so the transaction can be retried
+            if (!error.statusCode) throw error;
+
+            throw new ApiError(error.statusCode, `${name || componentId.toString()}: ${error.message}`, {
+                ...error.details,
+                componentId
+            });
+        }
+
+        const notifications = buildMovementNotifications(result.component, result.movement, user);
+        for (const notification of notifications) {
+            await notification.save({ session });
+        }
+
+        results.push(result);
+    }
+
+    return results;
+};
+
+// What kitting a BOM for `boards` assemblies takes of each component
+const kitLines = (bom, boards) => bom.lines.map(line => {
+    if (!line.component) {
+        throw new ApiError(400, 'BOM contains a component that no longer exists, update the BOM first');
+    }
+
+    return {
+        componentId: line.component._id || line.component,
+        name: line.component.name,
+        quantity: line.quantityPer * boards
+    };
+});
+
+// Kit a BOM for `boards` assemblies: one outward movement per line, all in
+// one transaction, so either the whole kit is issued or nothing is.
+// Approval rules are checked by the caller (services/approvals.js
+// holdKitForApproval) first.
+const kitBom = (bom, boards, kitData, user) => withTransaction(session =>
+    issueKitLines(kitLines(bom, boards), kitData, user, session)
+);
+
+// Match parsed import lines to components by part number. A single exact
+// (case-insensitive) hit is `matched`; several hits, or only a hit after
+// ignoring punctuation (e.g. "GRM188R71H104KA93D" vs "GRM188R71H104KA93-D"),
+// is `ambiguous` with the candidates listed; nothing is `unmatched`. When a
+// line names a manufacturer (by name or alias), candidates from that
+// manufacturer win.
+const matchImportLines = async (lines) => {
+    const components = await Component.find({ isActive: true })
+        .select('name partNumber manufacturer location quantity reserved')
+        .lean();
+
+    const byExact = new Map();
+    const byNormalized = new Map();
+    components.forEach(component => {
+        const exact = component.partNumber.toUpperCase();
+        const normalized = normalizePartNumber(component.partNumber);
+        byExact.set(exact, [...(byExact.get(exact) || []), component]);
+        byNormalized.set(normalized, [...(byNormalized.get(normalized) || []), component]);
+    });
+
+    const manufacturers = await Manufacturer.find({ isActive: true }).select('name +keys').lean();
+    const manufacturerByKey = new Map();
+    manufacturers.forEach(manufacturer => {
+        manufacturer.keys.forEach(key => manufacturerByKey.set(key, manufacturer.name));
+    });
+
+    const sameManufacturer = (line, candidates) => {
+        if (!line.manufacturer || candidates.length < 2) return candidates;
+        const key = Manufacturer.normalizeKey(line.manufacturer);
+        const wanted = manufacturerByKey.get(key) || line.manufacturer;
+        const preferred = candidates.filter(c => c.manufacturer === wanted ||
+            Manufacturer.normalizeKey(c.manufacturer || '') === key);
+        return preferred.length > 0 ? preferred : candidates;
+    };
+
+    const summarize = component => ({
+        id: component._id,
+        name: component.name,
+        partNumber: component.partNumber,
+        manufacturer: component.manufacturer,
+        location: component.location,
+        available: Math.max(0, component.quantity - (component.reserved || 0))
+    });
+
+    return lines.map(line => {
+        if (!line.partNumber) {
+            return { ...line, status: 'unmatched', component: null, candidates: [] };
+        }
+
+        const exact = sameManufacturer(line, byExact.get(line.partNumber.trim().toUpperCase()) || []);
+        if (exact.length === 1) {
+            return { ...line, status: 'matched', component: summarize(exact[0]), candidates: [] };
+        }
+
+        const candidates = exact.length > 0
+            ? exact
+            : sameManufacturer(line, byNormalized.get(normalizePartNumber(line.partNumber)) || []);
+
+        return {
+            ...line,
+            status: candidates.length > 0 ? 'ambiguous' : 'unmatched',
+            component: null,
+            candidates: candidates.map(summarize)
+        };
+    });
+};
+
+// Summary counts for an import report
+const summarizeImport = (lines, skipped) => ({
+    lines: lines.length,
+    matched: lines.filter(line => line.status === 'matched').length,
+    ambiguous: lines.filter(line => line.status === 'ambiguous').length,
+    unmatched: lines.filter(line => line.status === 'unmatched').length,
+    skippedDnp: skipped,
+    placements: lines.reduce((sum, line) => sum + line.quantity, 0)
+});
+
+module.exports = {
+    buildCapacity,
+    kitLines,
+    kitBom,
+    issueKitLines,
+    matchImportLines,
+    summarizeImport
+};
@@ -0,0 +1,166 @@
+const Component = require('../models/Component');
+const SerialItem = require('../models/SerialItem');
+const CalibrationRecord = require('../models/CalibrationRecord');
+const { withTransaction } = require('./stock');
+const { historyEntry } = require('./serials');
+const { ApiError } = require('../utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Units this close to their due date are alerted on by the alert check
+const CALIBRATION_ALERT_DAYS = 14;
+
+const buildCertificate = ({ filename, contentType, data }, user) => {
+    if (data.length > CalibrationRecord.MAX_CERTIFICATE_BYTES) {
+        throw new ApiError(400, 'Certificate cannot exceed 5 MB');
+    }
+
+    return {
+        filename,
+        contentType,
+        size: data.length,
+        data,
+        uploadedBy: user._id,
+        uploadedAt: new Date()
+    };
+};
+
+// Record a calibration of a serialized unit. Without `nextDueAt` the unit is
+// due again after its component's calibration interval; a failed unit stays
+// due. A back-dated record does not move the unit's due date if a later
+// calibration is already recorded.
+const recordCalibration = (calibrationData, user) => withTransaction(async (session) => {
+    const { serialId, calibratedAt, provider, result, certificateNumber, certificate, notes } = calibrationData;
+
+    const item = await SerialItem.findById(serialId).session(session);
+
+    if (!item) {
+        throw new ApiError(404, 'Serial number not found');
+    }
+
+    if (item.status === 'retired') {
+        throw new ApiError(400, `${item.serialNumber} is retired and is no longer calibrated`);
+    }
+
+    const component = await Component.findById(item.component).session(session);
+
+    let { nextDueAt } = calibrationData;
+    if (!nextDueAt && result === 'fail') {
+        nextDueAt = calibratedAt;
+    } else if (!nextDueAt && component.calibrationIntervalDays) {
+        nextDueAt = new Date(calibratedAt.getTime() + component.calibrationIntervalDays * DAY);
+    } else if (!nextDueAt) {
+        throw new ApiError(400, `${component.name} has no calibration interval: give the next due date`);
+    }
+
+    const [record] = await CalibrationRecord.create([{
+        serialItem: item._id,
+        serialNumber: item.serialNumber,
+        component: component._id,
+        componentName: component.name,
+        componentPartNumber: component.partNumber,
+        calibratedAt,
+        provider,
+        result,
+        nextDueAt,
+        certificateNumber,
+        certificate: certificate ? buildCertificate(certificate, user) : undefined,
+        notes,
+        recordedBy: user._id,
+        recordedByName: user.name
+    }], { session });
+
+    const update = {
+        $push: {
+            history: historyEntry('calibrated', {
+                status: item.status,
+                notes: `Calibrated by ${provider} on ${calibratedAt.toISOString().slice(0, 10)}: ${result}`
+            }, undefined, user)
+        }
+    };
+
+    if (!item.lastCalibratedAt || calibratedAt >= item.lastCalibratedAt) {
+        update.$set = { lastCalibratedAt: calibratedAt, calibrationDueAt: nextDueAt };
+    }
+
+    const updated = await SerialItem.findByIdAndUpdate(item._id, update, { new: true, session });
+
+    // The certificate itself is not sent back
+    const saved = record.toObject();
+    if (saved.certificate) delete saved.certificate.data;
+
+    return { record: saved, serial: updated };
+});
+
+// Attach the certificate to a record made without one
+const attachCertificate = async (recordId, certificate, user) => {
+    const record = await CalibrationRecord.findOneAndUpdate(
+        { _id: recordId },
+        { $set: { certificate: buildCertificate(certificate, user) } },
+        { new: true, runValidators: true }
+    );
+
+    if (!record) {
+        const existing = await CalibrationRecord.exists({ _id: recordId });
+
+        if (!existing) {
+            throw new ApiError(404, 'Calibration record not found');
+        }
+
+        throw new ApiError(409, 'This record already has a certificate: record the calibration again to replace it', {
+            code: 'CERTIFICATE_EXISTS'
+        });
+    }
+
+    return record;
+};
+
+// Units in service that are due within `days` (or overdue), soonest first,
+// and units of calibrated components that have never been calibrated
+const findDueCalibrations = async (days) => {
+    const dueBy = new Date(Date.now() + days * DAY);
+
+    const due = await SerialItem.find({
+        status: { $ne: 'retired' },
+        calibrationDueAt: { $lte: dueBy }
+    })
+        .select('-history')
+        .populate('component', 'name partNumber manufacturer calibrationIntervalDays isActive')
+        .sort({ calibrationDueAt: 1 });
+
+    const calibrated = await Component.find({ isActive: true, calibrationIntervalDays: { $gt: 0 } }).distinct('_id');
+    const neverCalibrated = await SerialItem.find({
+        component: { $in: calibrated },
+        status: { $ne: 'retired' },
+        calibrationDueAt: null
+    })
+        .select('-history')
+        .populate('component', 'name partNumber manufacturer calibrationIntervalDays isActive')
+        .sort({ serialNumber: 1 });
+
+    const summarize = item => ({
+        serialId: item._id,
+        serialNumber: item.serialNumber,
+        component: item.component,
+        status: item.status,
+        location: item.location,
+        holderName: item.holderName,
+        lastCalibratedAt: item.lastCalibratedAt,
+        calibrationDueAt: item.calibrationDueAt,
+        daysUntilDue: item.calibrationDueAt
+            ? Math.floor((item.calibrationDueAt.getTime() - Date.now()) / DAY)
+            : null
+    });
+
+    return {
+        due: due.filter(item => item.component && item.component.isActive).map(summarize),
+        neverCalibrated: neverCalibrated.map(summarize)
+    };
+};
+
+module.exports = {
+    CALIBRATION_ALERT_DAYS,
+    recordCalibration,
+    attachCertificate,
+    findDueCalibrations
+};
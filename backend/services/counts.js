@@ -0,0 +1,305 @@
+const Component = require('../models/Component');
+const Location = require('../models/Location');
+const Category = require('../models/Category');
+const CountSession = require('../models/CountSession');
+const { withTransaction, applyAdjustment, buildMovementNotifications } = require('./stock');
+const { ApiError } = require('../utils/errors');
+
+// Two scopes overlap unless they cover disjoint category or location subtrees
+const scopesOverlap = (a, b) => {
+    if (a.categories.length > 0 && b.categories.length > 0 &&
+        !a.categories.some(name => b.categories.includes(name))) return false;
+    if (a.locations.length === 0 || b.locations.length === 0) return true;
+    return a.locations.some(code => b.locations.includes(code));
+};
+
+const byWalkingOrder = (a, b) =>
+    (a.locationPath || a.location).localeCompare(b.locationPath || b.location) ||
+    a.componentName.localeCompare(b.componentName);
+
+// Open a count session over a location subtree and/or a category. Every
+// bin in scope is snapshotted as a line with its book quantity; from now
+// until approval or cancellation those bins are locked.
+const openCountSession = async ({ name, location, category, notes }, user) => {
+    let locations = [];
+
+    if (location) {
+        const root = await Location.findOne({ code: location, isActive: true });
+
+        if (!root) {
+            throw new ApiError(404, `Location ${location} not found`);
+        }
+
+        locations = await Location.subtreeCodes(root);
+    }
+
+    const categories = category ? await Category.subtreeNames(category) : [];
+
+    const scope = { categories, locations };
+    const open = await CountSession.find({ status: 'open' }).select('countNumber categories locations');
+    const overlapping = open.find(other => scopesOverlap(scope, other));
+
+    if (overlapping) {
+        throw new ApiError(409, `Stocktake ${overlapping.countNumber} is already counting part of this scope`, {
+            code: 'COUNT_OVERLAP',
+            countSession: overlapping._id
+        });
+    }
+
+    const filter = { isActive: true };
+    if (category) filter.category = { $in: categories };
+    if (location) filter['stock.location'] = { $in: locations };
+
+    const components = await Component.find(filter).select('name partNumber category stock');
+    const bins = components.flatMap(component => component.stock
+        .filter(bin => locations.length === 0 || locations.includes(bin.location))
+        .map(bin => ({ component, bin })));
+
+    if (bins.length === 0) {
+        throw new ApiError(400, 'No stock is held in this scope, there is nothing to count');
+    }
+
+    const paths = await Location.pathsByCode(bins.map(({ bin }) => bin.location));
+    const lines = bins
+        .map(({ component, bin }) => ({
+            component: component._id,
+            componentName: component.name,
+            componentPartNumber: component.partNumber,
+            location: bin.location,
+            locationPath: paths.get(bin.location),
+            expectedQuantity: bin.quantity
+        }))
+        .sort(byWalkingOrder);
+
+    const countSession = new CountSession({
+        countNumber: await CountSession.nextCountNumber(),
+        name,
+        scopeLocation: location,
+        locations,
+        category,
+        categories,
+        lines,
+        notes,
+        createdBy: user._id
+    });
+
+    await countSession.save();
+    return countSession;
+};
+
+// Enter counted quantities. A count names a snapshotted line (`lineId`), or
+// a component and bin in scope that was not on the sheet - stock found
+// where the books had none. Counting a line again replaces the earlier count.
+const recordCounts = async (countSessionId, counts, user) => {
+    const countSession = await CountSession.findById(countSessionId);
+
+    if (!countSession) {
+        throw new ApiError(404, 'Count session not found');
+    }
+
+    if (countSession.status !== 'open') {
+        throw new ApiError(400, `Stocktake ${countSession.countNumber} is ${countSession.status}; counts can only be entered while it is open`);
+    }
+
+    const now = new Date();
+
+    for (const count of counts) {
+        let line = count.lineId
+            ? countSession.lines.id(count.lineId)
+            : countSession.lines.find(l => l.component.equals(count.componentId) && l.location === count.location);
+
+        if (!line && count.lineId) {
+            throw new ApiError(400, `Line ${count.lineId} is not on stocktake ${countSession.countNumber}`);
+        }
+
+        if (!line) {
+            const component = await Component.findOne({ _id: count.componentId, isActive: true })
+                .select('name partNumber category stock');
+
+            if (!component) {
+                throw new ApiError(404, `Component ${count.componentId} not found`);
+            }
+
+            if (!countSession.covers(component.category, count.location)) {
+                throw new ApiError(400, `${component.name} in ${count.location} is outside the scope of stocktake ${countSession.countNumber}`);
+            }
+
+            const [unknown] = await Location.findUnknownCodes([count.location]);
+            if (unknown) {
+                throw new ApiError(400, `Unknown location: ${unknown}`, { code: 'UNKNOWN_LOCATION' });
+            }
+
+            const paths = await Location.pathsByCode([count.location]);
+            countSession.lines.push({
+                component: component._id,
+                componentName: component.name,
+                componentPartNumber: component.partNumber,
+                location: count.location,
+                locationPath: paths.get(count.location),
+                expectedQuantity: component.quantityAt(count.location)
+            });
+            line = countSession.lines[countSession.lines.length - 1];
+        }
+
+        line.countedQuantity = count.countedQuantity;
+        line.countedBy = user._id;
+        line.countedAt = now;
+        if (count.notes !== undefined) line.notes = count.notes;
+    }
+
+    countSession.lines.sort(byWalkingOrder);
+    await countSession.save();
+    return countSession;
+};
+
+// Counted against book quantities, with the value of each difference at the
+// component's unit price. Values are totalled per currency.
+const varianceReport = async (countSession) => {
+    const ids = [...new Set(countSession.lines.map(line => line.component.toString()))];
+    const components = await Component.find({ _id: { $in: ids } }).select('unitPrice currency trackingMode');
+    const byId = new Map(components.map(c => [c._id.toString(), c]));
+
+    const lines = countSession.lines.map(line => {
+        const component = byId.get(line.component.toString());
+        const unitPrice = component ? component.unitPrice : 0;
+
+        return {
+            lineId: line._id,
+            componentId: line.component,
+            componentName: line.componentName,
+            componentPartNumber: line.componentPartNumber,
+            location: line.location,
+            locationPath: line.locationPath,
+            expectedQuantity: line.expectedQuantity,
+            countedQuantity: line.countedQuantity ?? null,
+            variance: line.variance,
+            unitPrice,
+            currency: component ? component.currency : undefined,
+            varianceValue: line.variance === null ? null : line.variance * unitPrice,
+            serialized: component ? component.trackingMode === 'serialized' : false,
+            countedAt: line.countedAt,
+            notes: line.notes
+        };
+    });
+
+    const varianceByCurrency = {};
+    lines
+        .filter(line => line.variance)
+        .forEach(line => {
+            const totals = varianceByCurrency[line.currency] || { gain: 0, loss: 0, net: 0 };
+            if (line.varianceValue > 0) totals.gain += line.varianceValue;
+            else totals.loss += line.varianceValue;
+            totals.net += line.varianceValue;
+            varianceByCurrency[line.currency] = totals;
+        });
+
+    const counted = lines.filter(line => line.variance !== null);
+
+    return {
+        lines,
+        summary: {
+            lines: lines.length,
+            counted: counted.length,
+            uncounted: lines.length - counted.length,
+            matching: counted.filter(line => line.variance === 0).length,
+            over: counted.filter(line => line.variance > 0).length,
+            short: counted.filter(line => line.variance < 0).length,
+            unitsGained: counted.reduce((sum, line) => sum + Math.max(0, line.variance), 0),
+            unitsLost: counted.reduce((sum, line) => sum + Math.max(0, -line.variance), 0),
+            varianceByCurrency
+        }
+    };
+};
+
+// Approve a count: each counted bin that differs from the books gets an
+// adjustment movement bringing it to the counted quantity, and the bins are
+// unlocked, all in one transaction. Uncounted lines block approval unless
+// `skipUncounted` is set. Serialized components are not adjusted; their
+// differences are returned for follow-up with serial-numbered movements.
+const approveCountSession = (countSessionId, { skipUncounted = false, notes } = {}, user) => withTransaction(async (session) => {
+    const countSession = await CountSession.findById(countSessionId).session(session);
+
+    if (!countSession) {
+        throw new ApiError(404, 'Count session not found');
+    }
+
+    if (countSession.status !== 'open') {
+        throw new ApiError(400, `Stocktake ${countSession.countNumber} is ${countSession.status}; only open stocktakes can be approved`);
+    }
+
+    const uncounted = countSession.lines.filter(line => line.variance === null);
+
+    if (uncounted.length > 0 && !skipUncounted) {
+        throw new ApiError(400, `${uncounted.length} lines have not been counted`, {
+            code: 'UNCOUNTED_LINES',
+            uncounted: uncounted.map(line => ({
+                lineId: line._id,
+                componentName: line.componentName,
+                location: line.location
+            }))
+        });
+    }
+
+    const adjustments = [];
+    const unposted = [];
+
+    for (const line of countSession.lines) {
+        if (line.variance === null) continue;
+
+        const component = await Component.findOne({ _id: line.component, isActive: true }).session(session);
+
+        if (!component) {
+            unposted.push({ lineId: line._id, componentName: line.componentName, location: line.location, reason: 'Component was deleted' });
+            continue;
+        }
+
+        const delta = line.countedQuantity - component.quantityAt(line.location);
+        if (delta === 0) continue;
+
+        if (component.trackingMode === 'serialized') {
+            unposted.push({
+                lineId: line._id,
+                componentName: line.componentName,
+                location: line.location,
+                variance: delta,
+                reason: 'Serialized: correct with movements naming the serial numbers'
+            });
+            continue;
+        }
+
+        const result = await applyAdjustment({
+            componentId: component._id,
+            direction: delta > 0 ? 'in' : 'out',
+            quantity: Math.abs(delta),
+            location: line.location,
+            reasonCode: 'count_variance',
+            countSessionId: countSession._id,
+            reason: `Stocktake ${countSession.countNumber}`,
+            project: countSession.countNumber,
+            notes: line.notes
+        }, user, session);
+
+        const notifications = buildMovementNotifications(result.component, result.movement, user);
+        for (const notification of notifications) {
+            await notification.save({ session });
+        }
+
+        line.movement = result.movement._id;
+        adjustments.push(result.movement);
+    }
+
+    countSession.status = 'approved';
+    countSession.closedAt = new Date();
+    countSession.closedBy = user._id;
+    countSession.closeReason = notes || 'Approved';
+    await countSession.save({ session });
+
+    return { countSession, adjustments, unposted };
+});
+
+module.exports = {
+    openCountSession,
+    recordCounts,
+    varianceReport,
+    approveCountSession
+};
@@ -0,0 +1,356 @@
+const Component = require('../models/Component');
+const Manufacturer = require('../models/Manufacturer');
+const Category = require('../models/Category');
+const Lot = require('../models/Lot');
+const SerialItem = require('../models/SerialItem');
+const Reservation = require('../models/Reservation');
+const Loan = require('../models/Loan');
+const OutwardRequest = require('../models/OutwardRequest');
+const SupplierPart = require('../models/SupplierPart');
+const Alternate = require('../models/Alternate');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PartRequest = require('../models/PartRequest');
+const CountSession = require('../models/CountSession');
+const BOM = require('../models/BOM');
+const { withTransaction, assertNotCounting } = require('./stock');
+const { recordAudit, snapshot } = require('./audit');
+const { ApiError } = require('../utils/errors');
+
+const DUPLICATE_FIELDS = 'name partNumber manufacturer category location quantity reserved createdAt';
+
+// Upper case without spaces, dashes or underscores:
+// "stm32f411ceu6 " -> "STM32F411CEU6", "LM317-T" -> "LM317T"
+const normalizePartNumber = partNumber => String(partNumber)
+    .normalize('NFKC')
+    .toUpperCase()
+    .replace(/[\s\-_]/g, '');
+
+// Character pairs of a name, for comparing names that are spelled slightly
+// differently
+const bigrams = (name) => {
+    const text = String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+    const pairs = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+};
+
+// Dice coefficient of two names' character pairs: 1 for the same name, 0
+// for names with no pair in common
+const nameSimilarity = (a, b) => {
+    let total = 0;
+    let shared = 0;
+    a.forEach((count, pair) => {
+        total += count;
+        shared += Math.min(count, b.get(pair) || 0);
+    });
+    b.forEach(count => {
+        total += count;
+    });
+    return total === 0 ? 0 : (2 * shared) / total;
+};
+
+const summarize = component => ({
+    id: component._id,
+    name: component.name,
+    partNumber: component.partNumber,
+    manufacturer: component.manufacturer,
+    category: component.category,
+    location: component.location,
+    quantity: component.quantity,
+    available: component.available,
+    createdAt: component.createdAt
+});
+
+// The oldest record is suggested as the survivor: it is the one most likely
+// to be on labels, orders and BOMs already
+const toGroup = (components, match, similarity = null) => {
+    const sorted = [...components].sort((a, b) => a.createdAt - b.createdAt);
+    return {
+        match,
+        similarity,
+        suggestedSurvivor: sorted[0]._id,
+        components: sorted.map(summarize)
+    };
+};
+
+// Groups of active components that are probably the same part. Components
+// of the same manufacturer whose part numbers only differ in case, spaces
+// or dashes are grouped first (`match: 'partNumber'`). Names at least
+// `minSimilarity` alike are a weaker signal (`match: 'name'`): those groups
+// join components of the same manufacturer with different part numbers, and
+// `similarity` is the weakest link in the group.
+const findDuplicates = async ({ category, minSimilarity = 0.85, includeNames = true } = {}) => {
+    const filter = { isActive: true };
+    if (category) filter.category = { $in: await Category.subtreeNames(category) };
+
+    const components = await Component.find(filter).select(DUPLICATE_FIELDS);
+
+    const byManufacturer = new Map();
+    components.forEach((component) => {
+        const manufacturerKey = Manufacturer.normalizeKey(component.manufacturer);
+        if (!byManufacturer.has(manufacturerKey)) byManufacturer.set(manufacturerKey, []);
+        byManufacturer.get(manufacturerKey).push({
+            component,
+            partKey: normalizePartNumber(component.partNumber),
+            names: bigrams(component.name)
+        });
+    });
+
+    const groups = [];
+
+    byManufacturer.forEach((entries) => {
+        const byPart = new Map();
+        entries.forEach((entry) => {
+            if (!byPart.has(entry.partKey)) byPart.set(entry.partKey, []);
+            byPart.get(entry.partKey).push(entry.component);
+        });
+        byPart.forEach((matches) => {
+            if (matches.length > 1) groups.push(toGroup(matches, 'partNumber'));
+        });
+
+        if (!includeNames) return;
+
+        // Join similar names into groups, each remembering its weakest link
+        const parent = entries.map((entry, i) => i);
+        const weakest = entries.map(() => 1);
+        const root = (i) => {
+            while (parent[i] !== i) i = parent[i];
+            return i;
+        };
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                if (entries[i].partKey === entries[j].partKey) continue;
+
+                const similarity = nameSimilarity(entries[i].names, entries[j].names);
+                if (similarity < minSimilarity) continue;
+
+                const [a, b] = [root(i), root(j)];
+                parent[b] = a;
+                weakest[a] = Math.min(weakest[a], weakest[b], similarity);
+            }
+        }
+
+        const byRoot = new Map();
+        entries.forEach((entry, i) => {
+            const r = root(i);
+            if (!byRoot.has(r)) byRoot.set(r, []);
+            byRoot.get(r).push(entry.component);
+        });
+        byRoot.forEach((matches, r) => {
+            if (matches.length > 1) {
+                groups.push(toGroup(matches, 'name', Math.round(weakest[r] * 100) / 100));
+            }
+        });
+    });
+
+    // Part number matches first, then the most similar names
+    return groups.sort((a, b) => (a.match === b.match
+        ? (b.similarity || 0) - (a.similarity || 0)
+        : (a.match === 'partNumber' ? -1 : 1)));
+};
+
+// Documents that list more than one of the components on separate lines,
+// which cannot simply be re-pointed at the survivor
+const findSharedLines = async (Model, ids, label, field, session) => {
+    const documents = await Model.find({ 'lines.component': { $in: ids } })
+        .select(`${field} lines.component`)
+        .session(session);
+
+    const keys = ids.map(id => id.toString());
+    return documents
+        .filter(document => document.lines.filter(line => keys.includes(line.component.toString())).length > 1)
+        .map(document => `${label} ${document[field]}`);
+};
+
+// Alternate links of merged components move to the survivor, except links
+// between the components being merged and links the survivor already has
+const mergeAlternates = async (survivorId, sourceIds, session) => {
+    const groupIds = [survivorId, ...sourceIds].map(id => id.toString());
+    const links = await Alternate.find({
+        isActive: true,
+        $or: [{ component: { $in: sourceIds } }, { alternate: { $in: sourceIds } }]
+    }).session(session);
+
+    const toSurvivor = id => (groupIds.includes(id.toString()) ? survivorId : id);
+
+    for (const link of links) {
+        const component = toSurvivor(link.component);
+        const alternate = toSurvivor(link.alternate);
+
+        const pointless = component.equals(alternate);
+        if (pointless || await Alternate.findBetween(component, alternate, session)) {
+            link.isActive = false;
+        } else {
+            link.component = component;
+            link.alternate = alternate;
+        }
+        await link.save({ session });
+    }
+};
+
+// Merge duplicate components into a surviving one. The survivor takes over
+// their stock (bin by bin), reservations and everything that refers to
+// them: lots, serial numbers, loans, supplier listings, alternates, orders,
+// requests, counts and BOM lines. The stock ledger and calibration records
+// are append-only and keep naming the merged components; each merged
+// component is left inactive with `mergedInto` pointing at the survivor, so
+// its ID still leads there and its movements are read as the survivor's.
+const mergeComponents = (req, survivorId, sourceIds) => withTransaction(async (session) => {
+    const survivor = await Component.findOne({ _id: survivorId, isActive: true }).session(session);
+    if (!survivor) {
+        throw new ApiError(404, 'Component not found');
+    }
+
+    const sources = await Component.find({ _id: { $in: sourceIds }, isActive: true }).session(session);
+    if (sources.length !== sourceIds.length) {
+        const found = sources.map(source => source._id.toString());
+        throw new ApiError(404, 'Components to merge not found', {
+            missing: sourceIds.filter(id => !found.includes(id.toString()))
+        });
+    }
+
+    const incompatible = sources.find(source => source.trackingMode !== survivor.trackingMode || source.lendable !== survivor.lendable);
+    if (incompatible) {
+        throw new ApiError(400, `${incompatible.partNumber} is tracked differently from ${survivor.partNumber}: only components with the same tracking mode and lendable setting can be merged`, {
+            code: 'INCOMPATIBLE_COMPONENTS'
+        });
+    }
+
+    // Stock in bins being counted cannot move
+    for (const source of sources) {
+        const locations = source.stock.map(bin => bin.location);
+        await assertNotCounting(source, locations, session);
+        await assertNotCounting(survivor, locations, session);
+    }
+
+    const mergedIds = sources.map(source => source._id);
+    const ids = [survivor._id, ...mergedIds];
+
+    const serials = await SerialItem.aggregate([
+        { $match: { component: { $in: ids } } },
+        { $group: { _id: '$serialNumber', count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]).session(session);
+    if (serials.length > 0) {
+        throw new ApiError(409, `Serial numbers recorded on more than one of the components: ${serials.map(s => s._id).join(', ')}`, {
+            code: 'DUPLICATE_SERIALS',
+            serialNumbers: serials.map(s => s._id)
+        });
+    }
+
+    const sharedLines = [
+        ...await findSharedLines(PurchaseOrder, ids, 'Purchase order', 'poNumber', session),
+        ...await findSharedLines(BOM, ids, 'BOM', 'name', session)
+    ];
+    if (sharedLines.length > 0) {
+        throw new ApiError(409, `Combine the lines for these components first: ${sharedLines.join(', ')}`, {
+            code: 'SHARED_LINES',
+            documents: sharedLines
+        });
+    }
+
+    const before = snapshot(survivor);
+    const now = new Date();
+
+    // Stock and reservations
+    for (const source of sources) {
+        for (const bin of source.stock) {
+            const existing = survivor.stock.find(b => b.location === bin.location);
+            if (existing) {
+                existing.quantity += bin.quantity;
+            } else {
+                survivor.stock.push({ location: bin.location, quantity: bin.quantity });
+            }
+        }
+
+        survivor.reserved = (survivor.reserved || 0) + (source.reserved || 0);
+        if (source.lastMovementAt > (survivor.lastMovementAt || 0)) survivor.lastMovementAt = source.lastMovementAt;
+        if (source.lastOutwardAt > (survivor.lastOutwardAt || 0)) survivor.lastOutwardAt = source.lastOutwardAt;
+    }
+    survivor.lastUpdatedBy = req.user._id;
+    await survivor.save({ session });
+
+    // Lots: the same lot on both records becomes one, counting what both
+    // received; the merged record's lot is emptied but kept for the
+    // movements that name it, and reversing those goes to the combined lot
+    const lots = await Lot.find({ component: { $in: mergedIds } }).session(session);
+    for (const lot of lots) {
+        const existing = await Lot.findOne({ component: survivor._id, lotNumber: lot.lotNumber }).session(session);
+        if (existing) {
+            existing.quantityReceived += lot.quantityReceived;
+            existing.quantityRemaining += lot.quantityRemaining;
+            if (lot.receivedAt < existing.receivedAt) existing.receivedAt = lot.receivedAt;
+            if (lot.lastReceivedAt > existing.lastReceivedAt) existing.lastReceivedAt = lot.lastReceivedAt;
+            lot.quantityReceived = 0;
+            lot.quantityRemaining = 0;
+            await existing.save({ session });
+        } else {
+            lot.component = survivor._id;
+        }
+        await lot.save({ session });
+    }
+
+    const fromSources = { component: { $in: mergedIds } };
+    const toSurvivor = { $set: { component: survivor._id } };
+    await SerialItem.updateMany(fromSources, toSurvivor, { session });
+    await Reservation.updateMany(fromSources, toSurvivor, { session });
+    await Loan.updateMany(fromSources, toSurvivor, { session });
+    await OutwardRequest.updateMany(fromSources, toSurvivor, { session });
+
+    // One preferred supplier listing per component: the survivor's, else
+    // one of the merged ones. The survivor keeps its own price.
+    const keep = await SupplierPart.findOne({ component: survivor._id, isPreferred: true }).session(session)
+        || await SupplierPart.findOne({ ...fromSources, isPreferred: true }).session(session);
+    await SupplierPart.updateMany(
+        { ...fromSources, isPreferred: true, ...(keep ? { _id: { $ne: keep._id } } : {}) },
+        { $set: { isPreferred: false } },
+        { session }
+    );
+    await SupplierPart.updateMany(fromSources, toSurvivor, { session });
+
+    await mergeAlternates(survivor._id, mergedIds, session);
+
+    const lineUpdate = [
+        { 'lines.component': { $in: mergedIds } },
+        { $set: { 'lines.$[line].component': survivor._id } },
+        { arrayFilters: [{ 'line.component': { $in: mergedIds } }], session }
+    ];
+    await PurchaseOrder.updateMany(...lineUpdate);
+    await PartRequest.updateMany(...lineUpdate);
+    await CountSession.updateMany(...lineUpdate);
+    await BOM.updateMany(...lineUpdate);
+
+    // Earlier redirects to the merged components now lead to the survivor
+    await Component.updateMany(
+        { mergedInto: { $in: mergedIds } },
+        { $set: { mergedInto: survivor._id } },
+        { session }
+    );
+
+    for (const source of sources) {
+        const sourceBefore = snapshot(source);
+        source.stock = [];
+        source.reserved = 0;
+        source.isActive = false;
+        source.mergedInto = survivor._id;
+        source.mergedAt = now;
+        source.mergedBy = req.user._id;
+        source.lastUpdatedBy = req.user._id;
+        await source.save({ session });
+
+        await recordAudit(req, { entityType: 'Component', entity: source, action: 'merge', before: sourceBefore, after: source, session });
+    }
+
+    await recordAudit(req, { entityType: 'Component', entity: survivor, action: 'update', before, after: survivor, session });
+
+    return { component: survivor, merged: sources.map(summarize) };
+});
+
+module.exports = {
+    findDuplicates,
+    mergeComponents
+};
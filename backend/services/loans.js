@@ -0,0 +1,126 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const {
+    withTransaction,
+    findActiveComponent,
+    applyMovement,
+    buildMovementNotifications
+} = require('./stock');
+const { ApiError } = require('../utils/errors');
+
+const saveNotifications = async (component, movement, user, session) => {
+    const notifications = buildMovementNotifications(component, movement, user);
+    for (const notification of notifications) {
+        await notification.save({ session });
+    }
+};
+
+// Lend equipment to `borrowerId` (default: the user checking it out) until
+// `dueAt`. The units leave stock with a checkout movement; serialized units
+// are held by the borrower until they are checked back in.
+const checkoutEquipment = (loanData, user) => withTransaction(async (session) => {
+    const { componentId, quantity, location, serialNumbers, borrowerId, dueAt, project, notes } = loanData;
+
+    const current = await findActiveComponent(componentId, session);
+
+    if (!current.lendable) {
+        throw new ApiError(400, `${current.name} is not lendable equipment: issue it with an outward movement instead`, {
+            code: 'NOT_LENDABLE'
+        });
+    }
+
+    let borrower = user;
+    if (borrowerId) {
+        borrower = await User.findOne({ _id: borrowerId, isActive: true }).session(session);
+        if (!borrower) {
+            throw new ApiError(404, 'Borrower not found');
+        }
+    }
+
+    const { component, movement } = await applyMovement({
+        componentId,
+        type: 'checkout',
+        quantity,
+        location,
+        serialNumbers,
+        holder: borrower,
+        reason: `Lent to ${borrower.name}`,
+        project,
+        notes
+    }, user, session);
+
+    const [loan] = await Loan.create([{
+        component: component._id,
+        componentName: component.name,
+        componentPartNumber: component.partNumber,
+        quantity,
+        serialNumbers: movement.serialNumbers,
+        borrower: borrower._id,
+        borrowerName: borrower.name,
+        project,
+        notes,
+        dueAt,
+        checkedOutBy: user._id,
+        checkedOutByName: user.name,
+        checkoutMovement: movement._id
+    }], { session });
+
+    await saveNotifications(component, movement, user, session);
+
+    return { component, loan, movement };
+});
+
+// Take lent equipment back into stock (the component's default bin unless
+// `location` is given) and record the condition it came back in. Everything
+// on the loan comes back together.
+const checkinEquipment = (loanId, { condition, location, notes }, user) => withTransaction(async (session) => {
+    const loan = await Loan.findById(loanId).session(session);
+
+    if (!loan) {
+        throw new ApiError(404, 'Loan not found');
+    }
+
+    if (loan.status !== 'out') {
+        throw new ApiError(400, `${loan.componentName} lent to ${loan.borrowerName} has already been checked in`);
+    }
+
+    const { component, movement } = await applyMovement({
+        componentId: loan.component,
+        type: 'checkin',
+        quantity: loan.quantity,
+        location,
+        serialNumbers: loan.serialNumbers,
+        reason: `Returned by ${loan.borrowerName} (${condition})`,
+        project: loan.project,
+        notes
+    }, user, session);
+
+    const returned = await Loan.findOneAndUpdate(
+        { _id: loan._id, status: 'out' },
+        {
+            status: 'returned',
+            returnedAt: new Date(),
+            condition,
+            returnNotes: notes,
+            checkedInBy: user._id,
+            checkedInByName: user.name,
+            checkinMovement: movement._id
+        },
+        { new: true, runValidators: true, session }
+    );
+
+    if (!returned) {
+        throw new ApiError(409, 'Loan changed while it was being checked in, please retry', {
+            code: 'STOCK_CONFLICT'
+        });
+    }
+
+    await saveNotifications(component, movement, user, session);
+
+    return { component, loan: returned, movement };
+});
+
+module.exports = {
+    checkoutEquipment,
+    checkinEquipment
+};
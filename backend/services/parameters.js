@@ -0,0 +1,117 @@
+const Category = require('../models/Category');
+const { PARAMETERS, PARAMETER_NAMES } = require('../config/parameters');
+const { parseQuantity } = require('../utils/units');
+const { ApiError } = require('../utils/errors');
+
+// Parameters offered for a category, as set in the category registry;
+// without a category, all of them
+const parametersFor = category => (category ? Category.parameterNames(category) : Promise.resolve(PARAMETER_NAMES));
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn `{ resistance: '10k', package: '0603' }` into the parameters stored
+// on a component of `category`. Empty values are left out. Every problem is
+// reported at once.
+const normalizeParameters = async (input, category) => {
+    const allowed = await parametersFor(category);
+    const parameters = [];
+    const errors = [];
+
+    for (const [name, raw] of Object.entries(input || {})) {
+        if (raw === null || raw === undefined || raw === '') continue;
+
+        const definition = PARAMETERS[name];
+
+        if (!definition) {
+            errors.push(`Unknown parameter: ${name}`);
+        } else if (!allowed.includes(name)) {
+            errors.push(`${definition.label} does not apply to ${category}`);
+        } else if (definition.type === 'text') {
+            const text = String(raw).trim();
+            if (text.length > 50) {
+                errors.push(`${definition.label} cannot exceed 50 characters`);
+            } else {
+                parameters.push({ name, text });
+            }
+        } else {
+            try {
+                parameters.push({ name, value: parseQuantity(raw, definition.unit), unit: definition.unit });
+            } catch (error) {
+                errors.push(`${definition.label}: ${error.message}`);
+            }
+        }
+    }
+
+    const min = parameters.find(parameter => parameter.name === 'temperatureMin');
+    const max = parameters.find(parameter => parameter.name === 'temperatureMax');
+    if (min && max && min.value > max.value) {
+        errors.push('Min operating temperature cannot be above the max');
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, 'Invalid parameters', { errors });
+    }
+
+    return parameters;
+};
+
+// Stored parameters back in the form normalizeParameters() takes
+const parametersToInput = parameters => Object.fromEntries(
+    (parameters || []).map(parameter => [parameter.name, parameter.text !== undefined && parameter.text !== null ? parameter.text : parameter.value])
+);
+
+// Build component filter conditions from the `params` query, e.g.
+// params[capacitance][min]=8nF&params[capacitance][max]=12nF
+// &params[package]=0603,0805&params[voltageRating][min]=16V
+const buildParameterFilter = (params) => {
+    const conditions = [];
+    const errors = [];
+
+    for (const [name, criteria] of Object.entries(params || {})) {
+        const definition = PARAMETERS[name];
+
+        if (!definition) {
+            errors.push(`Unknown parameter: ${name}`);
+            continue;
+        }
+
+        if (definition.type === 'text') {
+            const values = String(criteria).split(',').map(value => value.trim()).filter(Boolean);
+            conditions.push({
+                parameters: {
+                    $elemMatch: { name, text: { $in: values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) } }
+                }
+            });
+            continue;
+        }
+
+        try {
+            const value = {};
+            if (typeof criteria === 'object') {
+                if (criteria.min !== undefined && criteria.min !== '') value.$gte = parseQuantity(criteria.min, definition.unit);
+                if (criteria.max !== undefined && criteria.max !== '') value.$lte = parseQuantity(criteria.max, definition.unit);
+            } else {
+                value.$eq = parseQuantity(criteria, definition.unit);
+            }
+
+            if (Object.keys(value).length > 0) {
+                conditions.push({ parameters: { $elemMatch: { name, value } } });
+            }
+        } catch (error) {
+            errors.push(`${definition.label}: ${error.message}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, 'Invalid parameter filter', { errors });
+    }
+
+    return conditions;
+};
+
+module.exports = {
+    parametersFor,
+    normalizeParameters,
+    parametersToInput,
+    buildParameterFilter
+};
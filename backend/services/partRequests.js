@@ -0,0 +1,222 @@
+const Component = require('../models/Component');
+const Location = require('../models/Location');
+const PartRequest = require('../models/PartRequest');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { withTransaction, applyMovement, buildMovementNotifications } = require('./stock');
+const { holdPick } = require('./approvals');
+const { ApiError } = require('../utils/errors');
+
+// Ask the store for parts. Lines for the same component are merged; stock
+// is not checked or held, the pick list shows what can be picked.
+const createPartRequest = async ({ project, neededBy, notes, lines }, user) => {
+    const quantities = new Map();
+    for (const line of lines) {
+        const entry = quantities.get(line.componentId) || { quantity: 0, notes: [] };
+        entry.quantity += line.quantity;
+        if (line.notes) entry.notes.push(line.notes);
+        quantities.set(line.componentId, entry);
+    }
+
+    const components = await Component.find({ _id: { $in: [...quantities.keys()] }, isActive: true })
+        .select('name partNumber');
+
+    if (components.length !== quantities.size) {
+        const found = new Set(components.map(component => component._id.toString()));
+        const missing = [...quantities.keys()].filter(id => !found.has(id));
+        throw new ApiError(404, `Component not found: ${missing.join(', ')}`, { missing });
+    }
+
+    const byId = new Map(components.map(component => [component._id.toString(), component]));
+
+    return PartRequest.create({
+        requestNumber: await PartRequest.nextRequestNumber(),
+        project,
+        neededBy,
+        notes,
+        lines: [...quantities].map(([componentId, { quantity, notes: lineNotes }]) => ({
+            component: componentId,
+            componentName: byId.get(componentId).name,
+            componentPartNumber: byId.get(componentId).partNumber,
+            quantity,
+            notes: lineNotes.join('; ').slice(0, 200) || undefined
+        })),
+        requestedBy: user._id,
+        requestedByName: user.name
+    });
+};
+
+// Pick list for open requests: every outstanding line split over the bins
+// it can be taken from (default bin first, then the fullest, as outward
+// movements do), grouped by bin in the order the store is walked. Requests
+// are served oldest-needed first from the stock that is not reserved.
+const buildPickList = async (requests) => {
+    const componentIds = requests.flatMap(request => request.lines.map(line => line.component));
+    const components = await Component.find({ _id: { $in: componentIds }, isActive: true })
+        .select('name partNumber location stock quantity reserved trackingMode');
+    const byId = new Map(components.map(component => [component._id.toString(), component]));
+
+    // Stock left to hand out, per component and bin, as picks are planned
+    const remaining = new Map();
+    const picks = [];
+    const shortages = [];
+
+    for (const request of requests) {
+        for (const line of request.lines) {
+            if (line.outstanding === 0) continue;
+
+            const component = byId.get(line.component.toString());
+            const lineRef = {
+                requestId: request._id,
+                requestNumber: request.requestNumber,
+                project: request.project,
+                requestedByName: request.requestedByName,
+                lineId: line._id,
+                componentId: line.component,
+                componentName: line.componentName,
+                componentPartNumber: line.componentPartNumber
+            };
+
+            if (!component) {
+                shortages.push({ ...lineRef, requested: line.outstanding, short: line.outstanding, reason: 'Component deleted' });
+                continue;
+            }
+
+            if (!remaining.has(component._id.toString())) {
+                remaining.set(component._id.toString(), {
+                    available: component.available,
+                    bins: component.stock
+                        .filter(bin => bin.quantity > 0)
+                        .map(bin => ({ location: bin.location, quantity: bin.quantity }))
+                        .sort((a, b) => {
+                            if (a.location === component.location) return -1;
+                            if (b.location === component.location) return 1;
+                            return b.quantity - a.quantity;
+                        })
+                });
+            }
+
+            const stock = remaining.get(component._id.toString());
+            let toPick = Math.min(line.outstanding, stock.available);
+            stock.available -= toPick;
+
+            for (const bin of stock.bins) {
+                if (toPick === 0) break;
+
+                const take = Math.min(bin.quantity, toPick);
+                if (take === 0) continue;
+
+                picks.push({ ...lineRef, location: bin.location, quantity: take, serialized: component.trackingMode === 'serialized' });
+                bin.quantity -= take;
+                toPick -= take;
+            }
+
+            const picked = picks
+                .filter(pick => pick.lineId.equals(line._id))
+                .reduce((sum, pick) => sum + pick.quantity, 0);
+
+            if (picked < line.outstanding) {
+                shortages.push({ ...lineRef, requested: line.outstanding, short: line.outstanding - picked, reason: 'Not enough available stock' });
+            }
+        }
+    }
+
+    const paths = await Location.pathsByCode(picks.map(pick => pick.location));
+    const stops = new Map();
+
+    for (const pick of picks) {
+        if (!stops.has(pick.location)) {
+            stops.set(pick.location, { location: pick.location, locationPath: paths.get(pick.location), picks: [] });
+        }
+        stops.get(pick.location).picks.push(pick);
+    }
+
+    const locations = [...stops.values()].sort((a, b) => a.locationPath.localeCompare(b.locationPath));
+    locations.forEach(stop => stop.picks.sort((a, b) =>
+        a.componentName.localeCompare(b.componentName) || a.requestNumber.localeCompare(b.requestNumber)
+    ));
+
+    return { locations, shortages };
+};
+
+// Confirm what was picked for a request: one outward movement per pick,
+// issued to the requester, all or nothing. A pick that matches an approval
+// rule the picker cannot approve is held as an outward request instead and
+// issued once approved. Picking less than requested leaves the rest
+// outstanding until another confirmation or the request is closed.
+const confirmPicks = (requestId, picks, user) => withTransaction(async (session) => {
+    const request = await PartRequest.findById(requestId).session(session);
+
+    if (!request) {
+        throw new ApiError(404, 'Part request not found');
+    }
+
+    if (!request.isPickable) {
+        throw new ApiError(400, `Request ${request.requestNumber} is ${request.status} and can no longer be picked`);
+    }
+
+    const requester = await User.findById(request.requestedBy).session(session);
+    const movements = [];
+    const held = [];
+    const notifications = [];
+
+    for (const pick of picks) {
+        const line = request.lines.id(pick.lineId);
+
+        if (!line) {
+            throw new ApiError(400, `Line ${pick.lineId} is not on request ${request.requestNumber}`);
+        }
+
+        if (pick.quantity > line.outstanding) {
+            throw new ApiError(400, `Only ${line.outstanding} units of ${line.componentName} are still to be picked`, {
+                code: 'OVER_PICK',
+                lineId: line._id,
+                outstanding: line.outstanding
+            });
+        }
+
+        const outwardRequest = await holdPick(request, line, pick, user, session);
+
+        if (outwardRequest) {
+            line.quantityAwaitingApproval += pick.quantity;
+            line.outwardRequests.push(outwardRequest._id);
+            held.push(outwardRequest);
+            continue;
+        }
+
+        const { component, movement } = await applyMovement({
+            componentId: line.component,
+            type: 'outward',
+            quantity: pick.quantity,
+            location: pick.location,
+            serialNumbers: pick.serialNumbers,
+            holder: requester,
+            reason: `Part request ${request.requestNumber}`,
+            project: request.project,
+            notes: `Requested by ${request.requestedByName}`
+        }, user, session);
+
+        line.quantityPicked += pick.quantity;
+        line.movements.push(movement._id);
+        movements.push(movement);
+        notifications.push(...buildMovementNotifications(component, movement, user));
+    }
+
+    if (movements.length > 0) {
+        request.markPicked(user._id);
+        notifications.push(Notification.createPartRequestPickedNotification(request, user));
+    }
+    await request.save({ session });
+
+    for (const notification of notifications) {
+        await notification.save({ session });
+    }
+
+    return { request, movements, held };
+});
+
+module.exports = {
+    createPartRequest,
+    buildPickList,
+    confirmPicks
+};
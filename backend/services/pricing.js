@@ -0,0 +1,73 @@
+const Component = require('../models/Component');
+const SupplierPart = require('../models/SupplierPart');
+
+// Component.unitPrice follows the preferred supplier's price at its MOQ.
+// A price actually paid on a receipt (priceBasis 'last_paid') is a better
+// valuation than a list price, so it is never overwritten here.
+const applyPreferredPrice = async (supplierPart, session) => {
+    const price = supplierPart.priceFor(supplierPart.moq || 1);
+
+    if (!price) {
+        return null;
+    }
+
+    return Component.findOneAndUpdate(
+        { _id: supplierPart.component, priceBasis: { $ne: 'last_paid' } },
+        {
+            $set: {
+                unitPrice: price.unitPrice,
+                currency: price.currency,
+                priceBasis: 'preferred_supplier',
+                priceUpdatedAt: new Date()
+            }
+        },
+        { new: true, session }
+    );
+};
+
+// Make `supplierPart` the component's only preferred supplier and price
+// the component from it
+const setPreferredSupplier = async (supplierPart, session) => {
+    await SupplierPart.updateMany(
+        { component: supplierPart.component, _id: { $ne: supplierPart._id }, isPreferred: true },
+        { $set: { isPreferred: false } },
+        { session }
+    );
+
+    return applyPreferredPrice(supplierPart, session);
+};
+
+// Components whose preferred supplier link went away keep their price,
+// but it is no longer backed by a supplier
+const clearPreferredPrice = (componentIds, session) => Component.updateMany(
+    { _id: { $in: componentIds }, priceBasis: 'preferred_supplier' },
+    { $set: { priceBasis: 'manual' } },
+    { session }
+);
+
+// A receipt values the component at what was actually paid for it, and
+// remembers that price on the supplier listing it was bought from
+const recordPaidPrice = async ({ componentId, supplierPartId, unitPrice, currency }, session) => {
+    const now = new Date();
+
+    if (supplierPartId) {
+        await SupplierPart.updateOne(
+            { _id: supplierPartId },
+            { $set: { lastPaidPrice: unitPrice, lastPaidAt: now } },
+            { session }
+        );
+    }
+
+    return Component.findOneAndUpdate(
+        { _id: componentId },
+        { $set: { unitPrice, currency, priceBasis: 'last_paid', priceUpdatedAt: now } },
+        { new: true, session }
+    );
+};
+
+module.exports = {
+    applyPreferredPrice,
+    recordPaidPrice,
+    setPreferredSupplier,
+    clearPreferredPrice
+};
@@ -0,0 +1,259 @@
+const Component = require('../models/Component');
+const Movement = require('../models/Movement');
+const SupplierPart = require('../models/SupplierPart');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { withTransaction, applyMovement, buildMovementNotifications } = require('./stock');
+const { recordPaidPrice, applyPreferredPrice } = require('./pricing');
+const { ApiError } = require('../utils/errors');
+
+// Turn request lines into PO lines for `supplier`. A line is ordered from
+// the supplier's listing with the given `sku`, else the preferred (or
+// first) listing for the component. Lines without a `unitPrice` are priced
+// from that listing's price breaks.
+const buildOrderLines = async (supplier, currency, lines) => {
+    const componentIds = lines.map(line => line.componentId);
+    const components = await Component.find({ _id: { $in: componentIds }, isActive: true }).select('name partNumber');
+    const byId = new Map(components.map(c => [c._id.toString(), c]));
+    const unknown = componentIds.filter(id => !byId.has(id));
+
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown components: ${unknown.join(', ')}`);
+    }
+
+    const listings = await SupplierPart.find({
+        supplier: supplier._id,
+        component: { $in: componentIds },
+        isActive: true
+    }).sort({ isPreferred: -1, createdAt: 1 });
+
+    const warnings = [];
+
+    const orderLines = lines.map(line => {
+        const component = byId.get(line.componentId);
+        const quantity = parseInt(line.quantity);
+        const candidates = listings.filter(part => part.component.equals(component._id));
+        const listing = line.sku
+            ? candidates.find(part => part.sku === line.sku)
+            : candidates[0];
+
+        if (line.sku && !listing) {
+            throw new ApiError(400, `${component.name}: ${supplier.name} has no listing with SKU ${line.sku}`);
+        }
+
+        let unitPrice = line.unitPrice !== undefined ? parseFloat(line.unitPrice) : undefined;
+
+        if (unitPrice === undefined) {
+            const price = listing ? listing.priceFor(quantity) : null;
+
+            if (!price) {
+                throw new ApiError(400, `${component.name}: no unit price given and ${supplier.name} has no price for it`);
+            }
+            if (price.currency !== currency) {
+                throw new ApiError(400, `${component.name}: ${supplier.name} quotes it in ${price.currency}, the order is in ${currency}`);
+            }
+
+            unitPrice = price.unitPrice;
+        }
+
+        if (listing && quantity < listing.moq) {
+            warnings.push(`${component.name}: ${quantity} is below the minimum order quantity of ${listing.moq}`);
+        }
+
+        return {
+            component: component._id,
+            supplierPart: listing ? listing._id : undefined,
+            sku: listing ? listing.sku : undefined,
+            quantityOrdered: quantity,
+            unitPrice,
+            expectedDate: line.expectedDate,
+            notes: line.notes
+        };
+    });
+
+    return { lines: orderLines, warnings };
+};
+
+// Receive PO lines in full or in part. Each receipt is an inward movement
+// linked back to the PO line, and prices the component at what was paid.
+// All receipts, the PO's status and the notifications commit together.
+const receivePurchaseOrder = (purchaseOrderId, receipts, user) => withTransaction(async (session) => {
+    const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).session(session);
+
+    if (!purchaseOrder) {
+        throw new ApiError(404, 'Purchase order not found');
+    }
+
+    if (!PurchaseOrder.OPEN_STATUSES.includes(purchaseOrder.status)) {
+        throw new ApiError(400, `Purchase order ${purchaseOrder.poNumber} is ${purchaseOrder.status}; only submitted orders can be received`);
+    }
+
+    const results = [];
+
+    for (const receipt of receipts) {
+        const line = purchaseOrder.lines.id(receipt.lineId);
+
+        if (!line) {
+            throw new ApiError(400, `Line ${receipt.lineId} is not on purchase order ${purchaseOrder.poNumber}`);
+        }
+
+        const label = line.sku || line.component.toString();
+
+        if (receipt.quantity > line.outstanding) {
+            throw new ApiError(400, `${label}: only ${line.outstanding} of ${line.quantityOrdered} units are still outstanding`, {
+                code: 'OVER_RECEIPT',
+                lineId: line._id,
+                outstanding: line.outstanding,
+                requested: receipt.quantity
+            });
+        }
+
+        let result;
+
+        try {
+            result = await applyMovement({
+                componentId: line.component,
+                type: 'inward',
+                quantity: receipt.quantity,
+                location: receipt.location,
+                lotNumber: receipt.lotNumber,
+                dateCode: receipt.dateCode,
+                supplier: receipt.lotNumber ? purchaseOrder.supplierName : undefined,
+                serialNumbers: receipt.serialNumbers,
+                purchaseOrderId: purchaseOrder._id,
+                purchaseOrderLineId: line._id,
+                reason: `Received on ${purchaseOrder.poNumber}`,
+                project: purchaseOrder.project || purchaseOrder.poNumber,
+                notes: receipt.notes
+            }, user, session);
+        } catch (error) {
+            // Say which line failed; transient errors pass through untouched
+            // so the transaction can be retried
+            if (!error.statusCode) throw error;
+
+            throw new ApiError(error.statusCode, `${label}: ${error.message}`, {
+                ...error.details,
+                lineId: line._id
+            });
+        }
+
+        line.quantityReceived += receipt.quantity;
+
+        const component = await recordPaidPrice({
+            componentId: line.component,
+            supplierPartId: line.supplierPart,
+            unitPrice: line.unitPrice,
+            currency: purchaseOrder.currency
+        }, session);
+
+        const notifications = buildMovementNotifications(component, result.movement, user);
+        for (const notification of notifications) {
+            await notification.save({ session });
+        }
+
+        results.push({ line, component, movement: result.movement, oldQuantity: result.oldQuantity });
+    }
+
+    if (purchaseOrder.lines.every(line => line.outstanding === 0)) {
+        purchaseOrder.status = 'closed';
+        purchaseOrder.closedAt = new Date();
+        purchaseOrder.closedBy = user._id;
+        purchaseOrder.closeReason = 'Fully received';
+    } else {
+        purchaseOrder.status = 'partially_received';
+    }
+
+    purchaseOrder.lastUpdatedBy = user._id;
+    await purchaseOrder.save({ session });
+
+    return { purchaseOrder, receipts: results };
+});
+
+// A reversed receipt that last priced the component no longer does: the
+// price goes back to the latest receipt still standing, else to the
+// preferred supplier's, else it stays but counts as entered by hand
+const restorePaidPrice = async (receipt, componentId, session) => {
+    const component = await Component.findById(componentId).session(session);
+
+    if (!component || component.priceBasis !== 'last_paid') {
+        return;
+    }
+
+    const merged = await Component.findMergedSources([componentId], session);
+    const standing = {
+        ...Movement.EFFECTIVE,
+        component: { $in: [componentId, ...merged.map(source => source._id)] },
+        type: 'inward',
+        purchaseOrder: { $ne: null },
+        _id: { $ne: receipt._id }
+    };
+
+    // A later receipt set the price that is there now
+    if (await Movement.exists({ ...standing, createdAt: { $gt: receipt.createdAt } }).session(session)) {
+        return;
+    }
+
+    const previous = await Movement.findOne(standing).sort({ createdAt: -1 }).session(session);
+    const order = previous ? await PurchaseOrder.findById(previous.purchaseOrder).session(session) : null;
+    const line = order ? order.lines.id(previous.purchaseOrderLine) : null;
+
+    if (line) {
+        await Component.updateOne(
+            { _id: componentId },
+            { $set: { unitPrice: line.unitPrice, currency: order.currency, priceBasis: 'last_paid', priceUpdatedAt: previous.createdAt } },
+            { session }
+        );
+        return;
+    }
+
+    await Component.updateOne({ _id: componentId }, { $set: { priceBasis: 'manual' } }, { session });
+
+    const preferred = await SupplierPart.findOne({ component: componentId, isPreferred: true, isActive: true }).session(session);
+    if (preferred) {
+        await applyPreferredPrice(preferred, session);
+    }
+};
+
+// Take back a receipt whose inward movement is being reversed. Invoiced
+// quantities cannot be un-received, an order closed by its last receipt
+// opens again (one closed short by hand stays closed), and the price the
+// receipt set is undone.
+const reverseReceipt = async (receipt, user, session) => {
+    const quantity = receipt.quantity;
+    const purchaseOrder = await PurchaseOrder.findById(receipt.purchaseOrder).session(session);
+    const line = purchaseOrder ? purchaseOrder.lines.id(receipt.purchaseOrderLine) : null;
+
+    if (!line) {
+        throw new ApiError(400, 'The purchase order line this receipt was booked to no longer exists');
+    }
+
+    if (line.quantityReceived - quantity < line.quantityInvoiced) {
+        throw new ApiError(409, `${purchaseOrder.poNumber}: ${line.quantityInvoiced} units of this line are already invoiced`, {
+            code: 'RECEIPT_INVOICED'
+        });
+    }
+
+    line.quantityReceived -= quantity;
+
+    const reopen = purchaseOrder.status === 'partially_received' ||
+        (purchaseOrder.status === 'closed' && purchaseOrder.closeReason === 'Fully received');
+
+    if (reopen) {
+        purchaseOrder.status = purchaseOrder.lines.some(l => l.quantityReceived > 0) ? 'partially_received' : 'submitted';
+        purchaseOrder.closedAt = undefined;
+        purchaseOrder.closedBy = undefined;
+        purchaseOrder.closeReason = undefined;
+    }
+
+    purchaseOrder.lastUpdatedBy = user._id;
+    await purchaseOrder.save({ session });
+
+    await restorePaidPrice(receipt, line.component, session);
+
+    return purchaseOrder;
+};
+
+module.exports = {
+    buildOrderLines,
+    receivePurchaseOrder,
+    reverseReceipt
+};
@@ -0,0 +1,99 @@
+const Component = require('../models/Component');
+const Alternate = require('../models/Alternate');
+const SupplierPart = require('../models/SupplierPart');
+const Movement = require('../models/Movement');
+const Lot = require('../models/Lot');
+const SerialItem = require('../models/SerialItem');
+const Reservation = require('../models/Reservation');
+const Loan = require('../models/Loan');
+const CalibrationRecord = require('../models/CalibrationRecord');
+const OutwardRequest = require('../models/OutwardRequest');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PartRequest = require('../models/PartRequest');
+const CountSession = require('../models/CountSession');
+const BOM = require('../models/BOM');
+const { withTransaction } = require('./stock');
+const { recordAudit, snapshot } = require('./audit');
+const { RECYCLE_BIN_RETENTION_DAYS } = require('../config/recycleBin');
+
+// Records that keep referring to a component after it is gone: the stock
+// ledger, everything that was ordered, reserved, lent, counted or built
+// with it, and duplicates merged into it
+const HISTORY_REFERENCES = [
+    [Component, 'mergedInto'],
+    [Movement, 'component'],
+    [Lot, 'component'],
+    [SerialItem, 'component'],
+    [Reservation, 'component'],
+    [Loan, 'component'],
+    [CalibrationRecord, 'component'],
+    [OutwardRequest, 'component'],
+    [PurchaseOrder, 'lines.component'],
+    [PartRequest, 'lines.component'],
+    [CountSession, 'lines.component'],
+    [BOM, 'lines.component']
+];
+
+// Components in the recycle bin: deleted and not yet purged
+const inRecycleBin = (filter = {}) => ({ ...filter, isActive: false, deletedAt: { $ne: null }, purgedAt: null });
+
+// When a component deleted at `deletedAt` becomes due for purging
+const purgeDueAt = deletedAt => new Date(deletedAt.getTime() + RECYCLE_BIN_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const hasHistory = async (componentId, session) => {
+    for (const [Model, path] of HISTORY_REFERENCES) {
+        if (await Model.exists({ [path]: componentId }).session(session)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// Remove components from the recycle bin for good: `componentIds` now, or
+// else every one deleted longer ago than the retention period. A component
+// other records still refer to stays in the database, no longer
+// restorable, so those records keep naming it; its description, datasheet
+// and parameters are dropped. Anything else is deleted with its supplier
+// links and cross-references.
+const purgeComponents = (req, componentIds = null) => withTransaction(async (session) => {
+    const filter = componentIds
+        ? inRecycleBin({ _id: { $in: componentIds } })
+        : inRecycleBin({ deletedAt: { $lte: new Date(Date.now() - RECYCLE_BIN_RETENTION_DAYS * 24 * 60 * 60 * 1000) } });
+
+    const components = await Component.find(filter).session(session);
+    const purged = [];
+    const retained = [];
+
+    for (const component of components) {
+        const before = snapshot(component);
+        const summary = { id: component._id, name: component.name, partNumber: component.partNumber };
+
+        if (await hasHistory(component._id, session)) {
+            component.purgedAt = new Date();
+            component.description = undefined;
+            component.datasheetLink = undefined;
+            component.parameters = [];
+            component.lastUpdatedBy = req.user._id;
+            await component.save({ session });
+
+            await recordAudit(req, { entityType: 'Component', entity: component, action: 'purge', before, after: component, session });
+            retained.push(summary);
+            continue;
+        }
+
+        await SupplierPart.deleteMany({ component: component._id }, { session });
+        await Alternate.deleteMany({ $or: [{ component: component._id }, { alternate: component._id }] }, { session });
+        await Component.deleteOne({ _id: component._id }, { session });
+
+        await recordAudit(req, { entityType: 'Component', entity: component, action: 'purge', before, session });
+        purged.push(summary);
+    }
+
+    return { purged, retained };
+});
+
+module.exports = {
+    inRecycleBin,
+    purgeDueAt,
+    purgeComponents
+};
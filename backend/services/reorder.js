@@ -0,0 +1,268 @@
+const Component = require('../models/Component');
+const Category = require('../models/Category');
+const Movement = require('../models/Movement');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const SupplierPart = require('../models/SupplierPart');
+const { withTransaction } = require('./stock');
+const { buildOrderLines } = require('./purchaseOrders');
+const { ApiError } = require('../utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+    // Window of movements the consumption rate is taken from
+    lookbackDays: 90,
+    // Days of consumption an order should cover once it arrives
+    coverDays: 30,
+    // Lead time for parts whose supplier does not state one
+    defaultLeadTimeDays: 14
+};
+
+// Quantity consumed per component since `since`: outward movements less
+// what came back unused. Scrap and adjustments are not consumption, and
+// reversed movements cancel out with their reversals. What was consumed as
+// a duplicate since merged counts for the component it was merged into.
+const consumptionSince = async (since, componentIds) => {
+    const merged = await Component.findMergedSources(componentIds);
+    const survivorOf = new Map(merged.map(m => [m._id.toString(), m.mergedInto.toString()]));
+
+    const match = { type: { $in: ['outward', 'return'] }, createdAt: { $gte: since }, ...Movement.EFFECTIVE };
+    if (componentIds) match.component = { $in: [...componentIds, ...merged.map(m => m._id)] };
+
+    const rows = await Movement.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$component',
+                quantity: { $sum: { $cond: [{ $eq: ['$type', 'return'] }, { $multiply: ['$quantity', -1] }, '$quantity'] } }
+            }
+        }
+    ]);
+
+    const consumed = new Map();
+    rows.forEach((row) => {
+        const key = survivorOf.get(row._id.toString()) || row._id.toString();
+        consumed.set(key, (consumed.get(key) || 0) + row.quantity);
+    });
+    consumed.forEach((quantity, key) => consumed.set(key, Math.max(0, quantity)));
+
+    return consumed;
+};
+
+// Quantity still to arrive on submitted / partially received orders
+const quantityOnOrder = async (componentIds) => {
+    const rows = await PurchaseOrder.aggregate([
+        { $match: { status: { $in: PurchaseOrder.OPEN_STATUSES } } },
+        { $unwind: '$lines' },
+        ...(componentIds ? [{ $match: { 'lines.component': { $in: componentIds } } }] : []),
+        {
+            $group: {
+                _id: '$lines.component',
+                quantity: {
+                    $sum: { $max: [0, { $subtract: ['$lines.quantityOrdered', '$lines.quantityReceived'] }] }
+                }
+            }
+        }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+// The listing each component would be ordered from: the preferred one, else
+// the one with the shortest lead time, from active suppliers only
+const sourcingFor = async (componentIds) => {
+    const filter = { isActive: true };
+    if (componentIds) filter.component = { $in: componentIds };
+
+    const parts = await SupplierPart.find(filter)
+        .populate('supplier', 'name currency leadTimeDays isActive')
+        .sort({ isPreferred: -1, leadTimeDays: 1, createdAt: 1 });
+
+    const sourcing = new Map();
+    parts
+        .filter(part => part.supplier && part.supplier.isActive)
+        .forEach(part => {
+            const key = part.component.toString();
+            if (!sourcing.has(key)) sourcing.set(key, part);
+        });
+
+    return sourcing;
+};
+
+// Suggested order quantity per component.
+//
+// dailyUsage    = consumption (outward less returns) over the lookback window / its length
+// reorderPoint  = criticalLowThreshold (safety stock) + usage during the lead time
+// projected     = available (on hand - reserved) + quantity on open orders
+// targetLevel   = reorderPoint + `coverDays` of usage (at least one unit more)
+// A component is suggested when projected <= reorderPoint, for enough to
+// reach targetLevel, raised to the MOQ and first price break. Components
+// with neither a threshold nor any usage are not reordered.
+const suggestReorders = async (options = {}) => {
+    const { lookbackDays, coverDays, defaultLeadTimeDays } = { ...DEFAULTS, ...options };
+    const { componentIds, category, supplierId, includeAll = false } = options;
+
+    const filter = { isActive: true };
+    if (componentIds) filter._id = { $in: componentIds };
+    if (category) filter.category = { $in: await Category.subtreeNames(category) };
+
+    const components = await Component.find(filter)
+        .select('name partNumber manufacturer category quantity reserved criticalLowThreshold unitPrice currency')
+        .sort({ name: 1 });
+
+    const ids = componentIds ? components.map(c => c._id) : null;
+    const [consumed, onOrder, sourcing] = await Promise.all([
+        consumptionSince(new Date(Date.now() - lookbackDays * DAY), ids),
+        quantityOnOrder(ids),
+        sourcingFor(ids)
+    ]);
+
+    const suggestions = components.map(component => {
+        const key = component._id.toString();
+        const part = sourcing.get(key) || null;
+        const leadTimeDays = part
+            ? part.leadTimeDays ?? part.supplier.leadTimeDays ?? defaultLeadTimeDays
+            : defaultLeadTimeDays;
+
+        const dailyUsage = (consumed.get(key) || 0) / lookbackDays;
+        const ordered = onOrder.get(key) || 0;
+        const projected = component.available + ordered;
+        const reorderPoint = component.criticalLowThreshold + Math.ceil(dailyUsage * leadTimeDays);
+        const targetLevel = reorderPoint + Math.max(1, Math.ceil(dailyUsage * coverDays));
+        const managed = component.criticalLowThreshold > 0 || dailyUsage > 0;
+
+        let quantity = managed && projected <= reorderPoint ? targetLevel - projected : 0;
+
+        const reasons = [];
+        if (quantity > 0) {
+            reasons.push(`Projected stock ${projected} is at or below the reorder point ${reorderPoint}`);
+            if (part && quantity < part.moq) {
+                reasons.push(`Raised from ${quantity} to the minimum order quantity of ${part.moq}`);
+                quantity = part.moq;
+            }
+        }
+
+        const price = part && quantity > 0 ? part.priceFor(quantity) : null;
+        if (price && price.orderQuantity > quantity) {
+            reasons.push(`Raised from ${quantity} to the first price break of ${price.orderQuantity}`);
+            quantity = price.orderQuantity;
+        }
+
+        return {
+            component: {
+                id: component._id,
+                name: component.name,
+                partNumber: component.partNumber,
+                manufacturer: component.manufacturer,
+                category: component.category
+            },
+            quantity: component.quantity,
+            reserved: component.reserved,
+            available: component.available,
+            onOrder: ordered,
+            projected,
+            criticalLowThreshold: component.criticalLowThreshold,
+            consumption: {
+                lookbackDays,
+                total: consumed.get(key) || 0,
+                dailyUsage: Math.round(dailyUsage * 100) / 100
+            },
+            leadTimeDays,
+            reorderPoint,
+            targetLevel,
+            suggestedQuantity: quantity,
+            supplier: part ? {
+                id: part.supplier._id,
+                name: part.supplier.name,
+                supplierPart: part._id,
+                sku: part.sku,
+                moq: part.moq,
+                isPreferred: part.isPreferred
+            } : null,
+            price,
+            reasons
+        };
+    });
+
+    return suggestions.filter(suggestion =>
+        (includeAll || suggestion.suggestedQuantity > 0) &&
+        (!supplierId || (suggestion.supplier && suggestion.supplier.id.equals(supplierId)))
+    );
+};
+
+// Turn reorder lines ({ componentId, quantity }) into draft purchase orders,
+// one per supplier and currency, in one transaction. Each component is
+// ordered from the listing the reorder list picked for it; components no
+// supplier sells are returned as `unsourced`.
+const createDraftOrders = async (lines, user) => {
+    const componentIds = lines.map(line => line.componentId);
+    const sourcing = await sourcingFor(componentIds);
+
+    const groups = new Map();
+    const unsourced = [];
+
+    lines.forEach(line => {
+        const part = sourcing.get(line.componentId.toString());
+
+        if (!part) {
+            unsourced.push(line.componentId);
+            return;
+        }
+
+        const key = `${part.supplier._id}|${part.currency}`;
+        if (!groups.has(key)) {
+            groups.set(key, { supplierId: part.supplier._id, currency: part.currency, lines: [] });
+        }
+        groups.get(key).lines.push({
+            componentId: line.componentId.toString(),
+            quantity: line.quantity,
+            sku: part.sku
+        });
+    });
+
+    if (groups.size === 0) {
+        throw new ApiError(400, 'None of the components has a supplier to order from', { unsourced });
+    }
+
+    // Priced before the transaction: it only reads committed listings
+    const drafts = [];
+    for (const group of groups.values()) {
+        const supplier = await Supplier.findById(group.supplierId);
+        const { lines: orderLines, warnings } = await buildOrderLines(supplier, group.currency, group.lines);
+        drafts.push({ supplier, currency: group.currency, lines: orderLines, warnings });
+    }
+
+    const purchaseOrders = await withTransaction(async (session) => {
+        const created = [];
+
+        for (const draft of drafts) {
+            const purchaseOrder = new PurchaseOrder({
+                poNumber: await PurchaseOrder.nextPoNumber(),
+                supplier: draft.supplier._id,
+                supplierName: draft.supplier.name,
+                currency: draft.currency,
+                lines: draft.lines,
+                notes: 'Created from reorder suggestions',
+                createdBy: user._id
+            });
+
+            await purchaseOrder.save({ session });
+            created.push(purchaseOrder);
+        }
+
+        return created;
+    });
+
+    return {
+        purchaseOrders,
+        warnings: drafts.flatMap(draft => draft.warnings),
+        unsourced
+    };
+};
+
+module.exports = {
+    REORDER_DEFAULTS: DEFAULTS,
+    suggestReorders,
+    createDraftOrders
+};
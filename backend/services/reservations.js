@@ -0,0 +1,154 @@
+const Component = require('../models/Component');
+const Reservation = require('../models/Reservation');
+const { ApiError } = require('../utils/errors');
+
+const reservationConflict = () => new ApiError(409, 'Reservation changed while it was being processed, please retry', {
+    code: 'STOCK_CONFLICT'
+});
+
+// Set stock aside for a project. Only available (unreserved) stock can be
+// reserved; the check and the increment are a single conditional update.
+const createReservation = async (reservationData, user, session) => {
+    const { componentId, quantity, project, neededBy, notes } = reservationData;
+
+    const component = await Component.findOneAndUpdate(
+        {
+            _id: componentId,
+            isActive: true,
+            $expr: { $gte: [Component.AVAILABLE_QUANTITY, quantity] }
+        },
+        { $inc: { reserved: quantity } },
+        { new: true, session }
+    );
+
+    if (!component) {
+        const current = await Component.findOne({ _id: componentId, isActive: true }).session(session);
+
+        if (!current) {
+            throw new ApiError(404, 'Component not found');
+        }
+
+        throw new ApiError(409, `Insufficient available stock. Available: ${current.available} units, Requested: ${quantity} units`, {
+            code: 'INSUFFICIENT_STOCK',
+            available: current.available,
+            reserved: current.reserved,
+            requested: quantity
+        });
+    }
+
+    const [reservation] = await Reservation.create([{
+        component: component._id,
+        quantity,
+        project,
+        neededBy,
+        notes,
+        reservedBy: user._id,
+        reservedByName: user.name
+    }], { session });
+
+    return { component, reservation };
+};
+
+// Give the outstanding quantity of an active reservation back to available stock
+const releaseReservation = async (reservation, user, session) => {
+    const outstanding = reservation.outstanding;
+
+    const released = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'active', quantityFulfilled: reservation.quantityFulfilled },
+        { $set: { status: 'released', releasedBy: user._id, releasedAt: new Date() } },
+        { new: true, session }
+    );
+
+    if (!released) {
+        throw reservationConflict();
+    }
+
+    const component = await Component.findOneAndUpdate(
+        { _id: reservation.component },
+        { $inc: { reserved: -outstanding } },
+        { new: true, session }
+    );
+
+    return { component, reservation: released };
+};
+
+// Check that an outward movement of `quantity` can fulfil the reservation
+const findReservationToFulfil = async (reservationId, componentId, quantity, session) => {
+    const reservation = await Reservation.findOne({ _id: reservationId, component: componentId }).session(session);
+
+    if (!reservation) {
+        throw new ApiError(404, 'Reservation not found for this component');
+    }
+
+    if (reservation.status !== 'active') {
+        throw new ApiError(400, `Reservation is already ${reservation.status}`);
+    }
+
+    if (quantity > reservation.outstanding) {
+        throw new ApiError(400, `Reservation only has ${reservation.outstanding} units outstanding`);
+    }
+
+    return reservation;
+};
+
+// Count an outward movement against the reservation; the reserved units
+// it took are no longer held back
+const fulfilReservation = async (reservation, quantity, movementId, session) => {
+    const complete = reservation.quantityFulfilled + quantity === reservation.quantity;
+    const set = complete ? { status: 'fulfilled', fulfilledAt: new Date() } : {};
+
+    const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'active', quantityFulfilled: reservation.quantityFulfilled },
+        { $inc: { quantityFulfilled: quantity }, $push: { movements: movementId }, $set: set },
+        { new: true, session }
+    );
+
+    if (!updated) {
+        throw reservationConflict();
+    }
+
+    const component = await Component.findOneAndUpdate(
+        { _id: reservation.component },
+        { $inc: { reserved: -quantity } },
+        { new: true, session }
+    );
+
+    return { component, reservation: updated };
+};
+
+// Undo a fulfilment when its outward movement is reversed: the units are
+// outstanding (and held back) again. A reservation released since then
+// stays released, and the units simply return to available stock.
+const unfulfilReservation = async (reservationId, quantity, session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation || reservation.status === 'released') {
+        return null;
+    }
+
+    const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: reservation.status, quantityFulfilled: reservation.quantityFulfilled },
+        { $inc: { quantityFulfilled: -quantity }, $set: { status: 'active' }, $unset: { fulfilledAt: '' } },
+        { new: true, session }
+    );
+
+    if (!updated) {
+        throw reservationConflict();
+    }
+
+    await Component.updateOne(
+        { _id: reservation.component },
+        { $inc: { reserved: quantity } },
+        { session }
+    );
+
+    return updated;
+};
+
+module.exports = {
+    createReservation,
+    releaseReservation,
+    findReservationToFulfil,
+    fulfilReservation,
+    unfulfilReservation
+};
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const Component = require('../models/Component');
+const Movement = require('../models/Movement');
+const Lot = require('../models/Lot');
+const {
+    withTransaction,
+    addToBin,
+    removeFromBin,
+    findActiveComponent,
+    assertNotCounting,
+    insufficientStock,
+    movementFields,
+    buildMovementNotifications
+} = require('./stock');
+const { unfulfilReservation } = require('./reservations');
+const { reverseReceipt } = require('./purchaseOrders');
+const { ApiError } = require('../utils/errors');
+
+// Users other than admins may only reverse their own movements, this soon
+// after making them
+const REVERSAL_WINDOW_HOURS = 24;
+
+// Permission needed to have made (and so to reverse) each movement type
+const PERMISSION_FOR_TYPE = {
+    inward: 'inward',
+    return: 'inward',
+    outward: 'outward',
+    scrap: 'outward',
+    transfer: 'edit',
+    adjustment: 'all'
+};
+
+const checkCanReverse = (movement, user) => {
+    if (user.hasPermission('all')) return;
+
+    if (!movement.user.equals(user._id)) {
+        throw new ApiError(403, 'You can only reverse movements you made yourself');
+    }
+
+    if (Date.now() - movement.createdAt.getTime() > REVERSAL_WINDOW_HOURS * 60 * 60 * 1000) {
+        throw new ApiError(403, `Movements can only be reversed within ${REVERSAL_WINDOW_HOURS} hours; ask an admin`);
+    }
+
+    if (!user.hasPermission(PERMISSION_FOR_TYPE[movement.type])) {
+        throw new ApiError(403, `You do not have permission to reverse ${movement.type} movements`);
+    }
+};
+
+// Whether a movement put stock into its bins
+const addedStock = (movement) => movement.direction
+    ? movement.direction === 'in'
+    : movement.type === 'inward' || movement.type === 'return';
+
+// Mark the original as reversed; the write-once rule makes a concurrent
+// second reversal find nothing to mark
+const markReversed = async (original, reversalId, session) => {
+    const marked = await Movement.findOneAndUpdate(
+        { _id: original._id },
+        { reversedBy: reversalId, reversedAt: new Date() },
+        { new: true, session }
+    );
+
+    if (!marked) {
+        throw new ApiError(409, 'This movement has already been reversed', { code: 'ALREADY_REVERSED' });
+    }
+
+    return marked;
+};
+
+const reversalText = (original, reason) =>
+    `Reversal of ${original.type} ${original._id}${reason ? `: ${reason}` : ''}`.slice(0, 200);
+
+// The lot a movement's lot entry now counts against. A merge combines a
+// duplicate's lot into the survivor's lot of the same number, leaving the
+// duplicate's lot empty; its movements are undone on the survivor's.
+const resolveLot = async (lot, component, session) => {
+    const record = await Lot.findById(lot.lot).session(session);
+
+    if (record && !record.component.equals(component._id)) {
+        const combined = await Lot.findOne({ component: component._id, lotNumber: record.lotNumber }).session(session);
+        if (combined) return combined._id;
+    }
+
+    return lot.lot;
+};
+
+// Undo the bins, lots, reservation and purchase order line a movement
+// touched, and write the compensating entry
+const reverseStockMovement = async (original, { reason, notes }, user, session) => {
+    // A merged duplicate's stock is now the survivor's
+    const component = await findActiveComponent(await Component.resolveId(original.component, session), session);
+
+    await assertNotCounting(component, original.allocations.map(a => a.location), session);
+
+    const removing = addedStock(original);
+    const set = { lastMovementAt: new Date(), lastUpdatedBy: user._id };
+    let updated = component;
+
+    // Stock the original added can only be taken back while it is unreserved
+    if (removing && original.quantity > component.available) {
+        throw insufficientStock(component.available, original.quantity);
+    }
+
+    for (const { location, quantity } of original.allocations) {
+        if (removing) {
+            updated = await removeFromBin(component._id, location, quantity, session, { set });
+
+            if (!updated) {
+                throw insufficientStock(component.quantityAt(location), quantity, location);
+            }
+        } else {
+            updated = await addToBin(component._id, location, quantity, session, { set });
+        }
+    }
+
+    // Lots the original filled are emptied again, and the other way round;
+    // a reversed receipt also no longer counts as received into the lot
+    for (const lot of original.lots) {
+        const inc = removing
+            ? { quantityRemaining: -lot.quantity, ...(original.type === 'inward' ? { quantityReceived: -lot.quantity } : {}) }
+            : { quantityRemaining: lot.quantity };
+
+        const lotId = await resolveLot(lot, component, session);
+        const result = await Lot.findOneAndUpdate(
+            removing ? { _id: lotId, quantityRemaining: { $gte: lot.quantity } } : { _id: lotId },
+            { $inc: inc },
+            { new: true, session }
+        );
+
+        if (!result) {
+            throw new ApiError(409, `Cannot reverse: stock from lot ${lot.lotNumber} has been used since`, {
+                code: 'LOT_CONSUMED',
+                lotNumber: lot.lotNumber
+            });
+        }
+    }
+
+    if (original.reservation) {
+        await unfulfilReservation(original.reservation, original.quantity, session);
+        updated = await Component.findById(component._id).session(session);
+    }
+
+    if (original.purchaseOrder) {
+        await reverseReceipt(original, user, session);
+    }
+
+    const [reversal] = await Movement.create([{
+        ...movementFields(updated, user),
+        type: original.type,
+        direction: removing ? 'out' : 'in',
+        quantity: original.quantity,
+        allocations: original.allocations,
+        lots: original.lots,
+        reservation: original.reservation,
+        purchaseOrder: original.purchaseOrder,
+        purchaseOrderLine: original.purchaseOrderLine,
+        reversalOf: original._id,
+        reasonCode: original.reasonCode,
+        reason: reversalText(original, reason),
+        project: original.project,
+        notes: notes || ''
+    }], { session });
+
+    const marked = await markReversed(original, reversal._id, session);
+
+    return { component: updated, reversals: [reversal], originals: [marked] };
+};
+
+// A transfer is undone by moving the stock back; both legs are reversed
+const reverseTransfer = async (original, { reason, notes }, user, session) => {
+    const paired = await Movement.findById(original.pairedMovement).session(session);
+    const legs = [original, paired].filter(Boolean);
+    const outLeg = legs.find(leg => leg.allocations[0].location === leg.fromLocation);
+    const inLeg = legs.find(leg => leg !== outLeg);
+
+    if (!outLeg || !inLeg || legs.some(leg => leg.reversedBy)) {
+        throw new ApiError(409, 'This transfer has already been reversed or is incomplete', { code: 'ALREADY_REVERSED' });
+    }
+
+    const { fromLocation, toLocation, quantity } = outLeg;
+    const component = await findActiveComponent(await Component.resolveId(outLeg.component, session), session);
+
+    await assertNotCounting(component, [fromLocation, toLocation], session);
+
+    const set = { lastMovementAt: new Date(), lastUpdatedBy: user._id };
+    const source = await removeFromBin(component._id, toLocation, quantity, session, { changeTotal: false, set });
+
+    if (!source) {
+        throw insufficientStock(component.quantityAt(toLocation), quantity, toLocation);
+    }
+
+    const updated = await addToBin(component._id, fromLocation, quantity, session, { changeTotal: false, set });
+
+    const outId = new mongoose.Types.ObjectId();
+    const inId = new mongoose.Types.ObjectId();
+    const common = {
+        ...movementFields(updated, user),
+        type: 'transfer',
+        quantity,
+        fromLocation: toLocation,
+        toLocation: fromLocation,
+        reasonCode: outLeg.reasonCode,
+        reason: reversalText(outLeg, reason),
+        project: outLeg.project,
+        notes: notes || ''
+    };
+
+    const reversals = await Movement.create([
+        { ...common, _id: outId, allocations: [{ location: toLocation, quantity }], pairedMovement: inId, reversalOf: inLeg._id },
+        { ...common, _id: inId, allocations: [{ location: fromLocation, quantity }], pairedMovement: outId, reversalOf: outLeg._id }
+    ], { session, ordered: true });
+
+    const originals = [
+        await markReversed(outLeg, inId, session),
+        await markReversed(inLeg, outId, session)
+    ];
+
+    return { component: updated, reversals, originals };
+};
+
+// Reverse a movement with a compensating entry: stock, lots, reservation
+// and purchase order go back to how they were, the original is marked as
+// reversed, and nothing is deleted. Serialized movements are corrected with
+// the movement that undoes them (a return, a scrap...) instead.
+const reverseMovement = (movementId, options, user) => withTransaction(async (session) => {
+    const original = await Movement.findById(movementId).session(session);
+
+    if (!original) {
+        throw new ApiError(404, 'Movement not found');
+    }
+
+    if (original.reversalOf) {
+        throw new ApiError(400, 'A reversal cannot itself be reversed');
+    }
+
+    if (original.reversedBy) {
+        throw new ApiError(409, 'This movement has already been reversed', {
+            code: 'ALREADY_REVERSED',
+            reversedBy: original.reversedBy
+        });
+    }
+
+    if (original.type === 'checkout' || original.type === 'checkin') {
+        throw new ApiError(400, 'Equipment loan movements cannot be reversed: check the item in or out again instead');
+    }
+
+    checkCanReverse(original, user);
+
+    if (original.serialNumbers.length > 0) {
+        throw new ApiError(400, 'Movements of serialized units cannot be reversed: record the opposite movement naming the units');
+    }
+
+    const result = original.type === 'transfer'
+        ? await reverseTransfer(original, options, user, session)
+        : await reverseStockMovement(original, options, user, session);
+
+    if (original.type !== 'transfer') {
+        const notifications = buildMovementNotifications(result.component, result.reversals[0], user);
+        for (const notification of notifications) {
+            await notification.save({ session });
+        }
+    }
+
+    return result;
+});
+
+module.exports = {
+    REVERSAL_WINDOW_HOURS,
+    reverseMovement
+};
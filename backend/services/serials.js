@@ -0,0 +1,186 @@
+const SerialItem = require('../models/SerialItem');
+const { ApiError } = require('../utils/errors');
+
+// Check the serial numbers given for a movement: serialized components need
+// exactly one per unit, other components take none
+const checkSerialNumbers = (component, serialNumbers = [], quantity) => {
+    if (component.trackingMode !== 'serialized') {
+        if (serialNumbers.length > 0) {
+            throw new ApiError(400, `${component.name} is not tracked by serial number`);
+        }
+        return [];
+    }
+
+    const unique = [...new Set(serialNumbers.map(serial => serial.trim()).filter(Boolean))];
+
+    if (unique.length !== serialNumbers.length) {
+        throw new ApiError(400, 'Serial numbers must be unique and not empty');
+    }
+
+    if (unique.length !== quantity) {
+        throw new ApiError(400,
+            `${component.name} is tracked by serial number: give one serial number per unit (${quantity} expected, ${unique.length} given)`,
+            { code: 'SERIALS_REQUIRED' }
+        );
+    }
+
+    return unique;
+};
+
+const historyEntry = (event, fields, movementId, user) => ({
+    event,
+    ...fields,
+    movement: movementId,
+    user: user._id,
+    userName: user.name,
+    date: new Date()
+});
+
+// Register received units, or bring units that were out back into stock
+const receiveSerials = async (component, serialNumbers, location, movementId, user, session) => {
+    const existing = await SerialItem.find({ component: component._id, serialNumber: { $in: serialNumbers } })
+        .session(session);
+
+    const unavailable = existing.filter(item => item.status === 'in_stock' || item.status === 'retired');
+    if (unavailable.length > 0) {
+        throw new ApiError(409, `Cannot receive units that are in stock or retired: ${unavailable.map(item => item.serialNumber).join(', ')}`, {
+            code: 'SERIAL_UNAVAILABLE',
+            serialNumbers: unavailable.map(item => item.serialNumber)
+        });
+    }
+
+    const entry = historyEntry('received', { status: 'in_stock', location }, movementId, user);
+
+    if (existing.length > 0) {
+        await SerialItem.updateMany(
+            { _id: { $in: existing.map(item => item._id) } },
+            {
+                $set: { status: 'in_stock', location },
+                $unset: { holder: '', holderName: '', project: '' },
+                $push: { history: entry }
+            },
+            { session }
+        );
+    }
+
+    const known = new Set(existing.map(item => item.serialNumber));
+    const newItems = serialNumbers
+        .filter(serialNumber => !known.has(serialNumber))
+        .map(serialNumber => ({
+            component: component._id,
+            serialNumber,
+            status: 'in_stock',
+            location,
+            history: [entry]
+        }));
+
+    if (newItems.length > 0) {
+        await SerialItem.insertMany(newItems, { session });
+    }
+};
+
+// Bring issued units back into stock. Unlike a receipt, every unit must
+// already be known and currently out of stock.
+const returnSerials = async (component, serialNumbers, location, movementId, user, session) => {
+    const items = await SerialItem.find({ component: component._id, serialNumber: { $in: serialNumbers } })
+        .session(session);
+
+    const found = new Set(items.map(item => item.serialNumber));
+    const unknown = serialNumbers.filter(serialNumber => !found.has(serialNumber));
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown serial numbers: ${unknown.join(', ')}`, {
+            code: 'UNKNOWN_SERIAL',
+            serialNumbers: unknown
+        });
+    }
+
+    const unavailable = items.filter(item => item.status === 'in_stock' || item.status === 'retired');
+    if (unavailable.length > 0) {
+        throw new ApiError(409, `Cannot return units that are in stock or retired: ${unavailable.map(item => item.serialNumber).join(', ')}`, {
+            code: 'SERIAL_UNAVAILABLE',
+            serialNumbers: unavailable.map(item => item.serialNumber)
+        });
+    }
+
+    await SerialItem.updateMany(
+        { _id: { $in: items.map(item => item._id) } },
+        {
+            $set: { status: 'in_stock', location },
+            $unset: { holder: '', holderName: '', project: '' },
+            $push: { history: historyEntry('returned', { status: 'in_stock', location }, movementId, user) }
+        },
+        { session }
+    );
+};
+
+// Load the units named in an outward movement or transfer and check they are
+// in stock (and in `location`, when one is given)
+const findSerialsInStock = async (component, serialNumbers, location, session) => {
+    const items = await SerialItem.find({ component: component._id, serialNumber: { $in: serialNumbers } })
+        .session(session);
+
+    const found = new Set(items.map(item => item.serialNumber));
+    const unknown = serialNumbers.filter(serialNumber => !found.has(serialNumber));
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown serial numbers: ${unknown.join(', ')}`, {
+            code: 'UNKNOWN_SERIAL',
+            serialNumbers: unknown
+        });
+    }
+
+    const unavailable = items.filter(item => item.status !== 'in_stock' || (location && item.location !== location));
+    if (unavailable.length > 0) {
+        throw new ApiError(409, `Not in stock${location ? ` in ${location}` : ''}: ${unavailable.map(item => item.serialNumber).join(', ')}`, {
+            code: 'SERIAL_NOT_IN_STOCK',
+            serialNumbers: unavailable.map(item => item.serialNumber)
+        });
+    }
+
+    return items;
+};
+
+// Apply an update to units that must still be in stock when it is written
+const updateInStock = async (items, update, session) => {
+    const result = await SerialItem.updateMany(
+        { _id: { $in: items.map(item => item._id) }, status: 'in_stock' },
+        update,
+        { session }
+    );
+
+    if (result.modifiedCount !== items.length) {
+        throw new ApiError(409, 'Stock changed while the movement was being processed, please retry', {
+            code: 'STOCK_CONFLICT'
+        });
+    }
+};
+
+// Hand units out: they leave their bin and are held by `holder` for `project`
+const issueSerials = (items, { holder, holderName, project }, movementId, user, session) => updateInStock(items, {
+    $set: { status: 'issued', holder, holderName, project },
+    $unset: { location: '' },
+    $push: { history: historyEntry('issued', { status: 'issued', holder, holderName, project }, movementId, user) }
+}, session);
+
+// Write units off: they leave their bin and are retired
+const scrapSerials = (items, movementId, user, session) => updateInStock(items, {
+    $set: { status: 'retired' },
+    $unset: { location: '' },
+    $push: { history: historyEntry('scrapped', { status: 'retired' }, movementId, user) }
+}, session);
+
+// Move units to another bin
+const transferSerials = (items, toLocation, movementId, user, session) => updateInStock(items, {
+    $set: { location: toLocation },
+    $push: { history: historyEntry('transferred', { status: 'in_stock', location: toLocation }, movementId, user) }
+}, session);
+
+module.exports = {
+    checkSerialNumbers,
+    receiveSerials,
+    findSerialsInStock,
+    issueSerials,
+    returnSerials,
+    scrapSerials,
+    transferSerials,
+    historyEntry
+};
@@ -0,0 +1,618 @@
+const mongoose = require('mongoose');
+const Component = require('../models/Component');
+const Movement = require('../models/Movement');
+const Location = require('../models/Location');
+const Lot = require('../models/Lot');
+const CountSession = require('../models/CountSession');
+const ReasonCode = require('../models/ReasonCode');
+const Notification = require('../models/Notification');
+const { ApiError } = require('../utils/errors');
+const {
+    checkSerialNumbers,
+    receiveSerials,
+    findSerialsInStock,
+    issueSerials,
+    returnSerials,
+    scrapSerials,
+    transferSerials
+} = require('./serials');
+const { findReservationToFulfil, fulfilReservation } = require('./reservations');
+
+// Run `work(session)` inside a MongoDB transaction. The driver retries the
+// whole callback on transient write conflicts, so `work` must only touch the
+// database through the session it is given.
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+const findActiveComponent = async (componentId, session) => {
+    const component = await Component.findOne({ _id: componentId, isActive: true }).session(session);
+
+    if (!component) {
+        throw new ApiError(404, 'Component not found');
+    }
+
+    return component;
+};
+
+// Add to one bin, creating it if the component has never been stored there.
+// `changeTotal` is false for transfers, where the total stays the same.
+const addToBin = async (componentId, location, quantity, session, { changeTotal = true, set = {} } = {}) => {
+    const inc = changeTotal ? { quantity } : {};
+
+    const existingBin = await Component.findOneAndUpdate(
+        { _id: componentId, isActive: true, 'stock.location': location },
+        { $inc: { ...inc, 'stock.$.quantity': quantity }, $set: set },
+        { new: true, session }
+    );
+
+    if (existingBin) {
+        return existingBin;
+    }
+
+    // Only registered locations can hold stock
+    const [unknownLocation] = await Location.findUnknownCodes([location], session);
+    if (unknownLocation) {
+        throw new ApiError(400, `Unknown location: ${unknownLocation}`, { code: 'UNKNOWN_LOCATION' });
+    }
+
+    const newBin = await Component.findOneAndUpdate(
+        { _id: componentId, isActive: true, 'stock.location': { $ne: location } },
+        { $inc: inc, $push: { stock: { location, quantity } }, $set: set },
+        { new: true, session }
+    );
+
+    if (!newBin) {
+        throw new ApiError(404, 'Component not found');
+    }
+
+    return newBin;
+};
+
+// Remove from one bin only if it holds enough at the moment of the write.
+// Two concurrent requests for the last units cannot both match the filter.
+const removeFromBin = (componentId, location, quantity, session, { changeTotal = true, set = {} } = {}) => {
+    const inc = changeTotal ? { quantity: -quantity } : {};
+
+    return Component.findOneAndUpdate(
+        {
+            _id: componentId,
+            isActive: true,
+            stock: { $elemMatch: { location, quantity: { $gte: quantity } } }
+        },
+        { $inc: { ...inc, 'stock.$.quantity': -quantity }, $set: set },
+        { new: true, session }
+    );
+};
+
+// A movement says why with a registered reason code (whose label becomes the
+// reason unless one is typed), with free text, or both. Return, scrap and
+// adjustment movements must give a code.
+const resolveReason = async (type, reasonCode, reason, session) => {
+    if (!reasonCode) {
+        if (Movement.CODED_TYPES.includes(type)) {
+            throw new ApiError(400, `A reason code is required for ${type} movements`, { code: 'REASON_CODE_REQUIRED' });
+        }
+        if (!reason) {
+            throw new ApiError(400, 'A reason or reason code is required');
+        }
+        return { reasonCode: undefined, reason };
+    }
+
+    const registered = await ReasonCode.findForType(reasonCode.toLowerCase(), type, session);
+
+    if (!registered) {
+        throw new ApiError(400, `${reasonCode} is not an active reason code for ${type} movements`, {
+            code: 'INVALID_REASON_CODE'
+        });
+    }
+
+    return { reasonCode: registered.code, reason: reason || registered.label };
+};
+
+// Stock in bins that are being counted cannot move until the count session
+// is approved or cancelled. `countSessionId` lets that session's own
+// adjustments through.
+const assertNotCounting = async (component, locations, session, countSessionId = null) => {
+    const counting = await CountSession.findLocking(component.category, locations, session);
+
+    if (counting && !counting._id.equals(countSessionId)) {
+        throw new ApiError(409,
+            `Stock of ${component.name} in ${locations.join(', ')} is locked by stocktake ${counting.countNumber}`,
+            { code: 'LOCATION_LOCKED', countSession: counting._id, countNumber: counting.countNumber }
+        );
+    }
+};
+
+const insufficientStock = (available, requested, location) => new ApiError(409,
+    `Insufficient stock${location ? ` in ${location}` : ''}. Available: ${available} units, Requested: ${requested} units`,
+    {
+        code: 'INSUFFICIENT_STOCK',
+        available,
+        requested,
+        ...(location ? { location } : {})
+    }
+);
+
+// Add stock to a bin (the component's default bin if none is given)
+const incrementStock = async (componentId, quantity, location, user, session) => {
+    const target = location || (await findActiveComponent(componentId, session)).location;
+
+    const component = await addToBin(componentId, target, quantity, session, {
+        set: { lastMovementAt: new Date(), lastUpdatedBy: user._id }
+    });
+
+    return { component, allocations: [{ location: target, quantity }] };
+};
+
+// Remove stock from a bin, or - when no bin is given - from the default bin
+// first and then from the fullest remaining bins. Only `consumption` (an
+// outward movement, not scrap) counts as the component being used.
+const decrementStock = async (componentId, quantity, location, user, session, { consumption = true } = {}) => {
+    const now = new Date();
+    const options = {
+        set: { lastMovementAt: now, lastUpdatedBy: user._id, ...(consumption ? { lastOutwardAt: now } : {}) }
+    };
+
+    if (location) {
+        const component = await removeFromBin(componentId, location, quantity, session, options);
+
+        if (!component) {
+            const current = await findActiveComponent(componentId, session);
+            throw insufficientStock(current.quantityAt(location), quantity, location);
+        }
+
+        return { component, allocations: [{ location, quantity }] };
+    }
+
+    const current = await findActiveComponent(componentId, session);
+
+    if (current.quantity < quantity) {
+        throw insufficientStock(current.quantity, quantity);
+    }
+
+    const bins = current.stock
+        .filter(bin => bin.quantity > 0)
+        .sort((a, b) => {
+            if (a.location === current.location) return -1;
+            if (b.location === current.location) return 1;
+            return b.quantity - a.quantity;
+        });
+
+    let remaining = quantity;
+    let component = current;
+    const allocations = [];
+
+    for (const bin of bins) {
+        if (remaining === 0) break;
+
+        const take = Math.min(bin.quantity, remaining);
+        component = await removeFromBin(componentId, bin.location, take, session, options);
+
+        if (!component) {
+            throw new ApiError(409, 'Stock changed while the movement was being processed, please retry', {
+                code: 'STOCK_CONFLICT'
+            });
+        }
+
+        allocations.push({ location: bin.location, quantity: take });
+        remaining -= take;
+    }
+
+    return { component, allocations };
+};
+
+// Record received stock against a manufacturer lot, topping the lot up if
+// it has been received before
+const receiveLot = async (componentId, quantity, { lotNumber, dateCode, supplier }, user, session) => {
+    const existing = await Lot.findOne({ component: componentId, lotNumber }).session(session);
+
+    if (existing && dateCode && existing.dateCode && existing.dateCode !== dateCode) {
+        throw new ApiError(409, `Lot ${lotNumber} was received with date code ${existing.dateCode}, not ${dateCode}`, {
+            code: 'LOT_MISMATCH'
+        });
+    }
+
+    const now = new Date();
+    const lot = await Lot.findOneAndUpdate(
+        { component: componentId, lotNumber },
+        {
+            $inc: { quantityReceived: quantity, quantityRemaining: quantity },
+            $set: { lastReceivedAt: now },
+            $setOnInsert: { dateCode, supplier, receivedAt: now, createdBy: user._id }
+        },
+        { new: true, upsert: true, session }
+    );
+
+    return [{ lot: lot._id, lotNumber, dateCode: lot.dateCode, supplier: lot.supplier, quantity }];
+};
+
+// Put returned stock back into the lot it was issued from. A lot can never
+// hold more than was received into it.
+const returnToLot = async (componentId, quantity, lotNumber, session) => {
+    const lot = await Lot.findOne({ component: componentId, lotNumber }).session(session);
+
+    if (!lot) {
+        throw new ApiError(404, `Lot ${lotNumber} not found for this component`);
+    }
+
+    const updated = await Lot.findOneAndUpdate(
+        { _id: lot._id, quantityRemaining: { $lte: lot.quantityReceived - quantity } },
+        { $inc: { quantityRemaining: quantity } },
+        { new: true, session }
+    );
+
+    if (!updated) {
+        throw new ApiError(409, `Lot ${lotNumber} received ${lot.quantityReceived} units and still holds ${lot.quantityRemaining}; ${quantity} more cannot be returned to it`, {
+            code: 'LOT_OVER_RETURN'
+        });
+    }
+
+    return [{ lot: lot._id, lotNumber, dateCode: lot.dateCode, supplier: lot.supplier, quantity }];
+};
+
+// Take stock out of lots: the requested lot only, or the oldest lots first.
+// FIFO stops when tracked lots run out; the rest is untracked stock.
+const consumeLots = async (componentId, quantity, lotNumber, session) => {
+    const take = async (lot, count) => {
+        const updated = await Lot.findOneAndUpdate(
+            { _id: lot._id, quantityRemaining: { $gte: count } },
+            { $inc: { quantityRemaining: -count } },
+            { new: true, session }
+        );
+
+        if (!updated) {
+            throw new ApiError(409, 'Stock changed while the movement was being processed, please retry', {
+                code: 'STOCK_CONFLICT'
+            });
+        }
+
+        return { lot: lot._id, lotNumber: lot.lotNumber, dateCode: lot.dateCode, supplier: lot.supplier, quantity: count };
+    };
+
+    if (lotNumber) {
+        const lot = await Lot.findOne({ component: componentId, lotNumber }).session(session);
+
+        if (!lot) {
+            throw new ApiError(404, `Lot ${lotNumber} not found for this component`);
+        }
+
+        if (lot.quantityRemaining < quantity) {
+            throw new ApiError(409,
+                `Insufficient stock in lot ${lotNumber}. Available: ${lot.quantityRemaining} units, Requested: ${quantity} units`,
+                { code: 'INSUFFICIENT_LOT_STOCK', available: lot.quantityRemaining, requested: quantity, lotNumber }
+            );
+        }
+
+        return [await take(lot, quantity)];
+    }
+
+    const lots = await Lot.find({ component: componentId, quantityRemaining: { $gt: 0 } })
+        .sort({ receivedAt: 1 })
+        .session(session);
+
+    let remaining = quantity;
+    const consumed = [];
+
+    for (const lot of lots) {
+        if (remaining === 0) break;
+
+        const count = Math.min(lot.quantityRemaining, remaining);
+        consumed.push(await take(lot, count));
+        remaining -= count;
+    }
+
+    return consumed;
+};
+
+// Remove named units of a serialized component, each from the bin it is in
+const decrementSerialStock = async (component, items, user, session, options) => {
+    const perBin = new Map();
+    items.forEach(item => perBin.set(item.location, (perBin.get(item.location) || 0) + 1));
+
+    let updated = component;
+    const allocations = [];
+
+    for (const [location, count] of perBin) {
+        const result = await decrementStock(component._id, count, location, user, session, options);
+        updated = result.component;
+        allocations.push(...result.allocations);
+    }
+
+    return { component: updated, allocations };
+};
+
+// Movement types applyMovement handles; transfers and adjustments have
+// their own functions
+const STOCK_MOVEMENT_TYPES = ['inward', 'outward', 'return', 'scrap', 'checkout', 'checkin'];
+
+// Equipment lent out and brought back (services/loans.js)
+const LOAN_MOVEMENT_TYPES = ['checkout', 'checkin'];
+
+const movementFields = (component, user) => ({
+    component: component._id,
+    componentName: component.name,
+    componentPartNumber: component.partNumber,
+    user: user._id,
+    userName: user.name
+});
+
+// Apply one inward, outward, return, scrap, checkout or checkin movement
+// inside an existing transaction: update the bin, lot, serial and total
+// quantities and write the ledger entry. Issued (or checked out) serialized
+// units are held by `holder` (default: the user); returned ones come back
+// into stock and scrapped ones are retired. An outward movement either fulfils `reservationId` or, like
+// scrap, may only use stock that is not reserved.
+const applyMovement = async (movementData, user, session) => {
+    const {
+        componentId, type, quantity, location, lotNumber, dateCode, supplier,
+        serialNumbers, holder, reservationId, purchaseOrderId, purchaseOrderLineId,
+        project, notes
+    } = movementData;
+
+    if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+        throw new ApiError(400, `Cannot apply a ${type} movement here`);
+    }
+
+    const adds = type === 'inward' || type === 'return' || type === 'checkin';
+    const { reasonCode, reason } = await resolveReason(type, movementData.reasonCode, movementData.reason, session);
+
+    const current = await findActiveComponent(componentId, session);
+    const serials = checkSerialNumbers(current, serialNumbers, quantity);
+    const movementId = new mongoose.Types.ObjectId();
+
+    let reservation = null;
+    if (reservationId) {
+        if (type !== 'outward') {
+            throw new ApiError(400, 'Only outward movements can fulfil a reservation');
+        }
+        reservation = await findReservationToFulfil(reservationId, componentId, quantity, session);
+    } else if (!adds && quantity > current.available) {
+        // Reading and then writing the component in one transaction means a
+        // concurrent reservation makes one of the two retry
+        throw new ApiError(409,
+            `Insufficient available stock. Available: ${current.available} units (${current.reserved} reserved), Requested: ${quantity} units`,
+            { code: 'INSUFFICIENT_STOCK', available: current.available, reserved: current.reserved, requested: quantity }
+        );
+    }
+
+    let stock;
+    if (adds) {
+        stock = await incrementStock(componentId, quantity, location || current.location, user, session);
+
+        const bin = stock.allocations[0].location;
+        if (serials.length > 0 && (type === 'return' || type === 'checkin')) {
+            await returnSerials(current, serials, bin, movementId, user, session);
+        } else if (serials.length > 0) {
+            await receiveSerials(current, serials, bin, movementId, user, session);
+        }
+    } else if (serials.length > 0) {
+        const items = await findSerialsInStock(current, serials, location, session);
+        stock = await decrementSerialStock(current, items, user, session, { consumption: type === 'outward' });
+
+        if (type === 'scrap') {
+            await scrapSerials(items, movementId, user, session);
+        } else {
+            const issuedTo = holder || user;
+            await issueSerials(items, { holder: issuedTo._id, holderName: issuedTo.name, project }, movementId, user, session);
+        }
+    } else {
+        stock = await decrementStock(componentId, quantity, location, user, session, { consumption: type === 'outward' });
+    }
+
+    let { component } = stock;
+    const { allocations } = stock;
+
+    await assertNotCounting(current, allocations.map(a => a.location), session);
+
+    let lots = [];
+    if (LOAN_MOVEMENT_TYPES.includes(type)) {
+        // Lent stock is not consumed, so it keeps its lots
+    } else if (!adds) {
+        lots = await consumeLots(componentId, quantity, lotNumber, session);
+    } else if (lotNumber && type === 'return') {
+        lots = await returnToLot(componentId, quantity, lotNumber, session);
+    } else if (lotNumber) {
+        lots = await receiveLot(componentId, quantity, { lotNumber, dateCode, supplier }, user, session);
+    }
+
+    const oldQuantity = adds
+        ? component.quantity - quantity
+        : component.quantity + quantity;
+
+    const [movement] = await Movement.create([{
+        _id: movementId,
+        ...movementFields(component, user),
+        type,
+        quantity,
+        allocations,
+        lots,
+        serialNumbers: serials,
+        reservation: reservation ? reservation._id : undefined,
+        purchaseOrder: purchaseOrderId,
+        purchaseOrderLine: purchaseOrderLineId,
+        reasonCode,
+        reason,
+        project,
+        notes: notes || ''
+    }], { session });
+
+    if (reservation) {
+        ({ component, reservation } = await fulfilReservation(reservation, quantity, movementId, session));
+    }
+
+    return { component, movement, oldQuantity, reservation };
+};
+
+// Move stock between two bins of the same component. Writes a paired
+// out/in ledger entry; the component total does not change.
+const applyTransfer = async (transferData, user, session) => {
+    const { componentId, fromLocation, toLocation, quantity, serialNumbers, project, notes } = transferData;
+
+    if (fromLocation === toLocation) {
+        throw new ApiError(400, 'Source and destination locations must be different');
+    }
+
+    const { reasonCode, reason } = await resolveReason('transfer', transferData.reasonCode, transferData.reason, session);
+
+    const current = await findActiveComponent(componentId, session);
+    await assertNotCounting(current, [fromLocation, toLocation], session);
+
+    const serials = checkSerialNumbers(current, serialNumbers, quantity);
+    const items = serials.length > 0
+        ? await findSerialsInStock(current, serials, fromLocation, session)
+        : [];
+
+    const set = { lastMovementAt: new Date(), lastUpdatedBy: user._id };
+
+    const source = await removeFromBin(componentId, fromLocation, quantity, session, { changeTotal: false, set });
+    if (!source) {
+        throw insufficientStock(current.quantityAt(fromLocation), quantity, fromLocation);
+    }
+
+    const component = await addToBin(componentId, toLocation, quantity, session, { changeTotal: false, set });
+
+    // Both legs reference each other, so their ids are assigned up front
+    const outLegId = new mongoose.Types.ObjectId();
+    const inLegId = new mongoose.Types.ObjectId();
+
+    if (items.length > 0) {
+        await transferSerials(items, toLocation, outLegId, user, session);
+    }
+
+    const common = {
+        ...movementFields(component, user),
+        type: 'transfer',
+        quantity,
+        serialNumbers: serials,
+        fromLocation,
+        toLocation,
+        reasonCode,
+        reason,
+        project,
+        notes: notes || ''
+    };
+
+    const [outLeg, inLeg] = await Movement.create([
+        { ...common, _id: outLegId, allocations: [{ location: fromLocation, quantity }], pairedMovement: inLegId },
+        { ...common, _id: inLegId, allocations: [{ location: toLocation, quantity }], pairedMovement: outLegId }
+    ], { session, ordered: true });
+
+    return { component, movements: [outLeg, inLeg] };
+};
+
+// Correct the books for one bin (the default bin if none is given) without
+// a physical movement, e.g. after a stocktake. Adjusting down shrinks the
+// oldest lots first. Serialized stock is only corrected through movements
+// naming the units.
+const applyAdjustment = async (adjustmentData, user, session) => {
+    const { componentId, direction, quantity, countSessionId, project, notes } = adjustmentData;
+
+    const { reasonCode, reason } = await resolveReason('adjustment', adjustmentData.reasonCode, adjustmentData.reason, session);
+    const current = await findActiveComponent(componentId, session);
+    const location = adjustmentData.location || current.location;
+
+    if (current.trackingMode === 'serialized') {
+        throw new ApiError(400, `${current.name} is serialized: correct its stock with movements naming the serial numbers`);
+    }
+
+    await assertNotCounting(current, [location], session, countSessionId);
+
+    const set = { lastMovementAt: new Date(), lastUpdatedBy: user._id };
+    let component;
+    let lots = [];
+
+    if (direction === 'in') {
+        component = await addToBin(componentId, location, quantity, session, { set });
+    } else {
+        component = await removeFromBin(componentId, location, quantity, session, { set });
+
+        if (!component) {
+            throw insufficientStock(current.quantityAt(location), quantity, location);
+        }
+
+        lots = await consumeLots(componentId, quantity, undefined, session);
+    }
+
+    const oldQuantity = direction === 'in'
+        ? component.quantity - quantity
+        : component.quantity + quantity;
+
+    const [movement] = await Movement.create([{
+        ...movementFields(component, user),
+        type: 'adjustment',
+        direction,
+        reasonCode,
+        quantity,
+        allocations: [{ location, quantity }],
+        lots,
+        countSession: countSessionId || undefined,
+        reason,
+        project,
+        notes: notes || ''
+    }], { session });
+
+    return { component, movement, oldQuantity };
+};
+
+// Notifications that accompany a movement
+const buildMovementNotifications = (component, movement, user) => {
+    const notifications = [
+        Notification.createStockMovementNotification(component, movement, user)
+    ];
+
+    const removed = movement.direction
+        ? movement.direction === 'out'
+        : movement.type === 'outward' || movement.type === 'scrap';
+
+    if (removed && component.available <= component.criticalLowThreshold) {
+        notifications.push(Notification.createLowStockNotification(component));
+    }
+
+    return notifications;
+};
+
+// Record a single inward, outward, return or scrap movement. Quantity change, ledger entry and
+// notifications commit together or not at all.
+const recordMovement = (movementData, user) => withTransaction(async (session) => {
+    const result = await applyMovement(movementData, user, session);
+
+    const notifications = buildMovementNotifications(result.component, result.movement, user);
+    for (const notification of notifications) {
+        await notification.save({ session });
+    }
+
+    return result;
+});
+
+// Record a bin-to-bin transfer
+const recordTransfer = (transferData, user) => withTransaction(session =>
+    applyTransfer(transferData, user, session)
+);
+
+module.exports = {
+    withTransaction,
+    addToBin,
+    removeFromBin,
+    findActiveComponent,
+    resolveReason,
+    assertNotCounting,
+    insufficientStock,
+    movementFields,
+    applyMovement,
+    applyTransfer,
+    applyAdjustment,
+    buildMovementNotifications,
+    recordMovement,
+    recordTransfer
+};
@@ -3,6 +3,20 @@
 
 const API_BASE = 'http://localhost:5000/api';
 
+// Send a JSON request and return the status code with the parsed body
+async function apiRequest(method, path, token, body) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: response.status, data: await response.json() };
+}
+
 async function testAPI() {
     console.log('🧪 Testing Electronics Inventory API...\n');
 
@@ -112,11 +126,11 @@ async function testAPI() {
         const newComponent = {
             name: 'Test LED 5mm Red',
             partNumber: 'TEST-LED-5MM-RED',
-            manufacturer: 'Test Manufacturer',
+            manufacturer: 'Vishay',
             category: 'Semiconductors',
             description: 'Test LED for API verification',
             quantity: 100,
-            location: 'TEST-A1',
+            location: 'A1-B2',
             unitPrice: 15,
             criticalLowThreshold: 10
         };
@@ -154,6 +168,174 @@ async function testAPI() {
             console.log(`📝 Reason: ${createData.message}`);
         }
 
+        // Test 7: Kits that match an approval rule are held, not issued
+        console.log('7️⃣ Testing Approval Rules on BOM Kits...');
+        const rule = await apiRequest('POST', '/approvals/rules', token, {
+            name: 'Test kit quantity rule',
+            minQuantity: 5,
+            approverPermission: 'all'
+        });
+        if (!rule.data.success) {
+            throw new Error('Failed to create approval rule: ' + rule.data.message);
+        }
+
+        const kitPart = await apiRequest('POST', '/components', token, {
+            name: 'Test Kit MCU',
+            partNumber: 'TEST-KIT-MCU',
+            manufacturer: 'Vishay',
+            category: 'Semiconductors',
+            quantity: 50,
+            location: 'A1-B2',
+            unitPrice: 400
+        });
+        if (!kitPart.data.success) {
+            throw new Error('Failed to create kit component: ' + kitPart.data.message);
+        }
+        const kitPartId = kitPart.data.data._id;
+
+        const bom = await apiRequest('POST', '/boms', token, {
+            name: 'Test Kit Assembly',
+            lines: [{ componentId: kitPartId, quantityPer: 2 }]
+        });
+        if (!bom.data.success) {
+            throw new Error('Failed to create BOM: ' + bom.data.message);
+        }
+
+        const engineerLogin = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: 'engineer',
+                password: 'engineer123',
+                role: 'engineer'
+            })
+        });
+        const engineerToken = (await engineerLogin.json()).token;
+
+        const kit = await apiRequest('POST', `/boms/${bom.data.data._id}/kit`, engineerToken, {
+            quantity: 5,
+            project: 'Approval test'
+        });
+        const afterKit = await apiRequest('GET', `/components/${kitPartId}`, token);
+
+        // Clean up before checking, so a failed check leaves nothing behind
+        if (kit.data.data && kit.data.data.request) {
+            await apiRequest('POST', `/approvals/requests/${kit.data.data.request._id}/cancel`, engineerToken);
+        }
+        await apiRequest('DELETE', `/boms/${bom.data.data._id}`, token);
+        await apiRequest('DELETE', `/approvals/rules/${rule.data.data._id}`, token);
+        await apiRequest('DELETE', `/components/${kitPartId}`, token);
+
+        if (kit.status !== 202 || kit.data.data.request.status !== 'pending') {
+            throw new Error('Kit matching an approval rule was not held: ' + kit.data.message);
+        }
+        if (afterKit.data.data.quantity !== 50) {
+            throw new Error(`Held kit deducted stock: ${afterKit.data.data.quantity} left of 50`);
+        }
+        console.log('✅ Kit held for approval without deducting stock');
+        console.log(`📝 ${kit.data.message}\n`);
+
+        // Test 8: Part request picks that match an approval rule are held
+        console.log('8️⃣ Testing Approval Rules on Part Request Picks...');
+        const pickRule = await apiRequest('POST', '/approvals/rules', token, {
+            name: 'Test pick quantity rule',
+            minQuantity: 5,
+            approverPermission: 'all'
+        });
+        const pickPart = await apiRequest('POST', '/components', token, {
+            name: 'Test Pick MCU',
+            partNumber: 'TEST-PICK-MCU',
+            manufacturer: 'Vishay',
+            category: 'Semiconductors',
+            quantity: 50,
+            location: 'A1-B2',
+            unitPrice: 400
+        });
+        if (!pickRule.data.success || !pickPart.data.success) {
+            throw new Error('Failed to set up pick test: ' + (pickRule.data.message || pickPart.data.message));
+        }
+        const pickPartId = pickPart.data.data._id;
+
+        const partRequest = await apiRequest('POST', '/part-requests', engineerToken, {
+            project: 'Approval test',
+            lines: [{ componentId: pickPartId, quantity: 10 }]
+        });
+        const partRequestId = partRequest.data.data._id;
+
+        const picked = await apiRequest('POST', `/part-requests/${partRequestId}/pick`, engineerToken, {
+            picks: [{ lineId: partRequest.data.data.lines[0]._id, location: 'A1-B2', quantity: 10 }]
+        });
+        const afterPick = await apiRequest('GET', `/components/${pickPartId}`, token);
+
+        // Clean up before checking, so a failed check leaves nothing behind
+        for (const heldPick of (picked.data.data && picked.data.data.held) || []) {
+            await apiRequest('POST', `/approvals/requests/${heldPick._id}/cancel`, engineerToken);
+        }
+        await apiRequest('POST', `/part-requests/${partRequestId}/close`, engineerToken);
+        await apiRequest('DELETE', `/approvals/rules/${pickRule.data.data._id}`, token);
+        await apiRequest('DELETE', `/components/${pickPartId}`, token);
+
+        if (!picked.data.success || picked.data.data.held.length !== 1 || picked.data.data.movements.length !== 0) {
+            throw new Error('Pick matching an approval rule was not held: ' + picked.data.message);
+        }
+        if (afterPick.data.data.quantity !== 50) {
+            throw new Error(`Held pick deducted stock: ${afterPick.data.data.quantity} left of 50`);
+        }
+        console.log('✅ Pick held for approval without deducting stock');
+        console.log(`📝 ${picked.data.message}\n`);
+
+        // Test 9: Reversing a merged duplicate's movement after the merge
+        console.log('9️⃣ Testing Reversal After a Merge...');
+        const mergeParts = [];
+        for (const partNumber of ['TEST-MERGE-A', 'TEST-MERGE-B']) {
+            const created = await apiRequest('POST', '/components', token, {
+                name: 'Test Merge Resistor',
+                partNumber,
+                manufacturer: 'Vishay',
+                category: 'Semiconductors',
+                quantity: 0,
+                location: 'A1-B2',
+                unitPrice: 1
+            });
+            if (!created.data.success) {
+                throw new Error('Failed to create merge component: ' + created.data.message);
+            }
+            mergeParts.push(created.data.data._id);
+
+            await apiRequest('POST', '/movements/inward', token, {
+                componentId: created.data.data._id,
+                quantity: 10,
+                location: 'A1-B2',
+                lotNumber: 'TEST-LOT-1',
+                project: 'Merge test'
+            });
+        }
+        const [survivorId, duplicateId] = mergeParts;
+
+        const taken = await apiRequest('POST', '/movements/outward', token, {
+            componentId: duplicateId,
+            quantity: 4,
+            lotNumber: 'TEST-LOT-1',
+            project: 'Merge test'
+        });
+        const merged = await apiRequest('POST', `/components/${survivorId}/merge`, token, { sourceIds: [duplicateId] });
+        const reversed = await apiRequest('POST', `/movements/${taken.data.data.movement._id}/reverse`, token, {
+            reason: 'Merge test'
+        });
+        const survivor = await apiRequest('GET', `/components/${survivorId}`, token);
+        await apiRequest('DELETE', `/components/${survivorId}`, token);
+
+        if (!merged.data.success || !reversed.data.success) {
+            throw new Error('Merge or reversal failed: ' + (merged.data.message || reversed.data.message));
+        }
+        const survivorLot = survivor.data.data.lots.find(lot => lot.lotNumber === 'TEST-LOT-1');
+        if (survivor.data.data.quantity !== 20 || !survivorLot || survivorLot.quantityRemaining !== 20) {
+            throw new Error(`Lot and stock totals differ after reversal: ${survivor.data.data.quantity} in stock, ${survivorLot ? survivorLot.quantityRemaining : 0} in lot`);
+        }
+        console.log('✅ Reversal restored the merged lot and stock together\n');
+
         console.log('\n🎉 ALL TESTS PASSED!');
         console.log('🔗 Your API is working correctly and ready to use.');
         console.log('🌐 You can now open your frontend and login with:');
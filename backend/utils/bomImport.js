@@ -0,0 +1,301 @@
+// Parsers for BOM exports from EDA tools: KiCad BOM CSV, the KiCad XML
+// netlist/BOM (`<export><components><comp ref="R1">...`) and Altium CSV.
+// Every format is reduced to rows of { references, quantity, partNumber,
+// manufacturer, value, footprint, description, dnp }, then grouped into one
+// line per part. Matching lines to components happens in services/boms.js.
+
+const FORMATS = ['kicad-csv', 'kicad-xml', 'altium-csv'];
+
+// Header names each field is known by, compared after normalizeHeader().
+// Like Utils.importFromCSV on the frontend, columns are mapped by header;
+// `columnMap` lets the caller name columns this list does not know.
+const COLUMN_ALIASES = {
+    references: ['reference', 'references', 'ref', 'refs', 'designator', 'designators', 'ref des', 'refdes'],
+    quantity: ['qty', 'quantity', 'quantity per pcb', 'count'],
+    partNumber: [
+        'mpn', 'manufacturer part number', 'manufacturer_part_number', 'manufacturer 1 part number',
+        'mfr part number', 'mfr. part number', 'mfr pn', 'mfr_pn', 'mfg part number', 'part number', 'partnumber'
+    ],
+    manufacturer: ['manufacturer', 'manufacturer 1', 'manufacturer name', 'mfr', 'mfr.', 'mfg'],
+    value: ['value', 'val', 'comment'],
+    footprint: ['footprint', 'package', 'pattern'],
+    description: ['description', 'desc'],
+    dnp: ['dnp', 'do not place', 'do not populate', 'exclude from bom', 'exclude_from_bom']
+};
+
+const normalizeHeader = header => header.replace(/^﻿/, '').replace(/^#/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Part numbers are compared without case, spaces or punctuation
+const normalizePartNumber = partNumber => (partNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const detectFormat = (content) => {
+    const text = content.trim();
+
+    if (text.startsWith('<?xml') || text.startsWith('<export')) {
+        return 'kicad-xml';
+    }
+
+    const header = normalizeHeader(text.split(/\r?\n/)[0]);
+    return /designator/.test(header) ? 'altium-csv' : 'kicad-csv';
+};
+
+// RFC 4180 style CSV: quoted fields may contain the delimiter, newlines
+// and doubled quotes. The delimiter is guessed from the header line.
+const parseCsv = (content) => {
+    const text = content.replace(/^﻿/, '');
+    const firstLine = text.split(/\r?\n/)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+};
+
+// Which column index holds each field
+const mapColumns = (headers, columnMap = {}) => {
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+        const names = columnMap[field]
+            ? [normalizeHeader(columnMap[field])]
+            : COLUMN_ALIASES[field];
+
+        for (const name of names) {
+            const index = normalized.indexOf(name);
+            if (index !== -1) {
+                columns[field] = index;
+                break;
+            }
+        }
+    });
+
+    return columns;
+};
+
+// "R1, R2 R5-R7" -> ['R1', 'R2', 'R5', 'R6', 'R7']
+const splitReferences = (value) => {
+    const references = [];
+
+    (value || '').split(/[\s,;]+/).filter(Boolean).forEach(token => {
+        const range = token.match(/^([A-Za-z_]+)(\d+)-(?:\1)?(\d+)$/);
+
+        if (range && Number(range[3]) >= Number(range[2]) && Number(range[3]) - Number(range[2]) < 1000) {
+            for (let n = Number(range[2]); n <= Number(range[3]); n++) {
+                references.push(`${range[1]}${n}`.toUpperCase());
+            }
+        } else {
+            references.push(token.toUpperCase());
+        }
+    });
+
+    return references;
+};
+
+const isTruthyFlag = value => /^(1|y|yes|true|x|dnp|excluded?)$/i.test((value || '').trim());
+
+const rowsFromCsv = (content, columnMap) => {
+    const [headers, ...records] = parseCsv(content);
+
+    if (!headers) {
+        return { rows: [], columns: {}, headers: [] };
+    }
+
+    const columns = mapColumns(headers, columnMap);
+    const get = (record, field) => (columns[field] !== undefined ? (record[columns[field]] || '').trim() : '');
+
+    const rows = records.map(record => {
+        const references = splitReferences(get(record, 'references'));
+        const quantity = parseInt(get(record, 'quantity'));
+
+        return {
+            references,
+            quantity: Number.isNaN(quantity) ? references.length : quantity,
+            partNumber: get(record, 'partNumber'),
+            manufacturer: get(record, 'manufacturer'),
+            value: get(record, 'value'),
+            footprint: get(record, 'footprint'),
+            description: get(record, 'description'),
+            dnp: isTruthyFlag(get(record, 'dnp'))
+        };
+    });
+
+    return { rows, columns, headers };
+};
+
+const decodeXml = value => (value || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+
+const xmlChild = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : '';
+};
+
+// KiCad writes one <comp> per placed symbol, with user fields under
+// <fields><field name="MPN">...</field></fields> and (KiCad 7+) DNP and
+// "exclude from BOM" as <property name="dnp"/> / <property name="exclude_from_bom"/>
+const rowsFromKicadXml = (content, columnMap = {}) => {
+    const rows = [];
+    const compPattern = /<comp\s+ref="([^"]+)"[^>]*>([\s\S]*?)<\/comp>/g;
+    const aliasesFor = field => (columnMap[field] ? [normalizeHeader(columnMap[field])] : COLUMN_ALIASES[field]);
+
+    let match;
+    while ((match = compPattern.exec(content)) !== null) {
+        const [, ref, body] = match;
+
+        const fields = {};
+        const fieldPattern = /<field\s+name="([^"]+)"\s*>([\s\S]*?)<\/field>/g;
+        let field;
+        while ((field = fieldPattern.exec(body)) !== null) {
+            fields[normalizeHeader(decodeXml(field[1]))] = decodeXml(field[2]);
+        }
+
+        const properties = [];
+        const propertyPattern = /<property\s+name="([^"]+)"/g;
+        let property;
+        while ((property = propertyPattern.exec(body)) !== null) {
+            properties.push(normalizeHeader(decodeXml(property[1])));
+        }
+
+        const fromFields = name => {
+            const alias = aliasesFor(name).find(a => fields[a] !== undefined);
+            return alias ? fields[alias] : '';
+        };
+
+        rows.push({
+            references: [decodeXml(ref).toUpperCase()],
+            quantity: 1,
+            partNumber: fromFields('partNumber'),
+            manufacturer: fromFields('manufacturer'),
+            value: xmlChild(body, 'value'),
+            footprint: xmlChild(body, 'footprint'),
+            description: fromFields('description'),
+            dnp: properties.some(name => COLUMN_ALIASES.dnp.includes(name)) || isTruthyFlag(fromFields('dnp'))
+        });
+    }
+
+    return { rows, columns: null, headers: null };
+};
+
+// Group rows into one line per part: by part number, or by value and
+// footprint when a row has none (those lines can never match a component)
+const groupRows = (rows) => {
+    const lines = new Map();
+
+    rows.forEach(row => {
+        const normalized = normalizePartNumber(row.partNumber);
+        const key = normalized || `${row.value}|${row.footprint}`.toUpperCase();
+        const existing = lines.get(key);
+
+        if (existing) {
+            existing.references.push(...row.references);
+            existing.quantity += row.quantity;
+            if (!existing.manufacturer && row.manufacturer) existing.manufacturer = row.manufacturer;
+        } else {
+            lines.set(key, {
+                key,
+                partNumber: row.partNumber,
+                manufacturer: row.manufacturer,
+                value: row.value,
+                footprint: row.footprint,
+                description: row.description,
+                references: [...row.references],
+                quantity: row.quantity
+            });
+        }
+    });
+
+    return [...lines.values()].map(line => {
+        const references = [...new Set(line.references)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const warnings = [];
+
+        if (references.length !== line.references.length) {
+            warnings.push('Duplicate reference designators were merged');
+        }
+        if (references.length > 0 && references.length !== line.quantity) {
+            warnings.push(`Quantity ${line.quantity} does not match ${references.length} reference designators; using the designator count`);
+        }
+
+        return {
+            ...line,
+            references,
+            quantity: references.length > 0 ? references.length : line.quantity,
+            warnings
+        };
+    });
+};
+
+// Parse an export into grouped BOM lines. Throws on content it cannot read.
+const parseBomExport = (content, { format, columnMap } = {}) => {
+    const detected = format || detectFormat(content);
+
+    if (!FORMATS.includes(detected)) {
+        throw new Error(`Unsupported BOM format: ${detected}`);
+    }
+
+    const { rows, columns, headers } = detected === 'kicad-xml'
+        ? rowsFromKicadXml(content, columnMap)
+        : rowsFromCsv(content, columnMap);
+
+    if (columns && columns.partNumber === undefined && columns.value === undefined) {
+        throw new Error(`No part number column found. Columns in file: ${headers.join(', ')}`);
+    }
+
+    const fitted = rows.filter(row => !row.dnp);
+
+    return {
+        format: detected,
+        columns,
+        skipped: rows.length - fitted.length,
+        lines: groupRows(fitted)
+    };
+};
+
+module.exports = {
+    FORMATS,
+    parseBomExport,
+    normalizePartNumber
+};
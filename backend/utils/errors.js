@@ -0,0 +1,14 @@
+// Error carrying an HTTP status (and optional extra response fields) so
+// routes can hand it straight back to the client
+class ApiError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    ApiError
+};
@@ -0,0 +1,68 @@
+// Minimal iCalendar (RFC 5545) writer for subscribable feeds. Events are
+// all-day: { uid, date, summary, description, url }.
+
+// Text values escape backslashes, semicolons, commas and newlines
+const escapeText = text => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines that start
+// with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+const formatDate = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatDateTime = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildCalendar = ({ name, events }) => {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Electronics Inventory//Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        const next = new Date(event.date.getTime() + 24 * 60 * 60 * 1000);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+            `DTEND;VALUE=DATE:${formatDate(next)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    buildCalendar
+};
@@ -0,0 +1,98 @@
+// Reading and writing quantities with SI prefixes ("10k", "4k7", "100 nF",
+// "16MHz", "20ppm"). Values are normalized to the base unit; `unit` is the
+// unit from config/parameters.js that the value is expected in.
+
+const PREFIXES = {
+    p: 1e-12,
+    n: 1e-9,
+    u: 1e-6,
+    'µ': 1e-6,
+    'μ': 1e-6,
+    m: 1e-3,
+    k: 1e3,
+    K: 1e3,
+    M: 1e6,
+    G: 1e9
+};
+
+// Spellings accepted after the number, per unit, in lower case (Ω and the
+// ohm sign both lower-case to ω)
+const UNIT_ALIASES = {
+    'Ω': ['ω', 'ohm', 'ohms', 'r'],
+    'F': ['f'],
+    'H': ['h'],
+    'V': ['v'],
+    'A': ['a'],
+    'W': ['w'],
+    'Hz': ['hz'],
+    '%': ['%'],
+    '°C': ['°c', 'c', 'degc'],
+    '': []
+};
+
+// Units that are never given a prefix when written out
+const UNPREFIXED_UNITS = ['%', '°C', ''];
+
+// Number, optional prefix (which may stand in for the decimal point, as in
+// 4k7 or 4R7 for resistors), then the unit
+const QUANTITY_PATTERN = /^([+-]?\d+(?:\.\d+)?)\s*(?:([pnuµμmkKMGR])(\d+)?)?\s*(.*)$/;
+
+// Round away floating point noise (8 * 1e-9 = 8.000000000000001e-9)
+const round = value => Number(value.toPrecision(12));
+
+const parseQuantity = (input, unit) => {
+    if (typeof input === 'number') {
+        if (!Number.isFinite(input)) {
+            throw new Error('Value must be a finite number');
+        }
+        return input;
+    }
+
+    let text = String(input).trim().replace(/^±/, '');
+
+    // Parts per million of a percentage (crystal tolerances)
+    let scale = 1;
+    if (unit === '%' && /ppm$/i.test(text)) {
+        text = text.slice(0, -3).trim();
+        scale = 1e-4;
+    }
+
+    const match = text.match(QUANTITY_PATTERN);
+
+    if (!match) {
+        throw new Error(`"${input}" is not a number${unit ? ` of ${unit}` : ''}`);
+    }
+
+    const [, number, prefix, fraction, rest] = match;
+    const suffix = rest.trim().toLowerCase();
+
+    // "R" is the ohm, not a prefix
+    if (prefix === 'R' && unit !== 'Ω') {
+        throw new Error(`"${input}" is not a number${unit ? ` of ${unit}` : ''}`);
+    }
+
+    const factor = (prefix && prefix !== 'R' ? PREFIXES[prefix] : 1) * scale;
+
+    if (suffix && !(UNIT_ALIASES[unit] || []).includes(suffix)) {
+        throw new Error(`"${input}" is not in ${unit || 'a plain number'}`);
+    }
+
+    const mantissa = fraction ? parseFloat(`${number}.${fraction}`) : parseFloat(number);
+    return round(mantissa * factor);
+};
+
+const formatQuantity = (value, unit) => {
+    if (UNPREFIXED_UNITS.includes(unit) || value === 0) {
+        return `${round(value)}${unit && unit !== '%' ? ' ' : ''}${unit}`;
+    }
+
+    const steps = [['G', 1e9], ['M', 1e6], ['k', 1e3], ['', 1], ['m', 1e-3], ['µ', 1e-6], ['n', 1e-9], ['p', 1e-12]];
+    const [prefix, factor] = steps.find(([, f]) => Math.abs(value) >= f) || steps[steps.length - 1];
+
+    return `${Number((value / factor).toPrecision(4))} ${prefix}${unit}`;
+};
+
+module.exports = {
+    parseQuantity,
+    formatQuantity
+};
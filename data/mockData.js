@@ -12,6 +12,12 @@ const mockData = {
             unitPrice: 10,
             datasheetLink: 'https://www.murata.com/products/capacitor',
             category: 'Passive Components',
+            parameters: [
+                { name: 'capacitance', value: 1e-8, unit: 'F' },
+                { name: 'tolerance', value: 10, unit: '%' },
+                { name: 'voltageRating', value: 16, unit: 'V' },
+                { name: 'package', text: '0603' }
+            ],
             criticalLowThreshold: 100,
             lastUpdated: new Date('2024-01-15'),
             addedDate: new Date('2023-10-15'),
@@ -47,6 +53,12 @@ const mockData = {
             unitPrice: 7,
             datasheetLink: 'https://www.yageo.com/resistors',
             category: 'Passive Components',
+            parameters: [
+                { name: 'resistance', value: 10000, unit: 'Ω' },
+                { name: 'tolerance', value: 1, unit: '%' },
+                { name: 'powerRating', value: 0.1, unit: 'W' },
+                { name: 'package', text: '0603' }
+            ],
             criticalLowThreshold: 50,
             lastUpdated: new Date('2024-01-20'),
             addedDate: new Date('2023-07-10'),
@@ -79,9 +91,18 @@ const mockData = {
             description: 'ARM Cortex-M4 32-bit MCU, 512KB Flash, 128KB SRAM',
             quantity: 45,
             location: 'B1-A3',
+            stock: [
+                { location: 'B1-A3', quantity: 40 },
+                { location: 'LINE-K1', quantity: 5 }
+            ],
             unitPrice: 706,
             datasheetLink: 'https://www.st.com/stm32f411',
             category: 'Microcontrollers',
+            parameters: [
+                { name: 'frequency', value: 100000000, unit: 'Hz' },
+                { name: 'pinCount', value: 48, unit: '' },
+                { name: 'package', text: 'UFQFPN-48' }
+            ],
             criticalLowThreshold: 20,
             lastUpdated: new Date('2024-01-25'),
             addedDate: new Date('2023-09-01'),
@@ -117,6 +138,11 @@ const mockData = {
             unitPrice: 104,
             datasheetLink: 'https://www.coilcraft.com/inductors',
             category: 'Passive Components',
+            parameters: [
+                { name: 'inductance', value: 1e-5, unit: 'H' },
+                { name: 'tolerance', value: 20, unit: '%' },
+                { name: 'currentRating', value: 1.7, unit: 'A' }
+            ],
             criticalLowThreshold: 30,
             lastUpdated: new Date('2024-01-10'),
             addedDate: new Date('2023-11-20'),
@@ -152,6 +178,11 @@ const mockData = {
             unitPrice: 29,
             datasheetLink: 'https://www.vishay.com/diodes',
             category: 'Semiconductors',
+            parameters: [
+                { name: 'voltageRating', value: 30, unit: 'V' },
+                { name: 'currentRating', value: 1, unit: 'A' },
+                { name: 'package', text: 'SOD-323' }
+            ],
             criticalLowThreshold: 25,
             lastUpdated: new Date('2024-01-22'),
             addedDate: new Date('2023-06-15'),
@@ -179,7 +210,7 @@ const mockData = {
         {
             id: 'T001',
             name: 'NPN Transistor',
-            manufacturer: 'ON Semiconductor',
+            manufacturer: 'onsemi',
             partNumber: 'MMBT3904',
             description: 'NPN Bipolar Transistor 40V 200mA SOT-23',
             quantity: 180,
@@ -187,6 +218,11 @@ const mockData = {
             unitPrice: 15,
             datasheetLink: 'https://www.onsemi.com/transistors',
             category: 'Semiconductors',
+            parameters: [
+                { name: 'voltageRating', value: 40, unit: 'V' },
+                { name: 'currentRating', value: 0.2, unit: 'A' },
+                { name: 'package', text: 'SOT-23' }
+            ],
             criticalLowThreshold: 40,
             lastUpdated: new Date('2024-01-05'),
             addedDate: new Date('2023-12-01'),
@@ -222,6 +258,10 @@ const mockData = {
             unitPrice: 79,
             datasheetLink: 'https://www.abracon.com/crystals',
             category: 'Timing Components',
+            parameters: [
+                { name: 'frequency', value: 16000000, unit: 'Hz' },
+                { name: 'tolerance', value: 0.002, unit: '%' }
+            ],
             criticalLowThreshold: 15,
             lastUpdated: new Date('2024-01-18'),
             addedDate: new Date('2023-08-20'),
@@ -257,6 +297,9 @@ const mockData = {
             unitPrice: 174,
             datasheetLink: 'https://www.ti.com/sensors',
             category: 'Sensors',
+            parameters: [
+                { name: 'package', text: 'SOIC-8' }
+            ],
             criticalLowThreshold: 10,
             lastUpdated: new Date('2024-01-28'),
             addedDate: new Date('2023-09-10'),
@@ -292,6 +335,9 @@ const mockData = {
             unitPrice: 154,
             datasheetLink: 'https://www.microchip.com/eeprom',
             category: 'Memory',
+            parameters: [
+                { name: 'package', text: 'SOIC-8' }
+            ],
             criticalLowThreshold: 20,
             lastUpdated: new Date('2024-01-30'),
             addedDate: new Date('2023-05-25'),
@@ -327,6 +373,11 @@ const mockData = {
             unitPrice: 266,
             datasheetLink: 'https://www.infineon.com/mosfets',
             category: 'Semiconductors',
+            parameters: [
+                { name: 'voltageRating', value: 100, unit: 'V' },
+                { name: 'currentRating', value: 33, unit: 'A' },
+                { name: 'package', text: 'TO-220' }
+            ],
             criticalLowThreshold: 15,
             lastUpdated: new Date('2024-01-12'),
             addedDate: new Date('2023-11-05'),
@@ -350,9 +401,112 @@ const mockData = {
                     project: 'Project Kappa'
                 }
             ]
+        },
+        {
+            id: 'DK001',
+            name: 'STM32 Nucleo-64 Development Board',
+            manufacturer: 'STMicroelectronics',
+            partNumber: 'NUCLEO-F411RE',
+            description: 'STM32F411RE Nucleo-64 board with ST-LINK debugger',
+            quantity: 2,
+            location: 'A2-B1',
+            trackingMode: 'serialized',
+            serials: [
+                {
+                    serialNumber: '066DFF495150',
+                    status: 'in_stock',
+                    location: 'A2-B1',
+                    history: [
+                        { event: 'received', status: 'in_stock', location: 'A2-B1', user: 'Admin', date: new Date('2023-12-01') }
+                    ]
+                },
+                {
+                    serialNumber: '066DFF495151',
+                    status: 'in_stock',
+                    location: 'A2-B1',
+                    history: [
+                        { event: 'received', status: 'in_stock', location: 'A2-B1', user: 'Admin', date: new Date('2023-12-01') }
+                    ]
+                },
+                {
+                    serialNumber: '066DFF495152',
+                    status: 'issued',
+                    holder: 'Engineer C',
+                    project: 'Project Gamma',
+                    history: [
+                        { event: 'received', status: 'in_stock', location: 'A2-B1', user: 'Admin', date: new Date('2023-12-01') },
+                        { event: 'issued', status: 'issued', holder: 'Engineer C', project: 'Project Gamma', user: 'Admin', date: new Date('2024-01-20') }
+                    ]
+                }
+            ],
+            unitPrice: 1250,
+            datasheetLink: 'https://www.st.com/nucleo',
+            category: 'Microcontrollers',
+            criticalLowThreshold: 1,
+            lastUpdated: new Date('2024-01-20'),
+            addedDate: new Date('2023-12-01'),
+            movements: [
+                {
+                    id: 'M021',
+                    type: 'inward',
+                    quantity: 3,
+                    user: 'Admin',
+                    date: new Date('2023-12-01'),
+                    serialNumbers: ['066DFF495150', '066DFF495151', '066DFF495152'],
+                    reason: 'Development kits',
+                    project: 'General Stock'
+                },
+                {
+                    id: 'M022',
+                    type: 'outward',
+                    quantity: 1,
+                    user: 'Admin',
+                    date: new Date('2024-01-20'),
+                    serialNumbers: ['066DFF495152'],
+                    reason: 'Firmware bring-up',
+                    project: 'Project Gamma'
+                }
+            ]
         }
     ],
 
+    // Category registry. A category without parameters offers its parent's.
+    categories: [
+        { name: 'Passive Components', parent: null, parameters: ['resistance', 'capacitance', 'inductance', 'tolerance', 'voltageRating', 'currentRating', 'powerRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Resistors', parent: 'Passive Components', parameters: ['resistance', 'tolerance', 'powerRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Capacitors', parent: 'Passive Components', parameters: ['capacitance', 'tolerance', 'voltageRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Semiconductors', parent: null, parameters: ['voltageRating', 'currentRating', 'powerRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Diodes', parent: 'Semiconductors', parameters: [] },
+        { name: 'Microcontrollers', parent: null, parameters: ['frequency', 'voltageRating', 'pinCount', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Sensors', parent: null, parameters: ['voltageRating', 'tolerance', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Memory', parent: null, parameters: ['voltageRating', 'frequency', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Timing Components', parent: null, parameters: ['frequency', 'tolerance', 'voltageRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Power Management', parent: null, parameters: ['voltageRating', 'currentRating', 'powerRating', 'frequency', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Connectors', parent: null, parameters: ['pinCount', 'voltageRating', 'currentRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Displays', parent: null, parameters: ['voltageRating', 'package', 'temperatureMin', 'temperatureMax'] },
+        { name: 'Other', parent: null, parameters: [] }
+    ],
+
+    // Manufacturer registry with the other names each goes by
+    manufacturers: [
+        { name: 'Texas Instruments', aliases: ['TI'] },
+        { name: 'STMicroelectronics', aliases: ['ST', 'STM', 'ST Micro'] },
+        { name: 'Analog Devices', aliases: ['ADI', 'Linear Technology', 'Maxim Integrated', 'Maxim'] },
+        { name: 'Microchip', aliases: ['Microchip Technology', 'Atmel'] },
+        { name: 'NXP', aliases: ['NXP Semiconductors', 'Freescale'] },
+        { name: 'onsemi', aliases: ['ON Semiconductor', 'ON Semi', 'Fairchild'] },
+        { name: 'Infineon', aliases: ['Infineon Technologies', 'International Rectifier', 'IR', 'Cypress'] },
+        { name: 'Vishay', aliases: ['Vishay Intertechnology', 'Vishay Dale', 'Vishay Siliconix'] },
+        { name: 'Murata', aliases: ['Murata Manufacturing'] },
+        { name: 'Yageo', aliases: [] },
+        { name: 'TDK', aliases: ['EPCOS'] },
+        { name: 'KEMET', aliases: [] },
+        { name: 'Würth Elektronik', aliases: ['Wurth', 'Würth', 'WE'] },
+        { name: 'Coilcraft', aliases: [] },
+        { name: 'Abracon', aliases: [] },
+        { name: 'Nexperia', aliases: [] }
+    ],
+
     // Statistics for dashboard
     stats: {
         totalComponents: 10,
@@ -421,6 +575,14 @@ if (!localStorage.getItem('inventoryStats')) {
     localStorage.setItem('inventoryStats', JSON.stringify(mockData.stats));
 }
 
+if (!localStorage.getItem('inventoryCategories')) {
+    localStorage.setItem('inventoryCategories', JSON.stringify(mockData.categories));
+}
+
+if (!localStorage.getItem('inventoryManufacturers')) {
+    localStorage.setItem('inventoryManufacturers', JSON.stringify(mockData.manufacturers));
+}
+
 if (!localStorage.getItem('inventoryNotifications')) {
     localStorage.setItem('inventoryNotifications', JSON.stringify(mockData.notifications));
 }
@@ -1,8 +1,13 @@
 // Components Management
+
+// Days a deleted component stays in the recycle bin before it is purged
+const RECYCLE_BIN_RETENTION_DAYS = 30;
+
 class ComponentsManager {
     constructor() {
         this.components = [];
         this.filteredComponents = [];
+        this.deletedComponents = [];
         this.editingComponent = null;
         this.init();
     }
@@ -15,6 +20,7 @@ class ComponentsManager {
         }
 
         this.loadComponents();
+        this.loadDeletedComponents();
         this.setupEventListeners();
         this.updateUserInfo();
         this.populateFilters();
@@ -99,11 +105,24 @@ class ComponentsManager {
             this.handleImport(e);
         });
 
+        document.getElementById('recycleBinBtn')?.addEventListener('click', () => {
+            this.showRecycleBin();
+        });
+
         // Search and filter
         document.getElementById('searchInput')?.addEventListener('input', 
             Utils.debounce(() => this.applyFilters(), 300)
         );
 
+        // Parametric filters follow the selected category
+        document.getElementById('categoryFilter')?.addEventListener('change', () => {
+            this.renderParameterFilters();
+        });
+
+        const parameterFilters = document.getElementById('parameterFilters');
+        parameterFilters?.addEventListener('input', Utils.debounce(() => this.applyFilters(), 300));
+        parameterFilters?.addEventListener('change', () => this.applyFilters());
+
         ['categoryFilter', 'locationFilter', 'stockFilter', 'quantityMin', 'quantityMax', 'sortBy'].forEach(id => {
             document.getElementById(id)?.addEventListener('change', () => this.applyFilters());
         });
@@ -117,6 +136,12 @@ class ComponentsManager {
             this.handleComponentFormSubmit(e);
         });
 
+        // Parameter fields are offered for the chosen category; values
+        // already typed are kept where they still apply
+        document.getElementById('category')?.addEventListener('change', (e) => {
+            this.renderParameterFields(e.target.value, this.readParameterFields().values);
+        });
+
         document.getElementById('stockMovementForm')?.addEventListener('submit', (e) => {
             this.handleStockMovementSubmit(e);
         });
@@ -129,6 +154,7 @@ class ComponentsManager {
         Utils.initializeModal('componentModal');
         Utils.initializeModal('stockMovementModal');
         Utils.initializeModal('componentDetailsModal');
+        Utils.initializeModal('recycleBinModal');
     }
 
     updateUserInfo() {
@@ -143,10 +169,17 @@ class ComponentsManager {
         if (adminNav) {
             adminNav.style.display = 'block';
         }
+
+        const recycleBinBtn = document.getElementById('recycleBinBtn');
+        if (recycleBinBtn) {
+            recycleBinBtn.style.display = '';
+        }
     }
 
     populateFilters() {
         this.populateCategoryFilter();
+        this.populateCategoryOptions();
+        this.populateManufacturerOptions();
         this.populateLocationFilter();
         this.populateComponentSelect();
     }
@@ -155,22 +188,61 @@ class ComponentsManager {
         const select = document.getElementById('categoryFilter');
         if (!select) return;
 
-        const categories = [...new Set(this.components.map(c => c.category))].sort();
-        
+        // Registered categories, nested; choosing one includes its subcategories
+        const selected = select.value;
         select.innerHTML = '<option value="">All Categories</option>';
-        categories.forEach(category => {
+        Registries.categoryTree().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.name;
+            option.textContent = `${'\u00A0\u00A0'.repeat(category.depth)}${category.name}`;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    populateCategoryOptions() {
+        const select = document.getElementById('category');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Select Category</option>';
+        Registries.categoryTree().forEach(category => {
             const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
+            option.value = category.name;
+            option.textContent = `${'\u00A0\u00A0'.repeat(category.depth)}${category.name}`;
             select.appendChild(option);
         });
     }
 
+    // Suggest registered manufacturers while typing; aliases are resolved on save
+    populateManufacturerOptions() {
+        const list = document.getElementById('manufacturerOptions');
+        if (!list) return;
+
+        list.innerHTML = Registries.manufacturers()
+            .map(manufacturer => `<option value="${Utils.escapeHtml(manufacturer.name)}">`)
+            .join('');
+    }
+
+    // The registered name for what was typed ("TI" -> "Texas Instruments").
+    // Admins may register a new manufacturer; anyone else gets null.
+    resolveManufacturer(name) {
+        const manufacturer = Registries.resolveManufacturer(name);
+        if (manufacturer) return manufacturer.name;
+
+        if (auth.isAdmin() && confirm(`${name} is not a registered manufacturer. Register it?`)) {
+            return Registries.addManufacturer(name).name;
+        }
+        return null;
+    }
+
     populateLocationFilter() {
         const select = document.getElementById('locationFilter');
         if (!select) return;
 
-        const locations = [...new Set(this.components.map(c => c.location))].sort();
+        // Every bin a component is stored in, not just its default location
+        const locations = [...new Set(
+            this.components.flatMap(c => this.getStockLocations(c).map(bin => bin.location))
+        )].sort();
         
         select.innerHTML = '<option value="">All Locations</option>';
         locations.forEach(location => {
@@ -212,12 +284,25 @@ class ComponentsManager {
 
         // Category filter
         if (categoryFilter) {
-            filtered = filtered.filter(c => c.category === categoryFilter);
+            const categories = Registries.subtreeNames(categoryFilter);
+            filtered = filtered.filter(c => categories.includes(c.category));
         }
 
+        // Parametric filters: every parameter given has to match
+        this.getParameterFilters().forEach(({ name, min, max, values }) => {
+            filtered = filtered.filter(c => {
+                const parameter = Parameters.find(c, name);
+                if (!parameter) return false;
+                if (values) return values.includes((parameter.text || '').toLowerCase());
+                return (min === null || parameter.value >= min) && (max === null || parameter.value <= max);
+            });
+        });
+
         // Location filter
         if (locationFilter) {
-            filtered = filtered.filter(c => c.location === locationFilter);
+            filtered = filtered.filter(c =>
+                this.getStockLocations(c).some(bin => bin.location === locationFilter)
+            );
         }
 
         // Stock status filter
@@ -253,11 +338,145 @@ class ComponentsManager {
         document.getElementById('quantityMin').value = '';
         document.getElementById('quantityMax').value = '';
         document.getElementById('sortBy').value = 'name';
+        this.renderParameterFilters();
         
         this.filteredComponents = [...this.components];
         this.renderComponents();
     }
 
+    // Offer a filter for each parameter of the selected category that at
+    // least one component has: a min/max range for numbers, the values in
+    // use for text
+    renderParameterFilters() {
+        const container = document.getElementById('parameterFilters');
+        if (!container) return;
+
+        const category = document.getElementById('categoryFilter')?.value || '';
+        const categories = category ? Registries.subtreeNames(category) : [];
+        const inCategory = this.components.filter(c => categories.includes(c.category));
+        const names = category
+            ? Registries.parameterNames(category).filter(name => inCategory.some(c => Parameters.find(c, name)))
+            : [];
+
+        container.style.display = names.length > 0 ? '' : 'none';
+        container.innerHTML = names.map(name => {
+            const definition = Parameters.DEFINITIONS[name];
+
+            if (definition.type === 'text') {
+                const values = [...new Set(
+                    inCategory.map(c => Parameters.find(c, name)).filter(Boolean).map(parameter => parameter.text)
+                )].sort();
+
+                return `
+                <div class="form-group">
+                    <label for="paramFilter-${name}">${definition.label}</label>
+                    <select id="paramFilter-${name}" data-parameter="${name}">
+                        <option value="">Any</option>
+                        ${values.map(value => `<option value="${Utils.escapeHtml(value)}">${Utils.escapeHtml(value)}</option>`).join('')}
+                    </select>
+                </div>`;
+            }
+
+            const unit = definition.unit ? ` (${definition.unit})` : '';
+            return `
+                <div class="form-group">
+                    <label for="paramFilter-${name}-min">${definition.label}${unit}</label>
+                    <input type="text" id="paramFilter-${name}-min" data-parameter="${name}" data-bound="min" placeholder="Min">
+                    <input type="text" id="paramFilter-${name}-max" data-parameter="${name}" data-bound="max" placeholder="Max">
+                </div>`;
+        }).join('');
+    }
+
+    // The parametric filters filled in, in SI units. Values that cannot be
+    // read are flagged on the input and left out.
+    getParameterFilters() {
+        const criteria = {};
+
+        document.querySelectorAll('#parameterFilters [data-parameter]').forEach(input => {
+            const name = input.dataset.parameter;
+            const definition = Parameters.DEFINITIONS[name];
+            const raw = input.value.trim();
+            input.setCustomValidity('');
+
+            if (!raw) return;
+
+            if (definition.type === 'text') {
+                criteria[name] = { name, values: [raw.toLowerCase()] };
+                return;
+            }
+
+            const value = Parameters.parse(raw, definition.unit);
+            if (value === null) {
+                input.setCustomValidity(`Not a value in ${definition.unit || 'a plain number'}`);
+                return;
+            }
+
+            criteria[name] = criteria[name] || { name, min: null, max: null };
+            criteria[name][input.dataset.bound] = value;
+        });
+
+        return Object.values(criteria);
+    }
+
+    renderParameterFields(category, values = {}) {
+        const group = document.getElementById('parameterFieldsGroup');
+        const container = document.getElementById('parameterFields');
+        if (!group || !container) return;
+
+        const names = category ? Registries.parameterNames(category) : [];
+        const packages = [...new Set(
+            this.components.map(c => Parameters.find(c, 'package')).filter(Boolean).map(parameter => parameter.text)
+        )].sort();
+
+        group.style.display = names.length > 0 ? '' : 'none';
+        container.innerHTML = names.map(name => {
+            const definition = Parameters.DEFINITIONS[name];
+            const unit = definition.unit ? ` (${definition.unit})` : '';
+            const value = values[name] !== undefined ? Utils.escapeHtml(String(values[name])) : '';
+            const list = name === 'package' ? ' list="parameterPackageOptions"' : '';
+            const placeholder = definition.type === 'text' ? 'e.g. 0603, SOIC-8' : 'e.g. 4k7, 100n, 16V';
+
+            return `
+                <div class="form-group">
+                    <label for="param-${name}">${definition.label}${unit}</label>
+                    <input type="text" id="param-${name}" data-parameter="${name}" value="${value}" placeholder="${placeholder}"${list}>
+                </div>`;
+        }).join('') + `
+            <datalist id="parameterPackageOptions">
+                ${packages.map(value => `<option value="${Utils.escapeHtml(value)}">`).join('')}
+            </datalist>`;
+    }
+
+    // The parameter fields as typed (values) and as stored (parameters)
+    readParameterFields() {
+        const values = {};
+        const parameters = [];
+        const errors = [];
+
+        document.querySelectorAll('#parameterFields [data-parameter]').forEach(input => {
+            const name = input.dataset.parameter;
+            const definition = Parameters.DEFINITIONS[name];
+            const raw = input.value.trim();
+
+            if (!raw) return;
+            values[name] = raw;
+
+            if (definition.type === 'text') {
+                parameters.push({ name, text: raw });
+                return;
+            }
+
+            const value = Parameters.parse(raw, definition.unit);
+            if (value === null) {
+                errors.push(`${definition.label}: "${raw}" is not a value in ${definition.unit || 'a plain number'}`);
+            } else {
+                parameters.push({ name, value, unit: definition.unit });
+            }
+        });
+
+        return { values, parameters, errors };
+    }
+
     renderComponents() {
         const tbody = document.getElementById('componentsTableBody');
         const countElement = document.getElementById('componentCount');
@@ -286,6 +505,7 @@ class ComponentsManager {
                     <td>
                         <strong>${component.name}</strong>
                         ${component.description ? `<br><small class="text-muted">${component.description}</small>` : ''}
+                        ${component.parameters && component.parameters.length > 0 ? `<br><small class="text-muted">${component.parameters.map(parameter => Utils.escapeHtml(Parameters.display(parameter))).join(' · ')}</small>` : ''}
                     </td>
                     <td>
                         <code>${component.partNumber}</code>
@@ -298,8 +518,10 @@ class ComponentsManager {
                         <br><small>Threshold: ${component.criticalLowThreshold}</small>
                     </td>
                     <td>
-                        <i class="fas fa-map-marker-alt"></i>
-                        ${component.location}
+                        ${this.getStockLocations(component).map(bin => `
+                            <i class="fas fa-map-marker-alt"></i>
+                            ${bin.location}${this.getStockLocations(component).length > 1 ? ` <small>(${Utils.formatNumber(bin.quantity)})</small>` : ''}
+                        `).join('<br>')}
                     </td>
                     <td>
                         ${Utils.formatCurrency(component.unitPrice)}
@@ -337,6 +559,50 @@ class ComponentsManager {
         tbody.innerHTML = html;
     }
 
+    // Per-bin stock. Components saved before multi-location support only
+    // have `location`, so all of their quantity is in that one bin.
+    getStockLocations(component) {
+        if (component.stock && component.stock.length > 0) {
+            return component.stock;
+        }
+        return [{ location: component.location, quantity: component.quantity }];
+    }
+
+    // Apply a quantity change to the bins and keep the total in sync.
+    // Inward goes to one bin; outward drains the chosen bin, or the default
+    // bin first and then the fullest ones.
+    applyBinMovement(component, type, quantity, location) {
+        const bins = this.getStockLocations(component).map(bin => ({ ...bin }));
+
+        if (type === 'inward') {
+            const target = location || component.location;
+            const bin = bins.find(b => b.location === target);
+            if (bin) {
+                bin.quantity += quantity;
+            } else {
+                bins.push({ location: target, quantity });
+            }
+        } else {
+            const order = location
+                ? bins.filter(b => b.location === location)
+                : [...bins].sort((a, b) => {
+                    if (a.location === component.location) return -1;
+                    if (b.location === component.location) return 1;
+                    return b.quantity - a.quantity;
+                });
+
+            let remaining = quantity;
+            order.forEach(bin => {
+                const take = Math.min(bin.quantity, remaining);
+                bin.quantity -= take;
+                remaining -= take;
+            });
+        }
+
+        component.stock = bins;
+        component.quantity = bins.reduce((sum, bin) => sum + bin.quantity, 0);
+    }
+
     getStockStatus(component) {
         if (component.quantity <= 0) {
             return { class: 'danger', text: 'Out of Stock' };
@@ -386,10 +652,14 @@ class ComponentsManager {
                 document.getElementById('criticalLowThreshold').value = component.criticalLowThreshold;
                 document.getElementById('description').value = component.description || '';
                 document.getElementById('datasheetLink').value = component.datasheetLink || '';
+                this.renderParameterFields(component.category, Object.fromEntries(
+                    (component.parameters || []).map(parameter => [parameter.name, Parameters.display(parameter)])
+                ));
             }
         } else {
             // Add mode
             title.textContent = 'Add Component';
+            this.renderParameterFields('');
         }
 
         Utils.showModal('componentModal');
@@ -399,17 +669,31 @@ class ComponentsManager {
         event.preventDefault();
         
         const formData = new FormData(event.target);
+
+        const { parameters, errors } = this.readParameterFields();
+        if (errors.length > 0) {
+            Utils.showNotification(errors.join('. '), 'error');
+            return;
+        }
+
+        const manufacturer = this.resolveManufacturer(formData.get('manufacturer'));
+        if (!manufacturer) {
+            Utils.showNotification(`Unknown manufacturer: ${formData.get('manufacturer')}. Ask an admin to register it.`, 'error');
+            return;
+        }
+
         const componentData = {
             name: formData.get('name'),
             partNumber: formData.get('partNumber'),
-            manufacturer: formData.get('manufacturer'),
+            manufacturer,
             category: formData.get('category'),
             quantity: parseInt(formData.get('quantity')),
             location: formData.get('location'),
             unitPrice: parseFloat(formData.get('unitPrice')),
             criticalLowThreshold: parseInt(formData.get('criticalLowThreshold')),
             description: formData.get('description') || '',
-            datasheetLink: formData.get('datasheetLink') || ''
+            datasheetLink: formData.get('datasheetLink') || '',
+            parameters
         };
 
         const componentId = formData.get('componentId');
@@ -419,9 +703,35 @@ class ComponentsManager {
                 // Update component
                 const index = this.components.findIndex(c => c.id === componentId);
                 if (index !== -1) {
+                    const existing = this.components[index];
+
+                    if (existing.trackingMode === 'serialized' && componentData.quantity !== existing.quantity) {
+                        Utils.showNotification('Stock of serialized components changes through inward and outward movements with serial numbers.', 'error');
+                        return;
+                    }
+
+                    const bins = this.getStockLocations(existing).map(bin => ({ ...bin }));
+
+                    // A single-bin component is relabelled when its location changes
+                    if (bins.length === 1 && bins[0].location === existing.location) {
+                        bins[0].location = componentData.location;
+                    } else if (!bins.some(bin => bin.location === componentData.location)) {
+                        bins.push({ location: componentData.location, quantity: 0 });
+                    }
+
+                    // A quantity edit corrects the default bin
+                    const defaultBin = bins.find(bin => bin.location === componentData.location);
+                    const delta = componentData.quantity - existing.quantity;
+                    if (defaultBin.quantity + delta < 0) {
+                        Utils.showNotification(`Location ${defaultBin.location} only holds ${defaultBin.quantity} units. Use an outward movement to remove stock from other bins.`, 'error');
+                        return;
+                    }
+                    defaultBin.quantity += delta;
+
                     this.components[index] = {
-                        ...this.components[index],
+                        ...existing,
                         ...componentData,
+                        stock: bins,
                         lastUpdated: new Date()
                     };
                     Utils.showNotification('Component updated successfully!', 'success');
@@ -458,18 +768,126 @@ class ComponentsManager {
             return;
         }
 
-        if (confirm('Are you sure you want to delete this component? This action cannot be undone.')) {
+        if (confirm(`Move this component to the recycle bin? It can be restored for ${RECYCLE_BIN_RETENTION_DAYS} days.`)) {
             const index = this.components.findIndex(c => c.id === componentId);
             if (index !== -1) {
-                this.components.splice(index, 1);
+                const [component] = this.components.splice(index, 1);
+                this.deletedComponents.push({
+                    ...component,
+                    deletedAt: new Date().toISOString(),
+                    deletedBy: auth.currentUser.name
+                });
                 this.saveComponents();
+                this.saveDeletedComponents();
                 this.populateFilters();
                 this.applyFilters();
-                Utils.showNotification('Component deleted successfully!', 'success');
+                Utils.showNotification('Component moved to the recycle bin', 'success');
             }
         }
     }
 
+    // Recycle bin: deleted components kept for RECYCLE_BIN_RETENTION_DAYS so
+    // they can be restored
+    loadDeletedComponents() {
+        const saved = localStorage.getItem('inventoryDeletedComponents');
+        const deleted = saved ? JSON.parse(saved) : [];
+        const cutoff = Date.now() - RECYCLE_BIN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+        // Anything past the retention period is purged
+        this.deletedComponents = deleted.filter(c => new Date(c.deletedAt).getTime() > cutoff);
+        if (this.deletedComponents.length !== deleted.length) {
+            this.saveDeletedComponents();
+        }
+    }
+
+    saveDeletedComponents() {
+        localStorage.setItem('inventoryDeletedComponents', JSON.stringify(this.deletedComponents));
+    }
+
+    showRecycleBin() {
+        if (!auth.isAdmin()) {
+            Utils.showNotification('Access denied. Admin privileges required.', 'error');
+            return;
+        }
+
+        this.renderRecycleBin();
+        Utils.showModal('recycleBinModal');
+    }
+
+    renderRecycleBin() {
+        const tbody = document.getElementById('recycleBinTableBody');
+        if (!tbody) return;
+
+        if (this.deletedComponents.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">The recycle bin is empty</td></tr>';
+            return;
+        }
+
+        const deleted = [...this.deletedComponents]
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        tbody.innerHTML = deleted.map(component => {
+            const purgeDue = new Date(new Date(component.deletedAt).getTime() + RECYCLE_BIN_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            const inUse = this.components.some(c => c.partNumber === component.partNumber);
+
+            return `
+                <tr>
+                    <td>
+                        <strong>${Utils.escapeHtml(component.name)}</strong><br>
+                        <small>${Utils.escapeHtml(component.partNumber)}</small>
+                        ${inUse ? '<br><span class="badge badge-warning">Part number in use</span>' : ''}
+                    </td>
+                    <td>${Utils.escapeHtml(component.category || '')}</td>
+                    <td>${Utils.formatDate(component.deletedAt)}<br><small>by ${Utils.escapeHtml(component.deletedBy || 'unknown')}</small></td>
+                    <td>${Utils.formatDate(purgeDue)}</td>
+                    <td>
+                        <button class="btn btn-success" onclick="componentsManager.restoreComponent('${component.id}')" title="Restore">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button class="btn btn-danger" onclick="componentsManager.purgeComponent('${component.id}')" title="Delete permanently">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    restoreComponent(componentId) {
+        const index = this.deletedComponents.findIndex(c => c.id === componentId);
+        if (index === -1) return;
+
+        const component = this.deletedComponents[index];
+
+        // The part number may have been reused since the delete
+        if (this.components.some(c => c.partNumber === component.partNumber)) {
+            Utils.showNotification(`Part number ${component.partNumber} is in use by another component: rename or delete it first`, 'error');
+            return;
+        }
+
+        this.deletedComponents.splice(index, 1);
+        delete component.deletedAt;
+        delete component.deletedBy;
+        component.updatedAt = new Date().toISOString();
+        this.components.push(component);
+
+        this.saveDeletedComponents();
+        this.saveComponents();
+        this.populateFilters();
+        this.applyFilters();
+        this.renderRecycleBin();
+        Utils.showNotification('Component restored successfully!', 'success');
+    }
+
+    purgeComponent(componentId) {
+        if (!confirm('Delete this component permanently? This action cannot be undone.')) return;
+
+        this.deletedComponents = this.deletedComponents.filter(c => c.id !== componentId);
+        this.saveDeletedComponents();
+        this.renderRecycleBin();
+        Utils.showNotification('Component deleted permanently', 'success');
+    }
+
     viewComponent(componentId) {
         const component = this.components.find(c => c.id === componentId);
         if (!component) return;
@@ -515,7 +933,11 @@ class ComponentsManager {
                 
                 <div class="form-group">
                     <label>Location</label>
-                    <p><i class="fas fa-map-marker-alt"></i> ${component.location}</p>
+                    <p>
+                        ${this.getStockLocations(component).map(bin => `
+                            <i class="fas fa-map-marker-alt"></i> ${bin.location}: ${Utils.formatNumber(bin.quantity)} units${bin.location === component.location ? ' <span class="badge badge-info">Default</span>' : ''}
+                        `).join('<br>')}
+                    </p>
                 </div>
                 
                 <div class="form-group">
@@ -538,6 +960,17 @@ class ComponentsManager {
                     <p>${age} days ${Utils.isOldStock(component.addedDate) ? '<span class="badge badge-warning">Old Stock</span>' : ''}</p>
                 </div>
                 
+                ${component.parameters && component.parameters.length > 0 ? `
+                <div class="form-group form-group-full">
+                    <label>Parameters</label>
+                    <p>
+                        ${component.parameters.map(parameter => {
+                            const definition = Parameters.DEFINITIONS[parameter.name];
+                            return `${definition ? definition.label : parameter.name}: <strong>${Utils.escapeHtml(Parameters.display(parameter))}</strong>`;
+                        }).join('<br>')}
+                    </p>
+                </div>` : ''}
+                
                 ${component.description ? `
                 <div class="form-group form-group-full">
                     <label>Description</label>
@@ -556,6 +989,40 @@ class ComponentsManager {
                 </div>
             </div>
             
+            ${component.trackingMode === 'serialized' && component.serials && component.serials.length > 0 ? `
+            <div class="mt-20">
+                <h4><i class="fas fa-barcode"></i> Serial Numbers</h4>
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Serial Number</th>
+                                <th>Status</th>
+                                <th>Location / Holder</th>
+                                <th>Project</th>
+                                <th>Last Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${component.serials.map(serial => {
+                                const lastEvent = serial.history && serial.history.length > 0
+                                    ? serial.history[serial.history.length - 1]
+                                    : null;
+                                return `
+                                <tr>
+                                    <td><code>${serial.serialNumber}</code></td>
+                                    <td><span class="badge badge-${serial.status === 'in_stock' ? 'success' : 'warning'}">${serial.status.replace('_', ' ')}</span></td>
+                                    <td>${serial.status === 'in_stock' ? serial.location : (serial.holder || '-')}</td>
+                                    <td>${serial.project || '-'}</td>
+                                    <td>${lastEvent ? `${lastEvent.event} by ${lastEvent.user}, ${Utils.formatDate(lastEvent.date)}` : '-'}</td>
+                                </tr>
+                            `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>` : ''}
+
             ${component.movements && component.movements.length > 0 ? `
             <div class="mt-20">
                 <h4><i class="fas fa-history"></i> Recent Movements</h4>
@@ -611,6 +1078,7 @@ class ComponentsManager {
 
         form.reset();
         document.getElementById('movementType').value = type;
+        document.getElementById('movementSerialsGroup').style.display = 'none';
         
         title.textContent = type === 'inward' ? 'Inward Stock' : 'Outward Stock';
         submitBtn.textContent = type === 'inward' ? 'Add Stock' : 'Remove Stock';
@@ -634,12 +1102,97 @@ class ComponentsManager {
         }
 
         const component = this.components.find(c => c.id === componentId);
+        const locationOptions = document.getElementById('movementLocationOptions');
+
         if (component) {
-            infoText.textContent = `Current stock: ${Utils.formatNumber(component.quantity)} units | Location: ${component.location}`;
+            const bins = this.getStockLocations(component);
+            const binSummary = bins.map(bin => `${bin.location}: ${Utils.formatNumber(bin.quantity)}`).join(', ');
+
+            infoText.textContent = `Current stock: ${Utils.formatNumber(component.quantity)} units | Locations: ${binSummary}`;
             infoDiv.style.display = 'block';
+
+            if (locationOptions) {
+                locationOptions.innerHTML = bins.map(bin => `<option value="${bin.location}">`).join('');
+            }
+
+            // Serialized components are moved one named unit at a time
+            const serialized = component.trackingMode === 'serialized';
+            document.getElementById('movementSerialsGroup').style.display = serialized ? 'block' : 'none';
+
+            if (serialized && document.getElementById('movementType').value === 'outward') {
+                const inStock = (component.serials || []).filter(serial => serial.status === 'in_stock');
+                infoText.textContent += ` | In stock: ${inStock.map(serial => `${serial.serialNumber} (${serial.location})`).join(', ') || 'none'}`;
+            }
         } else {
             infoDiv.style.display = 'none';
+            document.getElementById('movementSerialsGroup').style.display = 'none';
+        }
+    }
+
+    // Serial numbers typed into the movement form, one per line or comma separated
+    parseSerialNumbers(value) {
+        return (value || '').split(/[\n,]/).map(serial => serial.trim()).filter(Boolean);
+    }
+
+    // Returns an error message, or null if the serial numbers fit the movement
+    validateSerialNumbers(component, type, serialNumbers, quantity, location) {
+        if (new Set(serialNumbers).size !== serialNumbers.length) {
+            return 'Serial numbers must be unique.';
+        }
+
+        if (serialNumbers.length !== quantity) {
+            return `Enter one serial number per unit (${quantity} expected, ${serialNumbers.length} given).`;
+        }
+
+        const serials = component.serials || [];
+
+        if (type === 'inward') {
+            const unavailable = serialNumbers.filter(serialNumber => serials.some(serial =>
+                serial.serialNumber === serialNumber && (serial.status === 'in_stock' || serial.status === 'retired')
+            ));
+            return unavailable.length > 0 ? `Already in stock or retired: ${unavailable.join(', ')}` : null;
         }
+
+        const notInStock = serialNumbers.filter(serialNumber => !serials.some(serial =>
+            serial.serialNumber === serialNumber && serial.status === 'in_stock' && (!location || serial.location === location)
+        ));
+        return notInStock.length > 0 ? `Not in stock${location ? ` in ${location}` : ''}: ${notInStock.join(', ')}` : null;
+    }
+
+    // Move serialized units in or out of stock, taking each issued unit from
+    // the bin it is in, and record the change in each unit's history
+    applySerialMovement(component, type, serialNumbers, location, project) {
+        const user = auth.currentUser.name;
+        const date = new Date();
+
+        if (!component.serials) {
+            component.serials = [];
+        }
+
+        if (type === 'inward') {
+            const target = location || component.location;
+            this.applyBinMovement(component, 'inward', serialNumbers.length, target);
+
+            serialNumbers.forEach(serialNumber => {
+                let serial = component.serials.find(s => s.serialNumber === serialNumber);
+                if (!serial) {
+                    serial = { serialNumber, history: [] };
+                    component.serials.push(serial);
+                }
+
+                Object.assign(serial, { status: 'in_stock', location: target, holder: null, project: null });
+                serial.history.push({ event: 'received', status: 'in_stock', location: target, user, date });
+            });
+            return;
+        }
+
+        serialNumbers.forEach(serialNumber => {
+            const serial = component.serials.find(s => s.serialNumber === serialNumber);
+            this.applyBinMovement(component, 'outward', 1, serial.location);
+
+            Object.assign(serial, { status: 'issued', location: null, holder: user, project });
+            serial.history.push({ event: 'issued', status: 'issued', holder: user, project, user, date });
+        });
     }
 
     handleStockMovementSubmit(event) {
@@ -651,6 +1204,7 @@ class ComponentsManager {
         const quantity = parseInt(formData.get('quantity'));
         const reason = formData.get('reason');
         const project = formData.get('project');
+        const location = (formData.get('location') || '').trim();
 
         if (!componentId || !quantity || !reason || !project) {
             Utils.showNotification('Please fill in all required fields.', 'error');
@@ -665,12 +1219,28 @@ class ComponentsManager {
 
         const component = this.components[componentIndex];
 
-        // Validate outward movement
-        if (movementType === 'outward' && quantity > component.quantity) {
-            Utils.showNotification(`Insufficient stock. Available: ${component.quantity} units.`, 'error');
+        // Validate outward movement against the chosen bin, or all bins
+        const available = location
+            ? (this.getStockLocations(component).find(bin => bin.location === location)?.quantity || 0)
+            : component.quantity;
+
+        if (movementType === 'outward' && quantity > available) {
+            Utils.showNotification(`Insufficient stock${location ? ` in ${location}` : ''}. Available: ${available} units.`, 'error');
             return;
         }
 
+        const serialNumbers = component.trackingMode === 'serialized'
+            ? this.parseSerialNumbers(formData.get('serialNumbers'))
+            : [];
+
+        if (component.trackingMode === 'serialized') {
+            const serialError = this.validateSerialNumbers(component, movementType, serialNumbers, quantity, location);
+            if (serialError) {
+                Utils.showNotification(serialError, 'error');
+                return;
+            }
+        }
+
         try {
             // Create movement record
             const movement = {
@@ -679,15 +1249,20 @@ class ComponentsManager {
                 quantity: quantity,
                 user: auth.currentUser.name,
                 date: new Date(),
+                location: location || null,
                 reason: reason,
                 project: project
             };
 
-            // Update component quantity and movements
-            if (movementType === 'inward') {
-                this.components[componentIndex].quantity += quantity;
+            if (serialNumbers.length > 0) {
+                movement.serialNumbers = serialNumbers;
+            }
+
+            // Update bin and total quantities
+            if (serialNumbers.length > 0) {
+                this.applySerialMovement(this.components[componentIndex], movementType, serialNumbers, location, project);
             } else {
-                this.components[componentIndex].quantity -= quantity;
+                this.applyBinMovement(this.components[componentIndex], movementType, quantity, location);
             }
 
             this.components[componentIndex].lastUpdated = new Date();
@@ -766,11 +1341,14 @@ class ComponentsManager {
 
             importedData.forEach((row, index) => {
                 try {
+                    // Manufacturers are matched by any name they go by
+                    const manufacturer = Registries.resolveManufacturer(row['Manufacturer']);
+
                     const component = {
                         id: Utils.generateId(),
                         name: row['Component Name'] || '',
                         partNumber: row['Part Number'] || '',
-                        manufacturer: row['Manufacturer'] || '',
+                        manufacturer: manufacturer ? manufacturer.name : '',
                         category: row['Category'] || 'Other',
                         description: row['Description'] || '',
                         quantity: parseInt(row['Quantity']) || 0,
@@ -785,7 +1363,11 @@ class ComponentsManager {
 
                     // Basic validation
                     if (!component.name || !component.partNumber || !component.manufacturer) {
-                        throw new Error('Missing required fields');
+                        throw new Error('Missing required fields or unknown manufacturer');
+                    }
+
+                    if (!Registries.isCategory(component.category)) {
+                        throw new Error(`Unknown category: ${component.category}`);
                     }
 
                     this.components.push(component);
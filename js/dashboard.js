@@ -1,3 +1,13 @@
+// How each movement type is shown in the activity list
+const MOVEMENT_TYPE_DISPLAY = {
+    inward: { label: 'Inward', icon: 'fa-arrow-down', style: 'notification-success' },
+    outward: { label: 'Outward', icon: 'fa-arrow-up', style: 'notification-warning' },
+    return: { label: 'Returned', icon: 'fa-undo', style: 'notification-success' },
+    scrap: { label: 'Scrapped', icon: 'fa-trash', style: 'notification-error' },
+    transfer: { label: 'Transfer', icon: 'fa-exchange-alt', style: 'notification-info' },
+    adjustment: { label: 'Adjustment', icon: 'fa-balance-scale', style: 'notification-info' }
+};
+
 // Dashboard Management
 class DashboardManager {
     constructor() {
@@ -201,18 +211,22 @@ class DashboardManager {
             return;
         }
 
-        const html = recentMovements.map(movement => `
-            <div class="notification ${movement.type === 'inward' ? 'notification-success' : 'notification-warning'}">
-                <i class="fas ${movement.type === 'inward' ? 'fa-arrow-down' : 'fa-arrow-up'}"></i>
+        const html = recentMovements.map(movement => {
+            const display = MOVEMENT_TYPE_DISPLAY[movement.type] || MOVEMENT_TYPE_DISPLAY.outward;
+
+            return `
+            <div class="notification ${display.style}">
+                <i class="fas ${display.icon}"></i>
                 <div>
-                    <strong>${movement.type === 'inward' ? 'Inward' : 'Outward'}: ${movement.componentName}</strong><br>
+                    <strong>${display.label}: ${movement.componentName}</strong><br>
                     <small>
                         ${movement.quantity} units by ${movement.user} - ${Utils.formatDate(movement.date)}<br>
                         Reason: ${movement.reason} | Project: ${movement.project}
                     </small>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         container.innerHTML = html;
     }
@@ -226,8 +240,9 @@ class DashboardManager {
         const ctx = document.getElementById('inwardChart');
         if (!ctx) return;
 
-        // Calculate monthly inward data
+        // Calculate monthly inward data; returns are kept apart from receipts
         const monthlyData = this.calculateMonthlyMovements('inward');
+        const returnedData = this.calculateMonthlyMovements('return');
         
         this.charts.inward = new Chart(ctx, {
             type: 'line',
@@ -239,6 +254,12 @@ class DashboardManager {
                     borderColor: 'rgb(52, 152, 219)',
                     backgroundColor: 'rgba(52, 152, 219, 0.2)',
                     tension: 0.1
+                }, {
+                    label: 'Returned Items',
+                    data: returnedData.data,
+                    borderColor: 'rgb(46, 204, 113)',
+                    backgroundColor: 'rgba(46, 204, 113, 0.2)',
+                    tension: 0.1
                 }]
             },
             options: {
@@ -257,8 +278,9 @@ class DashboardManager {
         const ctx = document.getElementById('outwardChart');
         if (!ctx) return;
 
-        // Calculate monthly outward data
+        // Calculate monthly outward data; scrap is not consumption
         const monthlyData = this.calculateMonthlyMovements('outward');
+        const scrappedData = this.calculateMonthlyMovements('scrap');
         
         this.charts.outward = new Chart(ctx, {
             type: 'line',
@@ -270,6 +292,12 @@ class DashboardManager {
                     borderColor: 'rgb(231, 76, 60)',
                     backgroundColor: 'rgba(231, 76, 60, 0.2)',
                     tension: 0.1
+                }, {
+                    label: 'Scrapped Items',
+                    data: scrappedData.data,
+                    borderColor: 'rgb(127, 140, 141)',
+                    backgroundColor: 'rgba(127, 140, 141, 0.2)',
+                    tension: 0.1
                 }]
             },
             options: {
@@ -0,0 +1,87 @@
+// Parametric attributes (resistance, capacitance, package, ...). Mirrors
+// backend/config/parameters.js and backend/utils/units.js: numeric values are
+// kept in SI units so "10k", "10 kΩ" and "10000" compare equal.
+class Parameters {
+    static DEFINITIONS = {
+        resistance: { label: 'Resistance', type: 'number', unit: 'Ω' },
+        capacitance: { label: 'Capacitance', type: 'number', unit: 'F' },
+        inductance: { label: 'Inductance', type: 'number', unit: 'H' },
+        tolerance: { label: 'Tolerance', type: 'number', unit: '%' },
+        voltageRating: { label: 'Voltage Rating', type: 'number', unit: 'V' },
+        currentRating: { label: 'Current Rating', type: 'number', unit: 'A' },
+        powerRating: { label: 'Power Rating', type: 'number', unit: 'W' },
+        frequency: { label: 'Frequency', type: 'number', unit: 'Hz' },
+        pinCount: { label: 'Pin Count', type: 'number', unit: '' },
+        package: { label: 'Package', type: 'text' },
+        temperatureMin: { label: 'Min Operating Temp', type: 'number', unit: '°C' },
+        temperatureMax: { label: 'Max Operating Temp', type: 'number', unit: '°C' }
+    };
+
+    static OPERATING_RANGE = ['temperatureMin', 'temperatureMax'];
+
+    static PREFIXES = { p: 1e-12, n: 1e-9, u: 1e-6, 'µ': 1e-6, 'μ': 1e-6, m: 1e-3, k: 1e3, K: 1e3, M: 1e6, G: 1e9 };
+
+    // Spellings accepted after the number, per unit, in lower case
+    static UNIT_ALIASES = {
+        'Ω': ['ω', 'ohm', 'ohms', 'r'],
+        'F': ['f'],
+        'H': ['h'],
+        'V': ['v'],
+        'A': ['a'],
+        'W': ['w'],
+        'Hz': ['hz'],
+        '%': ['%'],
+        '°C': ['°c', 'c', 'degc'],
+        '': []
+    };
+
+    // "10k", "4k7", "100 nF", "20ppm" in the base unit; null if unreadable
+    static parse(input, unit) {
+        if (typeof input === 'number') return input;
+
+        let text = String(input).trim().replace(/^±/, '');
+
+        let scale = 1;
+        if (unit === '%' && /ppm$/i.test(text)) {
+            text = text.slice(0, -3).trim();
+            scale = 1e-4;
+        }
+
+        const match = text.match(/^([+-]?\d+(?:\.\d+)?)\s*(?:([pnuµμmkKMGR])(\d+)?)?\s*(.*)$/);
+        if (!match) return null;
+
+        const [, number, prefix, fraction, rest] = match;
+        const suffix = rest.trim().toLowerCase();
+
+        if (prefix === 'R' && unit !== 'Ω') return null;
+        if (suffix && !(this.UNIT_ALIASES[unit] || []).includes(suffix)) return null;
+
+        const factor = (prefix && prefix !== 'R' ? this.PREFIXES[prefix] : 1) * scale;
+        const mantissa = fraction ? parseFloat(`${number}.${fraction}`) : parseFloat(number);
+        return Number((mantissa * factor).toPrecision(12));
+    }
+
+    static format(value, unit) {
+        if (['%', '°C', ''].includes(unit) || value === 0) {
+            return `${Number(value.toPrecision(12))}${unit && unit !== '%' ? ' ' : ''}${unit}`;
+        }
+
+        const steps = [['G', 1e9], ['M', 1e6], ['k', 1e3], ['', 1], ['m', 1e-3], ['µ', 1e-6], ['n', 1e-9], ['p', 1e-12]];
+        const [prefix, factor] = steps.find(([, f]) => Math.abs(value) >= f) || steps[steps.length - 1];
+
+        return `${Number((value / factor).toPrecision(4))} ${prefix}${unit}`;
+    }
+
+    static display(parameter) {
+        return parameter.value !== undefined && parameter.value !== null
+            ? this.format(parameter.value, parameter.unit || '')
+            : parameter.text;
+    }
+
+    static find(component, name) {
+        return (component.parameters || []).find(parameter => parameter.name === name);
+    }
+}
+
+// Make Parameters available globally
+window.Parameters = Parameters;
@@ -0,0 +1,96 @@
+// Category and manufacturer registries. Mirrors backend/models/Category.js
+// and backend/models/Manufacturer.js: categories nest, and a manufacturer
+// can be found by any name it goes by ("TI" is Texas Instruments).
+class Registries {
+    static LEGAL_SUFFIXES = ['inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'llc', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'kg'];
+
+    static categories() {
+        const saved = localStorage.getItem('inventoryCategories');
+        return saved ? JSON.parse(saved) : mockData.categories;
+    }
+
+    static manufacturers() {
+        const saved = localStorage.getItem('inventoryManufacturers');
+        return saved ? JSON.parse(saved) : mockData.manufacturers;
+    }
+
+    static saveManufacturers(manufacturers) {
+        localStorage.setItem('inventoryManufacturers', JSON.stringify(manufacturers));
+    }
+
+    // Categories parents first, each with its depth in the hierarchy
+    static categoryTree() {
+        const categories = this.categories();
+        const walk = (parent, depth) => categories
+            .filter(category => (category.parent || null) === parent)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(category => [{ ...category, depth }, ...walk(category.name, depth + 1)]);
+
+        return walk(null, 0);
+    }
+
+    static isCategory(name) {
+        return this.categories().some(category => category.name === name);
+    }
+
+    // A category and every category below it
+    static subtreeNames(name) {
+        const categories = this.categories();
+        const names = [name];
+
+        for (let i = 0; i < names.length; i++) {
+            categories.filter(c => c.parent === names[i]).forEach(c => names.push(c.name));
+        }
+        return names;
+    }
+
+    // Parameters offered for a category: its own, else the nearest
+    // ancestor's, else all of them
+    static parameterNames(name) {
+        const categories = this.categories();
+        let category = categories.find(c => c.name === name);
+
+        while (category) {
+            if (category.parameters && category.parameters.length > 0) return category.parameters;
+            category = categories.find(c => c.name === category.parent);
+        }
+        return Object.keys(Parameters.DEFINITIONS);
+    }
+
+    // Lower case without accents, punctuation, spaces or a trailing company
+    // form: "Würth Elektronik GmbH" -> "wurthelektronik"
+    static normalizeKey(name) {
+        const words = String(name)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+
+        while (words.length > 1 && this.LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+            words.pop();
+        }
+        return words.join('');
+    }
+
+    // The manufacturer a name or alias belongs to, or null
+    static resolveManufacturer(name) {
+        const key = this.normalizeKey(name || '');
+        if (!key) return null;
+
+        return this.manufacturers().find(manufacturer =>
+            [manufacturer.name, ...(manufacturer.aliases || [])].some(n => this.normalizeKey(n) === key)
+        ) || null;
+    }
+
+    static addManufacturer(name) {
+        const manufacturers = this.manufacturers();
+        const manufacturer = { name: name.trim(), aliases: [] };
+
+        manufacturers.push(manufacturer);
+        this.saveManufacturers(manufacturers);
+        return manufacturer;
+    }
+}
+
+window.Registries = Registries;
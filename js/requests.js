@@ -0,0 +1,650 @@
+// Part Requests: a cart anyone can send to the store, and the pick list
+// technicians work through to issue the parts
+class RequestsManager {
+    constructor() {
+        this.components = [];
+        this.requests = [];
+        this.cart = [];
+        this.init();
+    }
+
+    init() {
+        // Check authentication
+        if (!auth.currentUser) {
+            auth.redirectToLogin();
+            return;
+        }
+
+        this.loadComponents();
+        this.loadRequests();
+        this.setupEventListeners();
+        this.updateUserInfo();
+        this.populateComponentSelect();
+        this.renderCart();
+        this.render();
+    }
+
+    loadComponents() {
+        const savedComponents = localStorage.getItem('inventoryComponents');
+        this.components = savedComponents ? JSON.parse(savedComponents) : mockData.components;
+    }
+
+    saveComponents() {
+        localStorage.setItem('inventoryComponents', JSON.stringify(this.components));
+    }
+
+    loadRequests() {
+        const savedRequests = localStorage.getItem('inventoryPartRequests');
+        this.requests = savedRequests ? JSON.parse(savedRequests) : [];
+    }
+
+    saveRequests() {
+        localStorage.setItem('inventoryPartRequests', JSON.stringify(this.requests));
+    }
+
+    // Technicians (anyone who can issue stock) see and pick every request
+    canHandle() {
+        return auth.hasPermission('outward');
+    }
+
+    setupEventListeners() {
+        // Navigation toggle for mobile
+        const navToggle = document.getElementById('navToggle');
+        const navMenu = document.getElementById('navMenu');
+
+        if (navToggle && navMenu) {
+            navToggle.addEventListener('click', () => {
+                navMenu.classList.toggle('active');
+            });
+        }
+
+        document.getElementById('cartItemForm')?.addEventListener('submit', (e) => {
+            this.handleAddToCart(e);
+        });
+
+        document.getElementById('requestForm')?.addEventListener('submit', (e) => {
+            this.handleSubmitRequest(e);
+        });
+
+        document.getElementById('requestStatusFilter')?.addEventListener('change', () => {
+            this.renderRequests();
+        });
+
+        Utils.initializeModal('requestDetailsModal');
+    }
+
+    updateUserInfo() {
+        const userInfo = document.getElementById('userInfo');
+        if (userInfo && auth.currentUser) {
+            userInfo.textContent = `${auth.currentUser.name} (${auth.currentUser.role})`;
+        }
+    }
+
+    render() {
+        this.renderPickList();
+        this.renderRequests();
+    }
+
+    populateComponentSelect() {
+        const select = document.getElementById('cartComponent');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Select Component</option>';
+        [...this.components]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(component => {
+                const option = document.createElement('option');
+                option.value = component.id;
+                option.textContent = `${component.name} (${component.partNumber})`;
+                select.appendChild(option);
+            });
+    }
+
+    findComponent(componentId) {
+        return this.components.find(c => c.id === componentId);
+    }
+
+    // Per-bin stock, as on the components page
+    getStockLocations(component) {
+        if (component.stock && component.stock.length > 0) {
+            return component.stock;
+        }
+        return [{ location: component.location, quantity: component.quantity }];
+    }
+
+    // Cart
+
+    handleAddToCart(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const componentId = formData.get('componentId');
+        const quantity = parseInt(formData.get('quantity'));
+        const notes = (formData.get('notes') || '').trim();
+        const component = this.findComponent(componentId);
+
+        if (!component || !Utils.validateNumber(quantity, 1)) {
+            Utils.showNotification('Choose a component and a quantity of at least 1.', 'error');
+            return;
+        }
+
+        // The same part twice is one line
+        const existing = this.cart.find(line => line.componentId === componentId);
+        if (existing) {
+            existing.quantity += quantity;
+            if (notes) existing.notes = [existing.notes, notes].filter(Boolean).join('; ');
+        } else {
+            this.cart.push({ componentId, quantity, notes });
+        }
+
+        event.target.reset();
+        this.renderCart();
+    }
+
+    removeFromCart(componentId) {
+        this.cart = this.cart.filter(line => line.componentId !== componentId);
+        this.renderCart();
+    }
+
+    renderCart() {
+        const tbody = document.getElementById('cartTableBody');
+        const countElement = document.getElementById('cartCount');
+        if (!tbody) return;
+
+        if (countElement) {
+            countElement.textContent = `${this.cart.length} parts`;
+        }
+
+        if (this.cart.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center">Add the parts you need</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.cart.map(line => {
+            const component = this.findComponent(line.componentId);
+
+            return `
+                <tr>
+                    <td><strong>${Utils.escapeHtml(component.name)}</strong></td>
+                    <td><code>${Utils.escapeHtml(component.partNumber)}</code></td>
+                    <td>${Utils.formatNumber(line.quantity)}</td>
+                    <td>
+                        ${Utils.formatNumber(component.quantity)}
+                        ${component.quantity < line.quantity ? '<br><small class="text-warning">Not enough in stock</small>' : ''}
+                    </td>
+                    <td>${Utils.escapeHtml(line.notes || '')}</td>
+                    <td>
+                        <button class="btn btn-sm btn-danger" onclick="requestsManager.removeFromCart('${line.componentId}')" title="Remove">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    nextRequestNumber() {
+        const prefix = `PRQ-${new Date().getFullYear()}-`;
+        const last = this.requests
+            .map(request => request.requestNumber)
+            .filter(number => number.startsWith(prefix))
+            .map(number => parseInt(number.slice(prefix.length)))
+            .reduce((max, n) => Math.max(max, n), 0);
+
+        return `${prefix}${String(last + 1).padStart(4, '0')}`;
+    }
+
+    handleSubmitRequest(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const project = (formData.get('project') || '').trim();
+
+        if (this.cart.length === 0) {
+            Utils.showNotification('Add at least one part to the request.', 'error');
+            return;
+        }
+
+        if (!Utils.validateRequired(project)) {
+            Utils.showNotification('Project is required.', 'error');
+            return;
+        }
+
+        const request = {
+            id: Utils.generateId(),
+            requestNumber: this.nextRequestNumber(),
+            status: 'open',
+            project,
+            neededBy: formData.get('neededBy') || null,
+            notes: (formData.get('notes') || '').trim(),
+            lines: this.cart.map(line => {
+                const component = this.findComponent(line.componentId);
+                return {
+                    id: Utils.generateId(),
+                    componentId: component.id,
+                    componentName: component.name,
+                    componentPartNumber: component.partNumber,
+                    quantity: line.quantity,
+                    quantityPicked: 0,
+                    notes: line.notes
+                };
+            }),
+            requestedBy: auth.currentUser.id,
+            requestedByName: auth.currentUser.name,
+            createdAt: new Date()
+        };
+
+        this.requests.push(request);
+        this.saveRequests();
+
+        this.cart = [];
+        event.target.reset();
+        this.renderCart();
+        this.render();
+
+        Utils.showNotification(`Request ${request.requestNumber} sent to the store.`, 'success');
+    }
+
+    // Pick list
+
+    isPickable(request) {
+        return request.status === 'open' || request.status === 'partially_picked';
+    }
+
+    outstanding(line) {
+        return Math.max(0, line.quantity - line.quantityPicked);
+    }
+
+    // Split every outstanding line over the bins it can come from (default
+    // bin first, then the fullest) and group the picks by bin. Requests
+    // needed soonest are served first.
+    buildPickList() {
+        const requests = this.requests
+            .filter(request => this.isPickable(request))
+            .sort((a, b) =>
+                (a.neededBy || '9999').localeCompare(b.neededBy || '9999') ||
+                new Date(a.createdAt) - new Date(b.createdAt)
+            );
+
+        const remaining = new Map();
+        const stops = new Map();
+        const shortages = [];
+
+        requests.forEach(request => {
+            request.lines.forEach(line => {
+                let toPick = this.outstanding(line);
+                if (toPick === 0) return;
+
+                const component = this.findComponent(line.componentId);
+                if (!component) {
+                    shortages.push({ request, line, short: toPick });
+                    return;
+                }
+
+                if (!remaining.has(component.id)) {
+                    remaining.set(component.id, this.getStockLocations(component)
+                        .filter(bin => bin.quantity > 0)
+                        .map(bin => ({ ...bin }))
+                        .sort((a, b) => {
+                            if (a.location === component.location) return -1;
+                            if (b.location === component.location) return 1;
+                            return b.quantity - a.quantity;
+                        }));
+                }
+
+                remaining.get(component.id).forEach(bin => {
+                    const take = Math.min(bin.quantity, toPick);
+                    if (take === 0) return;
+
+                    if (!stops.has(bin.location)) {
+                        stops.set(bin.location, []);
+                    }
+                    stops.get(bin.location).push({ request, line, component, location: bin.location, quantity: take });
+
+                    bin.quantity -= take;
+                    toPick -= take;
+                });
+
+                if (toPick > 0) {
+                    shortages.push({ request, line, short: toPick });
+                }
+            });
+        });
+
+        const locations = [...stops.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([location, picks]) => ({
+                location,
+                picks: picks.sort((a, b) => a.line.componentName.localeCompare(b.line.componentName))
+            }));
+
+        return { requests, locations, shortages };
+    }
+
+    renderPickList() {
+        const card = document.getElementById('pickListCard');
+        const body = document.getElementById('pickListBody');
+        const summary = document.getElementById('pickListSummary');
+        if (!card || !body) return;
+
+        if (!this.canHandle()) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        const { requests, locations, shortages } = this.buildPickList();
+
+        if (summary) {
+            summary.textContent = locations.length > 0
+                ? `${locations.length} stops, ${requests.length} requests`
+                : 'Nothing to pick';
+        }
+
+        if (requests.length === 0) {
+            body.innerHTML = '<p class="text-center text-muted">No open requests</p>';
+            return;
+        }
+
+        const stopsHtml = locations.map(stop => `
+            <h4><i class="fas fa-map-marker-alt"></i> ${Utils.escapeHtml(stop.location)}</h4>
+            <div class="table-container">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Component</th>
+                            <th>Part Number</th>
+                            <th>Request</th>
+                            <th>Project</th>
+                            <th>To Pick</th>
+                            <th>Picked</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stop.picks.map(pick => `
+                            <tr>
+                                <td><strong>${Utils.escapeHtml(pick.line.componentName)}</strong></td>
+                                <td><code>${Utils.escapeHtml(pick.line.componentPartNumber)}</code></td>
+                                <td>${pick.request.requestNumber}</td>
+                                <td>${Utils.escapeHtml(pick.request.project)}</td>
+                                <td>${Utils.formatNumber(pick.quantity)}</td>
+                                <td>
+                                    <input type="number" class="pick-quantity" min="0" max="${pick.quantity}" value="${pick.quantity}"
+                                        data-request-id="${pick.request.id}" data-line-id="${pick.line.id}" data-location="${Utils.escapeHtml(pick.location)}">
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+
+        const shortagesHtml = shortages.length === 0 ? '' : `
+            <div class="notification notification-warning">
+                <i class="fas fa-exclamation-triangle"></i>
+                Short: ${shortages.map(({ request, line, short }) =>
+                    `${short} × ${Utils.escapeHtml(line.componentName)} (${request.requestNumber})`
+                ).join(', ')}
+            </div>
+        `;
+
+        const confirmHtml = `
+            <div class="flex gap-10">
+                ${requests.map(request => `
+                    <button class="btn btn-success" onclick="requestsManager.confirmPicks('${request.id}')">
+                        <i class="fas fa-check"></i>
+                        Confirm ${request.requestNumber}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        body.innerHTML = stopsHtml + shortagesHtml + confirmHtml;
+    }
+
+    // Issue what was picked for one request: one outward movement per bin,
+    // serialized units issued to the requester
+    confirmPicks(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request || !this.isPickable(request)) {
+            Utils.showNotification('This request can no longer be picked.', 'error');
+            return;
+        }
+
+        const picks = [...document.querySelectorAll(`.pick-quantity[data-request-id="${requestId}"]`)]
+            .map(input => ({
+                lineId: input.dataset.lineId,
+                location: input.dataset.location,
+                quantity: parseInt(input.value) || 0,
+                max: parseInt(input.max)
+            }))
+            .filter(pick => pick.quantity > 0);
+
+        if (picks.length === 0) {
+            Utils.showNotification('Enter the quantities you picked.', 'error');
+            return;
+        }
+
+        const invalid = picks.find(pick => pick.quantity > pick.max);
+        if (invalid) {
+            Utils.showNotification(`Cannot pick more than ${invalid.max} units from ${invalid.location}.`, 'error');
+            return;
+        }
+
+        const date = new Date();
+
+        picks.forEach(pick => {
+            const line = request.lines.find(l => l.id === pick.lineId);
+            const component = this.findComponent(line.componentId);
+
+            const movement = {
+                id: Utils.generateId(),
+                type: 'outward',
+                quantity: pick.quantity,
+                user: auth.currentUser.name,
+                date,
+                location: pick.location,
+                reason: `Part request ${request.requestNumber}`,
+                project: request.project
+            };
+
+            if (component.trackingMode === 'serialized') {
+                movement.serialNumbers = this.issueSerials(component, pick, request, date);
+            } else {
+                this.removeFromBin(component, pick.location, pick.quantity);
+            }
+
+            component.lastUpdated = date;
+            if (!component.movements) {
+                component.movements = [];
+            }
+            component.movements.push(movement);
+
+            line.quantityPicked += pick.quantity;
+        });
+
+        const complete = request.lines.every(line => this.outstanding(line) === 0);
+        request.status = complete ? 'picked' : 'partially_picked';
+        request.pickedByName = auth.currentUser.name;
+        request.pickedAt = date;
+
+        this.saveComponents();
+        this.saveRequests();
+        this.render();
+
+        Utils.showNotification(
+            complete
+                ? `Request ${request.requestNumber} picked in full.`
+                : `Picks recorded for ${request.requestNumber}; the rest stays on the pick list.`,
+            'success'
+        );
+    }
+
+    removeFromBin(component, location, quantity) {
+        const bins = this.getStockLocations(component).map(bin => ({ ...bin }));
+        const bin = bins.find(b => b.location === location);
+        bin.quantity -= quantity;
+
+        component.stock = bins;
+        component.quantity = bins.reduce((sum, b) => sum + b.quantity, 0);
+    }
+
+    // Take the first units in stock in the bin and issue them
+    issueSerials(component, pick, request, date) {
+        const units = (component.serials || [])
+            .filter(serial => serial.status === 'in_stock' && serial.location === pick.location)
+            .slice(0, pick.quantity);
+
+        units.forEach(serial => {
+            this.removeFromBin(component, serial.location, 1);
+            Object.assign(serial, { status: 'issued', location: null, holder: request.requestedByName, project: request.project });
+            serial.history.push({
+                event: 'issued',
+                status: 'issued',
+                holder: request.requestedByName,
+                project: request.project,
+                user: auth.currentUser.name,
+                date
+            });
+        });
+
+        return units.map(serial => serial.serialNumber);
+    }
+
+    // Requests
+
+    closeRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request || !this.isPickable(request)) return;
+
+        const cancelling = request.status === 'open';
+        if (!confirm(cancelling ? `Cancel request ${request.requestNumber}?` : `Close ${request.requestNumber} without the outstanding parts?`)) {
+            return;
+        }
+
+        request.status = cancelling ? 'cancelled' : 'closed';
+        request.closedByName = auth.currentUser.name;
+        request.closedAt = new Date();
+
+        this.saveRequests();
+        this.render();
+        Utils.showNotification(`Request ${request.requestNumber} ${request.status}.`, 'info');
+    }
+
+    getStatusBadge(status) {
+        const badges = {
+            open: { class: 'info', text: 'Open' },
+            partially_picked: { class: 'warning', text: 'Partly Picked' },
+            picked: { class: 'success', text: 'Picked' },
+            closed: { class: 'secondary', text: 'Closed Short' },
+            cancelled: { class: 'danger', text: 'Cancelled' }
+        };
+        const badge = badges[status] || badges.open;
+        return `<span class="badge badge-${badge.class}">${badge.text}</span>`;
+    }
+
+    renderRequests() {
+        const tbody = document.getElementById('requestsTableBody');
+        const title = document.getElementById('requestsTitle');
+        const status = document.getElementById('requestStatusFilter')?.value || 'pickable';
+        if (!tbody) return;
+
+        if (title) {
+            title.textContent = this.canHandle() ? 'All Requests' : 'My Requests';
+        }
+
+        const requests = this.requests
+            .filter(request => this.canHandle() || request.requestedBy === auth.currentUser.id)
+            .filter(request => status === 'all' ||
+                (status === 'pickable' ? this.isPickable(request) : request.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (requests.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-center">No requests found</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = requests.map(request => {
+            const canClose = this.isPickable(request) &&
+                (this.canHandle() || request.requestedBy === auth.currentUser.id);
+
+            return `
+                <tr>
+                    <td><strong>${request.requestNumber}</strong></td>
+                    <td>${Utils.escapeHtml(request.project)}</td>
+                    <td>${Utils.escapeHtml(request.requestedByName)}</td>
+                    <td>${request.neededBy ? Utils.formatDate(request.neededBy) : '-'}</td>
+                    <td>${request.lines.length}</td>
+                    <td>${this.getStatusBadge(request.status)}</td>
+                    <td>
+                        <div class="flex gap-10">
+                            <button class="btn btn-sm btn-secondary" onclick="requestsManager.viewRequest('${request.id}')" title="View Details">
+                                <i class="fas fa-eye"></i>
+                            </button>
+                            ${canClose ? `
+                                <button class="btn btn-sm btn-danger" onclick="requestsManager.closeRequest('${request.id}')" title="${request.status === 'open' ? 'Cancel' : 'Close Short'}">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    viewRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request) return;
+
+        document.getElementById('requestDetailsTitle').textContent = `Request ${request.requestNumber}`;
+        document.getElementById('requestDetailsBody').innerHTML = `
+            <p>
+                <strong>Project:</strong> ${Utils.escapeHtml(request.project)}<br>
+                <strong>Requested by:</strong> ${Utils.escapeHtml(request.requestedByName)} on ${Utils.formatDate(request.createdAt)}<br>
+                ${request.neededBy ? `<strong>Needed by:</strong> ${Utils.formatDate(request.neededBy)}<br>` : ''}
+                ${request.pickedByName ? `<strong>Last picked by:</strong> ${Utils.escapeHtml(request.pickedByName)} on ${Utils.formatDate(request.pickedAt)}<br>` : ''}
+                ${request.closedByName ? `<strong>${request.status === 'cancelled' ? 'Cancelled' : 'Closed'} by:</strong> ${Utils.escapeHtml(request.closedByName)}<br>` : ''}
+                <strong>Status:</strong> ${this.getStatusBadge(request.status)}
+            </p>
+            ${request.notes ? `<p>${Utils.escapeHtml(request.notes)}</p>` : ''}
+            <div class="table-container">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Component</th>
+                            <th>Part Number</th>
+                            <th>Requested</th>
+                            <th>Picked</th>
+                            <th>Notes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${request.lines.map(line => `
+                            <tr>
+                                <td>${Utils.escapeHtml(line.componentName)}</td>
+                                <td><code>${Utils.escapeHtml(line.componentPartNumber)}</code></td>
+                                <td>${Utils.formatNumber(line.quantity)}</td>
+                                <td>${Utils.formatNumber(line.quantityPicked)}</td>
+                                <td>${Utils.escapeHtml(line.notes || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        Utils.showModal('requestDetailsModal');
+    }
+}
+
+// Initialize requests manager
+const requestsManager = new RequestsManager();